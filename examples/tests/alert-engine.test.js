@@ -0,0 +1,178 @@
+/**
+ * Tests for the alert rules engine
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  AlertEngine,
+  compileExpression,
+  compileRule,
+  DEFAULT_ALERT_RULES_PATH,
+  WebhookSink,
+} from "../../src/alert-engine.js";
+import { MonitoringDashboard } from "../../src/monitoring-dashboard.js";
+
+class MemorySink {
+  constructor() {
+    this.type = "memory";
+    this.events = [];
+  }
+  accepts() {
+    return true;
+  }
+  async send(events) {
+    this.events.push(...events);
+  }
+  describe() {
+    return { type: this.type };
+  }
+}
+
+function engineWith(rules) {
+  const sink = new MemorySink();
+  const engine = new AlertEngine(null, { sinks: [sink] });
+  engine.apply({ rules });
+  return { engine, sink };
+}
+
+describe("compileExpression", () => {
+  it("evaluates arithmetic, logic and formatted metric strings", () => {
+    const expr = compileExpression(
+      "memory.heapUsed / memory.heapTotal * 100 > 90 && health.status == 'DEGRADED'",
+    );
+    const context = {
+      memory: { heapUsed: 95, heapTotal: 100 },
+      health: { status: "DEGRADED" },
+    };
+    expect(expr.test(context)).toBe(true);
+    expect(compileExpression("latency.dns > 100").test({ latency: {} })).toBe(
+      false,
+    );
+    expect(
+      compileExpression("abs(x.change) >= 2").test({ x: { change: "-2.50" } }),
+    ).toBe(true);
+  });
+
+  it("expands wildcards per key", () => {
+    const expr = compileExpression("abs(financial.*.changePercent) > 3");
+    const context = {
+      financial: { AAPL: { changePercent: "4.1" }, TSLA: { changePercent: 1 } },
+    };
+    expect(expr.bindings(context)).toEqual(["AAPL", "TSLA"]);
+    expect(expr.test(context, "AAPL")).toBe(true);
+    expect(expr.value(context, "AAPL")).toBeCloseTo(4.1);
+    expect(expr.test(context, "TSLA")).toBe(false);
+  });
+
+  it("rejects malformed rules", () => {
+    expect(() => compileExpression("tension.current >")).toThrow();
+    expect(() => compileExpression("sqrt(x) > 1")).toThrow(/Unknown function/);
+    expect(() =>
+      compileRule({ name: "x", expr: "a > 1", severity: "page" }),
+    ).toThrow(/unknown severity/);
+  });
+});
+
+describe("AlertEngine", () => {
+  it("waits for the `for` duration and notifies once", async () => {
+    const { engine, sink } = engineWith([
+      { name: "tension_high", expr: "tension.current > 0.8", for: "30s" },
+    ]);
+    const high = { tension: { current: 0.9 } };
+
+    await engine.evaluate(high, 0);
+    expect(engine.describe(0).pending).toHaveLength(1);
+    await engine.evaluate(high, 30000);
+    await engine.evaluate(high, 45000);
+
+    expect(sink.events.map((e) => e.status)).toEqual(["firing"]);
+    expect(engine.describe(45000).firing[0].value).toBe(0.9);
+  });
+
+  it("applies resolve hysteresis", async () => {
+    const { engine, sink } = engineWith([
+      {
+        name: "tension_high",
+        expr: "tension.current > 0.8",
+        resolve: "tension.current < 0.6",
+      },
+    ]);
+    await engine.evaluate({ tension: { current: 0.9 } }, 0);
+    await engine.evaluate({ tension: { current: 0.7 } }, 1000);
+    expect(engine.describe(1000).firing).toHaveLength(1);
+
+    await engine.evaluate({ tension: { current: 0.5 } }, 2000);
+    expect(sink.events.map((e) => e.status)).toEqual(["firing", "resolved"]);
+    expect(engine.describe(2000).resolved[0].resolvedAt).toBe(2000);
+  });
+
+  it("silences matching alerts", async () => {
+    const { engine, sink } = engineWith([
+      {
+        name: "price_move",
+        expr: "abs(financial.*.changePercent) > 3",
+        label: "symbol",
+      },
+    ]);
+    engine.silence({ rule: "price_move", labels: { symbol: "AAPL" } }, 0);
+    const events = await engine.evaluate(
+      {
+        financial: {
+          AAPL: { changePercent: "5" },
+          NVDA: { changePercent: "-4" },
+        },
+      },
+      1000,
+    );
+
+    expect(events).toHaveLength(2);
+    expect(sink.events.map((e) => e.labels.symbol)).toEqual(["NVDA"]);
+  });
+
+  it("loads the shipped rules file", () => {
+    const engine = new AlertEngine(DEFAULT_ALERT_RULES_PATH);
+    expect(engine.rules.length).toBeGreaterThan(0);
+    expect(engine.sinks.map((sink) => sink.type)).toContain("bell");
+  });
+});
+
+describe("WebhookSink", () => {
+  it("gives up on endpoints that never answer", async () => {
+    const server = Bun.serve({
+      port: 0,
+      fetch: () => new Promise(() => {}),
+    });
+    try {
+      const sink = new WebhookSink({
+        url: `http://localhost:${server.port}/alerts`,
+        timeout: 50,
+      });
+      const started = Date.now();
+      await expect(sink.send([{ status: "firing" }])).rejects.toThrow();
+      expect(Date.now() - started).toBeLessThan(2000);
+    } finally {
+      server.stop(true);
+    }
+  });
+});
+
+describe("MonitoringDashboard thresholds", () => {
+  it("alerts once per crossing through the engine", async () => {
+    const dashboard = new MonitoringDashboard({ cpuThreshold: 80 });
+    await dashboard.checkThresholds({ cpuPercent: 85 });
+    await dashboard.checkThresholds({ cpuPercent: 86 });
+    expect(dashboard.alerts).toHaveLength(1);
+    expect(dashboard.alerts[0]).toMatchObject({
+      metric: "cpuPercent",
+      value: 85,
+      threshold: 80,
+      severity: "warning",
+    });
+
+    await dashboard.checkThresholds({ cpuPercent: 99 });
+    expect(dashboard.alerts.at(-1).severity).toBe("critical");
+    await dashboard.checkThresholds({ cpuPercent: 50 });
+    await dashboard.checkThresholds({ cpuPercent: 81 });
+    expect(dashboard.alerts).toHaveLength(3);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Tests for asciicast v2 session recording
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { mkdtempSync, readFileSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  AsciicastRecorder,
+  parseAsciicast,
+  listRecordings,
+  recordingPath,
+} from "../../src/servers/asciicast.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+const dir = mkdtempSync(join(tmpdir(), "asciicast-"));
+
+afterAll(() => rmSync(dir, { recursive: true, force: true }));
+
+describe("AsciicastRecorder", () => {
+  it("writes a v2 header and timed events", () => {
+    const recorder = new AsciicastRecorder(join(dir, "unit.cast"), {
+      width: 100,
+      height: 30,
+      title: "unit",
+      command: "bash -i",
+    });
+    recorder.output("$ ");
+    recorder.input("ls\r");
+    recorder.resize(90, 20);
+    recorder.marker("quantum.status");
+    recorder.close();
+    recorder.output("dropped after close");
+
+    const { header, events } = parseAsciicast(
+      readFileSync(join(dir, "unit.cast"), "utf8"),
+    );
+    expect(header).toMatchObject({
+      version: 2,
+      width: 100,
+      height: 30,
+      title: "unit",
+    });
+    expect(events.map(([, code, data]) => [code, data])).toEqual([
+      ["o", "$ "],
+      ["i", "ls\r"],
+      ["r", "90x20"],
+      ["m", "quantum.status"],
+    ]);
+    expect(events.every(([time]) => time >= 0)).toBe(true);
+  });
+
+  it("rejects recording ids that could escape the directory", () => {
+    expect(recordingPath("session_1_abc", dir)).toBe(
+      join(dir, "session_1_abc.cast"),
+    );
+    expect(recordingPath("../etc/passwd", dir)).toBeNull();
+  });
+});
+
+describe("terminal server recordings", () => {
+  it("records sessions and serves them from /api/recordings", async () => {
+    const server = startTerminalServer(0, {
+      record: true,
+      recordingsDir: dir,
+      auth: new WebSocketAuth({ localRole: "admin" }),
+    });
+    const ws = new WebSocket(`ws://localhost:${server.port}/terminal`);
+    const messages = [];
+    ws.onmessage = (event) => messages.push(JSON.parse(event.data));
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > 4000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+
+    await waitFor(() => messages.some((m) => m.type === "session_created"));
+    const { sessionId } = messages.find((m) => m.type === "session_created");
+    ws.send(JSON.stringify({ type: "terminal_input", data: "echo REC\n" }));
+    await waitFor(() => messages.some((m) => m.data?.includes("REC")));
+
+    ws.close();
+    await terminalSessions.get(sessionId).close();
+
+    const base = `http://localhost:${server.port}/api/recordings`;
+    const { recordings } = await fetch(base).then((r) => r.json());
+    const recording = recordings.find((r) => r.id === sessionId);
+    expect(recording).toMatchObject({ width: 80, height: 24, inputs: 1 });
+
+    const response = await fetch(`${base}/${sessionId}`);
+    expect(response.headers.get("content-type")).toBe(
+      "application/x-asciicast",
+    );
+    const { events } = parseAsciicast(await response.text());
+    expect(events).toContainEqual([expect.any(Number), "i", "echo REC\n"]);
+    expect((await fetch(`${base}/missing`)).status).toBe(404);
+    expect(listRecordings(dir).map((r) => r.id)).toContain("unit");
+
+    server.stop(true);
+  }, 10000);
+});
@@ -0,0 +1,119 @@
+/**
+ * Tests for the SignalEngine backtesting harness
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  runBacktest,
+  parseHistory,
+  parseSweep,
+  expandGrid,
+  sweepWeights,
+} from "../../src/financial/backtest.js";
+
+const T0 = Date.UTC(2026, 0, 5, 14, 0, 0);
+
+// Steady uptrend with a tight spread: fusion should read it as bullish
+const trendLines = Array.from({ length: 60 }, (_, i) =>
+  JSON.stringify({
+    symbol: "AAPL",
+    price: 100 + i * 0.5,
+    high: 100 + i * 0.5 + 0.05,
+    low: 100 + i * 0.5 - 0.05,
+    volume: 1000 * (i + 1),
+    timestamp: T0 + i * 1000,
+  }),
+).join("\n");
+
+describe("parseHistory", () => {
+  it("accepts candles and sorts by time", () => {
+    const ticks = parseHistory(
+      [
+        {
+          symbol: "NVDA",
+          time: T0 + 60000,
+          open: 1,
+          high: 3,
+          low: 1,
+          close: 2,
+          volume: 10,
+        },
+        {
+          symbol: "NVDA",
+          time: T0,
+          open: 1,
+          high: 2,
+          low: 1,
+          close: 1.5,
+          volume: 5,
+        },
+      ]
+        .map((c) => JSON.stringify(c))
+        .join("\n"),
+    );
+    expect(ticks.map((t) => t.price)).toEqual([1.5, 2]);
+    expect(ticks[0].size).toBe(5);
+  });
+});
+
+describe("runBacktest", () => {
+  it("reports PnL, hit rate, drawdown and Sharpe", () => {
+    const result = runBacktest(parseHistory(trendLines), {
+      slippageBps: 0,
+      feeBps: 0,
+    });
+    expect(result.trades).toBe(1);
+    expect(result.pnl).toBeGreaterThan(0);
+    expect(result.hitRate).toBe(1);
+    expect(result.maxDrawdown).toBe(0);
+    expect(result.sharpe).toBeGreaterThan(0);
+  });
+
+  it("charges slippage and fees", () => {
+    const ticks = parseHistory(trendLines);
+    const free = runBacktest(ticks, { slippageBps: 0, feeBps: 0 });
+    const costly = runBacktest(ticks, { slippageBps: 10, feeBps: 5 });
+    expect(costly.pnl).toBeLessThan(free.pnl);
+  });
+});
+
+describe("weight sweep", () => {
+  it("expands ranges into a grid over the default weights", () => {
+    const grid = parseSweep("hurst=0.1:0.3:0.1,vwap=0.5");
+    expect(grid).toEqual({ hurst: [0.1, 0.2, 0.3], vwap: [0.5] });
+    expect(expandGrid(grid)).toHaveLength(3);
+    expect(() => parseSweep("gamma=1")).toThrow(/Unknown weight/);
+    expect(() => parseSweep("rsi")).toThrow(/Invalid sweep "rsi"/);
+  });
+
+  it("ranks combinations by Sharpe", () => {
+    const results = sweepWeights(
+      parseHistory(trendLines),
+      parseSweep("vwap=0:0.6:0.3"),
+    );
+    expect(results).toHaveLength(3);
+    expect(results[0].sharpe).toBeGreaterThanOrEqual(results[2].sharpe);
+  });
+
+  it("sweeps technical indicator weights", () => {
+    // Swings wide enough for RSI and the Bollinger Bands to move
+    const ticks = parseHistory(
+      Array.from({ length: 120 }, (_, i) =>
+        JSON.stringify({
+          symbol: "AAPL",
+          price: 100 + 5 * Math.sin(i / 6) + i * 0.05,
+          volume: 1000 * (i + 1),
+          timestamp: T0 + i * 1000,
+        }),
+      ).join("\n"),
+    );
+    const results = sweepWeights(ticks, parseSweep("rsi=0:2:1"));
+    const signals = new Set(results.map((r) => JSON.stringify(r.signals)));
+    expect(signals.size).toBe(3);
+
+    // A YAML pipeline would override the swept weights
+    expect(() =>
+      sweepWeights(ticks, parseSweep("rsi=1"), { pipelines: {} }),
+    ).toThrow(/--pipelines/);
+  });
+});
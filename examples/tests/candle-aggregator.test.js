@@ -0,0 +1,112 @@
+/**
+ * Tests for OHLCV candle aggregation and session VWAP
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  CandleAggregator,
+  parseSessionReset,
+} from "../../src/financial/candle-aggregator.js";
+import {
+  MetricsStore,
+  TensionEngine,
+  FinancialEngine,
+} from "../../src/unified-dashboard.js";
+
+const SESSION = Date.UTC(2026, 0, 5, 13, 30, 0); // 09:30 ET
+
+describe("CandleAggregator", () => {
+  it("builds OHLCV bars per interval", () => {
+    const candles = new CandleAggregator();
+    const ticks = [
+      { price: 100, size: 10, timestamp: SESSION },
+      { price: 102, size: 5, timestamp: SESSION + 20000 },
+      { price: 99, size: 5, timestamp: SESSION + 40000 },
+      { price: 101, size: 10, timestamp: SESSION + 61000 },
+    ];
+    for (const tick of ticks) candles.ingest("AAPL", tick);
+
+    const bars = candles.getBars("AAPL", "1m");
+    expect(bars).toHaveLength(2);
+    expect(bars[0]).toMatchObject({
+      time: SESSION,
+      open: 100,
+      high: 102,
+      low: 99,
+      close: 99,
+      volume: 20,
+      trades: 3,
+    });
+    expect(bars[1].open).toBe(101);
+    expect(candles.getBars("AAPL", "5m")).toHaveLength(1);
+    expect(candles.getBars("AAPL", "1s")).toHaveLength(4);
+  });
+
+  it("computes a cumulative VWAP that resets each session", () => {
+    const candles = new CandleAggregator({ sessionReset: "13:30" });
+    candles.ingest("NVDA", { price: 100, size: 100, timestamp: SESSION });
+    candles.ingest("NVDA", {
+      price: 110,
+      size: 300,
+      timestamp: SESSION + 1000,
+    });
+    expect(candles.getVWAP("NVDA")).toBeCloseTo(107.5);
+
+    const nextSession = SESSION + 24 * 60 * 60 * 1000;
+    candles.ingest("NVDA", { price: 120, size: 1, timestamp: nextSession });
+    expect(candles.getVWAP("NVDA")).toBe(120);
+  });
+
+  it("derives tick size from cumulative volume", () => {
+    const candles = new CandleAggregator();
+    candles.ingest("TSLA", { price: 200, volume: 1000, timestamp: SESSION });
+    candles.ingest("TSLA", {
+      price: 210,
+      volume: 4000,
+      timestamp: SESSION + 1,
+    });
+    // 1000 @ 200 + 3000 @ 210
+    expect(candles.getVWAP("TSLA")).toBeCloseTo(207.5);
+
+    // Polled between trades: no volume, however often
+    for (let i = 2; i < 10; i++) {
+      const context = candles.ingest("TSLA", {
+        price: 300,
+        volume: 4000,
+        timestamp: SESSION + i,
+      });
+      expect(context.size).toBe(0);
+    }
+    expect(candles.getVWAP("TSLA")).toBeCloseTo(207.5);
+
+    // The feed restarted its count: 1000 traded since
+    candles.ingest("TSLA", {
+      price: 190,
+      volume: 1000,
+      timestamp: SESSION + 10,
+    });
+    // 4000 @ 207.5 + 1000 @ 190
+    expect(candles.getVWAP("TSLA")).toBeCloseTo(204);
+  });
+
+  it("rejects unknown intervals", () => {
+    expect(() => new CandleAggregator().getBars("AAPL", "3m")).toThrow(
+      /Unknown interval/,
+    );
+    expect(() => parseSessionReset("9am")).toThrow(/Invalid session reset/);
+  });
+});
+
+describe("FinancialEngine candles", () => {
+  it("feeds the aggregated VWAP and 1m candle into ticker payloads", () => {
+    const store = new MetricsStore();
+    const financial = new FinancialEngine(store, new TensionEngine(store));
+    financial.collectTickers(["AAPL"]);
+    const tickers = financial.collectTickers(["AAPL"]);
+
+    expect(tickers.AAPL.candle.trades).toBeGreaterThanOrEqual(1);
+    expect(tickers.AAPL.vwap).toBe(
+      financial.candles.getVWAP("AAPL").toFixed(2),
+    );
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Tests for A/B experiments: assignment, event logging and analysis
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  ExperimentManager,
+  ExperimentStore,
+  describeSample,
+  tCritical,
+  tTestPValue,
+  welchTTest,
+} from "../../src/experiments.js";
+import { FeatureFlagService, hashKey } from "../../src/feature-flag-service.js";
+import { FeatureFlagManager } from "../../src/utils/feature-flag-manager.js";
+
+function experiments(features) {
+  const service = new FeatureFlagService(null);
+  service.apply({ features });
+  return new ExperimentManager({
+    flags: new FeatureFlagManager({ service }),
+    store: new ExperimentStore(":memory:"),
+  });
+}
+
+const layout = {
+  enabled: true,
+  variants: { control: 50, compact: 25, trading: 25 },
+  metrics: ["conversion"],
+};
+
+describe("statistics", () => {
+  it("matches Student's t tables", () => {
+    expect(tTestPValue(2.228, 10)).toBeCloseTo(0.05, 3);
+    expect(tTestPValue(0, 5)).toBeCloseTo(1, 6);
+    expect(tCritical(10)).toBeCloseTo(2.228, 2);
+    expect(tCritical(1000)).toBeCloseTo(1.962, 2);
+
+    const a = describeSample([1, 2, 3, 4, 5]);
+    expect(a).toMatchObject({ n: 5, mean: 3, variance: 2.5 });
+    expect(a.ci[0]).toBeCloseTo(3 - 2.776 * Math.sqrt(0.5), 2);
+
+    // Welch's test on unequal variances (df from Welch–Satterthwaite)
+    const b = describeSample([6, 8, 10, 12, 14]);
+    const test = welchTTest(a, b);
+    expect(test.difference).toBe(7);
+    expect(test.df).toBeCloseTo(5.88, 2);
+    expect(test.pValue).toBeLessThan(0.01);
+    expect(welchTTest(a, describeSample([1]))).toMatchObject({
+      pValue: null,
+    });
+  });
+});
+
+describe("ExperimentManager", () => {
+  it("assigns sticky variants by weight to enrolled users", () => {
+    const manager = experiments({
+      layout,
+      staffOnly: { ...layout, roles: ["admin"] },
+      plain: { enabled: true },
+    });
+
+    const counts = { control: 0, compact: 0, trading: 0 };
+    for (let i = 0; i < 2000; i++) {
+      counts[manager.assign("layout", { id: `user-${i}` })]++;
+    }
+    expect(counts.control / 2000).toBeGreaterThan(0.46);
+    expect(counts.control / 2000).toBeLessThan(0.54);
+    expect(counts.compact / 2000).toBeGreaterThan(0.21);
+
+    // The flag's targeting rules decide who is enrolled
+    expect(manager.assign("staffOnly", { id: "u", role: "user" })).toBeNull();
+    expect(manager.assign("staffOnly", { id: "u", role: "admin" })).not.toBe(
+      null,
+    );
+    expect(() => manager.assign("plain", {})).toThrow("Unknown experiment");
+    expect(manager.list().map((e) => e.name)).toEqual(["layout", "staffOnly"]);
+
+    // Reweighting keeps existing assignments
+    const before = manager.assign("layout", { id: "user-1" });
+    manager.flags.updateFeature("layout", {
+      variants: { control: 0, compact: 0, trading: 100 },
+    });
+    expect(manager.assign("layout", { id: "user-1" })).toBe(before);
+    expect(manager.assign("layout", { id: "newcomer" })).toBe("trading");
+
+    // ...unless their variant is removed
+    manager.flags.updateFeature("layout", {
+      variants: { trading: 1, wide: 1 },
+    });
+    expect(["trading", "wide"]).toContain(
+      manager.assign("layout", { id: "user-1" }),
+    );
+  });
+
+  it("logs exposures and conversions and finds the winning variant", () => {
+    const manager = experiments({ layout });
+    // Deterministic "random" draws per user
+    const draw = (id) => (hashKey(`draw:${id}`) % 1000) / 1000;
+    const rates = { control: 0.1, compact: 0.2, trading: 0.1 };
+
+    for (let i = 0; i < 3000; i++) {
+      const user = { id: `user-${i}` };
+      const variant = manager.expose("layout", user);
+      if (i % 3 === 0) manager.expose("layout", user); // repeat exposures
+      if (draw(user.id) < rates[variant]) {
+        manager.track("layout", user, "conversion");
+      }
+      manager.track("layout", user, "revenue", i % 10);
+    }
+    expect(manager.track("layout", { id: "stranger" }, "conversion")).toBe(
+      null,
+    );
+
+    const analysis = manager.analyze("layout");
+    expect(Object.keys(analysis.metrics)).toEqual(["conversion", "revenue"]);
+    const { control, compact, trading } = analysis.metrics.conversion;
+    const units = control.n + compact.n + trading.n;
+    expect(units).toBe(3000);
+    expect(analysis.exposures.control.units).toBe(control.n);
+    expect(analysis.exposures.control.events).toBeGreaterThan(control.n);
+
+    expect(control.mean).toBeCloseTo(0.1, 1);
+    expect(control.converted).toBe(Math.round(control.mean * control.n));
+    expect(compact.mean).toBeCloseTo(0.2, 1);
+    expect(compact.ci[0]).toBeLessThan(compact.mean);
+    expect(compact.ci[1]).toBeGreaterThan(compact.mean);
+    expect(compact.vsControl.significant).toBe(true);
+    expect(compact.vsControl.lift).toBeGreaterThan(0.5);
+    expect(compact.vsControl.ci[0]).toBeGreaterThan(0);
+    expect(trading.vsControl.significant).toBe(false);
+    expect(control.vsControl).toBeUndefined();
+
+    const revenue = manager.analyze("layout", { metrics: ["revenue"] });
+    expect(revenue.metrics.revenue.control.mean).toBeCloseTo(4.5, 0);
+  });
+
+  it("serves assignment, tracking and analysis over HTTP", async () => {
+    const manager = experiments({ layout });
+    const server = Bun.serve({
+      port: 0,
+      fetch: async (req) =>
+        (await manager.handle(req, new URL(req.url), { "X-Test": "1" })) ||
+        new Response("Not found", { status: 404 }),
+    });
+    const base = `http://localhost:${server.port}/api/v1/experiments`;
+    const post = (path, body) =>
+      fetch(`${base}/${path}`, {
+        method: "POST",
+        body: JSON.stringify(body),
+      });
+    try {
+      const exposure = await post("layout/exposures", { email: "a@x.io" });
+      expect(exposure.headers.get("x-test")).toBe("1");
+      const { variant, enrolled } = await exposure.json();
+      expect(enrolled).toBe(true);
+      expect(manager.assign("layout", { email: "a@x.io" })).toBe(variant);
+
+      expect(
+        (
+          await post("layout/conversions", {
+            email: "a@x.io",
+            metric: "conversion",
+          })
+        ).status,
+      ).toBe(202);
+      expect(
+        (
+          await post("layout/conversions", {
+            email: "b@x.io",
+            metric: "conversion",
+          })
+        ).status,
+      ).toBe(409);
+      expect(
+        (
+          await post("layout/conversions", {
+            email: "a@x.io",
+            metric: "bad metric",
+          })
+        ).status,
+      ).toBe(400);
+      expect((await post("nope/exposures", {})).status).toBe(404);
+
+      const analysis = await fetch(
+        `${base}/layout/analysis?metric=conversion`,
+      ).then((r) => r.json());
+      expect(analysis.metrics.conversion[variant]).toMatchObject({
+        n: 1,
+        mean: 1,
+      });
+
+      const { experiments: list } = await fetch(base).then((r) => r.json());
+      expect(list[0]).toMatchObject({
+        name: "layout",
+        control: "control",
+        exposures: { [variant]: { units: 1, events: 1 } },
+      });
+    } finally {
+      server.stop(true);
+    }
+  });
+});
@@ -0,0 +1,313 @@
+/**
+ * Tests for the feature flag audit log and time-travel evaluation
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "bun:test";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FlagAuditLog, parseTimestamp } from "../../src/feature-flag-audit.js";
+import {
+  FILE_ACTOR,
+  FeatureFlagService,
+} from "../../src/feature-flag-service.js";
+import { FlagKillSwitches } from "../../src/feature-flag-kill-switches.js";
+import { FeatureFlagManager } from "../../src/utils/feature-flag-manager.js";
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "flag-audit-"));
+});
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// Distinct timestamps between changes
+const tick = () => Bun.sleep(3);
+
+function writeFeatures(path, features) {
+  writeFileSync(path, JSON.stringify({ features }));
+}
+
+describe("FlagAuditLog", () => {
+  it("parses timestamps", () => {
+    expect(parseTimestamp(1700000000000)).toBe(1700000000000);
+    expect(parseTimestamp("1700000000000")).toBe(1700000000000);
+    expect(parseTimestamp("2024-01-01T00:00:00Z")).toBe(1704067200000);
+    expect(parseTimestamp("yesterday")).toBeNull();
+    expect(parseTimestamp("")).toBeNull();
+  });
+
+  it("records who changed what and survives restarts", async () => {
+    const path = join(dir, "audit.jsonl");
+    const manager = new FeatureFlagManager({
+      service: new FeatureFlagService(null, { audit: new FlagAuditLog(path) }),
+    });
+    manager.addFeature(
+      "checkout",
+      { enabled: true, rolloutPercentage: 10 },
+      { actor: "alice", reason: "launch" },
+    );
+    await tick();
+    manager.updateFeature(
+      "checkout",
+      { rolloutPercentage: 50 },
+      { actor: "bob", reason: "ramp up" },
+    );
+    manager.updateFeature("checkout", { rolloutPercentage: 50 });
+
+    // Unchanged updates are not recorded
+    const [ramp, launch, ...rest] = manager.service.audit.query();
+    expect(rest).toEqual([]);
+    expect(launch).toMatchObject({
+      seq: 1,
+      flag: "checkout",
+      action: "create",
+      actor: "alice",
+      source: "runtime",
+      reason: "launch",
+      before: null,
+    });
+    expect(ramp).toMatchObject({
+      seq: 2,
+      action: "update",
+      actor: "bob",
+      before: { rolloutPercentage: 10 },
+      after: { rolloutPercentage: 50 },
+    });
+    expect(ramp.ts).toBeGreaterThan(launch.ts);
+
+    // Entries are copies: live definitions can't rewrite history
+    manager.service.features.checkout.rolloutPercentage = 99;
+    expect(manager.service.audit.query()[0].after.rolloutPercentage).toBe(50);
+
+    // Append-only JSON Lines; a torn last line is skipped on restart
+    const lines = readFileSync(path, "utf8").trim().split("\n");
+    expect(lines.map((line) => JSON.parse(line).seq)).toEqual([1, 2]);
+    writeFileSync(path, readFileSync(path, "utf8") + '{"seq":3,"fl');
+    const reopened = new FlagAuditLog(path);
+    expect(reopened.entries.length).toBe(2);
+    expect(reopened.state().checkout.rolloutPercentage).toBe(50);
+
+    expect(reopened.query({ actor: "alice" }).map((e) => e.seq)).toEqual([1]);
+    expect(reopened.query({ since: ramp.ts }).map((e) => e.seq)).toEqual([2]);
+    expect(reopened.query({ until: launch.ts }).map((e) => e.seq)).toEqual([1]);
+    expect(reopened.query({ limit: 1 }).map((e) => e.seq)).toEqual([2]);
+
+    reopened.append({ flag: "checkout", action: "delete", after: null });
+    expect(new FlagAuditLog(path).query()[0]).toMatchObject({
+      seq: 3,
+      action: "delete",
+    });
+  });
+
+  it("diffs features.yaml reloads against the last audited state", () => {
+    const file = join(dir, "features.json");
+    const path = join(dir, "audit.jsonl");
+    writeFeatures(file, { a: { enabled: true }, b: { enabled: false } });
+    const service = new FeatureFlagService(file, {
+      audit: new FlagAuditLog(path),
+    });
+    expect(service.audit.query().map((e) => [e.flag, e.action])).toEqual([
+      ["b", "create"],
+      ["a", "create"],
+    ]);
+    expect(service.audit.query()[0]).toMatchObject({
+      actor: FILE_ACTOR,
+      source: "file",
+      file,
+      reason: "load",
+    });
+
+    writeFeatures(file, { a: { enabled: true }, b: { enabled: true } });
+    service.reload();
+    expect(service.audit.query()[0]).toMatchObject({
+      flag: "b",
+      action: "update",
+      reason: "reload",
+      after: { enabled: true },
+    });
+
+    // Edits made while the process was down show up on the next start
+    writeFeatures(file, { b: { enabled: true } });
+    const restarted = new FeatureFlagService(file, {
+      audit: new FlagAuditLog(path),
+    });
+    const entries = restarted.audit.query();
+    expect(entries.length).toBe(4);
+    expect(entries[0]).toMatchObject({
+      flag: "a",
+      action: "delete",
+      reason: "load",
+      after: null,
+    });
+  });
+
+  it("is shared by every server on a host", async () => {
+    const file = join(dir, "features.json");
+    const path = join(dir, "audit.jsonl");
+    const kills = join(dir, "kill.json");
+    writeFeatures(file, { a: { enabled: true }, b: { enabled: false } });
+    const server = () =>
+      new FeatureFlagService(file, {
+        audit: new FlagAuditLog(path),
+        killSwitches: new FlagKillSwitches(kills),
+      });
+    const [one, two] = [server(), server()];
+    const lines = () =>
+      readFileSync(path, "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+    expect(lines().map((e) => [e.seq, e.flag, e.action])).toEqual([
+      [1, "a", "create"],
+      [2, "b", "create"],
+    ]);
+
+    // Both servers see the edit; it is logged once
+    writeFeatures(file, { a: { enabled: true }, b: { enabled: true } });
+    one.reload();
+    two.reload();
+    one.killSwitches.kill("a", { actor: "alice" });
+    two.killSwitches.apply(two.killSwitches.read()); // as its watch would
+    expect(lines().map((e) => [e.seq, e.flag, e.action])).toEqual([
+      [1, "a", "create"],
+      [2, "b", "create"],
+      [3, "b", "update"],
+      [4, "a", "kill"],
+    ]);
+    expect(two.audit.query({ limit: 1 })[0]).toMatchObject({
+      seq: 4,
+      actor: "alice",
+    });
+
+    // Appends from separate processes interleave without reusing seq
+    const module = new URL("../../src/feature-flag-audit.js", import.meta.url)
+      .pathname;
+    const writers = ["x", "y"].map((flag) =>
+      Bun.spawn(
+        [
+          process.execPath,
+          "-e",
+          `const { FlagAuditLog } = await import(${JSON.stringify(module)});
+           const log = new FlagAuditLog(${JSON.stringify(path)});
+           for (let i = 1; i <= 25; i++) {
+             log.append({ flag: "${flag}", action: "update", after: { i } });
+           }`,
+        ],
+        { stderr: "inherit" },
+      ),
+    );
+    expect(await Promise.all(writers.map((p) => p.exited))).toEqual([0, 0]);
+    const seqs = lines().map((e) => e.seq);
+    expect(seqs).toEqual(Array.from({ length: 54 }, (_, i) => i + 1));
+    expect(one.audit.query({ flag: "y" }).length).toBe(25);
+  });
+});
+
+describe("time travel", () => {
+  it("evaluates flags as they were at a point in time", async () => {
+    const service = new FeatureFlagService(null, {
+      audit: new FlagAuditLog(null),
+    });
+    service.apply({ features: { beta: { enabled: false } } });
+    const before = service.audit.query()[0].ts;
+    await tick();
+    service.update(
+      "beta",
+      { enabled: true, allowedUsers: ["eve@example.com"] },
+      { actor: "carol" },
+    );
+    await tick();
+    service.define("charts", { enabled: true, dependencies: ["beta"] });
+    const after = Date.now();
+    const eve = { email: "eve@example.com" };
+
+    expect(service.evaluateAt("beta", eve, before)).toMatchObject({
+      enabled: false,
+      reason: "disabled",
+      at: before,
+      definition: { enabled: false },
+    });
+    expect(service.evaluateAt("beta", eve, after).enabled).toBe(true);
+    expect(
+      service.evaluateAt("beta", eve, new Date(before).toISOString()),
+    ).toMatchObject({ enabled: false, at: before });
+    expect(() => service.evaluateAt("beta", eve, "soon")).toThrow(
+      "Invalid timestamp",
+    );
+    expect(service.evaluateAt("beta", {}, after).reason).toBe("rule:user");
+    expect(service.evaluateAt("charts", eve, before).reason).toBe("unknown");
+    expect(service.evaluateAt("charts", eve, after).enabled).toBe(true);
+    expect(Object.keys(service.evaluateAllAt(eve, before))).toEqual(["beta"]);
+    expect(service.evaluateAt("charts", eve).enabled).toBe(
+      service.isEnabled("charts", eve),
+    );
+
+    expect(() =>
+      new FeatureFlagService(null).evaluateAt("beta", {}, before),
+    ).toThrow("audit log");
+  });
+
+  it("serves the audit log and ?at= over HTTP", async () => {
+    const service = new FeatureFlagService(null, {
+      audit: new FlagAuditLog(null),
+    });
+    service.apply({ features: { beta: { enabled: false } } });
+    const before = service.audit.query()[0].ts;
+    await tick();
+    service.update("beta", { enabled: true }, { actor: "carol" });
+
+    const admin = { user: "carol", role: "admin" };
+    const server = Bun.serve({
+      port: 0,
+      fetch: (req) =>
+        service.handle(req, undefined, admin) ||
+        new Response("Not found", { status: 404 }),
+    });
+    const base = `http://localhost:${server.port}/api/flags`;
+    try {
+      const { entries } = await fetch(`${base}/audit?actor=carol`).then((r) =>
+        r.json(),
+      );
+      expect(entries.map((e) => e.action)).toEqual(["update"]);
+
+      const at = new Date(before).toISOString();
+      const then = await fetch(`${base}/beta?at=${at}`).then((r) => r.json());
+      expect(then).toMatchObject({ enabled: false, at: before });
+      const now = await fetch(`${base}/beta`).then((r) => r.json());
+      expect(now.enabled).toBe(true);
+
+      const all = await fetch(`${base}/evaluate?at=${before}`).then((r) =>
+        r.json(),
+      );
+      expect(all).toMatchObject({ at: before, flags: { beta: {} } });
+      expect(all.flags.beta.enabled).toBe(false);
+
+      expect((await fetch(`${base}/beta?at=soon`)).status).toBe(400);
+      expect((await fetch(`${base}/nope?at=${before}`)).status).toBe(404);
+    } finally {
+      server.stop(true);
+    }
+
+    // Actors and reasons are for admins
+    const viewer = { user: "dave", role: "viewer" };
+    expect(service.handle(new Request(`${base}/audit`)).status).toBe(401);
+    expect(
+      service.handle(new Request(`${base}/audit`), undefined, viewer).status,
+    ).toBe(403);
+    expect(
+      service.handle(
+        new Request(`${base}/beta?at=${before}`),
+        undefined,
+        viewer,
+      ).status,
+    ).toBe(403);
+
+    const unaudited = new FeatureFlagService(null);
+    const get = (path) =>
+      unaudited.handle(new Request(`${base}${path}`), undefined, admin);
+    expect(get("/audit").status).toBe(503);
+    expect(get(`/beta?at=${before}`).status).toBe(503);
+  });
+});
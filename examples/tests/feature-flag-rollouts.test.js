@@ -0,0 +1,334 @@
+/**
+ * Tests for scheduled flag rollouts and kill switches
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "bun:test";
+import { mkdtempSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { FlagAuditLog } from "../../src/feature-flag-audit.js";
+import { FlagKillSwitches } from "../../src/feature-flag-kill-switches.js";
+import {
+  FeatureFlagService,
+  rolloutPhase,
+  schedulePercentage,
+} from "../../src/feature-flag-service.js";
+import { FeatureFlagManager } from "../../src/utils/feature-flag-manager.js";
+
+const HOUR = 60 * 60 * 1000;
+const open = Date.parse("2026-10-20T09:30:00-04:00");
+
+let dir;
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), "flag-rollouts-"));
+});
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+async function eventually(check, timeout = 1000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error("Timed out");
+    await Bun.sleep(10);
+  }
+  return Date.now() - started;
+}
+
+describe("schedules", () => {
+  const ramp = { start: open, ramp: { from: 5, to: 100, hours: 6 } };
+
+  it("ramps linearly between start and start + hours", () => {
+    expect(schedulePercentage(ramp, open - 1)).toBe(0);
+    expect(schedulePercentage(ramp, open)).toBe(5);
+    expect(schedulePercentage(ramp, open + 3 * HOUR)).toBe(52.5);
+    expect(schedulePercentage(ramp, open + 6 * HOUR)).toBe(100);
+    expect(schedulePercentage(ramp, open + 48 * HOUR)).toBe(100);
+
+    const window = { start: open, end: open + HOUR };
+    expect(schedulePercentage(window, open + HOUR - 1)).toBe(100);
+    expect(schedulePercentage(window, open + HOUR)).toBe(0);
+
+    expect(rolloutPhase({ schedule: ramp }, open - 1).phase).toBe("pending");
+    expect(rolloutPhase({ schedule: ramp }, open + HOUR)).toMatchObject({
+      phase: "ramping",
+      start: open,
+      rampEnd: open + 6 * HOUR,
+    });
+    expect(rolloutPhase({ schedule: ramp }, open + 7 * HOUR).phase).toBe(
+      "live",
+    );
+    expect(
+      rolloutPhase(
+        { rolloutPercentage: 30, schedule: window },
+        open + 2 * HOUR,
+      ),
+    ).toMatchObject({ phase: "ended", percentage: 0 });
+    expect(rolloutPhase({ rolloutPercentage: 30 })).toEqual({
+      phase: "static",
+      percentage: 30,
+    });
+  });
+
+  it("lets more users in as the ramp progresses", () => {
+    const service = new FeatureFlagService(null);
+    service.apply({
+      features: {
+        tradingView: { enabled: true, schedule: ramp },
+        marketOpen: {
+          enabled: true,
+          rolloutPercentage: 100,
+          schedule: { start: "2026-10-20T09:30:00-04:00" },
+        },
+      },
+    });
+    const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+    const share = (now) =>
+      users.filter((id) => service.isEnabled("tradingView", { id, now }))
+        .length / users.length;
+
+    expect(share(open - 1)).toBe(0);
+    expect(share(open)).toBeCloseTo(0.05, 1);
+    expect(share(open + 3 * HOUR)).toBeCloseTo(0.525, 1);
+    expect(share(open + 6 * HOUR)).toBe(1);
+
+    // Users let in early stay in as the ramp grows
+    const early = users.filter((id) =>
+      service.isEnabled("tradingView", { id, now: open + HOUR }),
+    );
+    expect(
+      early.every((id) =>
+        service.isEnabled("tradingView", { id, now: open + 2 * HOUR }),
+      ),
+    ).toBe(true);
+
+    expect(
+      service.evaluate("tradingView", { id: "u", now: open - 1 }),
+    ).toMatchObject({ enabled: false, reason: "rule:schedule" });
+    expect(service.isEnabled("marketOpen", { now: open - 1 })).toBe(false);
+    expect(service.isEnabled("marketOpen", { now: open })).toBe(true);
+    expect(
+      service.evaluate("marketOpen", { id: "u", now: open }).bucket,
+    ).toBeDefined();
+  });
+
+  it("rejects invalid schedules", () => {
+    const service = new FeatureFlagService(null);
+    const define =
+      (schedule, extra = {}) =>
+      () =>
+        service.apply({
+          features: { f: { enabled: true, schedule, ...extra } },
+        });
+
+    expect(define({ start: "market open" })).toThrow("schedule.start");
+    expect(define({ start: open, end: open })).toThrow("after its start");
+    expect(define({ ramp: { hours: 1 } })).toThrow("needs a start");
+    expect(define(ramp, { rolloutPercentage: 50 })).toThrow(
+      "both rolloutPercentage and schedule.ramp",
+    );
+    expect(define({ start: open, ramp: { to: 120, hours: 1 } })).toThrow(
+      "between 0 and 100",
+    );
+    expect(define({ start: open, ramp: { hours: 0 } })).toThrow(
+      "positive number",
+    );
+
+    // addFeature leaves the percentage to the ramp
+    const manager = new FeatureFlagManager({ service });
+    manager.addFeature("tradingView", { enabled: true, schedule: ramp });
+    expect(
+      service.getDefinition("tradingView").rolloutPercentage,
+    ).toBeUndefined();
+  });
+
+  it("shows the ramp state in the flag report", () => {
+    const service = new FeatureFlagService(null);
+    const now = Date.now();
+    service.apply({
+      features: {
+        tradingView: {
+          enabled: true,
+          version: "1.0.0",
+          schedule: { start: now - HOUR, ramp: { from: 5, hours: 4 } },
+        },
+        launch: {
+          enabled: true,
+          version: "1.0.0",
+          schedule: { start: now + HOUR },
+        },
+      },
+    });
+    expect(service.rolloutState("tradingView")).toMatchObject({
+      phase: "ramping",
+      killSwitch: null,
+    });
+    expect(service.describe().rollouts.launch.phase).toBe("pending");
+
+    const lines = [];
+    const log = console.log;
+    console.log = (line = "") => lines.push(line);
+    try {
+      new FeatureFlagManager({ service }).generateReport();
+    } finally {
+      console.log = log;
+    }
+    const report = lines.join("\n");
+    expect(report).toMatch(/tradingView .* Rollout: 2\d\.\d% \(ramping 5%/);
+    expect(report).toContain(
+      `launch (v1.0.0) - Rollout: 0% (starts ${new Date(now + HOUR).toISOString()})`,
+    );
+  });
+
+  it("counts rollout hits only for users let in", () => {
+    const service = new FeatureFlagService(null);
+    service.apply({
+      features: {
+        base: { enabled: false },
+        half: { enabled: true, rolloutPercentage: 50 },
+        gated: { enabled: true, rolloutPercentage: 50, dependencies: ["base"] },
+      },
+    });
+    const manager = new FeatureFlagManager({ service });
+    let enabled = 0;
+    for (let i = 0; i < 200; i++) {
+      manager.setUserContext({ id: `user-${i}` });
+      if (manager.isFeatureEnabled("half")) enabled++;
+      // In the rollout's bucket, but held off by its dependency
+      expect(manager.isFeatureEnabled("gated")).toBe(false);
+    }
+    expect(enabled).toBeGreaterThan(0);
+    expect(manager.metrics.rolloutHits).toBe(enabled);
+  });
+});
+
+describe("kill switches", () => {
+  function killableService(options = {}) {
+    const killSwitches = new FlagKillSwitches(join(dir, "kill.json"));
+    const service = new FeatureFlagService(null, { killSwitches, ...options });
+    service.apply({
+      features: {
+        trading: { enabled: true },
+        charts: { enabled: true, dependencies: ["trading"] },
+      },
+    });
+    return service;
+  }
+
+  it("turns flags off in watching processes in well under a second", async () => {
+    const service = killableService().watch();
+    // Another process on the host
+    const operator = new FlagKillSwitches(join(dir, "kill.json"));
+    try {
+      operator.kill("trading", { actor: "alice", reason: "500s" });
+      const elapsed = await eventually(() => !service.isEnabled("trading"));
+      expect(elapsed).toBeLessThan(1000);
+
+      expect(service.evaluate("trading")).toMatchObject({
+        enabled: false,
+        reason: "killed",
+        killSwitch: { actor: "alice", reason: "500s" },
+      });
+      expect(service.evaluate("charts").reason).toBe("dependency:trading");
+      expect(service.rolloutState("trading").killSwitch.actor).toBe("alice");
+
+      operator.revive("trading", { actor: "bob" });
+      await eventually(() => service.isEnabled("trading"));
+      expect(service.isEnabled("charts")).toBe(true);
+    } finally {
+      service.unwatch();
+    }
+  });
+
+  it("applies the file on SIGUSR2", async () => {
+    const service = killableService().watch();
+    try {
+      // As on a filesystem without change events
+      service.killSwitches.watcher.fsWatcher.close();
+      writeFileSync(
+        join(dir, "kill.json"),
+        JSON.stringify({
+          killSwitches: { charts: { killed: true, actor: "carol" } },
+        }),
+      );
+      await Bun.sleep(50);
+      expect(service.isEnabled("charts")).toBe(true);
+
+      process.kill(process.pid, "SIGUSR2");
+      await eventually(() => !service.isEnabled("charts"));
+      expect(service.isEnabled("trading")).toBe(true);
+    } finally {
+      service.unwatch();
+    }
+  });
+
+  it("audits kills and evaluates them in time travel", async () => {
+    const audit = new FlagAuditLog(null);
+    const service = killableService({ audit });
+    const before = Date.now();
+    await Bun.sleep(3);
+    service.killSwitches.kill("trading", { actor: "alice", reason: "500s" });
+    const during = Date.now();
+    await Bun.sleep(3);
+    service.killSwitches.revive("trading", { actor: "bob", reason: "fixed" });
+
+    const [revive, kill] = audit.query({ flag: "trading" });
+    expect(kill).toMatchObject({
+      action: "kill",
+      actor: "alice",
+      source: "kill-switch",
+      reason: "500s",
+    });
+    expect(revive).toMatchObject({ action: "revive", actor: "bob" });
+    // The definition is untouched
+    expect(audit.state().trading).toEqual({ enabled: true });
+
+    expect(service.evaluateAt("trading", {}, before).enabled).toBe(true);
+    expect(service.evaluateAt("trading", {}, during)).toMatchObject({
+      reason: "killed",
+      killSwitch: { actor: "alice", at: kill.ts },
+    });
+    expect(service.evaluateAt("trading", {}).enabled).toBe(true);
+
+    // Kills made while a process was down are audited when it starts
+    new FlagKillSwitches(join(dir, "kill.json")).kill("charts", {
+      actor: "dave",
+    });
+    killableService({ audit });
+    expect(audit.query({ limit: 1 })[0]).toMatchObject({
+      flag: "charts",
+      action: "kill",
+      actor: "dave",
+    });
+    killableService({ audit });
+    expect(audit.query({ actor: "dave" }).length).toBe(1);
+  });
+
+  it("reach services following the flag server", async () => {
+    const source = killableService();
+    source.killSwitches.kill("trading", { actor: "alice" });
+    const server = Bun.serve({
+      port: 0,
+      fetch: (req) =>
+        source.handle(req, undefined, { user: "flags", role: "admin" }) ||
+        new Response("Not found", { status: 404 }),
+    });
+    try {
+      const follower = new FeatureFlagService(null);
+      expect(await follower.sync(`http://localhost:${server.port}`)).toBe(true);
+      expect(follower.evaluate("trading").reason).toBe("killed");
+      expect(follower.describe().killSwitches.trading.actor).toBe("alice");
+
+      // Anonymous clients see the kill, not who made it
+      const anonymous = await source
+        .handle(
+          new Request(`http://localhost:${server.port}/api/flags/trading`),
+        )
+        .json();
+      expect(anonymous).toMatchObject({ enabled: false, reason: "killed" });
+      expect(anonymous.killSwitch).toBeUndefined();
+    } finally {
+      server.stop(true);
+    }
+  });
+});
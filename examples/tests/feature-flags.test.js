@@ -0,0 +1,302 @@
+/**
+ * Tests for the unified feature flag service and the managers using it
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { mkdtempSync, rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  FeatureFlagService,
+  bucket,
+  getFeatureFlagService,
+} from "../../src/feature-flag-service.js";
+import {
+  dependencyGraph,
+  dependencyMermaid,
+  validateDependencies,
+} from "../../src/feature-flag-graph.js";
+import { QuantumFeatureManager } from "../../src/utils/feature-flag-manager.js";
+import { SimpleFeatureManager } from "../../src/utils/simple-feature-manager.js";
+import * as featureFlags from "../../src/config/feature-flags.ts";
+import { WebSocketAuth, signToken } from "../../src/ws-auth.js";
+
+// The shared service, created on first use, audits to and takes kill
+// switches from a scratch directory instead of the working tree's .data/
+const scratch = mkdtempSync(join(tmpdir(), "feature-flags-"));
+process.env.FEATURE_FLAGS_AUDIT_LOG = join(scratch, "audit.jsonl");
+process.env.FEATURE_FLAGS_KILL_SWITCHES = join(scratch, "kill-switches.json");
+afterAll(() => {
+  rmSync(scratch, { recursive: true, force: true });
+});
+
+const flagService = (features, options, components = []) => {
+  const service = new FeatureFlagService(null, options);
+  service.apply({ features, components });
+  return service;
+};
+
+describe("bucketing", () => {
+  it("is deterministic and matches the rollout percentage", () => {
+    expect(bucket("newDashboard", "a@example.com")).toBe(
+      bucket("newDashboard", "a@example.com"),
+    );
+
+    const service = flagService({
+      quarter: { enabled: true, rolloutPercentage: 25 },
+      other: { enabled: true, rolloutPercentage: 25 },
+    });
+    const users = Array.from({ length: 2000 }, (_, i) => `user-${i}`);
+    const on = (flag) => users.filter((id) => service.isEnabled(flag, { id }));
+    const quarter = on("quarter");
+    expect(quarter.length / users.length).toBeGreaterThan(0.22);
+    expect(quarter.length / users.length).toBeLessThan(0.28);
+
+    // Each flag buckets independently
+    const overlap = on("other").filter((id) => quarter.includes(id));
+    expect(overlap.length).toBeLessThan(quarter.length / 2);
+
+    // The email wins over the id, so modules knowing either agree
+    expect(
+      service.evaluate("quarter", { id: "x", email: "a@example.com" }).bucket,
+    ).toBe(bucket("quarter", "a@example.com"));
+  });
+});
+
+describe("FeatureFlagService", () => {
+  it("applies targeting rules and dependencies", () => {
+    const service = flagService(
+      {
+        staff: {
+          enabled: true,
+          roles: ["admin"],
+          environments: ["staging"],
+        },
+        beta: { enabled: true, allowedUsers: ["beta@example.com"] },
+        charts: { enabled: true, dependencies: ["beta", "chartEngine"] },
+        off: { enabled: false },
+        theme: { enabled: true, default: "auto", userPreference: true },
+      },
+      { environment: "staging" },
+      ["chartEngine"],
+    );
+    const reason = (flag, context) => service.evaluate(flag, context).reason;
+
+    expect(reason("staff", { role: "admin" })).toBe("enabled");
+    expect(reason("staff", { role: "user" })).toBe("rule:role");
+    expect(reason("staff", { role: "admin", environment: "production" })).toBe(
+      "rule:environment",
+    );
+    expect(reason("beta", { id: "beta@example.com" })).toBe("enabled");
+    expect(reason("beta", { email: "x@example.com" })).toBe("rule:user");
+
+    // Dependencies that are not flags (chartEngine) are components
+    expect(reason("charts", { email: "beta@example.com" })).toBe("enabled");
+    expect(reason("charts", {})).toBe("dependency:beta");
+    const visiting = new Set();
+    service.evaluateIn(service.snapshot(), "charts", {}, visiting);
+    expect(visiting.size).toBe(0);
+    expect(reason("off", {})).toBe("disabled");
+    expect(reason("missing", {})).toBe("unknown");
+
+    expect(service.getValue("theme")).toBe("auto");
+    expect(service.getValue("theme", { preferences: { theme: "dark" } })).toBe(
+      "dark",
+    );
+    expect(service.getValue("off", {}, "fallback")).toBe("fallback");
+
+    // Pluggable rules
+    service.addRule({
+      name: "region",
+      field: "regions",
+      evaluate: (regions, context) => regions.includes(context.region),
+    });
+    service.update("off", { enabled: true, regions: ["eu"] });
+    expect(reason("off", { region: "us" })).toBe("rule:region");
+    expect(reason("off", { region: "eu" })).toBe("enabled");
+
+    expect(() => service.update("beta", { rolloutPercentage: 120 })).toThrow(
+      "between 0 and 100",
+    );
+    expect(() => service.apply({ features: { bad: { roles: "x" } } })).toThrow(
+      "list of strings",
+    );
+    expect(service.has("beta")).toBe(true);
+  });
+
+  it("rejects dangling dependencies and cycles", () => {
+    const service = flagService(
+      {
+        beta: { enabled: true },
+        charts: { enabled: true, dependencies: ["beta", "chartEngine"] },
+      },
+      {},
+      ["chartEngine"],
+    );
+
+    expect(() =>
+      service.apply({
+        features: { charts: { dependencies: ["chartEngin"] } },
+        components: ["chartEngine"],
+      }),
+    ).toThrow("charts depends on 'chartEngin'");
+    expect(() =>
+      service.apply({
+        features: {
+          a: { dependencies: ["b"] },
+          b: { dependencies: ["c"] },
+          c: { dependencies: ["a"] },
+        },
+      }),
+    ).toThrow("Dependency cycle: a → b → c → a");
+    expect(() =>
+      service.apply({ features: { beta: {} }, components: ["beta"] }),
+    ).toThrow("both a flag and a component");
+    // A rejected document keeps the previous definitions
+    expect(Object.keys(service.features)).toEqual(["beta", "charts"]);
+
+    // Runtime changes are checked too, and rejected ones change nothing
+    expect(() => service.update("beta", { dependencies: ["charts"] })).toThrow(
+      "Dependency cycle",
+    );
+    expect(() =>
+      service.define("maps", { dependencies: ["mapEngine"] }),
+    ).toThrow("neither a flag nor a component");
+    expect(service.getDefinition("beta").dependencies).toBeUndefined();
+    expect(service.has("maps")).toBe(false);
+    expect(service.has("charts")).toBe(true);
+
+    const invalid = {
+      ptyTerminal: { enabled: true, dependencies: ["ptyManagr"] },
+      loop: { enabled: true, dependencies: ["loop"] },
+    };
+    const graph = dependencyGraph(invalid, ["ptyManager"]);
+    expect(graph.dangling).toEqual([
+      { flag: "ptyTerminal", dependency: "ptyManagr" },
+    ]);
+    expect(graph.cycles).toEqual([["loop", "loop"]]);
+    expect(validateDependencies(invalid, ["ptyManager"]).length).toBe(2);
+  });
+
+  it("renders the dependency graph as Mermaid", () => {
+    const graph = dependencyGraph(
+      {
+        "beta.ui": { enabled: true, rolloutPercentage: 25 },
+        charts: { enabled: false, dependencies: ["beta.ui", "chartEngine"] },
+        loopA: { enabled: true, dependencies: ["loopB"] },
+        loopB: { enabled: true, dependencies: ["loopA", "nope"] },
+      },
+      ["chartEngine"],
+    );
+    const mermaid = dependencyMermaid(graph);
+    expect(mermaid.startsWith("graph TB\n")).toBe(true);
+    expect(mermaid).toContain('beta_ui["beta.ui<br/>25%"]');
+    expect(mermaid).toContain('charts["charts<br/>off"]');
+    expect(mermaid).toContain('chartEngine(["chartEngine"])');
+    expect(mermaid).toContain("charts --> beta_ui");
+    expect(mermaid).toContain("charts -.-> chartEngine");
+    expect(mermaid).toContain('nope{{"nope?"}}');
+    expect(mermaid).toContain("class charts off");
+    expect(mermaid).toContain("class nope missing");
+    // loopA → loopB, loopB → loopA and loopB → nope
+    expect(mermaid).toContain("linkStyle 2,3,4 stroke:#f33");
+
+    // features.yaml itself is valid
+    const { flags, components } = getFeatureFlagService().describe();
+    expect(components).toContain("ptyManager");
+    expect(validateDependencies(flags, components)).toEqual([]);
+  });
+
+  it("serves flags over HTTP to other services", async () => {
+    const source = flagService({
+      newDashboard: { enabled: true, rolloutPercentage: 50 },
+      admin: { enabled: true, roles: ["admin"] },
+    });
+    const secret = "test-secret";
+    const auth = new WebSocketAuth({ secret, localRole: "none" });
+    const token = (role) =>
+      signToken({ sub: "flags", role, exp: Date.now() / 1000 + 60 }, secret);
+    const server = Bun.serve({
+      port: 0,
+      fetch: async (req, server) =>
+        source.handle(req, undefined, await auth.authenticate(req, server)) ||
+        new Response("Not found", { status: 404 }),
+    });
+    const base = `http://localhost:${server.port}`;
+    try {
+      // Definitions name users: admins only
+      expect((await fetch(`${base}/api/flags`)).status).toBe(401);
+      const viewer = { Authorization: `Bearer ${token("viewer")}` };
+      expect(
+        (await fetch(`${base}/api/flags`, { headers: viewer })).status,
+      ).toBe(403);
+
+      const one = await fetch(`${base}/api/flags/admin?role=admin`);
+      expect(await one.json()).toMatchObject({
+        flag: "admin",
+        enabled: true,
+      });
+      expect((await fetch(`${base}/api/flags/nope`)).status).toBe(404);
+      expect(
+        (await fetch(`${base}/api/flags`, { method: "POST" })).status,
+      ).toBe(405);
+
+      const all = await fetch(`${base}/api/flags/evaluate?email=a@example.com`);
+      const { flags } = await all.json();
+      expect(flags.newDashboard.enabled).toBe(
+        source.isEnabled("newDashboard", { email: "a@example.com" }),
+      );
+
+      // A follower evaluates exactly like the source
+      const follower = new FeatureFlagService(null, {
+        syncToken: token("admin"),
+      });
+      expect(await follower.sync(base)).toBe(true);
+      expect(follower.source).toBe(`${base}/api/flags`);
+      for (let i = 0; i < 50; i++) {
+        const context = { email: `user-${i}@example.com` };
+        expect(follower.isEnabled("newDashboard", context)).toBe(
+          source.isEnabled("newDashboard", context),
+        );
+      }
+
+      server.stop(true);
+      expect(await follower.sync(base)).toBe(false);
+      expect(follower.has("admin")).toBe(true);
+    } finally {
+      server.stop(true);
+    }
+  });
+});
+
+describe("flag managers", () => {
+  it("all consult features.yaml through the shared service", () => {
+    const service = getFeatureFlagService();
+    expect(service.audit.path).toBe(join(scratch, "audit.jsonl"));
+    const quantum = new QuantumFeatureManager();
+    const simple = new SimpleFeatureManager();
+    expect(quantum.service).toBe(service);
+    expect(simple.features).toBe(service.features);
+
+    const users = Array.from({ length: 40 }, (_, i) => ({
+      id: `user-${i}`,
+      email: `user-${i}@example.com`,
+    }));
+    users.push({ id: "admin-1", email: "admin@example.com" });
+    for (const flag of Object.keys(service.features)) {
+      for (const user of users) {
+        quantum.setUserContext(user);
+        simple.setUserContext(user);
+        const expected = service.isEnabled(flag, { email: user.email });
+        expect(quantum.isFeatureEnabled(flag)).toBe(expected);
+        expect(simple.isFeatureEnabled(flag)).toBe(expected);
+        expect(featureFlags.isFeatureEnabled(flag, user.email)).toBe(expected);
+      }
+    }
+
+    // Components named as dependencies no longer switch flags off
+    expect(quantum.isFeatureEnabled("quantumTerminal")).toBe(true);
+    quantum.setUserContext({ id: "admin-1", email: "admin@example.com" });
+    expect(quantum.getFeatureValue("experimentalAPI", "off")).toBe("off");
+  });
+});
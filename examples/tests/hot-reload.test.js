@@ -0,0 +1,100 @@
+/**
+ * Tests for the shared config loading and hot-reload helpers
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { mkdtempSync, renameSync, rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { loadYAMLConfig, watchReload } from "../../src/hot-reload.js";
+
+const dir = mkdtempSync(join(tmpdir(), "hot-reload-"));
+afterAll(() => {
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function config(path) {
+  return {
+    path,
+    loadedAt: null,
+    lastError: null,
+    document: null,
+    apply(document, change) {
+      if (!document?.ok) throw new Error("not ok");
+      this.document = document;
+      this.change = change;
+    },
+  };
+}
+
+describe("loadYAMLConfig", () => {
+  it("throws on the first load and keeps the config on later ones", () => {
+    const path = join(dir, "config.yaml");
+    writeFileSync(path, "ok: false\n");
+    const owner = config(path);
+    expect(() => loadYAMLConfig(owner, "Test config")).toThrow("not ok");
+    expect(owner.lastError).toBe("not ok");
+
+    writeFileSync(path, "ok: true\nvalue: 1\n");
+    expect(loadYAMLConfig(owner, "Test config", { reason: "load" })).toBe(true);
+    expect(owner.document.value).toBe(1);
+    expect(owner.change).toEqual({ reason: "load" });
+    expect(owner.loadedAt).not.toBeNull();
+    expect(owner.lastError).toBeNull();
+
+    writeFileSync(path, "ok: false\n");
+    expect(loadYAMLConfig(owner, "Test config")).toBe(false);
+    expect(owner.document.value).toBe(1);
+    expect(owner.lastError).toBe("not ok");
+  });
+});
+
+describe("watchReload", () => {
+  it("debounces file changes and stops on close()", async () => {
+    const path = join(dir, "watched.yaml");
+    writeFileSync(path, "a: 1\n");
+    let reloads = 0;
+    const listeners = process.listenerCount("SIGUSR2");
+    const watcher = watchReload(path, () => reloads++, { debounce: 50 });
+    try {
+      for (let i = 0; i < 3; i++) writeFileSync(path, `a: ${i}\n`);
+      await Bun.sleep(300);
+      expect(reloads).toBe(1);
+
+      process.kill(process.pid, "SIGUSR2");
+      await Bun.sleep(50);
+      expect(reloads).toBe(2);
+    } finally {
+      watcher.close();
+    }
+
+    expect(process.listenerCount("SIGUSR2")).toBe(listeners);
+    writeFileSync(path, "a: 4\n");
+    await Bun.sleep(150);
+    expect(reloads).toBe(2);
+  });
+
+  it("follows files replaced by rename when watching the directory", async () => {
+    const path = join(dir, "replaced.json");
+    writeFileSync(path, "{}");
+    let reloads = 0;
+    const watcher = watchReload(path, () => reloads++, {
+      debounce: 10,
+      directory: true,
+    });
+    try {
+      writeFileSync(join(dir, "unrelated.json"), "{}");
+      await Bun.sleep(100);
+      expect(reloads).toBe(0);
+
+      for (let i = 0; i < 2; i++) {
+        writeFileSync(`${path}.new`, `{"n": ${i}}`);
+        renameSync(`${path}.new`, path);
+        await Bun.sleep(100);
+      }
+      expect(reloads).toBe(2);
+    } finally {
+      watcher.close();
+    }
+  });
+});
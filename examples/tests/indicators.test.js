@@ -0,0 +1,129 @@
+/**
+ * Tests for streaming technical indicators and their signal pipeline wiring
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  SMA,
+  EMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  OBV,
+  IndicatorEngine,
+  indicatorSignals,
+} from "../../src/financial/indicators.js";
+import {
+  MetricsStore,
+  TensionEngine,
+  FinancialEngine,
+  SIGNAL_INDICATORS,
+} from "../../src/unified-dashboard.js";
+import { FeedProvider } from "../../src/financial/market-data-providers.js";
+
+describe("indicators", () => {
+  it("computes SMA and SMA-seeded EMA", () => {
+    const sma = new SMA(3);
+    const ema = new EMA(3);
+    const values = [1, 2, 3, 4].map((x) => [sma.update(x), ema.update(x)]);
+
+    expect(values[1]).toEqual([null, null]);
+    expect(values[2]).toEqual([2, 2]);
+    expect(values[3][0]).toBe(3);
+    expect(values[3][1]).toBeCloseTo(3); // 4 * 0.5 + 2 * 0.5
+  });
+
+  it("computes Wilder RSI", () => {
+    const rsi = new RSI(2);
+    rsi.update(10);
+    rsi.update(11); // +1
+    expect(rsi.update(10)).toBeCloseTo(50); // gains 0.5, losses 0.5
+    expect(rsi.update(10)).toBeCloseTo(50);
+    expect(new RSI(2).value).toBeNull();
+  });
+
+  it("computes MACD, Bollinger Bands, ATR and OBV", () => {
+    const macd = new MACD(2, 3, 2);
+    const rising = [1, 2, 3, 4, 5, 6].map((x) => macd.update(x));
+    expect(rising[2]).toBeNull();
+    expect(rising[5].macd).toBeGreaterThan(0);
+
+    const bands = new BollingerBands(4, 2);
+    [1, 2, 3].forEach((x) => bands.update(x));
+    const value = bands.update(4);
+    expect(value.middle).toBe(2.5);
+    expect(value.upper - value.middle).toBeCloseTo(2 * Math.sqrt(1.25));
+    expect(value.percentB).toBeGreaterThan(0.5);
+
+    const atr = new ATR(2);
+    atr.update(11, 9, 10);
+    expect(atr.update(12, 10, 12)).toBeCloseTo(2);
+
+    const obv = new OBV();
+    obv.update(10, 100);
+    obv.update(11, 50);
+    expect(obv.update(10, 20)).toBe(30);
+  });
+});
+
+describe("IndicatorEngine", () => {
+  it("restores state from a snapshot", () => {
+    const engine = new IndicatorEngine();
+    for (let i = 0; i < 40; i++) {
+      engine.update("AAPL", { price: 100 + Math.sin(i), size: 10 });
+    }
+    const restored = new IndicatorEngine();
+    restored.restore(engine.snapshot());
+
+    expect(restored.update("AAPL", { price: 101, size: 5 })).toEqual(
+      engine.update("AAPL", { price: 101, size: 5 }),
+    );
+  });
+
+  it("normalizes indicators to fusion signals", () => {
+    const signals = indicatorSignals({
+      rsi: 75,
+      macd: { histogram: 0, macd: 1, signal: 1 },
+      atr: 2,
+      bollinger: { percentB: 1.4 },
+    });
+    expect(signals).toEqual({ rsi: 0.5, macd: 0, bollinger: 1 });
+    expect(indicatorSignals(null)).toEqual({});
+  });
+});
+
+describe("FinancialEngine indicators", () => {
+  it("exposes indicators in ticker payloads and as signal inputs", () => {
+    const store = new MetricsStore();
+    const financial = new FinancialEngine(store, new TensionEngine(store));
+    let tickers;
+    for (let i = 0; i < 40; i++) tickers = financial.collectTickers(["AAPL"]);
+
+    expect(tickers.AAPL.indicators.rsi).toBeGreaterThanOrEqual(0);
+    expect(tickers.AAPL.indicators.bollinger.middle).toBeGreaterThan(0);
+    expect(tickers.AAPL.signalComponents.indicatorSignals.rsi).toBeDefined();
+    expect(SIGNAL_INDICATORS).toContain("macd");
+  });
+
+  it("skips candles and indicators for ticks without a price", () => {
+    const store = new MetricsStore();
+    const provider = new FeedProvider({ url: "ws://localhost:8765" });
+    const financial = new FinancialEngine(store, new TensionEngine(store), {
+      provider,
+    });
+    provider.ingest([
+      { symbol: "AAPL", price: "0.00" },
+      { symbol: "META" }, // no price at all
+      { symbol: "NVDA", price: 500 },
+    ]);
+
+    const tickers = financial.collectTickers(["AAPL", "META", "NVDA"]);
+    expect(tickers.AAPL.price).toBe("0.00");
+    expect(tickers.AAPL.indicators).toBeNull();
+    expect(tickers.AAPL.signal).toBeDefined();
+    expect(tickers.META.indicators).toBeNull();
+    expect(financial.candles.getVWAP("AAPL")).toBeNull();
+    expect(tickers.NVDA.indicators).not.toBeNull();
+  });
+});
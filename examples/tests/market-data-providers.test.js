@@ -0,0 +1,132 @@
+/**
+ * Tests for pluggable market data providers
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  createMarketDataProvider,
+  expandTickRecord,
+  SimulatorProvider,
+  ReplayProvider,
+  FeedProvider,
+} from "../../src/financial/market-data-providers.js";
+
+describe("createMarketDataProvider", () => {
+  it("defaults to the simulator", () => {
+    expect(createMarketDataProvider()).toBeInstanceOf(SimulatorProvider);
+  });
+
+  it("rejects unknown providers", () => {
+    expect(() => createMarketDataProvider({ provider: "bloomberg" })).toThrow(
+      /Unknown market data provider/,
+    );
+  });
+});
+
+describe("SimulatorProvider", () => {
+  it("produces ticks around the audit base price", () => {
+    const provider = new SimulatorProvider({ random: () => 0.5 });
+    const tick = provider.getTick("AAPL");
+    expect(tick.price).toBe("184.61");
+    expect(tick.high).toBe("186.85");
+    expect(tick.protocol).toBe("WebSocket");
+    // Static session volume, so each tick carries its own traded size
+    expect(tick.volume).toBe(630345);
+    expect(tick.size).toBe(630);
+  });
+});
+
+describe("ReplayProvider", () => {
+  const lines = [
+    JSON.stringify({ symbol: "AAPL", price: 10, high: 11, low: 9 }),
+    "not json",
+    JSON.stringify({ timestamp: 2, tickers: { AAPL: { price: 12 } } }),
+  ].join("\n");
+
+  it("replays ticks per symbol in order and loops", () => {
+    const provider = new ReplayProvider({ file: "session.jsonl" }).load(lines);
+    expect(provider.getTick("AAPL").price).toBe("10.00");
+    expect(provider.getTick("AAPL").price).toBe("12.00");
+    expect(provider.getTick("AAPL").price).toBe("10.00");
+    expect(provider.getTick("TSLA")).toBeNull();
+  });
+
+  it("holds the last tick when looping is disabled", () => {
+    const provider = new ReplayProvider({ loop: false }).load(lines);
+    provider.getTick("AAPL");
+    provider.getTick("AAPL");
+    expect(provider.getTick("AAPL").price).toBe("12.00");
+  });
+});
+
+describe("FeedProvider", () => {
+  it("keeps the latest tick per symbol from feed messages", () => {
+    const provider = new FeedProvider({ url: "ws://localhost:8765" });
+    provider.ingest([
+      { symbol: "NVDA", price: 500 },
+      { symbol: "NVDA", price: 501 },
+    ]);
+    expect(provider.getTick("NVDA").price).toBe("501.00");
+    expect(provider.transport).toBe("WebSocket");
+  });
+
+  it("does not reconnect once stopped", async () => {
+    let connections = 0;
+    const server = Bun.serve({
+      port: 0,
+      fetch: (req, server) => server.upgrade(req),
+      websocket: {
+        open(ws) {
+          connections++;
+          ws.close();
+        },
+        message() {},
+      },
+    });
+    const provider = new FeedProvider({
+      url: `ws://localhost:${server.port}`,
+      reconnectDelay: 50,
+    });
+    try {
+      await provider.start();
+      // Wait for the server's close to schedule a reconnect
+      for (let i = 0; i < 100 && !provider.reconnectTimer; i++) {
+        await Bun.sleep(5);
+      }
+      provider.stop();
+      await Bun.sleep(150);
+      expect(connections).toBe(1);
+    } finally {
+      provider.stop();
+      server.stop(true);
+    }
+  });
+
+  it("skips polls while a slow fetch is in flight", async () => {
+    let requests = 0;
+    const server = Bun.serve({
+      port: 0,
+      fetch: async () => {
+        requests++;
+        await Bun.sleep(100);
+        return Response.json({ symbol: "NVDA", price: 500 });
+      },
+    });
+    const provider = new FeedProvider({
+      url: `http://localhost:${server.port}`,
+    });
+    try {
+      await Promise.all([provider.poll(), provider.poll(), provider.poll()]);
+      expect(requests).toBe(1);
+      expect(provider.getTick("NVDA").price).toBe("500.00");
+    } finally {
+      server.stop(true);
+    }
+  });
+
+  it("expands dashboard snapshots", () => {
+    expect(
+      expandTickRecord({ timestamp: 1, tickers: { META: { price: 1 } } }),
+    ).toEqual([["META", { timestamp: 1, price: 1 }]]);
+  });
+});
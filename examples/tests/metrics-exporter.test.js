@@ -0,0 +1,79 @@
+/**
+ * Tests for the OpenMetrics exporter
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  OpenMetricsWriter,
+  renderOpenMetrics,
+} from "../../src/metrics-exporter.js";
+import { MetricsStore } from "../../src/unified-dashboard.js";
+
+describe("OpenMetricsWriter", () => {
+  it("renders families with type, unit and escaped labels", () => {
+    const w = new OpenMetricsWriter("test_");
+    w.family("latency_seconds", "gauge", "Latency", "seconds");
+    w.sample("latency_seconds", { path: 'a"b\\c' }, 0.25);
+    w.family("empty", "gauge", "Never sampled");
+
+    expect(w.render()).toBe(
+      [
+        "# TYPE test_latency_seconds gauge",
+        "# UNIT test_latency_seconds seconds",
+        "# HELP test_latency_seconds Latency",
+        'test_latency_seconds{path="a\\"b\\\\c"} 0.25',
+        "# EOF",
+        "",
+      ].join("\n"),
+    );
+  });
+});
+
+describe("renderOpenMetrics", () => {
+  it("exports store contents with consistent names and labels", () => {
+    const store = new MetricsStore();
+    store.metrics.spawn = { avg: 2, min: 1, max: 4, p95: 3, p99: 4 };
+    store.metrics.buffer = { indexOf: 1000, includes: 900 };
+    store.metrics.tension = { current: 0.7, status: "elevated" };
+    store.metrics.financial.tickers.set("AAPL", {
+      price: "178.50",
+      volume: 1200,
+      changePercent: "-0.40",
+      signal: "neutral",
+      signalPipeline: "equities",
+      fusedSignal: 0.02,
+    });
+    store.metrics.health = {
+      status: "DEGRADED",
+      checks: { memory: { status: "healthy" }, disk: { status: "warning" } },
+      lastCheck: 1,
+    };
+
+    const text = renderOpenMetrics({
+      metrics: store.metrics,
+      uptime: 42,
+      server: { pendingRequests: 3, pendingWebSockets: 2 },
+    });
+
+    expect(text).toContain(
+      'quantum_dashboard_spawn_duration_seconds{statistic="p95"} 0.003',
+    );
+    expect(text).toContain(
+      'quantum_dashboard_benchmark_ops_per_second{benchmark="buffer_indexOf"} 1000',
+    );
+    expect(text).toContain(
+      'quantum_dashboard_tension_status{quantum_dashboard_tension_status="elevated"} 1',
+    );
+    expect(text).toContain(
+      'quantum_dashboard_ticker_price{symbol="AAPL"} 178.5',
+    );
+    expect(text).toContain(
+      'quantum_dashboard_ticker_signal_info{symbol="AAPL",signal="neutral",pipeline="equities"} 1',
+    );
+    expect(text).toContain(
+      'quantum_dashboard_health_check_healthy{check="disk"} 0',
+    );
+    expect(text).toContain("quantum_dashboard_server_pending_requests 3");
+    expect(text.endsWith("# EOF\n")).toBe(true);
+  });
+});
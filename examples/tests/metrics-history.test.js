@@ -0,0 +1,110 @@
+/**
+ * Tests for persistent metrics history (bun:sqlite)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from "bun:test";
+import {
+  MetricsHistoryStore,
+  aggregateValues,
+  parseStep,
+} from "../../src/metrics-history.js";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const T0 = Date.UTC(2026, 0, 5, 14, 0, 0); // aligned to the hour
+
+describe("helpers", () => {
+  it("parses steps", () => {
+    expect(parseStep("30s")).toBe(30000);
+    expect(parseStep("5m")).toBe(5 * MINUTE);
+    expect(parseStep("1h")).toBe(HOUR);
+    expect(parseStep("250")).toBe(250);
+    expect(parseStep(null)).toBeNull();
+    expect(() => parseStep("soon")).toThrow(/Invalid step/);
+  });
+
+  it("averages numeric leaves and keeps the last non-numeric value", () => {
+    expect(
+      aggregateValues([
+        { rss: 10, price: "100.00", signal: "neutral" },
+        { rss: 20, price: "102.00", signal: "bullish" },
+      ]),
+    ).toEqual({ rss: 15, price: 101, signal: "bullish" });
+  });
+});
+
+describe("MetricsHistoryStore", () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MetricsHistoryStore(":memory:");
+    // Two hours of one sample every 10 seconds
+    for (let ts = T0; ts < T0 + 2 * HOUR; ts += 10000) {
+      store.write("tension", ts, (ts - T0) / (2 * HOUR));
+    }
+  });
+
+  afterEach(() => store.close());
+
+  it("returns raw points for short ranges", () => {
+    const result = store.query(
+      "tension",
+      { from: T0, to: T0 + MINUTE },
+      T0 + 2 * HOUR,
+    );
+    expect(result.resolution).toBe("raw");
+    expect(result.points).toHaveLength(7);
+  });
+
+  it("rolls raw samples up into minutes and hours", () => {
+    const { rolled } = store.compact(T0 + 2 * HOUR);
+    expect(rolled["1m"]).toBe(120);
+    expect(rolled["1h"]).toBe(2);
+
+    const minutes = store.query(
+      "tension",
+      { from: T0, to: T0 + 2 * HOUR, step: "1m" },
+      T0 + 2 * HOUR,
+    );
+    expect(minutes.resolution).toBe("1m");
+    expect(minutes.points).toHaveLength(120);
+    expect(minutes.points[0].count).toBe(6);
+
+    const hours = store.query(
+      "tension",
+      { from: T0, to: T0 + 2 * HOUR, step: "1h" },
+      T0 + 2 * HOUR,
+    );
+    expect(hours.resolution).toBe("1h");
+    expect(hours.points).toHaveLength(2);
+    expect(hours.points[0].count).toBe(360);
+  });
+
+  it("re-buckets to steps coarser than the stored resolution", () => {
+    store.compact(T0 + 2 * HOUR);
+    const result = store.query(
+      "tension",
+      { from: T0, to: T0 + 2 * HOUR, step: "15m" },
+      T0 + 2 * HOUR,
+    );
+    expect(result.resolution).toBe("1m");
+    expect(result.points).toHaveLength(8);
+  });
+
+  it("prunes rows past their retention window", () => {
+    const { pruned } = store.compact(T0 + 26 * HOUR);
+    expect(pruned.raw).toBe(720);
+    const result = store.query(
+      "tension",
+      { from: T0, to: T0 + 2 * HOUR },
+      T0 + 26 * HOUR,
+    );
+    expect(result.resolution).not.toBe("raw");
+  });
+
+  it("hydrates the most recent raw samples in order", () => {
+    const recent = store.recent("tension", 3);
+    expect(recent).toHaveLength(3);
+    expect(recent[0].timestamp).toBeLessThan(recent[2].timestamp);
+  });
+});
@@ -0,0 +1,225 @@
+/**
+ * Tests for output coalescing, binary framing and backpressure
+ */
+
+import { describe, it, expect } from "bun:test";
+import { OutputStream } from "../../src/servers/output-stream.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+// ServerWebSocket stand-in with an adjustable send buffer
+function fakeSocket() {
+  return {
+    readyState: WebSocket.OPEN,
+    buffered: 0,
+    frames: [],
+    send(frame) {
+      this.frames.push(frame);
+    },
+    getBufferedAmount() {
+      return this.buffered;
+    },
+  };
+}
+
+const text = (frame) =>
+  typeof frame === "string"
+    ? JSON.parse(frame).data
+    : new TextDecoder().decode(frame);
+
+describe("OutputStream", () => {
+  it("coalesces chunks into one frame per flush", async () => {
+    const stream = new OutputStream({ sessionId: "s1", flushInterval: 10 });
+    const json = fakeSocket();
+    const binary = fakeSocket();
+    stream.attach(json, { id: "a" });
+    stream.attach(binary, { id: "b", framing: "binary" });
+
+    stream.push("one ");
+    stream.push("two ");
+    stream.push("thrée");
+    expect(json.frames).toHaveLength(0);
+    await Bun.sleep(30);
+
+    expect(json.frames).toHaveLength(1);
+    expect(JSON.parse(json.frames[0])).toMatchObject({
+      type: "terminal_data",
+      data: "one two thrée",
+      sessionId: "s1",
+    });
+    expect(binary.frames[0]).toBeInstanceOf(Uint8Array);
+    expect(text(binary.frames[0])).toBe("one two thrée");
+    expect(stream.stats()).toMatchObject({
+      chunksIn: 3,
+      flushes: 1,
+      framesOut: 2,
+      bytesIn: 14,
+      coalescing: 3,
+    });
+  });
+
+  it("skips output queued before a client attached", () => {
+    const stream = new OutputStream({ flushInterval: 1000 });
+    const first = fakeSocket();
+    const late = fakeSocket();
+    stream.attach(first);
+    stream.push("abc");
+    stream.attach(late);
+    stream.push("d");
+    stream.flush();
+    expect(text(first.frames[0])).toBe("abcd");
+    expect(text(late.frames[0])).toBe("d");
+  });
+
+  it("drops frames for a congested client and redraws it once drained", () => {
+    const stream = new OutputStream({
+      flushInterval: 0,
+      highWaterMark: 1000,
+      snapshot: () => "SCREEN",
+      size: () => ({ cols: 80, rows: 24 }),
+    });
+    const slow = fakeSocket();
+    const fast = fakeSocket();
+    stream.attach(slow, { id: "slow" });
+    stream.attach(fast, { id: "fast" });
+
+    slow.buffered = 5000;
+    stream.push("1");
+    stream.push("2");
+    stream.push("3");
+    expect(slow.frames.map(text)).toEqual(["1"]);
+    expect(fast.frames.map(text)).toEqual(["1", "2", "3"]);
+
+    // Still above the low water mark: nothing yet
+    slow.buffered = 300;
+    stream.drain(slow);
+    expect(slow.frames).toHaveLength(1);
+
+    slow.buffered = 0;
+    stream.drain(slow);
+    expect(JSON.parse(slow.frames[1])).toMatchObject({
+      type: "terminal_replay",
+      data: "SCREEN",
+      cols: 80,
+      resync: true,
+    });
+    stream.push("4");
+    expect(slow.frames.map(text).at(-1)).toBe("4");
+
+    const { clients, ...totals } = stream.stats();
+    expect(totals).toMatchObject({
+      droppedFrames: 2,
+      droppedBytes: 2,
+      resyncs: 1,
+    });
+    expect(clients.find((c) => c.id === "slow")).toMatchObject({
+      droppedFrames: 2,
+      peakBuffered: 5000,
+      congested: false,
+    });
+  });
+
+  it("pauses the PTY with XOFF for a congested controller", () => {
+    const writes = [];
+    const terminal = { inputFlags: 0o2000, write: (d) => writes.push(d) };
+    const stream = new OutputStream({
+      terminal,
+      flushInterval: 0,
+      highWaterMark: 1000,
+      backpressure: "pause",
+    });
+    const controller = fakeSocket();
+    const spectator = fakeSocket();
+    stream.attach(controller);
+    stream.attach(spectator);
+    stream.setController(controller);
+
+    controller.buffered = spectator.buffered = 5000;
+    stream.push("x");
+    expect(writes).toEqual(["\x13"]);
+    expect(stream.paused).toBe(true);
+
+    // Spectators cannot stop the session: they drop instead
+    stream.push("y");
+    expect(controller.frames.map(text)).toEqual(["x", "y"]);
+    expect(spectator.frames.map(text)).toEqual(["x"]);
+
+    controller.buffered = 0;
+    stream.drain(controller);
+    expect(writes).toEqual(["\x13", "\x11"]);
+    expect(stream.stats()).toMatchObject({ paused: false, pauses: 1 });
+
+    // Without IXON (raw-mode programs) pausing falls back to dropping
+    terminal.inputFlags = 0;
+    controller.buffered = 5000;
+    stream.push("z");
+    stream.push("lost");
+    expect(writes).toHaveLength(2);
+    expect(controller.frames.map(text).at(-1)).toBe("z");
+    expect(() => new OutputStream({ backpressure: "block" })).toThrow();
+  });
+});
+
+describe("output streaming in terminal-server", () => {
+  it("sends binary frames and reports throughput", async () => {
+    const server = startTerminalServer(0, {
+      flushInterval: 20,
+      auth: new WebSocketAuth({ localRole: "admin" }),
+    });
+    const base = `localhost:${server.port}`;
+    expect(
+      (await fetch(`http://${base}/terminal?framing=msgpack`)).status,
+    ).toBe(400);
+
+    const ws = new WebSocket(`ws://${base}/terminal?framing=binary`);
+    ws.binaryType = "arraybuffer";
+    const messages = [];
+    let output = "";
+    ws.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        output += new TextDecoder().decode(event.data);
+      } else {
+        messages.push(JSON.parse(event.data));
+      }
+    };
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > 8000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+
+    await waitFor(() => messages.some((m) => m.type === "session_created"));
+    const created = messages.find((m) => m.type === "session_created");
+    expect(created.framing).toBe("binary");
+    ws.send(
+      JSON.stringify({
+        type: "terminal_input",
+        data: "for i in $(seq 1 200); do echo line-$i; done\r",
+      }),
+    );
+    await waitFor(() => output.includes("line-200"));
+    expect(messages.some((m) => m.type === "terminal_data")).toBe(false);
+
+    const { sessions } = await fetch(`http://${base}/api/sessions`).then((r) =>
+      r.json(),
+    );
+    const { output: stats } = sessions.find((s) => s.id === created.sessionId);
+    expect(stats).toMatchObject({ flushInterval: 20, backpressure: "drop" });
+    expect(stats.bytesIn).toBeGreaterThan(2000);
+    expect(stats.chunksIn).toBeGreaterThanOrEqual(stats.flushes);
+    expect(stats.clients[0]).toMatchObject({
+      id: created.clientId,
+      framing: "binary",
+      droppedFrames: 0,
+    });
+
+    ws.close();
+    await terminalSessions.get(created.sessionId)?.close();
+    server.stop(true);
+  }, 20000);
+});
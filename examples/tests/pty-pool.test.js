@@ -0,0 +1,175 @@
+/**
+ * Tests for PTYManager's prewarmed terminal pool
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { PTYManager } from "../../src/components/Terminal/PTYManager.ts";
+import { TerminalPolicy } from "../../src/servers/terminal-policy.js";
+import { TerminalPools } from "../../src/servers/terminal-pools.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+const manager = new PTYManager();
+
+afterAll(() => manager.closeAll());
+
+async function waitFor(predicate, timeout = 8000) {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await Bun.sleep(25);
+  }
+}
+
+describe("PTY pool", () => {
+  it("hands out warm shells and replaces them on release", async () => {
+    await manager.startPool({
+      min: 1,
+      max: 1,
+      args: ["--norc", "--noprofile", "-i"],
+      cwd: "/",
+      env: { PATH: process.env.PATH, TERM: "xterm-256color" },
+      healthCheckInterval: 0,
+    });
+    expect(manager.getStats().pool).toMatchObject({ idle: 1, leased: 0 });
+
+    let output = "";
+    const first = await manager.acquire({ onData: (d) => (output += d) });
+    expect(first.pooled).toBe(true);
+    expect(manager.getStats().pool).toMatchObject({
+      idle: 0,
+      leased: 1,
+      hits: 1,
+    });
+
+    first.write(
+      'export LEAK=secret; alias ls=rm; trap "echo pwned" DEBUG; cd /tmp; echo "<$LEAK>"\r',
+    );
+    await waitFor(() => output.includes("<secret>"));
+
+    // At max: an unpooled terminal, closed on release
+    const extra = await manager.acquire();
+    expect(extra.pooled).toBe(false);
+    expect(manager.getStats().pool.overflow).toBe(1);
+    await manager.release(extra);
+    expect(manager.getTerminal(extra.id)).toBeUndefined();
+
+    // The used shell is closed and a fresh one warmed in its place
+    await manager.release(first);
+    expect(manager.getTerminal(first.id)).toBeUndefined();
+    await waitFor(() => manager.getStats().pool.idle === 1);
+
+    output = "";
+    const second = await manager.acquire({ onData: (d) => (output += d) });
+    expect(second.id).not.toBe(first.id);
+    second.write('echo "[$LEAK]" "$PWD" "$(alias | wc -l)"\r');
+    await waitFor(() => /\[\] \/ 0\r?\n/.test(output));
+    expect(output).not.toContain("pwned");
+    await manager.release(second);
+  }, 30000);
+
+  it("retires dead shells and warms replacements", async () => {
+    const [idle] = manager.getAllTerminals().filter((t) => t.pooled);
+    const { retired } = manager.getStats().pool;
+    idle.process.kill("SIGKILL");
+
+    await waitFor(() => manager.getStats().pool.retired > retired);
+    await waitFor(() => manager.getStats().pool.idle === 1);
+    const [replacement] = manager.getAllTerminals().filter((t) => t.pooled);
+    expect(replacement.id).not.toBe(idle.id);
+
+    await manager.stopPool();
+    expect(manager.getStats().pool).toBeNull();
+    expect(manager.getAllTerminals()).toHaveLength(0);
+  }, 30000);
+});
+
+describe("pooled terminal-server sessions", () => {
+  it("serves sessions from the role's pool and replaces used shells", async () => {
+    const policy = new TerminalPolicy(null);
+    policy.apply({ localRole: "admin", roles: { admin: { shell: true } } });
+    const pools = new TerminalPools({ min: 1, max: 2, healthCheckInterval: 0 });
+    const server = startTerminalServer(0, {
+      policy,
+      pools,
+      auth: new WebSocketAuth({ localRole: "admin" }),
+      detachGracePeriod: 50,
+    });
+    const base = `localhost:${server.port}`;
+    const health = async () =>
+      (await (await fetch(`http://${base}/health`)).json()).pools?.admin;
+    const connect = async () => {
+      const ws = new WebSocket(`ws://${base}/terminal`);
+      ws.messages = [];
+      ws.onmessage = (event) => ws.messages.push(JSON.parse(event.data));
+      await waitFor(() =>
+        ws.messages.some((m) => m.type === "session_created"),
+      );
+      return ws;
+    };
+
+    try {
+      const first = await connect();
+      expect(await health()).toMatchObject({ leased: 1 });
+
+      first.close();
+      await waitFor(() => terminalSessions.size === 0);
+      await waitFor(async () => (await health()).idle === 1);
+      expect(await health()).toMatchObject({ leased: 0, retired: 1 });
+
+      const second = await connect();
+      const { hits } = await health();
+      expect(hits).toBe(1);
+      second.close();
+      await waitFor(() => terminalSessions.size === 0);
+    } finally {
+      server.stop(true);
+      await pools.stop();
+    }
+  }, 30000);
+
+  it("ends sessions whose client left while the shell was starting", async () => {
+    const policy = new TerminalPolicy(null);
+    policy.apply({ localRole: "admin", roles: { admin: { shell: true } } });
+    const pools = new TerminalPools({ min: 1, max: 2, healthCheckInterval: 0 });
+    // Hold every checkout until the client is gone, like a cold pool would
+    let warm;
+    const warmed = new Promise((resolve) => (warm = resolve));
+    const poolFor = pools.poolFor.bind(pools);
+    pools.poolFor = (options) => {
+      const pool = poolFor(options);
+      const acquire = pool.acquire.bind(pool);
+      pool.acquire = async (lease) => {
+        await warmed;
+        return acquire(lease);
+      };
+      return pool;
+    };
+    const server = startTerminalServer(0, {
+      policy,
+      pools,
+      auth: new WebSocketAuth({ localRole: "admin" }),
+      detachGracePeriod: 60000,
+    });
+
+    try {
+      const ws = new WebSocket(`ws://localhost:${server.port}/terminal`);
+      await new Promise((resolve) => (ws.onopen = resolve));
+      const closed = new Promise((resolve) => (ws.onclose = resolve));
+      ws.close();
+      await closed;
+      await Bun.sleep(50);
+      warm();
+
+      await waitFor(() => pools.stats().admin?.retired === 1);
+      expect(pools.stats().admin).toMatchObject({ leased: 0 });
+      expect(terminalSessions.size).toBe(0);
+    } finally {
+      server.stop(true);
+      await pools.stop();
+    }
+  }, 30000);
+});
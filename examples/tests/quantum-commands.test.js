@@ -0,0 +1,178 @@
+/**
+ * Tests for the quantum.* command registry and its terminal integration
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  CommandRegistry,
+  createQuantumCommands,
+  execCommandLine,
+  tokenize,
+} from "../../src/quantum-commands.js";
+import { CommandLineGuard } from "../../src/servers/terminal-policy.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+describe("CommandRegistry", () => {
+  it("parses and validates typed arguments", () => {
+    const commands = createQuantumCommands();
+    expect(
+      commands.parse(
+        "quantum.ticker --symbols aapl,NVDA --interval=500 --no-volume",
+      ).args,
+    ).toEqual({
+      symbols: ["AAPL", "NVDA"],
+      interval: 500,
+      volume: false,
+      indicators: true,
+    });
+    expect(commands.parse("quantum.help ticker").args).toEqual({
+      command: "ticker",
+    });
+
+    const error = (line) => commands.parse(line).error;
+    expect(error("quantum.ticker --interval 50")).toBe(
+      "--interval must be at least 100",
+    );
+    expect(error("quantum.ticker --interval fast")).toContain(
+      "expects a number",
+    );
+    expect(error("quantum.ticker --symbols AAPL,XYZ")).toContain('"XYZ"');
+    expect(error("quantum.ticker --speed 2")).toContain("Unknown option");
+    expect(error("quantum.nope")).toContain("Unknown quantum command: nope");
+  });
+
+  it("runs handlers and reports failures as results", async () => {
+    const commands = new CommandRegistry()
+      .register({
+        name: "quote",
+        args: [
+          { name: "symbol", type: "string", positional: true, required: true },
+        ],
+        run: (args) => ({ data: { symbol: args.symbol, price: 1.5 } }),
+      })
+      .register({
+        name: "broken",
+        run: () => {
+          throw new Error("feed offline");
+        },
+      });
+
+    expect(await commands.execute("quantum.quote 'BRK.B'")).toMatchObject({
+      command: "quote",
+      data: { symbol: "BRK.B", price: 1.5 },
+    });
+    expect((await commands.execute("quantum.quote")).error).toContain(
+      "Missing <symbol>",
+    );
+    expect(await commands.execute("quantum.broken")).toMatchObject({
+      command: "broken",
+      error: "feed offline",
+    });
+    expect(() => commands.register({ name: "Bad Name", run() {} })).toThrow();
+  });
+
+  it("completes commands, options and values", () => {
+    const commands = createQuantumCommands();
+    expect(commands.complete("quantum.t").candidates).toEqual([
+      "quantum.ticker ",
+    ]);
+    expect(commands.complete("quantum.ticker --in").candidates).toEqual([
+      "--indicators ",
+      "--interval ",
+    ]);
+    expect(commands.complete("quantum.ticker --symbols aapl,n")).toEqual({
+      word: "aapl,n",
+      candidates: ["AAPL,NVDA"],
+    });
+    expect(commands.complete("quantum.status --json ").candidates).toEqual([]);
+  });
+
+  it("quotes program arguments for the shell", async () => {
+    expect(tokenize(`quantum.help "ti cker" it\\'s`)).toEqual([
+      "quantum.help",
+      "ti cker",
+      "it's",
+    ]);
+    expect(
+      execCommandLine({
+        command: "bun",
+        args: ["run", "it's $(id).js"],
+        env: { FINANCIAL_SYMBOLS: "AAPL,NVDA" },
+      }),
+    ).toBe(`FINANCIAL_SYMBOLS=AAPL,NVDA bun run 'it'\\''s $(id).js'`);
+
+    const { exec } = await createQuantumCommands().execute(
+      "quantum.ticker --symbols NVDA --interval 500",
+    );
+    expect(exec.env).toMatchObject({
+      FINANCIAL_SYMBOLS: "NVDA",
+      UPDATE_INTERVAL: 500,
+    });
+    expect(exec.args[1]).toEndWith("scripts/financial-ticker.js");
+  });
+
+  it("lets the line guard hand Tab to completion", () => {
+    const guard = new CommandLineGuard({
+      completes: (line) => line.startsWith("quantum."),
+    });
+    expect(guard.feed("quantum.st\tls\t")).toEqual([
+      { type: "write", data: "quantum.st" },
+      { type: "complete", line: "quantum.st" },
+      { type: "write", data: "ls" },
+      { type: "complete", line: "quantum.stls" },
+    ]);
+  });
+});
+
+describe("quantum commands in terminal-server", () => {
+  it("completes and runs typed commands", async () => {
+    const server = startTerminalServer(0, {
+      resolveRole: () => "operator",
+      auth: new WebSocketAuth({ localRole: "admin" }),
+    });
+    const base = `localhost:${server.port}`;
+    const ws = new WebSocket(`ws://${base}/terminal`);
+    const messages = [];
+    ws.onmessage = (event) => messages.push(JSON.parse(event.data));
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!(await predicate())) {
+        if (Date.now() - start > 8000) throw new Error("Timed out");
+        await Bun.sleep(50);
+      }
+    };
+
+    await waitFor(() => messages.some((m) => m.type === "session_created"));
+    const { sessionId } = messages.find((m) => m.type === "session_created");
+    const input = (data) =>
+      ws.send(JSON.stringify({ type: "terminal_input", data }));
+
+    input("quantum.sta\t");
+    input("--json\r");
+    await waitFor(() => messages.some((m) => m.type === "command_result"));
+    expect(messages.find((m) => m.type === "command_result")).toMatchObject({
+      command: "status",
+      args: { json: true },
+      data: { activeSessions: expect.any(Number), role: "operator" },
+      error: null,
+    });
+
+    input("quantum.ticker --interval 5\r");
+    await waitFor(() => messages.some((m) => m.error));
+    expect(messages.find((m) => m.error).error).toBe(
+      "--interval must be at least 100",
+    );
+    const screen = `http://${base}/api/sessions/${sessionId}/screen`;
+    await waitFor(async () =>
+      (await (await fetch(screen)).text()).includes("at least 100"),
+    );
+
+    ws.close();
+    await terminalSessions.get(sessionId)?.close();
+    server.stop(true);
+  }, 20000);
+});
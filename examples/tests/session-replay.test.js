@@ -0,0 +1,99 @@
+/**
+ * Tests for tick recording and deterministic replay
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  MetricsStore,
+  TensionEngine,
+  FinancialEngine,
+  createReplaySession,
+} from "../../src/unified-dashboard.js";
+import {
+  SessionRecorder,
+  parseRecording,
+} from "../../src/financial/session-recorder.js";
+
+const file = join(tmpdir(), `quantum-session-${process.pid}.jsonl`);
+const edited = join(tmpdir(), `quantum-session-${process.pid}-edited.jsonl`);
+
+afterAll(() => {
+  rmSync(file, { force: true });
+  rmSync(edited, { force: true });
+});
+
+/**
+ * Drive the engines the way UnifiedDashboard.collectAllMetrics does
+ */
+function recordSession(ticks) {
+  const store = new MetricsStore();
+  const tension = new TensionEngine(store);
+  const financial = new FinancialEngine(store, tension);
+  const recorder = new SessionRecorder(file);
+
+  // Warm up before recording so the header has to carry real state
+  for (let i = 0; i < 5; i++) {
+    financial.collectTickers();
+    tension.update(null, tension.lastUpdateTime + 150);
+  }
+
+  recorder.start(financial, tension);
+  const recorded = [];
+  for (let i = 0; i < ticks; i++) {
+    const tickers = financial.collectTickers();
+    tension.update(null, tension.lastUpdateTime + 100 + (i % 3) * 50);
+    recorder.record({
+      timestamp: tension.lastUpdateTime,
+      tickers,
+      tension: store.metrics.tension,
+      hurst: store.metrics.hurst,
+    });
+    recorded.push(store.metrics.tension.current);
+  }
+  return recorded;
+}
+
+describe("SessionRecorder / SessionReplayer", () => {
+  const recordedTension = recordSession(30);
+
+  it("writes a header followed by one line per tick", async () => {
+    const segments = parseRecording(await Bun.file(file).text());
+    expect(segments).toHaveLength(1);
+    expect(segments[0].header.state.tension.samples).toHaveLength(5);
+    expect(segments[0].ticks).toHaveLength(30);
+  });
+
+  it("replays step by step and reproduces tension exactly", async () => {
+    const replayer = await createReplaySession(file);
+    const replayedTension = [];
+    let frame;
+    while ((frame = replayer.step())) {
+      replayedTension.push(frame.tension.current);
+    }
+    expect(replayedTension).toEqual(recordedTension);
+    expect(replayer.summary().deterministic).toBe(true);
+  });
+
+  it("plays at Nx speed", async () => {
+    const replayer = await createReplaySession(file, { speed: 1000 });
+    const frames = [];
+    const summary = await replayer.play((frame) => frames.push(frame));
+    expect(frames).toHaveLength(30);
+    expect(summary.divergences).toEqual([]);
+  });
+
+  it("skips segments without ticks", async () => {
+    // A recorder restarted and stopped before its first tick
+    const header = JSON.stringify({ type: "header", state: null });
+    writeFileSync(edited, (await Bun.file(file).text()) + header + "\n");
+    const replayer = await createReplaySession(edited);
+    expect(replayer.total).toBe(30);
+    expect(replayer.step()).not.toBeNull();
+
+    writeFileSync(edited, header + "\n");
+    await expect(createReplaySession(edited)).rejects.toThrow("no ticks");
+  });
+});
@@ -0,0 +1,101 @@
+/**
+ * Tests for YAML signal fusion pipelines
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import { rmSync, writeFileSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  SignalPipelineManager,
+  classifySignal,
+} from "../../src/config/signal-pipeline-manager.js";
+import {
+  SignalEngine,
+  DEFAULT_FUSION_WEIGHTS,
+  DEFAULT_SIGNAL_THRESHOLDS,
+  SIGNAL_INDICATORS,
+} from "../../src/unified-dashboard.js";
+
+const file = join(tmpdir(), `signal-pipelines-${process.pid}.yaml`);
+afterAll(() => rmSync(file, { force: true }));
+
+const yaml = (vwapWeight) => `
+pipelines:
+  base:
+    indicators: { hurst: 0.35, vwap: 0.3, tension: 0.2, compression: 0.15 }
+    thresholds:
+      - { label: up, above: 0 }
+      - { label: down }
+  vwap_only:
+    indicators: { vwap: { weight: ${vwapWeight} } }
+    thresholds:
+      - { label: up, above: 0.5 }
+      - { label: flat }
+assignments:
+  default: base
+  assetClasses:
+    chips: { pipeline: vwap_only, symbols: [NVDA, AMD] }
+  symbols:
+    AMD: base
+`;
+
+describe("SignalPipelineManager", () => {
+  it("ships a default pipeline matching the built-in fusion", () => {
+    const manager = new SignalPipelineManager(undefined, {
+      indicators: SIGNAL_INDICATORS,
+    });
+    const pipeline = manager.resolve("AAPL");
+    expect(pipeline.weights).toEqual(DEFAULT_FUSION_WEIGHTS);
+    expect(pipeline.thresholds).toEqual(DEFAULT_SIGNAL_THRESHOLDS);
+  });
+
+  it("resolves symbol > asset class > default", () => {
+    writeFileSync(file, yaml(1));
+    const manager = new SignalPipelineManager(file);
+    expect(manager.resolve("NVDA").name).toBe("vwap_only");
+    expect(manager.resolve("AMD").name).toBe("base");
+    expect(manager.resolve("AAPL").name).toBe("base");
+  });
+
+  it("reloads edits and keeps the old pipelines on invalid YAML", () => {
+    writeFileSync(file, yaml(1));
+    const manager = new SignalPipelineManager(file);
+
+    writeFileSync(file, yaml(2));
+    expect(manager.reload()).toBe(true);
+    expect(manager.resolve("NVDA").weights.vwap).toBe(2);
+
+    writeFileSync(file, yaml('"heavy"'));
+    expect(manager.reload()).toBe(false);
+    expect(manager.lastError).toMatch(/numeric weight/);
+    expect(manager.resolve("NVDA").weights.vwap).toBe(2);
+  });
+
+  it("rejects unknown indicators and unordered ladders", () => {
+    writeFileSync(file, yaml(1).replace("vwap: { weight", "gamma: { weight"));
+    expect(
+      () => new SignalPipelineManager(file, { indicators: SIGNAL_INDICATORS }),
+    ).toThrow(/unknown indicator "gamma"/);
+
+    writeFileSync(
+      file,
+      yaml(1).replace("{ label: flat }", "{ label: flat, above: 0.9 }"),
+    );
+    expect(() => new SignalPipelineManager(file)).toThrow(/descending/);
+  });
+});
+
+describe("SignalEngine with pipelines", () => {
+  it("classifies with the symbol's pipeline", () => {
+    writeFileSync(file, yaml(1));
+    const engine = new SignalEngine(null, {
+      pipelines: new SignalPipelineManager(file),
+    });
+    const tick = { price: 101, high: 101.1, low: 100.9, volume: 1000 };
+    const result = engine.fuse("NVDA", tick, null, { vwap: 90 });
+    expect(result.pipeline).toBe("vwap_only");
+    expect(result.signal).toBe("up"); // vwapSignal clamps to 1 > 0.5
+    expect(classifySignal(DEFAULT_SIGNAL_THRESHOLDS, -1)).toBe("bearish");
+  });
+});
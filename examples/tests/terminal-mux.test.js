@@ -0,0 +1,238 @@
+/**
+ * Tests for multiplexed terminal channels and saved pane layouts
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  TRADING_LAYOUT,
+  addTab,
+  listPanes,
+  removeNode,
+  setPaneSession,
+  splitPane,
+} from "../../src/components/Terminal/PaneLayout.ts";
+import {
+  ChannelSocket,
+  decodeChannelFrame,
+  encodeChannelFrame,
+} from "../../src/servers/terminal-mux.js";
+import {
+  LayoutStore,
+  validateLayout,
+} from "../../src/servers/terminal-layouts.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+describe("pane layouts", () => {
+  it("splits, tabs and closes panes", () => {
+    const ids = (layout) => listPanes(layout).map((pane) => pane.id);
+
+    // Same direction as the parent split: a new sibling
+    let layout = splitPane(TRADING_LAYOUT, "ticker", "horizontal");
+    const markets = layout.children[0];
+    expect(markets.children.map((c) => c.id)).toEqual([
+      "ticker",
+      "pane-6",
+      "monitor",
+    ]);
+
+    // Other direction: the pane becomes a split
+    layout = splitPane(layout, "shell", "horizontal");
+    expect(layout.children[1]).toMatchObject({
+      type: "split",
+      direction: "horizontal",
+      children: [{ id: "shell" }, { type: "pane" }],
+    });
+
+    layout = addTab(layout, "monitor");
+    const tabs = layout.children[0].children[2];
+    expect(tabs).toMatchObject({ type: "tabs", active: 1 });
+    expect(validateLayout(layout)).toBeNull();
+
+    // Closing collapses single-child splits and empty tabs
+    layout = removeNode(layout, tabs.children[1].id);
+    layout = removeNode(layout, layout.children[1].children[1].id);
+    expect(layout.children[1].id).toBe("shell");
+    expect(ids(layout)).toEqual(["ticker", "pane-6", "monitor", "shell"]);
+
+    layout = setPaneSession(layout, "shell", "session_1");
+    expect(listPanes(layout).at(-1).session).toBe("session_1");
+    expect(setPaneSession(layout, "shell", "session_1")).toBe(layout);
+    expect(removeNode({ type: "pane", id: "only" }, "only")).toBeNull();
+  });
+
+  it("validates layouts before they are saved", () => {
+    expect(validateLayout(TRADING_LAYOUT)).toBeNull();
+    expect(validateLayout({ type: "pane", id: "a b" })).toContain("id");
+    expect(
+      validateLayout({
+        type: "split",
+        id: "s",
+        direction: "diagonal",
+        children: [
+          { type: "pane", id: "a" },
+          { type: "pane", id: "b" },
+        ],
+      }),
+    ).toContain("direction");
+    expect(
+      validateLayout({
+        type: "split",
+        id: "s",
+        direction: "vertical",
+        children: [
+          { type: "pane", id: "a" },
+          { type: "pane", id: "a" },
+        ],
+      }),
+    ).toContain("used twice");
+    expect(
+      validateLayout({ type: "tabs", id: "t", active: 3, children: [] }),
+    ).toContain("children");
+  });
+});
+
+describe("ChannelSocket", () => {
+  it("tags messages and binary frames with the channel", () => {
+    const sent = [];
+    const socket = {
+      readyState: WebSocket.OPEN,
+      send: (frame) => sent.push(frame),
+    };
+    const closed = [];
+    const channel = new ChannelSocket(socket, "ticker", {}, (ch, code) =>
+      closed.push(code),
+    );
+
+    channel.send(JSON.stringify({ type: "terminal_data", data: "x" }));
+    expect(JSON.parse(sent[0])).toEqual({
+      channel: "ticker",
+      type: "terminal_data",
+      data: "x",
+    });
+
+    channel.send(new TextEncoder().encode("héllo"));
+    const { channel: id, payload } = decodeChannelFrame(sent[1]);
+    expect(id).toBe("ticker");
+    expect(new TextDecoder().decode(payload)).toBe("héllo");
+    expect(encodeChannelFrame("a", new Uint8Array([1]))).toEqual(
+      new Uint8Array([1, 97, 1]),
+    );
+
+    channel.close(4404, "Session not found");
+    channel.close();
+    expect(closed).toEqual([4404]);
+    expect(channel.readyState).toBe(WebSocket.CLOSED);
+    expect(channel.send("{}")).toBe(0);
+  });
+});
+
+describe("terminal-server multiplexing", () => {
+  it("runs several sessions over one socket", async () => {
+    const saved = new Map();
+    const server = startTerminalServer(0, {
+      auth: new WebSocketAuth({ localRole: "admin" }),
+      layouts: new LayoutStore({
+        load: async (req, key) => saved.get(key) ?? null,
+        save: async (req, key, value) => {
+          saved.set(key, value);
+          return `${key}=sealed; Path=/; HttpOnly`;
+        },
+      }),
+    });
+    const base = `localhost:${server.port}`;
+    const ws = new WebSocket(`ws://${base}/terminal/mux`);
+    const messages = [];
+    ws.onmessage = (event) => messages.push(JSON.parse(event.data));
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > 8000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+    const on = (channel, type) =>
+      messages.filter((m) => m.channel === channel && m.type === type);
+    const output = (channel) =>
+      on(channel, "terminal_data")
+        .map((m) => m.data)
+        .join("");
+    const send = (message) => ws.send(JSON.stringify(message));
+
+    await waitFor(() => messages.some((m) => m.type === "mux_ready"));
+    send({ type: "channel_open", channel: "left" });
+    send({ type: "channel_open", channel: "right" });
+    await waitFor(
+      () =>
+        on("left", "session_created").length &&
+        on("right", "session_created").length,
+    );
+    const [left] = on("left", "session_created");
+    const [right] = on("right", "session_created");
+    expect(left.sessionId).not.toBe(right.sessionId);
+
+    send({
+      type: "terminal_input",
+      channel: "left",
+      data: "echo LEFT-$((20+1))\r",
+    });
+    send({
+      type: "terminal_input",
+      channel: "right",
+      data: "echo RIGHT-$((20+2))\r",
+    });
+    await waitFor(
+      () =>
+        output("left").includes("LEFT-21") &&
+        output("right").includes("RIGHT-22"),
+    );
+    expect(output("left")).not.toContain("RIGHT-22");
+
+    // Detach one channel and attach another to the same session
+    send({ type: "channel_close", channel: "right" });
+    send({ type: "channel_open", channel: "copy", session: left.sessionId });
+    await waitFor(() => on("copy", "terminal_replay").length > 0);
+    expect(on("right", "channel_closed")[0]).toMatchObject({ code: 1000 });
+    expect(terminalSessions.get(right.sessionId).clients.size).toBe(0);
+    expect(on("copy", "terminal_replay")[0].data).toContain("LEFT-21");
+    expect(terminalSessions.get(left.sessionId).clients.size).toBe(2);
+
+    send({ type: "terminal_input", channel: "nope", data: "ls\r" });
+    await waitFor(() => messages.some((m) => m.code === "bad_channel"));
+
+    // Saved layouts round-trip through the store
+    const layoutURL = `http://${base}/api/layouts/trading`;
+    const put = await fetch(layoutURL, {
+      method: "PUT",
+      body: JSON.stringify(TRADING_LAYOUT),
+    });
+    expect(put.status).toBe(200);
+    expect(put.headers.get("set-cookie")).toContain("terminal_layouts=");
+    const { layouts } = await fetch(`http://${base}/api/layouts`).then((r) =>
+      r.json(),
+    );
+    expect(layouts.trading.layout).toEqual(TRADING_LAYOUT);
+    expect(
+      (
+        await fetch(layoutURL, {
+          method: "PUT",
+          body: JSON.stringify({ type: "pane" }),
+        })
+      ).status,
+    ).toBe(400);
+    expect((await fetch(layoutURL, { method: "DELETE" })).status).toBe(200);
+    expect((await fetch(layoutURL)).status).toBe(404);
+
+    ws.close();
+    await waitFor(
+      () => terminalSessions.get(left.sessionId)?.clients.size === 0,
+    );
+    for (const { sessionId } of [left, right]) {
+      await terminalSessions.get(sessionId)?.close();
+    }
+    server.stop(true);
+  }, 20000);
+});
@@ -0,0 +1,235 @@
+/**
+ * Tests for the terminal sandbox policy
+ */
+
+import { describe, it, expect } from "bun:test";
+import { mkdirSync, mkdtempSync, rmSync, symlinkSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import {
+  TerminalPolicy,
+  CommandLineGuard,
+  splitCommandLine,
+} from "../../src/servers/terminal-policy.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+function testPolicy() {
+  const policy = new TerminalPolicy(null);
+  policy.apply({
+    localRole: "admin",
+    defaultRole: "viewer",
+    env: { scrub: ["QUANTUM_SECRET", "*_TOKEN"] },
+    limits: { maxSessions: 5, cpuSeconds: 60, idleTimeout: "10m" },
+    roles: {
+      admin: { shell: true },
+      operator: {
+        allow: ["quantum.*", "echo", "git status", "bun run src/scripts/*"],
+        deny: ["echo *secret*"],
+      },
+      viewer: { restricted: true, allow: ["quantum.*"] },
+    },
+  });
+  return policy;
+}
+
+describe("TerminalPolicy", () => {
+  it("checks every command of a line against the role", () => {
+    const policy = testPolicy();
+    const allowed = (role, line) => policy.checkCommand(role, line).allowed;
+
+    expect(allowed("operator", "git status -s")).toBe(true);
+    expect(allowed("operator", "bun run src/scripts/financial-ticker.js")).toBe(
+      true,
+    );
+    expect(allowed("operator", "echo hi && quantum.status")).toBe(true);
+    expect(allowed("operator", "echo hi; rm -rf /")).toBe(false);
+    expect(allowed("operator", "echo the secret")).toBe(false);
+    expect(allowed("operator", "echo $(id)")).toBe(false);
+    expect(allowed("operator", "echo hi > out.txt")).toBe(false);
+    expect(allowed("operator", "git statusx")).toBe(false);
+    expect(allowed("viewer", "echo hi")).toBe(false);
+    expect(allowed("admin", "rm -rf /tmp/x")).toBe(true);
+    expect(policy.checkCommand("operator", "ls -la")).toMatchObject({
+      command: "ls -la",
+      reason: "Command is not allowed",
+    });
+  });
+
+  it("keeps allow wildcards within one path segment", () => {
+    const policy = testPolicy();
+    const allowed = (line) => policy.checkCommand("operator", line).allowed;
+
+    expect(allowed("bun run src/scripts/ticker.js --fast")).toBe(true);
+    expect(allowed("bun run src/scripts/../../anything.js")).toBe(false);
+    expect(allowed("bun run src/scripts/sub/x.js")).toBe(false);
+    expect(allowed("bun run src/scripts/..")).toBe(false);
+    expect(policy.checkCommand("operator", "echo ../x")).toMatchObject({
+      reason: "Parent directory (..) paths are not allowed",
+    });
+    expect(allowed("git status main..dev")).toBe(true);
+  });
+
+  it("denies paths in any argument position", () => {
+    const policy = testPolicy();
+    policy.apply({
+      roles: {
+        operator: {
+          allow: ["cat", "head", "tail", "ls"],
+          denyPaths: [".env", ".env.*", "*.pem"],
+        },
+      },
+    });
+    const check = (line) => policy.checkCommand("operator", line);
+
+    expect(check("head -n 5 .env")).toMatchObject({
+      allowed: false,
+      reason: "Path .env is denied",
+    });
+    expect(check("tail -f logs/app.log config/.env.local").allowed).toBe(false);
+    expect(check(`cat ".env"`).allowed).toBe(false);
+    expect(check("cat .e\\nv").allowed).toBe(false);
+    expect(check("cat certs/server.pem").allowed).toBe(false);
+    expect(check("cat .en?").reason).toContain("Wildcards");
+    expect(check("cat $FILE").allowed).toBe(false);
+    expect(check("ls ~").allowed).toBe(false);
+    expect(check("cat README.md .environment.md").allowed).toBe(true);
+    expect(check("cat 'a*b.txt'").allowed).toBe(true);
+  });
+
+  it("confines the shipped operator role to its working directory", () => {
+    const policy = new TerminalPolicy();
+    const check = (line) => policy.checkCommand("operator", line);
+
+    for (const line of [
+      "cat /proc/1/environ",
+      "cat /etc/passwd",
+      "tail -n 5 /root/.bash_history",
+      "git diff --no-index /proc/self/environ /dev/null",
+    ]) {
+      expect(check(line)).toMatchObject({
+        allowed: false,
+        reason: expect.stringContaining("outside the working directory"),
+      });
+    }
+    expect(check("git log --output=/tmp/x").allowed).toBe(false);
+    expect(check("git log --output=log.txt")).toMatchObject({
+      allowed: false,
+      reason: "Command is denied",
+    });
+    expect(check("git diff -o log.txt").allowed).toBe(false);
+    expect(check("ls $HOME").allowed).toBe(false);
+
+    expect(check("cat README.md").allowed).toBe(true);
+    expect(check("tail -n 5 src/config/features.yaml").allowed).toBe(true);
+    expect(check("git log --oneline -n 5").allowed).toBe(true);
+  });
+
+  it("follows symlinks out of the working directory", () => {
+    const dir = mkdtempSync(join(tmpdir(), "terminal-policy-"));
+    try {
+      mkdirSync(join(dir, "logs"));
+      symlinkSync("/etc", join(dir, "etc"));
+      const policy = testPolicy();
+      policy.apply({ roles: { operator: { allow: ["echo"], cwd: dir } } });
+      const allowed = (line) => policy.checkCommand("operator", line).allowed;
+
+      expect(allowed("echo logs new-file")).toBe(true);
+      expect(allowed("echo etc/passwd")).toBe(false);
+      expect(allowed("echo etc")).toBe(false);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("splits command lines outside of quotes", () => {
+    expect(splitCommandLine(`echo "a;b" | grep a || ls & pwd`)).toEqual([
+      'echo "a;b"',
+      "grep a",
+      "ls",
+      "pwd",
+    ]);
+  });
+
+  it("builds sandboxed spawn settings", () => {
+    const policy = testPolicy();
+    const config = policy.sessionConfig("viewer", {
+      env: { PATH: "/bin", QUANTUM_SECRET: "x", GITHUB_TOKEN: "y" },
+    });
+
+    expect(config.env).toEqual({ PATH: "/bin", TERM: "xterm-256color" });
+    expect(config.command).toBe("bash");
+    expect(config.args[1]).toContain("ulimit -t 60");
+    expect(config.args.slice(2)).toEqual(["bash", "--restricted", "-i"]);
+    expect(config.idleTimeout).toBe(600000);
+    expect(policy.roleForAddress("127.0.0.1")).toBe("admin");
+    expect(policy.roleForAddress("10.0.0.8")).toBe("viewer");
+    expect(() => policy.apply({ defaultRole: "nobody" })).toThrow();
+  });
+});
+
+describe("CommandLineGuard", () => {
+  it("tracks the typed line and drops history recall", () => {
+    const guard = new CommandLineGuard();
+    expect(guard.feed("ech\x1b[Ao x\x7f\x7fhi\r")).toEqual([
+      { type: "write", data: "echo x\x7f\x7fhi" },
+      { type: "submit", line: "echohi" },
+    ]);
+    expect(guard.feed("abc\x15ls\t\r")).toEqual([
+      { type: "write", data: "abc\x15ls" },
+      { type: "submit", line: "ls" },
+    ]);
+  });
+});
+
+describe("policy enforcement in terminal-server", () => {
+  it("reports denied commands as terminal_error", async () => {
+    const server = startTerminalServer(0, {
+      policy: testPolicy(),
+      auth: new WebSocketAuth({ localRole: "admin" }),
+      resolveRole: () => "operator",
+    });
+    const ws = new WebSocket(`ws://localhost:${server.port}/terminal`);
+    const messages = [];
+    ws.onmessage = (event) => messages.push(JSON.parse(event.data));
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > 4000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+
+    await waitFor(() => messages.some((m) => m.type === "session_created"));
+    const { sessionId, role } = messages.find(
+      (m) => m.type === "session_created",
+    );
+    expect(role).toBe("operator");
+
+    ws.send(
+      JSON.stringify({ type: "terminal_input", data: "cat /etc/passwd\r" }),
+    );
+    await waitFor(() => messages.some((m) => m.type === "terminal_error"));
+    expect(messages.find((m) => m.type === "terminal_error")).toMatchObject({
+      code: "command_denied",
+      command: "cat /etc/passwd",
+      role: "operator",
+    });
+
+    ws.send(JSON.stringify({ type: "terminal_input", data: "echo ALLOWED\r" }));
+    const output = () =>
+      messages
+        .filter((m) => m.type === "terminal_data")
+        .map((m) => m.data)
+        .join("");
+    await waitFor(() => /^ALLOWED/m.test(output()));
+    expect(output()).not.toContain("root:");
+
+    ws.close();
+    await terminalSessions.get(sessionId)?.close();
+    server.stop(true);
+  }, 10000);
+});
@@ -0,0 +1,306 @@
+/**
+ * Tests for detachable / reattachable and shared PTY sessions in
+ * terminal-server
+ */
+
+import { describe, it, expect, afterAll } from "bun:test";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { TerminalPolicy } from "../../src/servers/terminal-policy.js";
+import { WebSocketAuth, signToken } from "../../src/ws-auth.js";
+
+const server = startTerminalServer(0, {
+  detachGracePeriod: 1500,
+  auth: new WebSocketAuth({ localRole: "admin" }),
+});
+const base = `ws://localhost:${server.port}`;
+
+afterAll(async () => {
+  for (const session of terminalSessions.values()) await session.close();
+  server.stop(true);
+});
+
+/**
+ * Open a socket and collect parsed messages
+ */
+function connect(path) {
+  const ws = new WebSocket(`${base}${path}`);
+  ws.messages = [];
+  ws.closed = new Promise((resolve) => {
+    ws.onclose = (event) => resolve(event.code);
+  });
+  ws.onmessage = (event) => ws.messages.push(JSON.parse(event.data));
+  return ws;
+}
+
+async function waitFor(predicate, timeout = 4000) {
+  const start = Date.now();
+  while (!predicate()) {
+    if (Date.now() - start > timeout) throw new Error("Timed out");
+    await Bun.sleep(25);
+  }
+}
+
+describe("terminal session detach/reattach", () => {
+  it("keeps the PTY alive and replays scrollback on reattach", async () => {
+    const first = connect("/terminal");
+    await waitFor(() =>
+      first.messages.some((m) => m.type === "session_created"),
+    );
+    const { sessionId } = first.messages.find(
+      (m) => m.type === "session_created",
+    );
+
+    first.send(
+      JSON.stringify({ type: "terminal_input", data: "echo MARK-$((6*7))\n" }),
+    );
+    await waitFor(() =>
+      first.messages.some((m) => m.data?.includes("MARK-42")),
+    );
+    first.close();
+    await first.closed;
+
+    const info = await fetch(
+      `http://localhost:${server.port}/api/sessions/${sessionId}/attach`,
+    ).then((r) => r.json());
+    expect(info.attached).toBe(false);
+    expect(info.expiresAt).toBeGreaterThan(Date.now());
+
+    const second = connect(`/api/sessions/${sessionId}/attach`);
+    await waitFor(() =>
+      second.messages.some((m) => m.type === "session_attached"),
+    );
+    expect(second.messages[0].type).toBe("terminal_replay");
+    expect(second.messages[0].data).toContain("MARK-42");
+
+    second.close();
+    await second.closed;
+  });
+
+  it("closes sessions after the grace period and rejects stale ids", async () => {
+    const ws = connect("/terminal");
+    await waitFor(() => ws.messages.some((m) => m.type === "session_created"));
+    const { sessionId } = ws.messages.find((m) => m.type === "session_created");
+    ws.close();
+    await ws.closed;
+
+    await waitFor(() => !terminalSessions.has(sessionId), 5000);
+    const stale = connect(`/terminal?session=${sessionId}`);
+    expect(await stale.closed).toBe(4404);
+  }, 10000);
+});
+
+describe("shared terminal sessions", () => {
+  it("lets spectators watch, negotiates size and hands over control", async () => {
+    const operator = connect("/terminal");
+    await waitFor(() =>
+      operator.messages.some((m) => m.type === "session_created"),
+    );
+    const { sessionId, clientId: operatorId } = operator.messages.find(
+      (m) => m.type === "session_created",
+    );
+    operator.send(
+      JSON.stringify({ type: "terminal_resize", cols: 120, rows: 40 }),
+    );
+
+    const spectator = connect(`/terminal?session=${sessionId}&mode=view`);
+    const colleague = connect(`/api/sessions/${sessionId}/attach`);
+    await waitFor(
+      () =>
+        spectator.messages.some((m) => m.type === "session_attached") &&
+        colleague.messages.some((m) => m.type === "session_attached"),
+    );
+    const { clientId: colleagueId } = colleague.messages.find(
+      (m) => m.type === "session_attached",
+    );
+
+    // Spectators see operator output but cannot type
+    spectator.send(JSON.stringify({ type: "terminal_input", data: "exit\n" }));
+    await waitFor(() => spectator.messages.some((m) => m.type === "error"));
+    expect(spectator.messages.find((m) => m.type === "error").code).toBe(
+      "read_only",
+    );
+    operator.send(
+      JSON.stringify({
+        type: "terminal_input",
+        data: "echo SHARED-$((2+3))\n",
+      }),
+    );
+    await waitFor(() =>
+      spectator.messages.some((m) => m.data?.includes("SHARED-5")),
+    );
+
+    // The PTY follows the smallest reported size
+    spectator.send(
+      JSON.stringify({ type: "terminal_resize", cols: 100, rows: 30 }),
+    );
+    colleague.send(
+      JSON.stringify({ type: "terminal_resize", cols: 132, rows: 25 }),
+    );
+    await waitFor(() =>
+      operator.messages.some(
+        (m) => m.type === "terminal_size" && m.cols === 100 && m.rows === 25,
+      ),
+    );
+    expect(terminalSessions.get(sessionId).size).toEqual({
+      cols: 100,
+      rows: 25,
+    });
+
+    // Explicit handoff: request, then grant
+    colleague.send(JSON.stringify({ type: "control_request" }));
+    await waitFor(() =>
+      operator.messages.some((m) => m.type === "control_requested"),
+    );
+    operator.send(
+      JSON.stringify({ type: "control_grant", clientId: colleagueId }),
+    );
+    await waitFor(() =>
+      spectator.messages.some(
+        (m) => m.type === "control_changed" && m.controller === colleagueId,
+      ),
+    );
+
+    // Control returns to the remaining operator when the controller leaves
+    colleague.close();
+    await colleague.closed;
+    await waitFor(() =>
+      spectator.messages.some(
+        (m) => m.type === "control_changed" && m.controller === operatorId,
+      ),
+    );
+    const info = await fetch(
+      `http://localhost:${server.port}/api/sessions/${sessionId}/attach`,
+    ).then((r) => r.json());
+    expect(info.viewers.map((v) => v.mode).sort()).toEqual(["control", "view"]);
+    expect(info.size).toEqual({ cols: 100, rows: 30 });
+
+    spectator.close();
+    operator.close();
+    await Promise.all([spectator.closed, operator.closed]);
+  }, 10000);
+
+  it("clamps client-reported sizes", async () => {
+    const ws = connect("/terminal");
+    await waitFor(() => ws.messages.some((m) => m.type === "session_created"));
+    const { sessionId } = ws.messages.find((m) => m.type === "session_created");
+    const session = terminalSessions.get(sessionId);
+
+    ws.send(JSON.stringify({ type: "terminal_resize", cols: 1e5, rows: 1e5 }));
+    await waitFor(() => ws.messages.some((m) => m.type === "terminal_size"));
+    expect(session.size).toEqual({ cols: 500, rows: 500 });
+    expect(session.screen.cols).toBe(500);
+
+    // Not integers: the client no longer reports a size
+    const seen = ws.messages.length;
+    ws.send(
+      JSON.stringify({ type: "config", dimensions: { cols: "90", rows: 2.5 } }),
+    );
+    ws.send(JSON.stringify({ type: "terminal_resize", cols: -1, rows: 0 }));
+    await waitFor(
+      () =>
+        ws.messages.slice(seen).filter((m) => m.type === "viewers").length ===
+        2,
+    );
+    expect(
+      ws.messages.findLast((m) => m.type === "viewers").viewers[0],
+    ).toMatchObject({ cols: 0, rows: 0 });
+    expect(session.size).toEqual({ cols: 500, rows: 500 });
+
+    ws.close();
+    await ws.closed;
+  });
+});
+
+describe("session ownership", () => {
+  it("lets only the owner and admins see and attach to a session", async () => {
+    const secret = "test-secret";
+    const policy = new TerminalPolicy(null);
+    policy.apply({
+      roles: {
+        admin: { shell: true },
+        operator: { allow: ["echo"] },
+        viewer: { restricted: true },
+      },
+    });
+    const owned = startTerminalServer(0, {
+      policy,
+      auth: new WebSocketAuth({ secret }),
+      detachGracePeriod: 1500,
+    });
+    const token = (sub, role) =>
+      signToken({ sub, role, exp: Math.floor(Date.now() / 1000) + 60 }, secret);
+    const tokens = {
+      alice: token("alice", "operator"),
+      bob: token("bob", "operator"),
+      eve: token("eve", "viewer"),
+      root: token("root", "admin"),
+    };
+    const http = (path, user) =>
+      fetch(`http://localhost:${owned.port}${path}`, {
+        headers: { Authorization: `Bearer ${tokens[user]}` },
+      });
+    const open = (path, user) => {
+      const separator = path.includes("?") ? "&" : "?";
+      const ws = new WebSocket(
+        `ws://localhost:${owned.port}${path}${separator}access_token=${tokens[user]}`,
+      );
+      ws.messages = [];
+      ws.closed = new Promise((resolve) => {
+        ws.onclose = (event) => resolve(event.code);
+      });
+      ws.onmessage = (event) => ws.messages.push(JSON.parse(event.data));
+      return ws;
+    };
+    const listed = async (user) =>
+      (await (await http("/api/sessions", user)).json()).sessions.map(
+        (s) => s.id,
+      );
+
+    try {
+      const alice = open("/terminal", "alice");
+      await waitFor(() =>
+        alice.messages.some((m) => m.type === "session_created"),
+      );
+      const { sessionId } = alice.messages.find(
+        (m) => m.type === "session_created",
+      );
+      expect(terminalSessions.get(sessionId).owner).toEqual({
+        user: "alice",
+        role: "operator",
+      });
+
+      expect(await listed("alice")).toContain(sessionId);
+      expect(await listed("root")).toContain(sessionId);
+      expect(await listed("bob")).not.toContain(sessionId);
+      expect(await listed("eve")).not.toContain(sessionId);
+
+      const attach = `/api/sessions/${sessionId}/attach`;
+      expect((await http(attach, "bob")).status).toBe(403);
+      expect(
+        (await http(`/api/sessions/${sessionId}/screen`, "bob")).status,
+      ).toBe(404);
+      for (const [path, user] of [
+        [attach, "bob"],
+        [`/terminal?session=${sessionId}&mode=view`, "eve"],
+      ]) {
+        const ws = open(path, user);
+        await ws.closed;
+        expect(ws.messages).toEqual([]);
+      }
+
+      const admin = open(attach, "root");
+      await waitFor(() =>
+        admin.messages.some((m) => m.type === "session_attached"),
+      );
+      admin.close();
+      alice.close();
+      await Promise.all([admin.closed, alice.closed]);
+    } finally {
+      for (const session of terminalSessions.values()) await session.close();
+      owned.stop(true);
+    }
+  }, 10000);
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for the headless VT screen model and the screen API
+ */
+
+import { describe, it, expect } from "bun:test";
+import { TerminalScreen } from "../../src/servers/vt-screen.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+import { WebSocketAuth } from "../../src/ws-auth.js";
+
+describe("TerminalScreen", () => {
+  it("applies cursor moves, erases and wrapping", () => {
+    const screen = new TerminalScreen(10, 4);
+    screen.write("hello world");
+    expect(screen.toText()).toBe("hello worl\nd\n\n");
+
+    screen.write("\x1b[2J\x1b[2;3Habc\x1b[1;1Hxyz\x1b[2;4H\x1b[K");
+    expect(screen.toText()).toBe("xyz\n  a\n\n");
+    expect(screen.cursor).toEqual({ x: 3, y: 1 });
+
+    screen.write("\x1b[3;1H12345\x1b[3;2H\x1b[2P\x1b[@");
+    expect(screen.toText().split("\n")[2]).toBe("1 45");
+  });
+
+  it("keeps SGR colors per cell", () => {
+    const screen = new TerminalScreen(20, 2);
+    screen.write("\x1b[1;31mred\x1b[0m \x1b[38;5;208mo\x1b[38;2;1;2;3mt\x1b[m");
+    const [line] = screen.toJSON().lines;
+    expect(line[0]).toEqual({ ch: "r", fg: 1, bold: true });
+    expect(line[3]).toEqual({ ch: " " });
+    expect(line[4]).toEqual({ ch: "o", fg: 208 });
+    expect(line[5]).toEqual({ ch: "t", fg: "#010203" });
+    expect(screen.toHTML()).toContain(
+      '<span style="color:#cd0000;font-weight:bold">red</span>',
+    );
+  });
+
+  it("scrolls into scrollback and isolates the alternate screen", () => {
+    const screen = new TerminalScreen(10, 3, { scrollback: 2 });
+    screen.write("one\r\ntwo\r\nthree\r\nfour\r\nfive");
+    expect(screen.toText()).toBe("three\nfour\nfive");
+    expect(screen.toText({ scrollback: true })).toBe(
+      "one\ntwo\nthree\nfour\nfive",
+    );
+
+    screen.write("\x1b[?1049h\x1b[H\x1b[2Jless <b>");
+    expect(screen.altScreen).toBe(true);
+    expect(screen.toText()).toBe("less <b>\n\n");
+    screen.write("\x1b[?1049l");
+    expect(screen.toText()).toBe("three\nfour\nfive");
+    expect(screen.cursor).toEqual({ x: 4, y: 2 });
+
+    expect(screen.search("O")).toMatchObject([
+      { row: 0, column: 0, text: "one", scrollback: true },
+      { row: 1, column: 2, text: "two", scrollback: true },
+      { row: 3, column: 1, text: "four", scrollback: false },
+    ]);
+  });
+
+  it("rebuilds itself from its ANSI snapshot", () => {
+    const screen = new TerminalScreen(12, 3);
+    screen.write("a\r\n\x1b[44mb\x1b[0m\r\nc\r\nd\x1b]2;title\x07\x1b[?25l");
+    const copy = new TerminalScreen(12, 3);
+    copy.write(screen.toANSI());
+    expect(copy.toJSON({ scrollback: true })).toEqual(
+      screen.toJSON({ scrollback: true }),
+    );
+  });
+});
+
+describe("screen API", () => {
+  it("serves the parsed screen of a session", async () => {
+    const server = startTerminalServer(0, {
+      auth: new WebSocketAuth({ localRole: "admin" }),
+    });
+    const base = `localhost:${server.port}`;
+    const ws = new WebSocket(`ws://${base}/terminal`);
+    const messages = [];
+    ws.onmessage = (event) => messages.push(JSON.parse(event.data));
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!(await predicate())) {
+        if (Date.now() - start > 4000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+
+    await waitFor(() => messages.some((m) => m.type === "session_created"));
+    const { sessionId } = messages.find((m) => m.type === "session_created");
+    ws.send(
+      JSON.stringify({
+        type: "terminal_input",
+        data: "printf '\\033[32mSCREEN-%s\\033[0m\\n' $((6*7))\r",
+      }),
+    );
+
+    const screenURL = `http://${base}/api/sessions/${sessionId}/screen`;
+    await waitFor(async () =>
+      /^SCREEN-42$/m.test(await (await fetch(screenURL)).text()),
+    );
+
+    const json = await fetch(`${screenURL}?format=json`).then((r) => r.json());
+    expect(json).toMatchObject({ sessionId, cols: 80, rows: 24 });
+    expect(json.lines.flat()).toContainEqual({ ch: "S", fg: 2 });
+    expect(
+      await fetch(`${screenURL}?format=html`).then((r) => r.text()),
+    ).toContain('<span style="color:#00cd00">SCREEN-42</span>');
+    const found = await fetch(`${screenURL}?search=screen-42`).then((r) =>
+      r.json(),
+    );
+    expect(found.matches.map((m) => m.text)).toContain("SCREEN-42");
+    expect((await fetch(`${screenURL}?format=pdf`)).status).toBe(400);
+    expect(
+      (await fetch(`http://${base}/api/sessions/nope/screen`)).status,
+    ).toBe(404);
+
+    ws.close();
+    await terminalSessions.get(sessionId)?.close();
+    server.stop(true);
+  }, 10000);
+});
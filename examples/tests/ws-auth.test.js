@@ -0,0 +1,225 @@
+/**
+ * Tests for WebSocket authentication and role checks
+ */
+
+import { describe, it, expect } from "bun:test";
+import {
+  WebSocketAuth,
+  signToken,
+  verifyToken,
+  roleAtLeast,
+} from "../../src/ws-auth.js";
+import {
+  startTerminalServer,
+  terminalSessions,
+} from "../../src/servers/terminal-server.js";
+
+const secret = "test-secret";
+const exp = () => Math.floor(Date.now() / 1000) + 3600;
+
+function request(url, headers = {}) {
+  return new Request(url, { headers });
+}
+
+function serverFrom(address) {
+  return { requestIP: () => ({ address }) };
+}
+
+describe("bearer tokens", () => {
+  it("verifies signature and expiry", () => {
+    const token = signToken(
+      { sub: "alice", role: "operator", exp: exp() },
+      secret,
+    );
+    expect(verifyToken(token, secret)).toMatchObject({
+      sub: "alice",
+      role: "operator",
+    });
+    expect(verifyToken(token, "other-secret")).toBeNull();
+
+    const [payload, mac] = token.split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ sub: "alice", role: "admin", exp: exp() }),
+    ).toString("base64url");
+    expect(verifyToken(`${forged}.${mac}`, secret)).toBeNull();
+    expect(verifyToken(`${payload}`, secret)).toBeNull();
+
+    const expired = signToken({ sub: "bob", role: "viewer", exp: 1 }, secret);
+    expect(verifyToken(expired, secret)).toBeNull();
+    const forever = signToken({ sub: "bob", role: "admin" }, secret);
+    expect(verifyToken(forever, secret)).toBeNull();
+  });
+});
+
+describe("WebSocketAuth", () => {
+  it("identifies clients by token, cookie or loopback address", async () => {
+    const auth = new WebSocketAuth({
+      secret,
+      localRole: "admin",
+      loadSession: async (req, key) =>
+        key === "session" && req.headers.get("cookie") === "vault=ok"
+          ? { user: "carol", role: "viewer" }
+          : null,
+    });
+    const token = signToken(
+      { sub: "alice", role: "operator", exp: exp() },
+      secret,
+    );
+    const remote = serverFrom("10.1.2.3");
+
+    expect(
+      await auth.authenticate(
+        request("http://x/terminal", { authorization: `Bearer ${token}` }),
+        remote,
+      ),
+    ).toEqual({ user: "alice", role: "operator", via: "bearer" });
+    expect(
+      await auth.authenticate(
+        request(`http://x/terminal?access_token=${token}`),
+        remote,
+      ),
+    ).toMatchObject({ role: "operator" });
+    expect(
+      await auth.authenticate(
+        request("http://x/terminal", { cookie: "vault=ok" }),
+        remote,
+      ),
+    ).toEqual({ user: "carol", role: "viewer", via: "cookie" });
+
+    // Bad tokens are rejected even from loopback
+    expect(
+      await auth.authenticate(
+        request("http://x/terminal?access_token=nope.nope"),
+        serverFrom("127.0.0.1"),
+      ),
+    ).toBeNull();
+    expect(
+      await auth.authenticate(request("http://x/"), serverFrom("127.0.0.1")),
+    ).toMatchObject({ role: "admin", via: "anonymous" });
+    expect(await auth.authenticate(request("http://x/"), remote)).toBeNull();
+  });
+
+  it("requires credentials on loopback unless localRole allows it", async () => {
+    const local = serverFrom("127.0.0.1");
+    const anonymous = (auth, server = local) =>
+      auth.authenticate(request("http://x/"), server);
+
+    expect(await anonymous(new WebSocketAuth({ secret }))).toBeNull();
+    expect(() => new WebSocketAuth({ localRole: "root" })).toThrow(
+      "Unknown local role",
+    );
+
+    // A server's own anonymousRole never exceeds localRole on loopback
+    const policyRole = () => "admin";
+    expect(
+      await anonymous(
+        new WebSocketAuth({
+          secret,
+          localRole: "none",
+          anonymousRole: policyRole,
+        }),
+      ),
+    ).toBeNull();
+    expect(
+      await anonymous(
+        new WebSocketAuth({
+          secret,
+          localRole: "viewer",
+          anonymousRole: policyRole,
+        }),
+      ),
+    ).toMatchObject({ role: "viewer", via: "anonymous" });
+    expect(
+      await anonymous(
+        new WebSocketAuth({
+          secret,
+          localRole: "viewer",
+          anonymousRole: policyRole,
+        }),
+        serverFrom("10.1.2.3"),
+      ),
+    ).toMatchObject({ role: "admin" });
+  });
+
+  it("orders roles and checks message types", () => {
+    const auth = new WebSocketAuth({ secret });
+    expect(roleAtLeast("admin", "operator")).toBe(true);
+    expect(roleAtLeast("viewer", "operator")).toBe(false);
+    expect(auth.permits("viewer", "terminal_resize")).toBe(true);
+    expect(auth.permits("viewer", "terminal_input")).toBe(false);
+    expect(auth.permits("operator", "terminal_command")).toBe(true);
+    expect(auth.permits("operator", "something_new")).toBe(false);
+  });
+});
+
+describe("terminal-server authentication", () => {
+  it("rejects anonymous upgrades and keeps viewers read-only", async () => {
+    const auth = new WebSocketAuth({ secret, localRole: "none" });
+    const server = startTerminalServer(0, { auth });
+    const base = `localhost:${server.port}`;
+    const operator = signToken(
+      { sub: "op", role: "operator", exp: exp() },
+      secret,
+    );
+    const viewer = signToken({ sub: "vi", role: "viewer", exp: exp() }, secret);
+    // The operator's own read-only token
+    const opViewer = signToken(
+      { sub: "op", role: "viewer", exp: exp() },
+      secret,
+    );
+
+    expect((await fetch(`http://${base}/terminal`)).status).toBe(401);
+    expect((await fetch(`http://${base}/api/sessions`)).status).toBe(401);
+    expect((await fetch(`http://${base}/health`)).status).toBe(200);
+    expect(
+      (
+        await fetch(`http://${base}/api/recordings`, {
+          headers: { authorization: `Bearer ${viewer}` },
+        })
+      ).status,
+    ).toBe(403);
+
+    const open = (query) => {
+      const ws = new WebSocket(`ws://${base}/terminal?${query}`);
+      ws.messages = [];
+      ws.onmessage = (event) => ws.messages.push(JSON.parse(event.data));
+      return ws;
+    };
+    const waitFor = async (predicate) => {
+      const start = Date.now();
+      while (!predicate()) {
+        if (Date.now() - start > 4000) throw new Error("Timed out");
+        await Bun.sleep(25);
+      }
+    };
+
+    const op = open(`access_token=${operator}`);
+    await waitFor(() => op.messages.some((m) => m.type === "session_created"));
+    const { sessionId } = op.messages.find((m) => m.type === "session_created");
+
+    // Other users' sessions are off limits
+    const stranger = open(`session=${sessionId}&access_token=${viewer}`);
+    await new Promise((resolve) => (stranger.onclose = resolve));
+    expect(stranger.messages).toEqual([]);
+
+    const watcher = open(`session=${sessionId}&access_token=${opViewer}`);
+    await waitFor(() =>
+      watcher.messages.some((m) => m.type === "session_attached"),
+    );
+    expect(
+      watcher.messages.find((m) => m.type === "session_attached").mode,
+    ).toBe("view");
+    watcher.send(JSON.stringify({ type: "terminal_input", data: "id\r" }));
+    await waitFor(() =>
+      watcher.messages.some((m) => m.type === "terminal_error"),
+    );
+    expect(
+      watcher.messages.find((m) => m.type === "terminal_error"),
+    ).toMatchObject({ code: "forbidden", role: "viewer" });
+
+    watcher.close();
+    op.close();
+    await terminalSessions.get(sessionId)?.close();
+    server.stop(true);
+  }, 10000);
+});
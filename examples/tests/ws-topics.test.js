@@ -0,0 +1,103 @@
+/**
+ * Tests for per-topic WebSocket subscriptions and JSON Patch deltas
+ */
+
+import { describe, it, expect } from "bun:test";
+import { diffJSON, applyPatch, TopicHub } from "../../src/ws-topics.js";
+
+function fakeSocket() {
+  return {
+    sent: [],
+    subscribed: new Set(),
+    send(message) {
+      this.sent.push(JSON.parse(message));
+    },
+    subscribe(topic) {
+      this.subscribed.add(topic);
+    },
+    unsubscribe(topic) {
+      this.subscribed.delete(topic);
+    },
+  };
+}
+
+describe("diffJSON", () => {
+  it("produces patches that rebuild the next document", () => {
+    const previous = { price: "1.00", tags: [1, 2], meta: { a: 1, "x/y": 2 } };
+    const next = { price: "1.10", tags: [1, 3], meta: { b: 2, "x/y": 2 } };
+    const ops = diffJSON(previous, next);
+
+    expect(ops).toEqual([
+      { op: "replace", path: "/price", value: "1.10" },
+      { op: "replace", path: "/tags/1", value: 3 },
+      { op: "remove", path: "/meta/a" },
+      { op: "add", path: "/meta/b", value: 2 },
+    ]);
+    expect(applyPatch(structuredClone(previous), ops)).toEqual(next);
+    expect(diffJSON(next, structuredClone(next))).toEqual([]);
+  });
+});
+
+describe("TopicHub", () => {
+  it("sends a snapshot on subscribe, then publishes deltas", () => {
+    const published = [];
+    const hub = new TopicHub({
+      publish: (topic, message) => published.push(JSON.parse(message)),
+    });
+    hub.update("tension", { current: 0.2, status: "low" });
+
+    const ws = fakeSocket();
+    hub.handleMessage(ws, JSON.stringify({ subscribe: "tension" }));
+    expect(ws.sent[0]).toMatchObject({
+      type: "snapshot",
+      seq: 0,
+      data: { current: 0.2 },
+    });
+
+    hub.update("tension", { current: 0.2, status: "low" }); // unchanged
+    hub.update("tension", { current: 0.4, status: "normal" });
+    expect(published).toEqual([
+      {
+        type: "patch",
+        topic: "tension",
+        seq: 1,
+        ops: [
+          { op: "replace", path: "/current", value: 0.4 },
+          { op: "replace", path: "/status", value: "normal" },
+        ],
+      },
+    ]);
+  });
+
+  it("keeps subscriber counts accurate across unsubscribe and close", () => {
+    const hub = new TopicHub({ validate: (topic) => topic !== "bogus" });
+    const a = fakeSocket();
+    const b = fakeSocket();
+    hub.subscribe(a, "tickers:AAPL");
+    hub.subscribe(a, "tickers:AAPL"); // resync, not a second subscription
+    hub.subscribe(b, "tickers:AAPL");
+    hub.subscribe(b, "health");
+    expect(hub.describe()).toEqual({
+      topics: { "tickers:AAPL": 2, health: 1 },
+      totalSubscribers: 3,
+    });
+
+    hub.handleMessage(a, JSON.stringify({ unsubscribe: ["tickers:AAPL"] }));
+    hub.release(b);
+    expect(hub.describe()).toEqual({ topics: {}, totalSubscribers: 0 });
+
+    hub.subscribe(a, "bogus");
+    expect(a.sent.at(-1)).toEqual({
+      type: "error",
+      error: "Unknown topic: bogus",
+    });
+
+    for (const message of ["null", "1", '"tension"']) {
+      expect(() => hub.handleMessage(a, message)).not.toThrow();
+      expect(a.sent.at(-1)).toMatchObject({
+        type: "error",
+        error: expect.stringContaining("Expected an object"),
+      });
+    }
+  });
+});
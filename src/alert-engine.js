@@ -0,0 +1,799 @@
+/**
+ * alert-engine.js - Alert rules engine with notification sinks
+ *
+ * Rules are expressions over any dashboard metric, loaded from YAML
+ * (src/config/alert-rules.yaml) and hot-reloaded:
+ *
+ *   - name: price_move
+ *     expr: abs(financial.*.changePercent) > 3
+ *     resolve: abs(financial.*.changePercent) < 2   # hysteresis
+ *     for: 30s                                      # must hold this long
+ *     severity: warning
+ *     label: symbol                                 # names the * match
+ *
+ * Lifecycle per alert instance (rule + labels):
+ *   inactive -> pending (expr true) -> firing (held for `for`)
+ *   firing -> resolved (resolve expr true, or expr false without one)
+ * Sinks are notified on firing/resolved transitions only (plus every
+ * `repeat` while firing), so a condition that stays true notifies once.
+ * Silences suppress notifications for matching alerts until they expire.
+ */
+
+import { appendFileSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { loadYAMLConfig, watchReload } from "./hot-reload.js";
+import { parseStep } from "./metrics-history.js";
+
+export const DEFAULT_ALERT_RULES_PATH = new URL(
+  "./config/alert-rules.yaml",
+  import.meta.url,
+).pathname;
+
+export const SEVERITIES = ["info", "warning", "critical"];
+
+const MAX_RESOLVED = 100;
+const DEFAULT_WEBHOOK_TIMEOUT = 5000;
+
+// ============================================================================
+// EXPRESSIONS
+// ============================================================================
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  min: Math.min,
+  max: Math.max,
+};
+
+const TOKEN_PATTERN =
+  /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_]\w*(?:\.(?:\*|\w+))*)|("[^"]*"|'[^']*')|(>=|<=|==|!=|&&|\|\||[-+*/%()<>!,]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN_PATTERN.lastIndex))) break;
+    const start = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) {
+      throw new Error(
+        `Unexpected input at ${start}: "${source.slice(start).trim()}"`,
+      );
+    }
+    const [, number, path, string, op] = match;
+    if (number !== undefined) tokens.push({ type: "number", value: +number });
+    else if (path !== undefined) tokens.push({ type: "path", value: path });
+    else if (string !== undefined) {
+      tokens.push({ type: "string", value: string.slice(1, -1) });
+    } else tokens.push({ type: "op", value: op });
+  }
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser producing a small AST:
+ * or > and > comparison > additive > multiplicative > unary > primary
+ */
+function parse(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const accept = (...ops) => {
+    const token = tokens[pos];
+    if (token?.type === "op" && ops.includes(token.value)) {
+      pos++;
+      return token.value;
+    }
+    return null;
+  };
+  const expect = (op) => {
+    if (!accept(op)) throw new Error(`Expected "${op}" in "${source}"`);
+  };
+
+  const binary = (next, ops) => () => {
+    let left = next();
+    let op;
+    while ((op = accept(...ops))) {
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error(`Unexpected end of "${source}"`);
+    if (token.type === "number" || token.type === "string") {
+      return { type: "literal", value: token.value };
+    }
+    if (token.type === "path") {
+      if (accept("(")) {
+        if (!FUNCTIONS[token.value]) {
+          throw new Error(`Unknown function "${token.value}"`);
+        }
+        const args = [];
+        if (!accept(")")) {
+          do args.push(or());
+          while (accept(","));
+          expect(")");
+        }
+        return { type: "call", name: token.value, args };
+      }
+      if (token.value === "true" || token.value === "false") {
+        return { type: "literal", value: token.value === "true" };
+      }
+      return { type: "path", segments: token.value.split(".") };
+    }
+    if (token.value === "(") {
+      const inner = or();
+      expect(")");
+      return inner;
+    }
+    throw new Error(`Unexpected "${token.value}" in "${source}"`);
+  };
+
+  const unary = () => {
+    const op = accept("-", "!");
+    return op ? { type: "unary", op, operand: unary() } : primary();
+  };
+  const multiplicative = binary(unary, ["*", "/", "%"]);
+  const additive = binary(multiplicative, ["+", "-"]);
+  const comparison = () => {
+    const left = additive();
+    const op = accept(">", ">=", "<", "<=", "==", "!=");
+    return op ? { type: "compare", op, left, right: additive() } : left;
+  };
+  const and = binary(comparison, ["&&"]);
+  const or = binary(and, ["||"]);
+
+  const ast = or();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${peek().value}" in "${source}"`);
+  }
+  return ast;
+}
+
+/**
+ * Metric values arrive as numbers or formatted strings ("1.23", "12.5ms")
+ */
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function resolvePath(context, segments, binding) {
+  let value = context;
+  for (const segment of segments) {
+    if (value === null || value === undefined) return undefined;
+    const key = segment === "*" ? binding : segment;
+    value = value instanceof Map ? value.get(key) : value[key];
+  }
+  return value;
+}
+
+function evaluateNode(node, context, binding) {
+  switch (node.type) {
+    case "literal":
+      return node.value;
+    case "path":
+      return resolvePath(context, node.segments, binding);
+    case "call":
+      return FUNCTIONS[node.name](
+        ...node.args.map((arg) =>
+          toNumber(evaluateNode(arg, context, binding)),
+        ),
+      );
+    case "unary": {
+      const value = evaluateNode(node.operand, context, binding);
+      return node.op === "!" ? !value : -toNumber(value);
+    }
+    case "compare": {
+      let left = evaluateNode(node.left, context, binding);
+      let right = evaluateNode(node.right, context, binding);
+      if (left === undefined || right === undefined) return false;
+      if (typeof left === "number" || typeof right === "number") {
+        left = toNumber(left);
+        right = toNumber(right);
+        if (Number.isNaN(left) || Number.isNaN(right)) return false;
+      }
+      switch (node.op) {
+        case ">":
+          return left > right;
+        case ">=":
+          return left >= right;
+        case "<":
+          return left < right;
+        case "<=":
+          return left <= right;
+        case "==":
+          return left == right;
+        default:
+          return left != right;
+      }
+    }
+    case "binary": {
+      if (node.op === "&&") {
+        return (
+          !!evaluateNode(node.left, context, binding) &&
+          !!evaluateNode(node.right, context, binding)
+        );
+      }
+      if (node.op === "||") {
+        return (
+          !!evaluateNode(node.left, context, binding) ||
+          !!evaluateNode(node.right, context, binding)
+        );
+      }
+      const left = toNumber(evaluateNode(node.left, context, binding));
+      const right = toNumber(evaluateNode(node.right, context, binding));
+      if (node.op === "+") return left + right;
+      if (node.op === "-") return left - right;
+      if (node.op === "*") return left * right;
+      if (node.op === "/") return right === 0 ? NaN : left / right;
+      return left % right;
+    }
+  }
+}
+
+function wildcardPrefixes(node, prefixes = []) {
+  if (node.type === "path") {
+    const index = node.segments.indexOf("*");
+    if (index !== -1) prefixes.push(node.segments.slice(0, index).join("."));
+  }
+  for (const child of [
+    node.left,
+    node.right,
+    node.operand,
+    ...(node.args || []),
+  ]) {
+    if (child) wildcardPrefixes(child, prefixes);
+  }
+  return prefixes;
+}
+
+/**
+ * Compile an expression. `*` path segments expand over the keys found at
+ * that point (e.g. each symbol under financial.*); all wildcards in one
+ * expression must share the same prefix.
+ *
+ * @returns {{ source, wildcard, bindings(context), test(context, binding), value(context, binding) }}
+ */
+export function compileExpression(source) {
+  const ast = parse(String(source));
+  const prefixes = [...new Set(wildcardPrefixes(ast))];
+  if (prefixes.length > 1) {
+    throw new Error(
+      `Expression "${source}" mixes wildcards (${prefixes.join(", ")})`,
+    );
+  }
+  const wildcard = prefixes[0] ?? null;
+  // Reported alert value: left side of a top-level comparison, or of the
+  // first one in an && chain (e.g. a range: x > 80 && x <= 96)
+  let valueNode = ast;
+  while (valueNode.type === "binary" && valueNode.op === "&&") {
+    valueNode = valueNode.left;
+  }
+  if (valueNode.type === "compare") valueNode = valueNode.left;
+  else valueNode = ast;
+
+  return {
+    source: String(source),
+    wildcard,
+    bindings(context) {
+      if (wildcard === null) return [null];
+      const container = resolvePath(context, wildcard.split("."), null);
+      if (!container || typeof container !== "object") return [];
+      return container instanceof Map
+        ? Array.from(container.keys())
+        : Object.keys(container);
+    },
+    test: (context, binding = null) => !!evaluateNode(ast, context, binding),
+    value: (context, binding = null) => {
+      const value = evaluateNode(valueNode, context, binding);
+      const number = toNumber(value);
+      return Number.isNaN(number) ? (value ?? null) : number;
+    },
+  };
+}
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Validate one rule definition and compile its expressions
+ */
+export function compileRule(definition, index = 0) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Alert rule ${index} must be a mapping`);
+  }
+  const name = definition.name;
+  if (!name) throw new Error(`Alert rule ${index} has no name`);
+  if (!definition.expr) throw new Error(`Alert rule "${name}" has no expr`);
+
+  const severity = definition.severity || "warning";
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(
+      `Alert rule "${name}": unknown severity "${severity}" (expected: ${SEVERITIES.join(", ")})`,
+    );
+  }
+
+  let expr;
+  let resolve = null;
+  try {
+    expr = compileExpression(definition.expr);
+    if (definition.resolve) resolve = compileExpression(definition.resolve);
+  } catch (error) {
+    throw new Error(`Alert rule "${name}": ${error.message}`);
+  }
+  if (resolve && resolve.wildcard !== expr.wildcard) {
+    throw new Error(
+      `Alert rule "${name}": resolve must use the same wildcard as expr`,
+    );
+  }
+
+  return {
+    name,
+    expr,
+    resolve,
+    for: parseStep(definition.for ?? 0),
+    repeat: parseStep(definition.repeat ?? null),
+    severity,
+    label: definition.label || "key",
+    summary: definition.summary || `${name}: ${definition.expr}`,
+    labels: definition.labels || {},
+  };
+}
+
+function fingerprint(rule, labels) {
+  const parts = Object.entries(labels)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`);
+  return `${rule}{${parts.join(",")}}`;
+}
+
+function renderSummary(template, alert) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => {
+    if (key === "value") {
+      return typeof alert.value === "number"
+        ? String(Math.round(alert.value * 1000) / 1000)
+        : String(alert.value);
+    }
+    return alert.labels[key] ?? match;
+  });
+}
+
+// ============================================================================
+// SINKS
+// ============================================================================
+
+function severityAtLeast(severity, minimum) {
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(minimum);
+}
+
+/**
+ * Base sink: subclasses implement send(events) for a batch of events at or
+ * above minSeverity
+ */
+export class AlertSink {
+  constructor(options = {}) {
+    this.minSeverity = options.minSeverity || "info";
+  }
+
+  accepts(event) {
+    return severityAtLeast(event.severity, this.minSeverity);
+  }
+
+  async send() {
+    throw new Error(`${this.constructor.name}.send() not implemented`);
+  }
+
+  describe() {
+    return { type: this.type, minSeverity: this.minSeverity };
+  }
+}
+
+/**
+ * POST a batch of alert events as JSON, giving up after `timeout` ms so a
+ * hung endpoint cannot stall notifications
+ */
+export class WebhookSink extends AlertSink {
+  constructor(options = {}) {
+    super(options);
+    if (!options.url) throw new Error("Webhook sink needs a url");
+    this.type = "webhook";
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.source = options.source || "unified-dashboard";
+    this.timeout = options.timeout || DEFAULT_WEBHOOK_TIMEOUT;
+  }
+
+  async send(events) {
+    const response = await fetch(this.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...this.headers },
+      body: JSON.stringify({
+        source: this.source,
+        timestamp: Date.now(),
+        alerts: events,
+      }),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+  }
+
+  describe() {
+    return { ...super.describe(), url: this.url };
+  }
+}
+
+/**
+ * Append alert events to a JSON Lines file
+ */
+export class FileSink extends AlertSink {
+  constructor(options = {}) {
+    super(options);
+    if (!options.path) throw new Error("File sink needs a path");
+    this.type = "file";
+    this.path = options.path;
+    mkdirSync(dirname(this.path), { recursive: true });
+  }
+
+  async send(events) {
+    appendFileSync(
+      this.path,
+      events.map((event) => JSON.stringify(event) + "\n").join(""),
+    );
+  }
+
+  describe() {
+    return { ...super.describe(), path: this.path };
+  }
+}
+
+/**
+ * Ring the terminal bell and print one line per event
+ */
+export class BellSink extends AlertSink {
+  constructor(options = {}) {
+    super(options);
+    this.type = "bell";
+    this.stream = options.stream || process.stderr;
+  }
+
+  async send(events) {
+    const lines = events.map(
+      (event) =>
+        `${event.status === "firing" ? "🚨" : "✅"} [${event.severity}] ${event.summary}`,
+    );
+    this.stream.write(`\x07${lines.join("\n")}\n`);
+  }
+}
+
+/**
+ * Hand alert events to a function (for in-process consumers such as the
+ * monitoring dashboard; not configurable from YAML)
+ */
+export class CallbackSink extends AlertSink {
+  constructor(options = {}) {
+    super(options);
+    if (typeof options.callback !== "function") {
+      throw new Error("Callback sink needs a callback");
+    }
+    this.type = "callback";
+    this.callback = options.callback;
+  }
+
+  async send(events) {
+    await this.callback(events);
+  }
+}
+
+const SINK_TYPES = {
+  webhook: WebhookSink,
+  file: FileSink,
+  bell: BellSink,
+};
+
+export function createSink(definition) {
+  const Sink = SINK_TYPES[definition?.type];
+  if (!Sink) {
+    throw new Error(
+      `Unknown alert sink "${definition?.type}" (expected: ${Object.keys(SINK_TYPES).join(", ")})`,
+    );
+  }
+  return new Sink(definition);
+}
+
+// ============================================================================
+// ALERT ENGINE
+// ============================================================================
+
+class AlertEngine {
+  /**
+   * @param {string|null} path - Rules YAML file (null: rules via apply())
+   * @param {Object} options - { sinks: extra AlertSink instances }
+   */
+  constructor(path = DEFAULT_ALERT_RULES_PATH, options = {}) {
+    this.path = path;
+    this.extraSinks = options.sinks || [];
+    this.rules = [];
+    this.sinks = [...this.extraSinks];
+    this.active = new Map(); // fingerprint -> pending/firing alert
+    this.resolved = [];
+    this.silences = new Map();
+    this.nextSilenceId = 1;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.lastEvaluation = null;
+    this.watcher = null;
+    if (path) this.load();
+  }
+
+  /**
+   * Load rules from disk (throws on the first load, keeps the previous
+   * rules on later loads)
+   */
+  load() {
+    return loadYAMLConfig(this, "Alert rules");
+  }
+
+  /**
+   * Compile a parsed YAML document ({ rules, sinks }) and swap it in
+   */
+  apply(document) {
+    const rules = (document?.rules || []).map(compileRule);
+    const names = new Set();
+    for (const rule of rules) {
+      if (names.has(rule.name)) {
+        throw new Error(`Duplicate alert rule "${rule.name}"`);
+      }
+      names.add(rule.name);
+    }
+    const sinks = (document?.sinks || []).map(createSink);
+
+    this.rules = rules;
+    this.sinks = [...sinks, ...this.extraSinks];
+    // Drop state for rules that no longer exist
+    for (const [key, alert] of this.active) {
+      if (!names.has(alert.rule)) this.active.delete(key);
+    }
+  }
+
+  reload() {
+    console.log("🔄 Reloading alert rules...");
+    return this.load();
+  }
+
+  addSink(sink) {
+    this.extraSinks.push(sink);
+    this.sinks.push(sink);
+    return sink;
+  }
+
+  /**
+   * Evaluate every rule against a metrics context and notify sinks of
+   * firing/resolved transitions
+   *
+   * @returns {Promise<Object[]>} Events that were (or would have been) sent
+   */
+  async evaluate(context, now = Date.now()) {
+    this.pruneSilences(now);
+    const events = [];
+
+    for (const rule of this.rules) {
+      const seen = new Set();
+
+      for (const binding of rule.expr.bindings(context)) {
+        const labels = { ...rule.labels };
+        if (binding !== null) labels[rule.label] = binding;
+        const key = fingerprint(rule.name, labels);
+        seen.add(key);
+
+        let alert = this.active.get(key);
+        const firing = rule.expr.test(context, binding);
+
+        if (alert?.state === "firing") {
+          alert.value = rule.expr.value(context, binding);
+          const resolved = rule.resolve
+            ? rule.resolve.test(context, binding)
+            : !firing;
+          if (resolved) {
+            events.push(this.resolve(key, alert, now));
+          } else if (rule.repeat && now - alert.lastNotifiedAt >= rule.repeat) {
+            events.push(this.notify(alert, "firing", now));
+          }
+          continue;
+        }
+
+        if (!firing) {
+          this.active.delete(key); // pending condition cleared
+          continue;
+        }
+
+        if (!alert) {
+          alert = {
+            fingerprint: key,
+            rule: rule.name,
+            severity: rule.severity,
+            labels,
+            state: "pending",
+            activeSince: now,
+            firedAt: null,
+            lastNotifiedAt: null,
+          };
+          this.active.set(key, alert);
+        }
+        alert.value = rule.expr.value(context, binding);
+        alert.summary = renderSummary(rule.summary, alert);
+
+        if (now - alert.activeSince >= rule.for) {
+          alert.state = "firing";
+          alert.firedAt = now;
+          events.push(this.notify(alert, "firing", now));
+        }
+      }
+
+      // Instances whose wildcard key vanished count as cleared
+      for (const [key, alert] of this.active) {
+        if (alert.rule !== rule.name || seen.has(key)) continue;
+        if (alert.state === "firing")
+          events.push(this.resolve(key, alert, now));
+        else this.active.delete(key);
+      }
+    }
+
+    this.lastEvaluation = now;
+    await this.dispatch(events.filter((event) => !event.silenced));
+    return events;
+  }
+
+  resolve(key, alert, now) {
+    this.active.delete(key);
+    alert.state = "resolved";
+    alert.resolvedAt = now;
+    this.resolved.unshift(alert);
+    if (this.resolved.length > MAX_RESOLVED) this.resolved.pop();
+    return this.notify(alert, "resolved", now);
+  }
+
+  notify(alert, status, now) {
+    alert.lastNotifiedAt = now;
+    alert.silenced = this.isSilenced(alert, now);
+    return {
+      status,
+      fingerprint: alert.fingerprint,
+      rule: alert.rule,
+      severity: alert.severity,
+      labels: alert.labels,
+      value: alert.value,
+      summary: alert.summary,
+      startsAt: alert.firedAt,
+      endsAt: alert.resolvedAt ?? null,
+      silenced: alert.silenced,
+    };
+  }
+
+  async dispatch(events) {
+    if (events.length === 0) return;
+    await Promise.all(
+      this.sinks.map(async (sink) => {
+        const accepted = events.filter((event) => sink.accepts(event));
+        if (accepted.length === 0) return;
+        try {
+          await sink.send(accepted);
+        } catch (error) {
+          console.error(`❌ Alert sink ${sink.type} failed: ${error.message}`);
+        }
+      }),
+    );
+  }
+
+  // ==========================================================================
+  // SILENCES
+  // ==========================================================================
+
+  /**
+   * Silence notifications for alerts matching rule and/or labels
+   *
+   * @param {Object} matcher - { rule?, labels?, duration ("1h") | until (ms), comment? }
+   */
+  silence(matcher = {}, now = Date.now()) {
+    const until =
+      matcher.until ?? now + (parseStep(matcher.duration ?? "1h") || 0);
+    if (!matcher.rule && !Object.keys(matcher.labels || {}).length) {
+      throw new Error("Silence needs a rule or labels to match");
+    }
+    if (!(until > now)) throw new Error("Silence must end in the future");
+
+    const silence = {
+      id: String(this.nextSilenceId++),
+      rule: matcher.rule || null,
+      labels: matcher.labels || {},
+      comment: matcher.comment || "",
+      createdAt: now,
+      until,
+    };
+    this.silences.set(silence.id, silence);
+    return silence;
+  }
+
+  unsilence(id) {
+    return this.silences.delete(String(id));
+  }
+
+  isSilenced(alert, now = Date.now()) {
+    for (const silence of this.silences.values()) {
+      if (silence.until <= now) continue;
+      if (silence.rule && silence.rule !== alert.rule) continue;
+      const labelsMatch = Object.entries(silence.labels).every(
+        ([key, value]) => String(alert.labels[key]) === String(value),
+      );
+      if (labelsMatch) return true;
+    }
+    return false;
+  }
+
+  pruneSilences(now = Date.now()) {
+    for (const [id, silence] of this.silences) {
+      if (silence.until <= now) this.silences.delete(id);
+    }
+  }
+
+  // ==========================================================================
+  // HOT RELOAD
+  // ==========================================================================
+
+  /**
+   * Reload on file changes (debounced) and on SIGUSR2
+   */
+  watch() {
+    if (this.watcher || !this.path) return this;
+    this.watcher = watchReload(this.path, () => this.reload(), {
+      label: "alert rules",
+    });
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Firing, pending and recently resolved alerts (for /api/alerts)
+   */
+  describe(now = Date.now()) {
+    const active = Array.from(this.active.values()).map((alert) => ({
+      ...alert,
+      silenced: this.isSilenced(alert, now),
+    }));
+    return {
+      path: this.path,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      lastEvaluation: this.lastEvaluation,
+      firing: active.filter((alert) => alert.state === "firing"),
+      pending: active.filter((alert) => alert.state === "pending"),
+      resolved: this.resolved,
+      silences: Array.from(this.silences.values()).filter(
+        (silence) => silence.until > now,
+      ),
+      rules: this.rules.map((rule) => ({
+        name: rule.name,
+        expr: rule.expr.source,
+        resolve: rule.resolve?.source || null,
+        for: rule.for,
+        repeat: rule.repeat,
+        severity: rule.severity,
+      })),
+      sinks: this.sinks.map((sink) => sink.describe()),
+    };
+  }
+}
+
+export { AlertEngine };
+export default AlertEngine;
@@ -11,6 +11,7 @@
  */
 
 import { CompleteEnvironmentManager } from "../config/complete-environment-manager.js";
+import { ExperimentManager } from "../experiments.js";
 
 class StagingAPILocal {
   constructor() {
@@ -53,6 +54,10 @@ class StagingAPILocal {
       }
 
       try {
+        if (url.pathname.startsWith("/api/v1/experiments/")) {
+          return this.handleExperiments(req, corsHeaders);
+        }
+
         // Route handling
         switch (url.pathname) {
           case "/":
@@ -341,33 +346,12 @@ class StagingAPILocal {
   }
 
   /**
-   * Handle experiments endpoint
+   * Handle experiments endpoints (assignment, exposures, conversions and
+   * analysis; see src/experiments.js)
    */
   handleExperiments(req, corsHeaders) {
-    return new Response(
-      JSON.stringify(
-        {
-          timestamp: new Date().toISOString(),
-          staging_url: "https://staging-api.example.com",
-          environment: "staging",
-          active_experiments: [
-            {
-              name: "quantum_ui_v2",
-              variant: Math.random() > 0.5 ? "A" : "B",
-              traffic: 0.5,
-            },
-            { name: "tension_optimization", variant: "control", traffic: 0.3 },
-          ],
-          feature_flags: this.configManager.getFeaturesConfig(),
-        },
-        null,
-        2,
-      ),
-      {
-        status: 200,
-        headers: { ...corsHeaders, "Content-Type": "application/json" },
-      },
-    );
+    this.experiments ??= new ExperimentManager();
+    return this.experiments.handle(req, new URL(req.url), corsHeaders);
   }
 
   /**
@@ -7,6 +7,7 @@
  */
 
 import { CompleteEnvironmentManager } from "../config/complete-environment-manager.js";
+import { ExperimentManager } from "../experiments.js";
 
 class StagingAPIServer {
   constructor() {
@@ -68,7 +69,10 @@ class StagingAPIServer {
           return this.handleAnalytics(req, corsHeaders);
         }
 
-        if (url.pathname === `/api/${apiConfig.version}/experiments`) {
+        if (
+          url.pathname === `/api/${apiConfig.version}/experiments` ||
+          url.pathname.startsWith(`/api/${apiConfig.version}/experiments/`)
+        ) {
           return this.handleExperiments(req, corsHeaders);
         }
 
@@ -433,7 +437,8 @@ curl 'https://staging-api.example.com/' \\
   }
 
   /**
-   * Handle experiments endpoint
+   * Handle experiments endpoints (assignment, exposures, conversions and
+   * analysis; see src/experiments.js)
    */
   async handleExperiments(req, corsHeaders) {
     if (!this.configManager.isFeatureEnabled("a_b_testing")) {
@@ -451,46 +456,12 @@ curl 'https://staging-api.example.com/' \\
       );
     }
 
-    const experiments = {
-      timestamp: new Date().toISOString(),
-      environment: "staging",
-      staging_url: "https://staging-api.example.com",
-      active_experiments: [
-        {
-          name: "quantum_ui_redesign",
-          variant: Math.random() > 0.5 ? "A" : "B",
-          traffic_split: 0.5,
-          start_date: "2024-01-15",
-          metrics: {
-            conversion_rate: (Math.random() * 0.1 + 0.05).toFixed(4),
-            engagement_score: Math.floor(Math.random() * 100) + 50,
-          },
-        },
-        {
-          name: "tension_threshold_optimization",
-          variant: Math.random() > 0.5 ? "control" : "test",
-          traffic_split: 0.3,
-          start_date: "2024-01-10",
-          metrics: {
-            system_stability: (Math.random() * 0.2 + 0.8).toFixed(4),
-            user_satisfaction: Math.floor(Math.random() * 20) + 80,
-          },
-        },
-      ],
-      feature_flags: this.configManager.getFeaturesConfig(),
-      staging: {
-        experiment_count: 2,
-        traffic_allocation: "controlled",
-        data_collection: "enabled",
-      },
-    };
-
-    return new Response(JSON.stringify(experiments, null, 2), {
-      headers: {
-        ...corsHeaders,
-        "Content-Type": "application/json",
-        "X-Staging-Endpoint": "/api/v1/experiments",
-      },
+    this.experiments ??= new ExperimentManager({
+      prefix: `/api/${this.configManager.getAPIConfig().version}/experiments`,
+    });
+    return this.experiments.handle(req, new URL(req.url), {
+      ...corsHeaders,
+      "X-Staging-Endpoint": "/api/v1/experiments",
     });
   }
 
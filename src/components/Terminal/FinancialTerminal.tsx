@@ -11,12 +11,29 @@ export interface FinancialTerminalProps {
   theme?: 'quantum' | 'matrix' | 'classic';
   initialDimensions?: TerminalDimensions;
   symbols?: string[];
+  /** Join an existing shared session instead of starting a new one */
+  sessionId?: string;
+  /** 'view' joins as a read-only spectator */
+  mode?: 'control' | 'view';
+  /** Bearer token (see src/ws-auth.js); the session cookie is sent anyway */
+  accessToken?: string;
+  /** 'binary' receives output as binary frames instead of JSON messages */
+  framing?: 'json' | 'binary';
   onData?: (data: string) => void;
+  /** Structured result of a quantum.* command (also printed in the terminal) */
+  onCommandResult?: (result: QuantumCommandResult) => void;
   onConnect?: () => void;
   onDisconnect?: () => void;
   className?: string;
 }
 
+export interface QuantumCommandResult {
+  command: string | null;
+  args: Record<string, unknown>;
+  data: unknown;
+  error: string | null;
+}
+
 interface TerminalTheme {
   background: string;
   foreground: string;
@@ -54,7 +71,12 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
   theme = 'quantum',
   initialDimensions = { cols: 80, rows: 24 },
   symbols = ['AAPL', 'GOOGL', 'TSLA', 'MSFT'],
+  sessionId,
+  mode = 'control',
+  accessToken,
+  framing = 'json',
   onData,
+  onCommandResult,
   onConnect,
   onDisconnect,
   className = ''
@@ -63,10 +85,20 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
   const terminalInstance = useRef<any>(null);
   const fitAddon = useRef<any>(null);
   const wsRef = useRef<WebSocket | null>(null);
+  // PTY session to reattach to after a dropped connection
+  const sessionIdRef = useRef<string | null>(sessionId ?? null);
+  const clientIdRef = useRef<string | null>(null);
+  const controllerRef = useRef<string | null>(null);
 
   const [connected, setConnected] = useState(false);
   const [dimensions, setDimensions] = useState<TerminalDimensions>(initialDimensions);
   const [lastUpdate, setLastUpdate] = useState<Date | null>(null);
+  // Shared session state: who holds control and how many are watching
+  const [controllerId, setControllerId] = useState<string | null>(null);
+  const [viewerCount, setViewerCount] = useState(0);
+  // The server joins roles without input rights as spectators
+  const [joinedMode, setJoinedMode] = useState(mode);
+  const hasControl = controllerId !== null && controllerId === clientIdRef.current;
 
   const currentTheme = THEMES[theme] || THEMES.quantum;
 
@@ -123,8 +155,15 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
   const connectWebSocket = useCallback(() => {
     if (wsRef.current?.readyState === WebSocket.OPEN) return;
 
-    const ws = new WebSocket(websocketUrl);
+    const url = new URL(websocketUrl);
+    if (sessionIdRef.current) url.searchParams.set('session', sessionIdRef.current);
+    if (mode === 'view') url.searchParams.set('mode', 'view');
+    if (accessToken) url.searchParams.set('access_token', accessToken);
+    if (framing === 'binary') url.searchParams.set('framing', 'binary');
+    const ws = new WebSocket(url.toString());
+    ws.binaryType = 'arraybuffer';
     wsRef.current = ws;
+    const decoder = new TextDecoder();
 
     ws.onopen = () => {
       setConnected(true);
@@ -142,6 +181,14 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
     };
 
     ws.onmessage = (event) => {
+      // Binary framing: the frame is terminal output
+      if (event.data instanceof ArrayBuffer) {
+        handleServerMessage({
+          type: 'terminal_data',
+          data: decoder.decode(event.data, { stream: true })
+        });
+        return;
+      }
       try {
         const data = JSON.parse(event.data);
         handleServerMessage(data);
@@ -151,7 +198,9 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
       }
     };
 
-    ws.onclose = () => {
+    ws.onclose = (event) => {
+      // Session expired or ended: start a fresh one on reconnect
+      if (event.code === 4404) sessionIdRef.current = null;
       setConnected(false);
       terminalInstance.current?.writeln('\n\x1b[31m✗ Disconnected from server\x1b[0m');
       onDisconnect?.();
@@ -164,7 +213,12 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
       console.error('WebSocket error:', error);
       terminalInstance.current?.writeln('\x1b[31mConnection error occurred\x1b[0m');
     };
-  }, [websocketUrl, symbols, dimensions, onConnect, onDisconnect]);
+  }, [websocketUrl, mode, accessToken, framing, symbols, dimensions, onConnect, onDisconnect]);
+
+  const updateController = (id: string | null) => {
+    controllerRef.current = id;
+    setControllerId(id);
+  };
 
   // Handle messages from server
   const handleServerMessage = (data: any) => {
@@ -172,6 +226,39 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
     if (!term) return;
 
     switch (data.type) {
+      case 'session_created':
+      case 'session_attached':
+        sessionIdRef.current = data.sessionId;
+        clientIdRef.current = data.clientId;
+        setJoinedMode(data.mode);
+        updateController(data.controller);
+        break;
+
+      case 'viewers':
+        setViewerCount(data.viewers.length);
+        updateController(data.controller);
+        break;
+
+      case 'control_changed':
+        updateController(data.controller);
+        break;
+
+      case 'control_requested':
+        term.writeln(`\n\x1b[33m⚠ ${data.clientId} requested control\x1b[0m`);
+        break;
+
+      case 'terminal_size':
+        // The PTY follows the smallest attached viewer
+        term.resize(data.cols, data.rows);
+        break;
+
+      case 'terminal_replay':
+        // Scrollback of a reattached session, before live output resumes,
+        // or a redraw after output was dropped for a slow connection
+        term.reset();
+        term.write(data.data);
+        break;
+
       case 'terminal_data':
         term.write(data.data);
         setLastUpdate(new Date());
@@ -189,6 +276,23 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
       case 'error':
         term.writeln(`\n\x1b[1;31m✗ ERROR:\x1b[0m ${data.message}`);
         break;
+
+      case 'terminal_error':
+        // Sandbox policy denial or limit (command_denied, idle_timeout, ...)
+        term.writeln(
+          `\r\n\x1b[1;31m⛔ ${data.message}\x1b[0m` +
+          (data.command ? ` \x1b[90m(${data.command})\x1b[0m` : '')
+        );
+        break;
+
+      case 'command_result':
+        onCommandResult?.({
+          command: data.command,
+          args: data.args,
+          data: data.data,
+          error: data.error
+        });
+        break;
     }
   };
 
@@ -214,6 +318,8 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
     if (!terminalInstance.current) return;
 
     const disposable = terminalInstance.current.onData((data: string) => {
+      // Only the controlling client's keystrokes reach the shared PTY
+      if (controllerRef.current !== clientIdRef.current) return;
       if (wsRef.current?.readyState === WebSocket.OPEN) {
         wsRef.current.send(JSON.stringify({
           type: 'terminal_input',
@@ -262,6 +368,16 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
     };
   }, [initializeTerminal, connectWebSocket]);
 
+  // Ask for (or hand back) control of a shared session
+  const toggleControl = () => {
+    if (wsRef.current?.readyState === WebSocket.OPEN) {
+      wsRef.current.send(JSON.stringify({
+        type: hasControl ? 'control_release' : 'control_request',
+        timestamp: Date.now()
+      }));
+    }
+  };
+
   // Send command helper
   const sendCommand = (command: string) => {
     if (wsRef.current?.readyState === WebSocket.OPEN) {
@@ -317,6 +433,23 @@ export const FinancialTerminal: React.FC<FinancialTerminalProps> = ({
               Last update: {lastUpdate.toLocaleTimeString()}
             </span>
           )}
+          {viewerCount > 1 && (
+            <span style={{ color: `${currentTheme.foreground}88`, fontSize: '12px' }}>
+              {viewerCount} viewers
+            </span>
+          )}
+          {joinedMode === 'view' ? (
+            <span style={{ color: `${currentTheme.foreground}88`, fontSize: '12px' }}>
+              read-only
+            </span>
+          ) : (
+            <span
+              style={{ color: currentTheme.accent, fontSize: '12px', cursor: 'pointer' }}
+              onClick={toggleControl}
+            >
+              {hasControl ? 'Release control' : 'Take control'}
+            </span>
+          )}
           <span style={{ color: `${currentTheme.foreground}88`, fontSize: '12px' }}>
             {dimensions.cols}x{dimensions.rows}
           </span>
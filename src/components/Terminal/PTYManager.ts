@@ -2,6 +2,12 @@
  * PTYManager.ts - Core PTY Terminal Management
  * Handles Bun.Terminal instances with reusable terminal support
  *
+ * Pooling: startPool() keeps prewarmed shells ready so acquire() hands one
+ * out without waiting for bash to start. A shell serves one checkout:
+ * release() closes it and the pool warms a fresh one, so nothing a user
+ * leaves behind (variables, aliases, functions, traps, options, umask,
+ * background jobs) reaches the next. Idle shells are health-checked.
+ *
  * Platform: POSIX only (Linux, macOS)
  * Terminal Methods: write(), resize(), setRawMode(), ref()/unref(), close()
  */
@@ -11,6 +17,17 @@ export interface TerminalDimensions {
   rows: number;
 }
 
+/**
+ * Session recorder, e.g. AsciicastRecorder from src/servers/asciicast.js
+ */
+export interface SessionRecorder {
+  path?: string;
+  output(data: string): void;
+  input(data: string): void;
+  resize(cols: number, rows: number): void;
+  close(): void;
+}
+
 export interface TerminalOptions {
   cols?: number;
   rows?: number;
@@ -21,6 +38,7 @@ export interface TerminalOptions {
   onData?: (data: string) => void;
   onResize?: (cols: number, rows: number) => void;
   onExit?: (exitCode: number) => void;
+  recorder?: SessionRecorder;
 }
 
 // Bun.Terminal type definition
@@ -34,12 +52,75 @@ interface BunTerminal {
   [Symbol.asyncDispose](): Promise<void>;
 }
 
+export type ViewerMode = 'control' | 'view';
+
+export interface TerminalViewer {
+  id: string;
+  mode: ViewerMode;
+  dimensions?: TerminalDimensions;
+  joinedAt: number;
+}
+
+export interface PoolOptions {
+  /** Prewarmed shells kept ready */
+  min?: number;
+  /** Upper bound on pooled shells, idle and checked out */
+  max?: number;
+  cols?: number;
+  rows?: number;
+  command?: string;
+  args?: string[];
+  cwd?: string;
+  env?: Record<string, string>;
+  /** How often idle shells are checked, ms (0 disables) */
+  healthCheckInterval?: number;
+  /** How long a shell may take to answer a check, ms */
+  healthCheckTimeout?: number;
+  /** How long a new shell may take to come up, ms */
+  startupTimeout?: number;
+}
+
+export interface PoolStats {
+  min: number;
+  max: number;
+  idle: number;
+  leased: number;
+  warming: number;
+  /** acquire() served from a warm shell */
+  hits: number;
+  /** acquire() had to start a pooled shell */
+  misses: number;
+  /** acquire() at max: an unpooled terminal was created */
+  overflow: number;
+  created: number;
+  retired: number;
+  healthChecks: number;
+  healthFailures: number;
+}
+
+type PoolState = 'warming' | 'idle' | 'checking' | 'leased';
+
+/** Lease-specific settings for acquire(); spawn settings come from the pool */
+export type AcquireOptions = Pick<
+  TerminalOptions,
+  'cols' | 'rows' | 'onData' | 'onExit' | 'recorder'
+>;
+
 export interface ManagedTerminal {
   id: string;
   terminal: BunTerminal;
   process: ReturnType<typeof Bun.spawn>;
   dimensions: TerminalDimensions;
   createdAt: number;
+  recorder?: SessionRecorder;
+  // Shared sessions: everyone watching, and the one viewer whose input counts
+  viewers: Map<string, TerminalViewer>;
+  controllerId: string | null;
+  // Callbacks (bound when a pooled terminal is checked out)
+  onData?: (data: string) => void;
+  onExit?: (exitCode: number) => void;
+  // Prewarmed by the pool and checked out via acquire()
+  pooled: boolean;
   write: (data: string) => void;
   resize: (cols: number, rows: number) => void;
   close: () => Promise<void>;
@@ -58,11 +139,41 @@ export interface TerminalEvent {
 
 type EventCallback = (event: TerminalEvent) => void;
 
+const DEFAULT_POOL_OPTIONS: Required<Omit<PoolOptions, 'env'>> = {
+  min: 2,
+  max: 10,
+  cols: 80,
+  rows: 24,
+  command: 'bash',
+  args: ['-i'],
+  cwd: process.cwd(),
+  healthCheckInterval: 30000,
+  healthCheckTimeout: 2000,
+  startupTimeout: 10000
+};
+
 export class PTYManager {
   private terminals: Map<string, ManagedTerminal> = new Map();
   private pidToTerminalId: Map<number, string> = new Map();
   private eventListeners: Map<string, Set<EventCallback>> = new Map();
   private terminalOutputBuffers: Map<string, string[]> = new Map();
+  // Pool
+  private poolOptions: (Required<Omit<PoolOptions, 'env'>> & { env: Record<string, string> }) | null = null;
+  private poolStates: Map<string, PoolState> = new Map();
+  private poolTimer: ReturnType<typeof setInterval> | null = null;
+  // Shells being spawned (not yet in poolStates)
+  private poolSpawning = 0;
+  private poolCounters = {
+    hits: 0,
+    misses: 0,
+    overflow: 0,
+    created: 0,
+    retired: 0,
+    healthChecks: 0,
+    healthFailures: 0
+  };
+  // Output watchers for readiness/health probes, by terminal
+  private probes: Map<string, (output: string) => void> = new Map();
 
   constructor() {
     this.initializeEventTypes();
@@ -94,11 +205,13 @@ export class PTYManager {
       env = { ...process.env, TERM: 'xterm-256color' },
       onData,
       onResize,
-      onExit
+      onExit,
+      recorder
     } = options;
 
     const terminalId = this.generateTerminalId();
     this.terminalOutputBuffers.set(terminalId, []);
+    let managedTerminal: ManagedTerminal;
 
     // Create reusable Bun.Terminal instance
     const terminal = new Bun.Terminal({
@@ -115,6 +228,13 @@ export class PTYManager {
           if (buffer.length > 1000) buffer.shift();
         }
 
+        // Pooled shells nobody holds only buffer (and answer probes)
+        this.probes.get(terminalId)?.(output);
+        const state = this.poolStates.get(terminalId);
+        if (state && state !== 'leased') return;
+
+        managedTerminal.recorder?.output(output);
+
         // Emit event
         this.emit('data', {
           type: 'data',
@@ -124,7 +244,7 @@ export class PTYManager {
         });
 
         // Call user callback
-        onData?.(output);
+        managedTerminal.onData?.(output);
       }
     }) as BunTerminal;
 
@@ -135,6 +255,14 @@ export class PTYManager {
       cwd,
       env: env as Record<string, string>,
       onExit: (proc, exitCode, signalCode, error) => {
+        managedTerminal.recorder?.close();
+        const state = this.poolStates.get(terminalId);
+        if (state && state !== 'leased') {
+          // An idle pooled shell died: retire it quietly
+          this.retire(managedTerminal);
+          return;
+        }
+
         this.emit('exit', {
           type: 'exit',
           terminalId,
@@ -143,29 +271,44 @@ export class PTYManager {
           timestamp: Date.now()
         });
 
-        onExit?.(exitCode ?? 0);
+        managedTerminal.onExit?.(exitCode ?? 0);
+        if (state) this.retire(managedTerminal);
       }
     });
 
     // Create managed terminal object
-    const managedTerminal: ManagedTerminal = {
+    managedTerminal = {
       id: terminalId,
       terminal,
       process: proc,
       dimensions: { cols, rows },
       createdAt: Date.now(),
-      write: (data: string) => terminal.write(data),
+      recorder,
+      viewers: new Map(),
+      controllerId: null,
+      onData,
+      onExit,
+      pooled: false,
+      write: (data: string) => {
+        managedTerminal.recorder?.input(data);
+        terminal.write(data);
+      },
       resize: (c: number, r: number) => {
         terminal.resize(c, r);
+        managedTerminal.recorder?.resize(c, r);
         managedTerminal.dimensions = { cols: c, rows: r };
       },
       close: async () => {
-        proc.kill();
+        // Hang up: interactive shells ignore SIGTERM
+        proc.kill('SIGHUP');
         await proc.exited;
         terminal.close();
+        managedTerminal.recorder?.close();
         this.terminals.delete(terminalId);
         this.pidToTerminalId.delete(proc.pid);
         this.terminalOutputBuffers.delete(terminalId);
+        this.poolStates.delete(terminalId);
+        this.probes.delete(terminalId);
       }
     };
 
@@ -176,6 +319,98 @@ export class PTYManager {
     return managedTerminal;
   }
 
+  /**
+   * Attach a viewer to a terminal. An operator takes control if nobody
+   * holds it; spectators ('view') never do.
+   */
+  addViewer(
+    terminalId: string,
+    viewer: { id: string; mode?: ViewerMode; dimensions?: TerminalDimensions }
+  ): TerminalViewer | undefined {
+    const managed = this.terminals.get(terminalId);
+    if (!managed) return undefined;
+
+    const entry: TerminalViewer = {
+      id: viewer.id,
+      mode: viewer.mode ?? 'control',
+      dimensions: viewer.dimensions,
+      joinedAt: Date.now()
+    };
+    managed.viewers.set(entry.id, entry);
+    if (!managed.controllerId && entry.mode === 'control') {
+      managed.controllerId = entry.id;
+    }
+    this.negotiateSize(managed);
+    return entry;
+  }
+
+  /**
+   * Detach a viewer. Control falls to the longest-connected operator.
+   */
+  removeViewer(terminalId: string, viewerId: string): boolean {
+    const managed = this.terminals.get(terminalId);
+    if (!managed?.viewers.delete(viewerId)) return false;
+
+    if (managed.controllerId === viewerId) {
+      const next = Array.from(managed.viewers.values()).find(v => v.mode === 'control');
+      managed.controllerId = next?.id ?? null;
+    }
+    this.negotiateSize(managed);
+    return true;
+  }
+
+  /**
+   * Record a viewer's size; the PTY follows the smallest connected viewer
+   */
+  resizeViewer(terminalId: string, viewerId: string, cols: number, rows: number): void {
+    const managed = this.terminals.get(terminalId);
+    const viewer = managed?.viewers.get(viewerId);
+    if (!managed || !viewer) return;
+    viewer.dimensions = { cols, rows };
+    this.negotiateSize(managed);
+  }
+
+  /**
+   * Hand control to another operator (or to nobody with null)
+   */
+  transferControl(terminalId: string, viewerId: string | null): boolean {
+    const managed = this.terminals.get(terminalId);
+    if (!managed) return false;
+    if (viewerId !== null && managed.viewers.get(viewerId)?.mode !== 'control') return false;
+    managed.controllerId = viewerId;
+    return true;
+  }
+
+  /**
+   * Whether a viewer's input should reach the PTY
+   */
+  canWrite(terminalId: string, viewerId: string): boolean {
+    return this.terminals.get(terminalId)?.controllerId === viewerId;
+  }
+
+  /**
+   * Resize to the smallest size across viewers that reported one
+   */
+  private negotiateSize(managed: ManagedTerminal): void {
+    const sizes = Array.from(managed.viewers.values())
+      .map(v => v.dimensions)
+      .filter((d): d is TerminalDimensions => !!d && d.cols > 0 && d.rows > 0);
+    if (sizes.length === 0) return;
+
+    const cols = Math.min(...sizes.map(d => d.cols));
+    const rows = Math.min(...sizes.map(d => d.rows));
+    if (cols === managed.dimensions.cols && rows === managed.dimensions.rows) return;
+
+    managed.resize(cols, rows);
+    this.emit('resize', {
+      type: 'resize',
+      terminalId: managed.id,
+      cols,
+      rows,
+      timestamp: Date.now()
+    });
+  }
+
   /**
    * Create a reusable terminal that can run multiple processes
    */
@@ -240,6 +475,247 @@ export class PTYManager {
     };
   }
 
+  /**
+   * Start the pool: spawn `min` shells and keep them warm. Resolves once
+   * the first batch answers (or failed to).
+   */
+  async startPool(options: PoolOptions = {}): Promise<void> {
+    this.poolOptions = {
+      ...DEFAULT_POOL_OPTIONS,
+      env: { ...process.env, TERM: 'xterm-256color' } as Record<string, string>,
+      ...options
+    };
+    this.poolOptions.max = Math.max(this.poolOptions.max, this.poolOptions.min);
+
+    if (!this.poolTimer && this.poolOptions.healthCheckInterval > 0) {
+      this.poolTimer = setInterval(
+        () => this.checkPoolHealth(),
+        this.poolOptions.healthCheckInterval
+      );
+      this.poolTimer.unref?.();
+    }
+
+    const warming: Promise<ManagedTerminal | null>[] = [];
+    while (this.poolSize() < this.poolOptions.min) warming.push(this.spawnPooled());
+    await Promise.all(warming);
+  }
+
+  /**
+   * Stop pooling: idle shells are closed, checked-out ones close on release
+   */
+  async stopPool(): Promise<void> {
+    if (this.poolTimer) clearInterval(this.poolTimer);
+    this.poolTimer = null;
+    this.poolOptions = null;
+    await Promise.all(
+      Array.from(this.poolStates.keys())
+        .filter(id => this.poolStates.get(id) !== 'leased')
+        .map(id => this.terminals.get(id))
+        .filter((t): t is ManagedTerminal => !!t)
+        .map(t => this.retire(t))
+    );
+  }
+
+  /**
+   * Check out a terminal: a warm pooled shell when one is idle, otherwise a
+   * new one (pooled while under `max`). The pooled shell's prompt is
+   * replayed to onData. Hand it back with release().
+   */
+  async acquire(options: AcquireOptions = {}): Promise<ManagedTerminal> {
+    const pool = this.poolOptions;
+    if (!pool) return this.createTerminal(options);
+
+    let managed = this.takeIdle();
+    if (managed) {
+      this.poolCounters.hits++;
+    } else if (this.poolSize() < pool.max) {
+      this.poolCounters.misses++;
+      managed = await this.spawnPooled();
+      // Another acquire may have been quicker
+      if (managed && this.poolStates.get(managed.id) !== 'idle') managed = null;
+      if (managed) this.poolStates.set(managed.id, 'leased');
+    }
+    if (!managed) {
+      this.poolCounters.overflow++;
+      const { cols, rows, command, args, cwd, env } = pool;
+      return this.createTerminal({ cols, rows, command, args, cwd, env, ...options });
+    }
+
+    managed.onData = options.onData;
+    managed.onExit = options.onExit;
+    managed.recorder = options.recorder;
+    const { cols = pool.cols, rows = pool.rows } = options;
+    if (cols !== managed.dimensions.cols || rows !== managed.dimensions.rows) {
+      managed.resize(cols, rows);
+    }
+    const prompt = this.getOutputBuffer(managed.id).join('');
+    if (prompt) options.onData?.(prompt);
+
+    this.replenishPool();
+    return managed;
+  }
+
+  /**
+   * Return a terminal from acquire(). It is closed, pooled or not: a shell
+   * is never handed to a second user. The pool warms a replacement.
+   */
+  async release(managed: ManagedTerminal): Promise<void> {
+    if (managed.pooled && this.poolStates.get(managed.id) === 'leased') {
+      await this.retire(managed);
+    } else {
+      await managed.close();
+    }
+  }
+
+  /**
+   * Have the shell printf a marker, and resolve whether it came back in
+   * time. The echoed command line never
+   * contains the marker itself. On success the output buffer restarts
+   * with a cleared screen and a fresh prompt.
+   */
+  private probe(managed: ManagedTerminal, timeout: number): Promise<boolean> {
+    const token = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+    const marker = `__PTY_READY_${token}`;
+    return new Promise(resolve => {
+      let seen = '';
+      const finish = (ok: boolean) => {
+        clearTimeout(timer);
+        this.probes.delete(managed.id);
+        resolve(ok);
+      };
+      const timer = setTimeout(() => finish(false), timeout);
+      this.probes.set(managed.id, (output: string) => {
+        seen = (seen + output).slice(-(marker.length + 4096));
+        const at = seen.indexOf(marker);
+        if (at === -1) return;
+        // Keep what followed the marker (screen reset, prompt)
+        const rest = seen.slice(at + marker.length).replace(/^\r?\n/, '');
+        this.terminalOutputBuffers.set(managed.id, rest ? [rest] : []);
+        finish(true);
+      });
+      managed.terminal.write(
+        ` builtin printf '%s%s\\n' __PTY_ READY_${token}; builtin printf '\\033c'\r`
+      );
+    });
+  }
+
+  /**
+   * Spawn a pooled shell and wait until it answers
+   */
+  private async spawnPooled(): Promise<ManagedTerminal | null> {
+    const pool = this.poolOptions;
+    if (!pool) return null;
+    const { cols, rows, command, args, cwd, env } = pool;
+
+    this.poolSpawning++;
+    const managed = await this.createTerminal({ cols, rows, command, args, cwd, env })
+      .finally(() => this.poolSpawning--);
+    managed.pooled = true;
+    this.poolStates.set(managed.id, 'warming');
+    this.poolCounters.created++;
+
+    const ready = await this.probe(managed, pool.startupTimeout);
+    if (!ready || this.poolStates.get(managed.id) !== 'warming') {
+      this.poolCounters.healthFailures++;
+      await this.retire(managed);
+      return null;
+    }
+    this.poolStates.set(managed.id, 'idle');
+    return managed;
+  }
+
+  private takeIdle(): ManagedTerminal | null {
+    for (const [id, state] of this.poolStates) {
+      const managed = this.terminals.get(id);
+      if (state !== 'idle' || !managed) continue;
+      if (managed.process.exitCode !== null) {
+        this.retire(managed);
+        continue;
+      }
+      this.poolStates.set(id, 'leased');
+      return managed;
+    }
+    return null;
+  }
+
+  /**
+   * Spawn shells until `min` are idle or warming (within `max`)
+   */
+  private replenishPool(): void {
+    const pool = this.poolOptions;
+    if (!pool) return;
+    let ready = this.countPool('idle') + this.countPool('warming') +
+      this.countPool('checking') + this.poolSpawning;
+    while (ready < pool.min && this.poolSize() < pool.max) {
+      this.spawnPooled().catch(err => console.error('PTY pool: spawn failed:', err));
+      ready++;
+    }
+  }
+
+  /**
+   * Probe every idle shell; unresponsive ones are replaced
+   */
+  private async checkPoolHealth(): Promise<void> {
+    const pool = this.poolOptions;
+    if (!pool) return;
+
+    const idle = Array.from(this.poolStates)
+      .filter(([, state]) => state === 'idle')
+      .map(([id]) => this.terminals.get(id))
+      .filter((t): t is ManagedTerminal => !!t);
+
+    await Promise.all(idle.map(async managed => {
+      this.poolStates.set(managed.id, 'checking');
+      this.poolCounters.healthChecks++;
+      const ok = managed.process.exitCode === null &&
+        await this.probe(managed, pool.healthCheckTimeout);
+      if (ok && this.poolStates.get(managed.id) === 'checking') {
+        this.poolStates.set(managed.id, 'idle');
+      } else if (!ok) {
+        this.poolCounters.healthFailures++;
+        await this.retire(managed);
+      }
+    }));
+    this.replenishPool();
+  }
+
+  /**
+   * Drop a shell from the pool for good
+   */
+  private async retire(managed: ManagedTerminal): Promise<void> {
+    if (!this.poolStates.has(managed.id)) return;
+    this.poolStates.delete(managed.id);
+    this.poolCounters.retired++;
+    await managed.close().catch(err => console.error('PTY pool: close failed:', err));
+    this.replenishPool();
+  }
+
+  private poolSize(): number {
+    return this.poolStates.size + this.poolSpawning;
+  }
+
+  private countPool(state: PoolState): number {
+    let count = 0;
+    for (const s of this.poolStates.values()) if (s === state) count++;
+    return count;
+  }
+
+  /**
+   * Pool gauges and counters (null when the pool is not running)
+   */
+  getPoolStats(): PoolStats | null {
+    const pool = this.poolOptions;
+    if (!pool) return null;
+    return {
+      min: pool.min,
+      max: pool.max,
+      idle: this.countPool('idle') + this.countPool('checking'),
+      leased: this.countPool('leased'),
+      warming: this.countPool('warming'),
+      ...this.poolCounters
+    };
+  }
+
   /**
    * Get terminal by ID
    */
@@ -273,6 +749,7 @@ export class PTYManager {
    * Close all terminals
    */
   async closeAll(): Promise<void> {
+    await this.stopPool();
     const closePromises = Array.from(this.terminals.values()).map(t => t.close());
     await Promise.all(closePromises);
   }
@@ -314,6 +791,7 @@ export class PTYManager {
     activeTerminals: number;
     totalEvents: number;
     oldestTerminal: number | null;
+    pool: PoolStats | null;
   } {
     const terminals = Array.from(this.terminals.values());
     return {
@@ -322,7 +800,8 @@ export class PTYManager {
         .reduce((sum, set) => sum + set.size, 0),
       oldestTerminal: terminals.length > 0
         ? Math.min(...terminals.map(t => t.createdAt))
-        : null
+        : null,
+      pool: this.getPoolStats()
     };
   }
 
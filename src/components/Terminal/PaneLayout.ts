@@ -0,0 +1,250 @@
+/**
+ * PaneLayout.ts - Pane layouts for TerminalLayout
+ * A layout is a tree of panes (one terminal channel each), splits and tabs.
+ * The helpers are immutable: they return a new tree. Layouts are saved to
+ * the state vault through the terminal server's /api/layouts
+ * (see src/servers/terminal-layouts.js for the limits).
+ */
+
+export type SplitDirection = 'horizontal' | 'vertical';
+
+export interface PaneNode {
+  type: 'pane';
+  id: string;
+  title?: string;
+  /** Command run when the pane starts a new session, e.g. quantum.ticker */
+  command?: string;
+  /** Session the pane is attached to (reattached on restore while it lives) */
+  session?: string;
+  mode?: 'control' | 'view';
+}
+
+export interface SplitNode {
+  type: 'split';
+  id: string;
+  /** 'horizontal' places children side by side, 'vertical' stacks them */
+  direction: SplitDirection;
+  /** Relative sizes, one per child (equal when omitted) */
+  sizes?: number[];
+  children: LayoutNode[];
+}
+
+export interface TabsNode {
+  type: 'tabs';
+  id: string;
+  active?: number;
+  children: LayoutNode[];
+}
+
+export type LayoutNode = PaneNode | SplitNode | TabsNode;
+
+export interface SavedLayout {
+  layout: LayoutNode;
+  savedAt: number;
+}
+
+/** Ticker and market monitor side by side, with a shell underneath */
+export const TRADING_LAYOUT: LayoutNode = {
+  type: 'split',
+  id: 'root',
+  direction: 'vertical',
+  sizes: [2, 1],
+  children: [
+    {
+      type: 'split',
+      id: 'markets',
+      direction: 'horizontal',
+      children: [
+        { type: 'pane', id: 'ticker', title: 'Ticker', command: 'quantum.ticker' },
+        { type: 'pane', id: 'monitor', title: 'Market Monitor', command: 'quantum.monitor' }
+      ]
+    },
+    { type: 'pane', id: 'shell', title: 'Shell' }
+  ]
+};
+
+/**
+ * Node id that is not used in layout yet
+ */
+export function nodeId(layout: LayoutNode | null, prefix = 'pane'): string {
+  const used = new Set(layout ? allNodes(layout).map(node => node.id) : []);
+  let n = used.size + 1;
+  while (used.has(`${prefix}-${n}`)) n++;
+  return `${prefix}-${n}`;
+}
+
+export function createPane(layout: LayoutNode | null, fields: Partial<PaneNode> = {}): PaneNode {
+  return { type: 'pane', id: nodeId(layout), ...fields };
+}
+
+function allNodes(node: LayoutNode): LayoutNode[] {
+  return node.type === 'pane' ? [node] : [node, ...node.children.flatMap(allNodes)];
+}
+
+export function listPanes(layout: LayoutNode): PaneNode[] {
+  return allNodes(layout).filter((node): node is PaneNode => node.type === 'pane');
+}
+
+export function findNode(layout: LayoutNode, id: string): LayoutNode | null {
+  return allNodes(layout).find(node => node.id === id) ?? null;
+}
+
+function findParent(layout: LayoutNode, id: string): SplitNode | TabsNode | null {
+  if (layout.type === 'pane') return null;
+  if (layout.children.some(child => child.id === id)) return layout;
+  for (const child of layout.children) {
+    const parent = findParent(child, id);
+    if (parent) return parent;
+  }
+  return null;
+}
+
+/**
+ * Replace the node with id by update(node)
+ */
+export function updateNode(
+  layout: LayoutNode,
+  id: string,
+  update: (node: LayoutNode) => LayoutNode
+): LayoutNode {
+  if (layout.id === id) return update(layout);
+  if (layout.type === 'pane') return layout;
+  const children = layout.children.map(child => updateNode(child, id, update));
+  return children.every((child, i) => child === layout.children[i])
+    ? layout
+    : { ...layout, children };
+}
+
+/**
+ * Put a new pane next to paneId. Inside a split of the same direction the
+ * pane becomes a sibling; otherwise paneId is split in two.
+ */
+export function splitPane(
+  layout: LayoutNode,
+  paneId: string,
+  direction: SplitDirection,
+  pane: PaneNode = createPane(layout)
+): LayoutNode {
+  const parent = findParent(layout, paneId);
+  if (parent?.type === 'split' && parent.direction === direction) {
+    return updateNode(layout, parent.id, () => {
+      const index = parent.children.findIndex(child => child.id === paneId);
+      const children = [...parent.children];
+      children.splice(index + 1, 0, pane);
+      const sizes = parent.sizes && [...parent.sizes];
+      sizes?.splice(index + 1, 0, sizes[index]);
+      return { ...parent, children, ...(sizes && { sizes }) };
+    });
+  }
+  return updateNode(layout, paneId, node => ({
+    type: 'split',
+    id: nodeId(layout, 'split'),
+    direction,
+    children: [node, pane]
+  }));
+}
+
+/**
+ * Open a new pane as a tab next to paneId (wrapping it in tabs if needed)
+ */
+export function addTab(layout: LayoutNode, paneId: string, pane: PaneNode = createPane(layout)): LayoutNode {
+  const parent = findParent(layout, paneId);
+  if (parent?.type === 'tabs') {
+    return updateNode(layout, parent.id, () => ({
+      ...parent,
+      children: [...parent.children, pane],
+      active: parent.children.length
+    }));
+  }
+  return updateNode(layout, paneId, node => ({
+    type: 'tabs',
+    id: nodeId(layout, 'tabs'),
+    active: 1,
+    children: [node, pane]
+  }));
+}
+
+/**
+ * Remove a node. Splits left with one child and empty tabs collapse;
+ * null when the last pane is gone.
+ */
+export function removeNode(layout: LayoutNode, id: string): LayoutNode | null {
+  if (layout.id === id) return null;
+  if (layout.type === 'pane') return layout;
+
+  const index = layout.children.findIndex(child => child.id === id);
+  const children = layout.children
+    .map(child => removeNode(child, id))
+    .filter((child): child is LayoutNode => child !== null);
+  if (children.length === 0) return null;
+  if (layout.type === 'split') {
+    if (children.length === 1) return children[0];
+    const sizes = layout.sizes && index !== -1
+      ? layout.sizes.filter((_, i) => i !== index)
+      : layout.sizes;
+    return { ...layout, children, ...(sizes && { sizes }) };
+  }
+  const active = Math.min(layout.active ?? 0, children.length - 1);
+  return { ...layout, children, active };
+}
+
+export function setActiveTab(layout: LayoutNode, tabsId: string, active: number): LayoutNode {
+  return updateNode(layout, tabsId, node => (node.type === 'tabs' ? { ...node, active } : node));
+}
+
+export function resizeSplit(layout: LayoutNode, splitId: string, sizes: number[]): LayoutNode {
+  return updateNode(layout, splitId, node => (node.type === 'split' ? { ...node, sizes } : node));
+}
+
+/**
+ * Record the session a pane is showing (so a saved layout reattaches it)
+ */
+export function setPaneSession(layout: LayoutNode, paneId: string, session: string | null): LayoutNode {
+  return updateNode(layout, paneId, node => {
+    if (node.type !== 'pane' || node.session === (session ?? undefined)) return node;
+    const { session: _previous, ...pane } = node;
+    return session ? { ...pane, session } : pane;
+  });
+}
+
+// ============================================================================
+// Saved layouts (/api/layouts on the terminal server)
+// ============================================================================
+
+async function layoutRequest(
+  apiUrl: string,
+  path: string,
+  init: RequestInit = {},
+  accessToken?: string
+): Promise<any> {
+  const headers = new Headers(init.headers);
+  if (accessToken) headers.set('Authorization', `Bearer ${accessToken}`);
+  // credentials: the layouts live in the state-vault cookie
+  const response = await fetch(new URL(path, apiUrl), { ...init, headers, credentials: 'include' });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(body.error || `Layout request failed (${response.status})`);
+  return body;
+}
+
+export async function fetchLayouts(apiUrl: string, accessToken?: string): Promise<Record<string, SavedLayout>> {
+  const { layouts } = await layoutRequest(apiUrl, '/api/layouts', {}, accessToken);
+  return layouts;
+}
+
+export async function saveLayout(
+  apiUrl: string,
+  name: string,
+  layout: LayoutNode,
+  accessToken?: string
+): Promise<SavedLayout> {
+  return layoutRequest(
+    apiUrl,
+    `/api/layouts/${encodeURIComponent(name)}`,
+    { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(layout) },
+    accessToken
+  );
+}
+
+export async function deleteLayout(apiUrl: string, name: string, accessToken?: string): Promise<void> {
+  await layoutRequest(apiUrl, `/api/layouts/${encodeURIComponent(name)}`, { method: 'DELETE' }, accessToken);
+}
@@ -0,0 +1,510 @@
+/**
+ * TerminalLayout.tsx - Split-pane terminal workspace
+ * Several PTY sessions over one multiplexed WebSocket (TerminalMux), laid
+ * out in horizontal/vertical splits and tabs (PaneLayout).
+ *
+ * Layouts are saved to the state vault (Save) and restored on mount when
+ * `layoutName` is set. Panes reattach to their sessions while those are
+ * still running; otherwise they start a new session and rerun their
+ * command. A closed pane detaches: its session ends after the server's
+ * detach grace period.
+ */
+
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { TerminalMux } from './TerminalMux';
+import type { MuxMessage } from './TerminalMux';
+import {
+  TRADING_LAYOUT,
+  addTab,
+  createPane,
+  fetchLayouts,
+  removeNode,
+  resizeSplit,
+  saveLayout,
+  setActiveTab,
+  setPaneSession,
+  splitPane
+} from './PaneLayout';
+import type { LayoutNode, PaneNode, SplitNode } from './PaneLayout';
+
+export interface TerminalLayoutProps {
+  /** Multiplexed endpoint, e.g. ws://localhost:3001/terminal/mux */
+  url: string;
+  /** Terminal server for saved layouts (default: the host of url) */
+  apiUrl?: string;
+  /** Bearer token (see src/ws-auth.js); the session cookie is sent anyway */
+  accessToken?: string;
+  /** 'binary' receives output as binary frames instead of JSON messages */
+  framing?: 'json' | 'binary';
+  /** Layout to start with (default: TRADING_LAYOUT) */
+  layout?: LayoutNode;
+  /** Saved layout restored on mount and written by Save */
+  layoutName?: string;
+  onLayoutChange?: (layout: LayoutNode) => void;
+  fontSize?: number;
+  fontFamily?: string;
+  theme?: {
+    background?: string;
+    foreground?: string;
+    cursor?: string;
+    selection?: string;
+    accent?: string;
+  };
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+export type PaneAction = 'split-horizontal' | 'split-vertical' | 'tab' | 'close';
+
+type Theme = Required<NonNullable<TerminalLayoutProps['theme']>>;
+
+const DEFAULT_THEME: Theme = {
+  background: '#000010',
+  foreground: '#00f0ff',
+  cursor: '#9d00ff',
+  selection: 'rgba(0, 240, 255, 0.3)',
+  accent: '#9d00ff'
+};
+
+const PANE_ACTIONS: { action: PaneAction; label: string; title: string }[] = [
+  { action: 'split-horizontal', label: '┃', title: 'Split side by side' },
+  { action: 'split-vertical', label: '━', title: 'Split top and bottom' },
+  { action: 'tab', label: '+', title: 'New tab' },
+  { action: 'close', label: '×', title: 'Close pane' }
+];
+
+function defaultApiUrl(url: string): string {
+  const target = new URL(url);
+  target.protocol = target.protocol === 'wss:' ? 'https:' : 'http:';
+  return target.origin;
+}
+
+function nodeTitle(node: LayoutNode): string {
+  return node.type === 'pane' ? node.title || node.command || node.id : node.id;
+}
+
+const buttonStyle = (theme: Theme): React.CSSProperties => ({
+  background: 'none',
+  border: 'none',
+  color: theme.foreground,
+  cursor: 'pointer',
+  fontSize: '11px',
+  padding: '0 4px',
+  opacity: 0.7
+});
+
+// ============================================================================
+// Pane: one xterm on one mux channel
+// ============================================================================
+
+interface TerminalPaneProps {
+  pane: PaneNode;
+  mux: TerminalMux;
+  theme: Theme;
+  fontSize: number;
+  fontFamily: string;
+  onSession: (paneId: string, sessionId: string | null) => void;
+  onAction: (paneId: string, action: PaneAction) => void;
+}
+
+const TerminalPane: React.FC<TerminalPaneProps> = ({
+  pane,
+  mux,
+  theme,
+  fontSize,
+  fontFamily,
+  onSession,
+  onAction
+}) => {
+  const containerRef = useRef<HTMLDivElement>(null);
+  const paneRef = useRef(pane);
+  paneRef.current = pane;
+  const [status, setStatus] = useState<'connecting' | 'live' | 'view' | 'exited' | 'closed'>('connecting');
+
+  useEffect(() => {
+    let disposed = false;
+    let term: any = null;
+    let observer: ResizeObserver | null = null;
+    // Output that arrives before xterm has loaded
+    let pending: string[] = [];
+    const write = (data: string) => (term ? term.write(data) : pending.push(data));
+
+    const channel = mux.open(pane.id, { session: pane.session, mode: pane.mode });
+    const unsubscribe = channel.onMessage((message: MuxMessage) => {
+      switch (message.type) {
+        case 'terminal_data':
+          write(message.data);
+          break;
+
+        case 'terminal_replay':
+          // Reattached, or redrawn after output was dropped
+          pending = [];
+          term?.reset();
+          write(message.data);
+          break;
+
+        case 'session_created':
+        case 'session_attached':
+          setStatus(message.mode === 'view' ? 'view' : 'live');
+          onSession(pane.id, message.sessionId);
+          if (term) channel.resize(term.cols, term.rows);
+          // A new session starts the pane's program
+          if (message.type === 'session_created' && paneRef.current.command) {
+            channel.send({ type: 'terminal_command', command: paneRef.current.command });
+          }
+          break;
+
+        case 'terminal_exit':
+          setStatus('exited');
+          write(`\r\n\x1b[90m[Process exited with code ${message.exitCode}]\x1b[0m\r\n`);
+          break;
+
+        case 'terminal_error':
+          write(`\r\n\x1b[31m[${message.code}] ${message.message}\x1b[0m\r\n`);
+          break;
+
+        case 'channel_closed':
+          onSession(pane.id, null);
+          // 4404: the session expired and the mux opens a new one
+          if (message.code !== 4404) setStatus('closed');
+          break;
+      }
+    });
+
+    (async () => {
+      const { Terminal } = await import('@xterm/xterm');
+      const { FitAddon } = await import('@xterm/addon-fit');
+      if (disposed || !containerRef.current) return;
+
+      term = new Terminal({
+        theme,
+        fontSize,
+        fontFamily,
+        cursorBlink: true,
+        allowTransparency: true,
+        scrollback: 5000,
+        convertEol: true
+      });
+      const fitAddon = new FitAddon();
+      term.loadAddon(fitAddon);
+      term.open(containerRef.current);
+      fitAddon.fit();
+      for (const data of pending) term.write(data);
+      pending = [];
+
+      term.onData((data: string) => channel.input(data));
+      channel.resize(term.cols, term.rows);
+      observer = new ResizeObserver(() => {
+        fitAddon.fit();
+        channel.resize(term.cols, term.rows);
+      });
+      observer.observe(containerRef.current);
+    })();
+
+    return () => {
+      disposed = true;
+      unsubscribe();
+      observer?.disconnect();
+      term?.dispose();
+      channel.close();
+    };
+  }, [mux, pane.id]);
+
+  const statusColor = { connecting: '#ffaa00', live: '#00ff41', view: '#00aaff', exited: '#888888', closed: '#ff0033' }[status];
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', flex: 1, minWidth: 0, minHeight: 0 }}>
+      {/* Pane header */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '2px 6px',
+          backgroundColor: 'rgba(255,255,255,0.05)',
+          borderBottom: '1px solid rgba(255,255,255,0.1)',
+          fontSize: '11px',
+          color: theme.foreground
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span style={{ width: '6px', height: '6px', borderRadius: '50%', backgroundColor: statusColor }} />
+          <span>{nodeTitle(pane)}</span>
+          {status === 'view' && <span style={{ opacity: 0.6 }}>(view only)</span>}
+        </div>
+        <div>
+          {PANE_ACTIONS.map(({ action, label, title }) => (
+            <button key={action} title={title} onClick={() => onAction(pane.id, action)} style={buttonStyle(theme)}>
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Terminal */}
+      <div ref={containerRef} style={{ flex: 1, minHeight: 0, padding: '2px' }} />
+    </div>
+  );
+};
+
+// ============================================================================
+// Split: children side by side or stacked, with draggable dividers
+// ============================================================================
+
+interface SplitViewProps {
+  node: SplitNode;
+  onResize: (sizes: number[]) => void;
+  children: React.ReactNode[];
+}
+
+const SplitView: React.FC<SplitViewProps> = ({ node, onResize, children }) => {
+  const ref = useRef<HTMLDivElement>(null);
+  const horizontal = node.direction === 'horizontal';
+  const sizes = node.sizes ?? node.children.map(() => 1);
+
+  // Dragging divider i moves space between children i and i + 1
+  const startDrag = (i: number) => (event: React.MouseEvent) => {
+    if (!ref.current) return;
+    event.preventDefault();
+    const box = ref.current.getBoundingClientRect();
+    const extent = horizontal ? box.width : box.height;
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    const origin = horizontal ? event.clientX : event.clientY;
+
+    const move = (e: MouseEvent) => {
+      const delta = (((horizontal ? e.clientX : e.clientY) - origin) / extent) * total;
+      const pair = sizes[i] + sizes[i + 1];
+      const first = Math.min(Math.max(sizes[i] + delta, pair * 0.1), pair * 0.9);
+      const next = [...sizes];
+      next[i] = first;
+      next[i + 1] = pair - first;
+      onResize(next.map(size => Math.round(size * 1000) / 1000));
+    };
+    const up = () => {
+      window.removeEventListener('mousemove', move);
+      window.removeEventListener('mouseup', up);
+    };
+    window.addEventListener('mousemove', move);
+    window.addEventListener('mouseup', up);
+  };
+
+  return (
+    <div
+      ref={ref}
+      style={{ display: 'flex', flexDirection: horizontal ? 'row' : 'column', flex: 1, minWidth: 0, minHeight: 0 }}
+    >
+      {children.map((child, i) => (
+        <React.Fragment key={node.children[i].id}>
+          {i > 0 && (
+            <div
+              onMouseDown={startDrag(i - 1)}
+              style={{
+                flex: '0 0 4px',
+                cursor: horizontal ? 'col-resize' : 'row-resize',
+                backgroundColor: 'rgba(255,255,255,0.08)'
+              }}
+            />
+          )}
+          <div style={{ display: 'flex', flex: `${sizes[i]} 1 0`, minWidth: 0, minHeight: 0 }}>{child}</div>
+        </React.Fragment>
+      ))}
+    </div>
+  );
+};
+
+// ============================================================================
+// Layout
+// ============================================================================
+
+export const TerminalLayout: React.FC<TerminalLayoutProps> = ({
+  url,
+  apiUrl,
+  accessToken,
+  framing = 'json',
+  layout: initialLayout = TRADING_LAYOUT,
+  layoutName,
+  onLayoutChange,
+  fontSize = 13,
+  fontFamily = 'Monaco, "Cascadia Code", Consolas, monospace',
+  theme = {},
+  className = '',
+  style = {}
+}) => {
+  const colors: Theme = { ...DEFAULT_THEME, ...theme };
+  const api = apiUrl ?? defaultApiUrl(url);
+  // A saved layout is loaded before any pane opens a session
+  const [layout, setLayout] = useState<LayoutNode | null>(layoutName ? null : initialLayout);
+  const [connected, setConnected] = useState(false);
+  const [notice, setNotice] = useState<string | null>(null);
+
+  const mux = useMemo(() => new TerminalMux(url, { accessToken, framing }), [url, accessToken, framing]);
+
+  useEffect(() => {
+    const unsubscribe = mux.onStatus(setConnected);
+    mux.connect();
+    return () => {
+      unsubscribe();
+      mux.disconnect();
+    };
+  }, [mux]);
+
+  // Restore the saved layout
+  useEffect(() => {
+    if (!layoutName) return;
+    let cancelled = false;
+    fetchLayouts(api, accessToken)
+      .then(saved => {
+        if (!cancelled) setLayout(saved[layoutName]?.layout ?? initialLayout);
+      })
+      .catch(err => {
+        if (cancelled) return;
+        setNotice(`Could not restore "${layoutName}": ${err.message}`);
+        setLayout(initialLayout);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [api, accessToken, layoutName]);
+
+  useEffect(() => {
+    if (layout) onLayoutChange?.(layout);
+  }, [layout]);
+
+  // Closing the last pane leaves a fresh shell
+  const update = useCallback((change: (layout: LayoutNode) => LayoutNode | null) => {
+    setLayout(current => (current ? change(current) ?? createPane(null) : current));
+  }, []);
+
+  const onSession = useCallback((paneId: string, sessionId: string | null) => {
+    update(current => setPaneSession(current, paneId, sessionId));
+  }, [update]);
+
+  const onAction = useCallback((paneId: string, action: PaneAction) => {
+    update(current => {
+      switch (action) {
+        case 'split-horizontal':
+          return splitPane(current, paneId, 'horizontal');
+        case 'split-vertical':
+          return splitPane(current, paneId, 'vertical');
+        case 'tab':
+          return addTab(current, paneId);
+        case 'close':
+          return removeNode(current, paneId);
+      }
+    });
+  }, [update]);
+
+  const save = async () => {
+    if (!layout) return;
+    const name = layoutName || 'default';
+    try {
+      await saveLayout(api, name, layout, accessToken);
+      setNotice(`Saved layout "${name}"`);
+    } catch (err: any) {
+      setNotice(`Save failed: ${err.message}`);
+    }
+  };
+
+  const renderNode = (node: LayoutNode): React.ReactNode => {
+    if (node.type === 'pane') {
+      return (
+        <TerminalPane
+          key={node.id}
+          pane={node}
+          mux={mux}
+          theme={colors}
+          fontSize={fontSize}
+          fontFamily={fontFamily}
+          onSession={onSession}
+          onAction={onAction}
+        />
+      );
+    }
+
+    if (node.type === 'split') {
+      return (
+        <SplitView key={node.id} node={node} onResize={sizes => update(current => resizeSplit(current, node.id, sizes))}>
+          {node.children.map(renderNode)}
+        </SplitView>
+      );
+    }
+
+    const active = node.active ?? 0;
+    return (
+      <div key={node.id} style={{ display: 'flex', flexDirection: 'column', flex: 1, minWidth: 0, minHeight: 0 }}>
+        <div style={{ display: 'flex', borderBottom: '1px solid rgba(255,255,255,0.1)' }}>
+          {node.children.map((child, i) => (
+            <button
+              key={child.id}
+              onClick={() => update(current => setActiveTab(current, node.id, i))}
+              style={{
+                ...buttonStyle(colors),
+                padding: '4px 10px',
+                opacity: i === active ? 1 : 0.6,
+                borderBottom: i === active ? `2px solid ${colors.accent}` : '2px solid transparent'
+              }}
+            >
+              {nodeTitle(child)}
+            </button>
+          ))}
+        </div>
+        {node.children.map((child, i) => (
+          // Inactive tabs stay mounted so their sessions keep streaming
+          <div key={child.id} style={{ display: i === active ? 'flex' : 'none', flex: 1, minHeight: 0 }}>
+            {renderNode(child)}
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  return (
+    <div
+      className={`terminal-layout ${className}`}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        height: '100%',
+        backgroundColor: colors.background,
+        ...style
+      }}
+    >
+      {/* Toolbar */}
+      <div
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          padding: '4px 8px',
+          backgroundColor: 'rgba(255,255,255,0.05)',
+          borderBottom: '1px solid rgba(255,255,255,0.1)',
+          fontSize: '11px',
+          color: colors.foreground
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <span
+            style={{
+              width: '8px',
+              height: '8px',
+              borderRadius: '50%',
+              backgroundColor: connected ? '#00ff41' : '#ff0033'
+            }}
+          />
+          <span>{layoutName ? `Layout: ${layoutName}` : 'Terminal layout'}</span>
+          {notice && <span style={{ opacity: 0.6 }}>{notice}</span>}
+        </div>
+        <button onClick={save} disabled={!layout} style={buttonStyle(colors)}>
+          Save layout
+        </button>
+      </div>
+
+      {/* Panes */}
+      <div style={{ display: 'flex', flex: 1, minHeight: 0 }}>
+        {layout ? renderNode(layout) : <span style={{ padding: '8px', color: colors.foreground }}>Loading layout...</span>}
+      </div>
+    </div>
+  );
+};
+
+export default TerminalLayout;
@@ -0,0 +1,220 @@
+/**
+ * TerminalMux.ts - Client for the terminal server's /terminal/mux endpoint
+ * Carries several terminal sessions over one WebSocket, one channel each
+ * (see src/servers/terminal-mux.js).
+ *
+ * Channels survive reconnects: they are reopened on the session they were
+ * showing. A channel whose session is gone (close code 4404) is reopened
+ * on a fresh session.
+ */
+
+export interface MuxMessage {
+  type: string;
+  channel?: string;
+  [key: string]: any;
+}
+
+export interface MuxChannelOptions {
+  /** Attach to a running session instead of starting one */
+  session?: string | null;
+  /** 'view' joins as a read-only spectator */
+  mode?: 'control' | 'view';
+}
+
+export interface TerminalMuxOptions {
+  /** Bearer token, sent as ?access_token= (see src/ws-auth.js) */
+  accessToken?: string;
+  /** 'binary' receives output as binary frames instead of JSON messages */
+  framing?: 'json' | 'binary';
+  reconnectDelay?: number;
+  maxReconnectAttempts?: number;
+}
+
+export type MuxListener = (message: MuxMessage) => void;
+
+// Close code for a session that no longer exists
+const SESSION_NOT_FOUND = 4404;
+
+export class MuxChannel {
+  sessionId: string | null;
+  private listeners = new Set<MuxListener>();
+  private decoder = new TextDecoder();
+
+  constructor(
+    readonly mux: TerminalMux,
+    readonly id: string,
+    readonly mode: 'control' | 'view' = 'control',
+    session: string | null = null
+  ) {
+    this.sessionId = session;
+  }
+
+  send(message: MuxMessage): void {
+    this.mux.send({ ...message, channel: this.id });
+  }
+
+  input(data: string): void {
+    this.send({ type: 'terminal_input', data });
+  }
+
+  resize(cols: number, rows: number): void {
+    this.send({ type: 'terminal_resize', cols, rows });
+  }
+
+  /**
+   * Listen to this channel's messages; binary output arrives as
+   * terminal_data. Returns an unsubscribe function.
+   */
+  onMessage(listener: MuxListener): () => void {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /** Detach from the session (it keeps running for the grace period) */
+  close(): void {
+    this.mux.closeChannel(this.id);
+  }
+
+  /** @internal */
+  receive(message: MuxMessage): void {
+    if (message.type === 'session_created' || message.type === 'session_attached') {
+      this.sessionId = message.sessionId;
+    }
+    for (const listener of this.listeners) listener(message);
+  }
+
+  /** @internal */
+  receiveOutput(payload: Uint8Array): void {
+    this.receive({ type: 'terminal_data', data: this.decoder.decode(payload, { stream: true }) });
+  }
+}
+
+export class TerminalMux {
+  private socket: WebSocket | null = null;
+  private channels = new Map<string, MuxChannel>();
+  private statusListeners = new Set<(connected: boolean) => void>();
+  private reconnectAttempts = 0;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private stopped = false;
+  private options: Required<Omit<TerminalMuxOptions, 'accessToken'>> & { accessToken?: string };
+
+  constructor(readonly url: string, options: TerminalMuxOptions = {}) {
+    this.options = {
+      framing: 'json',
+      reconnectDelay: 3000,
+      maxReconnectAttempts: Infinity,
+      ...options
+    };
+  }
+
+  get connected(): boolean {
+    return this.socket?.readyState === WebSocket.OPEN;
+  }
+
+  connect(): void {
+    if (this.socket && this.socket.readyState <= WebSocket.OPEN) return;
+    this.stopped = false;
+
+    const target = new URL(this.url);
+    if (this.options.accessToken) target.searchParams.set('access_token', this.options.accessToken);
+    if (this.options.framing === 'binary') target.searchParams.set('framing', 'binary');
+    const socket = new WebSocket(target.toString());
+    socket.binaryType = 'arraybuffer';
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.reconnectAttempts = 0;
+      for (const channel of this.channels.values()) this.sendOpen(channel);
+      for (const listener of this.statusListeners) listener(true);
+    };
+
+    socket.onmessage = (event) => {
+      if (event.data instanceof ArrayBuffer) {
+        // [id length][channel id][output]
+        const bytes = new Uint8Array(event.data);
+        const end = 1 + bytes[0];
+        const id = new TextDecoder().decode(bytes.subarray(1, end));
+        this.channels.get(id)?.receiveOutput(bytes.subarray(end));
+        return;
+      }
+      let message: MuxMessage;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      const channel = message.channel ? this.channels.get(message.channel) : undefined;
+      if (!channel) return;
+
+      channel.receive(message);
+      if (message.type === 'channel_closed') {
+        if (message.code === SESSION_NOT_FOUND) {
+          // The session expired: start over on a new one
+          channel.sessionId = null;
+          this.sendOpen(channel);
+        } else {
+          this.channels.delete(channel.id);
+        }
+      }
+    };
+
+    socket.onclose = () => {
+      this.socket = null;
+      for (const listener of this.statusListeners) listener(false);
+      if (this.stopped || this.reconnectAttempts >= this.options.maxReconnectAttempts) return;
+      this.reconnectAttempts++;
+      this.reconnectTimer = setTimeout(() => this.connect(), this.options.reconnectDelay);
+    };
+  }
+
+  disconnect(): void {
+    this.stopped = true;
+    if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+    this.socket?.close();
+    this.socket = null;
+  }
+
+  /**
+   * Open a channel (sent once the socket is connected). Reopening an id
+   * returns the existing channel.
+   */
+  open(id: string, options: MuxChannelOptions = {}): MuxChannel {
+    let channel = this.channels.get(id);
+    if (!channel) {
+      channel = new MuxChannel(this, id, options.mode, options.session ?? null);
+      this.channels.set(id, channel);
+      if (this.connected) this.sendOpen(channel);
+    }
+    return channel;
+  }
+
+  closeChannel(id: string): void {
+    if (!this.channels.delete(id)) return;
+    this.send({ type: 'channel_close', channel: id });
+  }
+
+  getChannel(id: string): MuxChannel | undefined {
+    return this.channels.get(id);
+  }
+
+  onStatus(listener: (connected: boolean) => void): () => void {
+    this.statusListeners.add(listener);
+    return () => this.statusListeners.delete(listener);
+  }
+
+  /** @internal */
+  send(message: MuxMessage): void {
+    if (this.connected) this.socket!.send(JSON.stringify(message));
+  }
+
+  private sendOpen(channel: MuxChannel): void {
+    this.send({
+      type: 'channel_open',
+      channel: channel.id,
+      session: channel.sessionId,
+      mode: channel.mode
+    });
+  }
+}
+
+export default TerminalMux;
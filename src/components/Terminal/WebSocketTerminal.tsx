@@ -1,13 +1,23 @@
 /**
  * WebSocketTerminal.tsx - Generic WebSocket Terminal Component
  * Provides a reusable terminal interface with WebSocket connectivity
+ *
+ * Playback mode: pass `playback` (URL of an asciicast v2 recording, e.g.
+ * /api/recordings/<id> on the terminal server) to replay a session with its
+ * original timing instead of connecting.
  */
 
 import React, { useEffect, useRef, useState, useCallback, forwardRef, useImperativeHandle } from 'react';
 
 export interface WebSocketTerminalProps {
   url: string;
+  /** Bearer token, sent as ?access_token= (see src/ws-auth.js) */
+  accessToken?: string;
+  /** 'binary' receives output as binary frames instead of JSON messages */
+  framing?: 'json' | 'binary';
   autoConnect?: boolean;
+  playback?: string;
+  playbackSpeed?: number;
   reconnectDelay?: number;
   maxReconnectAttempts?: number;
   cols?: number;
@@ -38,11 +48,20 @@ export interface WebSocketTerminalHandle {
   disconnect: () => void;
   resize: (cols: number, rows: number) => void;
   isConnected: () => boolean;
+  play: (source: string) => Promise<void>;
+  stopPlayback: () => void;
 }
 
+// Pauses longer than this (seconds) are shortened during playback
+const DEFAULT_IDLE_TIME_LIMIT = 2;
+
 export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTerminalProps>(({
   url,
+  accessToken,
+  framing = 'json',
   autoConnect = true,
+  playback,
+  playbackSpeed = 1,
   reconnectDelay = 3000,
   maxReconnectAttempts = 5,
   cols = 80,
@@ -63,8 +82,10 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
   const wsRef = useRef<WebSocket | null>(null);
   const reconnectAttempts = useRef(0);
   const reconnectTimeout = useRef<NodeJS.Timeout | null>(null);
+  const playbackRef = useRef<{ cancelled: boolean } | null>(null);
 
   const [connected, setConnected] = useState(false);
+  const [playing, setPlaying] = useState(false);
   const [dimensions, setDimensions] = useState({ cols, rows });
 
   const defaultTheme = {
@@ -114,8 +135,13 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
   const connect = useCallback(() => {
     if (wsRef.current?.readyState === WebSocket.OPEN) return;
 
-    const ws = new WebSocket(url);
+    const target = new URL(url);
+    if (accessToken) target.searchParams.set('access_token', accessToken);
+    if (framing === 'binary') target.searchParams.set('framing', 'binary');
+    const ws = new WebSocket(target.toString());
+    ws.binaryType = 'arraybuffer';
     wsRef.current = ws;
+    const decoder = new TextDecoder();
 
     ws.onopen = () => {
       setConnected(true);
@@ -132,11 +158,24 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
     };
 
     ws.onmessage = (event) => {
+      // Binary framing: the frame is the output itself
+      if (event.data instanceof ArrayBuffer) {
+        const output = decoder.decode(event.data, { stream: true });
+        terminalInstance.current?.write(output);
+        onData?.(output);
+        return;
+      }
       try {
         const data = JSON.parse(event.data);
         if (data.type === 'terminal_data') {
           terminalInstance.current?.write(data.data);
           onData?.(data.data);
+        } else if (data.type === 'terminal_replay') {
+          // Screen redraw: on reattach, or after output was dropped
+          terminalInstance.current?.reset();
+          terminalInstance.current?.write(data.data);
+        } else if (data.type === 'terminal_error') {
+          terminalInstance.current?.writeln(`\r\n\x1b[31m[${data.code}] ${data.message}\x1b[0m`);
         }
       } catch {
         terminalInstance.current?.write(event.data);
@@ -162,7 +201,7 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
     ws.onerror = (error) => {
       onError?.(error);
     };
-  }, [url, dimensions, reconnectDelay, maxReconnectAttempts, onConnect, onDisconnect, onData, onError]);
+  }, [url, accessToken, framing, dimensions, reconnectDelay, maxReconnectAttempts, onConnect, onDisconnect, onData, onError]);
 
   // Disconnect
   const disconnect = useCallback(() => {
@@ -183,6 +222,61 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
     }
   }, []);
 
+  // Stop a running playback
+  const stopPlayback = useCallback(() => {
+    if (playbackRef.current) playbackRef.current.cancelled = true;
+    playbackRef.current = null;
+    setPlaying(false);
+  }, []);
+
+  // Replay an asciicast v2 recording: output and resize events with their
+  // original timing (input events are skipped, output already echoes them)
+  const play = useCallback(async (source: string) => {
+    const term = terminalInstance.current;
+    if (!term) return;
+    stopPlayback();
+    const token = { cancelled: false };
+    playbackRef.current = token;
+
+    const response = await fetch(source);
+    if (!response.ok) {
+      term.writeln(`\x1b[31m[Recording not found: ${source}]\x1b[0m`);
+      playbackRef.current = null;
+      return;
+    }
+    const [headerLine, ...lines] = (await response.text()).split('\n').filter(line => line.trim());
+    const header = JSON.parse(headerLine);
+    const idleTimeLimit = header.idle_time_limit ?? DEFAULT_IDLE_TIME_LIMIT;
+
+    term.reset();
+    // Resize the xterm only: dimensions state feeds initTerminal and would
+    // re-run the mount effect (which stops playback)
+    term.resize(header.width, header.height);
+    setPlaying(true);
+
+    let clock = 0;
+    for (const line of lines) {
+      if (token.cancelled) return;
+      const [time, code, data] = JSON.parse(line);
+      const delay = (Math.min(time - clock, idleTimeLimit) / playbackSpeed) * 1000;
+      clock = time;
+      if (delay > 0) await new Promise(resolve => setTimeout(resolve, delay));
+      if (token.cancelled) return;
+
+      if (code === 'o') {
+        term.write(data);
+        onData?.(data);
+      } else if (code === 'r') {
+        const [c, r] = data.split('x').map(Number);
+        term.resize(c, r);
+      }
+    }
+
+    term.writeln('\r\n\x1b[90m[Playback finished]\x1b[0m');
+    playbackRef.current = null;
+    setPlaying(false);
+  }, [playbackSpeed, onData, stopPlayback]);
+
   // Expose methods via ref
   useImperativeHandle(ref, () => ({
     write: (data: string) => terminalInstance.current?.write(data),
@@ -197,15 +291,18 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
       setDimensions({ cols, rows });
       sendToServer({ type: 'terminal_resize', cols, rows });
     },
-    isConnected: () => connected
-  }), [sendToServer, connect, disconnect, connected]);
+    isConnected: () => connected,
+    play,
+    stopPlayback
+  }), [sendToServer, connect, disconnect, connected, play, stopPlayback]);
 
   // Handle window resize
   useEffect(() => {
     if (!terminalRef.current) return;
 
     const resizeObserver = new ResizeObserver(() => {
-      if (fitAddon.current) {
+      // Recordings keep their recorded size
+      if (fitAddon.current && !playbackRef.current) {
         fitAddon.current.fit();
         const term = terminalInstance.current;
         if (term) {
@@ -222,16 +319,19 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
   // Initialize and optionally connect
   useEffect(() => {
     initTerminal().then(() => {
-      if (autoConnect) {
+      if (playback) {
+        play(playback).catch(err => terminalInstance.current?.writeln(`\x1b[31m[Playback failed: ${err.message}]\x1b[0m`));
+      } else if (autoConnect) {
         connect();
       }
     });
 
     return () => {
+      stopPlayback();
       disconnect();
       terminalInstance.current?.dispose();
     };
-  }, [initTerminal, autoConnect, connect, disconnect]);
+  }, [initTerminal, autoConnect, playback, play, stopPlayback, connect, disconnect]);
 
   return (
     <div
@@ -263,10 +363,10 @@ export const WebSocketTerminal = forwardRef<WebSocketTerminalHandle, WebSocketTe
               width: '8px',
               height: '8px',
               borderRadius: '50%',
-              backgroundColor: connected ? '#00ff41' : '#ff0033'
+              backgroundColor: playing ? '#ffaa00' : connected ? '#00ff41' : '#ff0033'
             }}
           />
-          <span>{connected ? 'Connected' : 'Disconnected'}</span>
+          <span>{playing ? `Playback${playbackSpeed !== 1 ? ` ${playbackSpeed}x` : ''}` : connected ? 'Connected' : 'Disconnected'}</span>
         </div>
         <span style={{ opacity: 0.6 }}>{dimensions.cols}x{dimensions.rows}</span>
       </div>
@@ -8,14 +8,54 @@ export type {
   TerminalDimensions,
   TerminalOptions,
   ManagedTerminal,
-  TerminalEvent
+  TerminalEvent,
+  TerminalViewer,
+  ViewerMode,
+  SessionRecorder,
+  PoolOptions,
+  PoolStats,
+  AcquireOptions
 } from './PTYManager';
 
 export { FinancialTerminal } from './FinancialTerminal';
-export type { FinancialTerminalProps } from './FinancialTerminal';
+export type {
+  FinancialTerminalProps,
+  QuantumCommandResult
+} from './FinancialTerminal';
 
 export { WebSocketTerminal } from './WebSocketTerminal';
 export type {
   WebSocketTerminalProps,
   WebSocketTerminalHandle
 } from './WebSocketTerminal';
+
+export { TerminalLayout } from './TerminalLayout';
+export type { TerminalLayoutProps, PaneAction } from './TerminalLayout';
+
+export { TerminalMux, MuxChannel } from './TerminalMux';
+export type { MuxMessage, MuxChannelOptions, TerminalMuxOptions } from './TerminalMux';
+
+export {
+  TRADING_LAYOUT,
+  createPane,
+  listPanes,
+  findNode,
+  updateNode,
+  splitPane,
+  addTab,
+  removeNode,
+  setActiveTab,
+  resizeSplit,
+  setPaneSession,
+  fetchLayouts,
+  saveLayout,
+  deleteLayout
+} from './PaneLayout';
+export type {
+  LayoutNode,
+  PaneNode,
+  SplitNode,
+  TabsNode,
+  SplitDirection,
+  SavedLayout
+} from './PaneLayout';
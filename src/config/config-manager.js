@@ -6,6 +6,7 @@
  */
 
 import configs from "../../config-fixed.yaml";
+import { getFeatureFlagService } from "../feature-flag-service.js";
 
 class ConfigManager {
   constructor() {
@@ -133,40 +134,21 @@ class ConfigManager {
   }
 
   /**
-   * Get features configuration
+   * Get features configuration (src/config/features.yaml, via the shared
+   * FeatureFlagService; a `features` section here is not consulted)
    */
   getFeaturesConfig() {
-    return this.get("features", {});
+    return getFeatureFlagService().features;
   }
 
   /**
    * Check if feature is enabled
    */
   isFeatureEnabled(featureName, userEmail = null) {
-    const features = this.getFeaturesConfig();
-    const feature = features[featureName];
-
-    if (!feature || !feature.enabled) {
-      return false;
-    }
-
-    // Check rollout percentage
-    if (
-      feature.rolloutPercentage !== undefined &&
-      feature.rolloutPercentage < 100
-    ) {
-      const hash = this.hashCode(userEmail || "anonymous");
-      if (hash % 100 >= feature.rolloutPercentage) {
-        return false;
-      }
-    }
-
-    // Check allowed users
-    if (feature.allowedUsers && userEmail) {
-      return feature.allowedUsers.includes(userEmail);
-    }
-
-    return true;
+    return getFeatureFlagService().isEnabled(featureName, {
+      email: userEmail || undefined,
+      environment: this.environment,
+    });
   }
 
   /**
@@ -206,19 +188,6 @@ class ConfigManager {
     return feature.default;
   }
 
-  /**
-   * Simple hash function for consistent rollouts
-   */
-  hashCode(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
-  }
-
   /**
    * Get all enabled features for user
    */
@@ -2,36 +2,22 @@
 
 /**
  * Feature Flags Management System
- * Demonstrates Bun's YAML import and feature flag implementation
+ * Demonstrates Bun's YAML-backed feature flags: features.yaml is evaluated
+ * by the shared FeatureFlagService (src/feature-flag-service.js)
  */
 
-import { features } from './features.yaml';
+import { bucket, getFeatureFlagService, hashKey } from '../feature-flag-service.js';
 
-export function isFeatureEnabled(featureName: string, userEmail?: string): boolean {
-  const feature = features[featureName];
-
-  if (!feature?.enabled) {
-    return false;
-  }
-
-  // Check rollout percentage
-  if (feature.rolloutPercentage < 100) {
-    const hash = hashCode(userEmail || "anonymous");
-    if (hash % 100 >= feature.rolloutPercentage) {
-      return false;
-    }
-  }
+// The shared service loads features.yaml and opens its audit log, so it is
+// created on the first flag lookup rather than when this module is imported
+const flags = () => getFeatureFlagService();
 
-  // Check allowed users
-  if (feature.allowedUsers && userEmail) {
-    return feature.allowedUsers.includes(userEmail);
-  }
-
-  return true;
+export function isFeatureEnabled(featureName: string, userEmail?: string): boolean {
+  return flags().isEnabled(featureName, { email: userEmail });
 }
 
 export function getFeatureValue(featureName: string, defaultValue: any = null): any {
-  const feature = features[featureName];
+  const feature = flags().getDefinition(featureName);
   
   if (!isFeatureEnabled(featureName)) {
     return defaultValue;
@@ -48,17 +34,17 @@ export function getFeatureValue(featureName: string, defaultValue: any = null):
 }
 
 export function getFeatureConfig(featureName: string): any {
-  return features[featureName] || null;
+  return flags().getDefinition(featureName);
 }
 
 export function getAllFeatures(): any {
-  return features;
+  return flags().features;
 }
 
 export function getEnabledFeatures(userEmail?: string): any[] {
   const enabled = [];
   
-  for (const [name, feature] of Object.entries(features)) {
+  for (const [name, feature] of Object.entries(flags().features)) {
     if (isFeatureEnabled(name, userEmail)) {
       enabled.push({
         name,
@@ -84,16 +70,6 @@ function getDarkModeValue(feature: any, userPreference?: string): string {
   return feature.default;
 }
 
-function hashCode(str: string): number {
-  let hash = 0;
-  for (let i = 0; i < str.length; i++) {
-    const char = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash);
-}
-
 // Usage examples with hot reloading support
 export function renderDashboard(userEmail?: string) {
   if (isFeatureEnabled("newDashboard", userEmail)) {
@@ -145,7 +121,7 @@ export function enableSIMDOptimization(userEmail?: string) {
 
 // Feature dependency checker
 export function checkFeatureDependencies(featureName: string, availableFeatures: string[] = []): boolean {
-  const feature = features[featureName];
+  const feature = flags().getDefinition(featureName);
   
   if (!feature?.dependencies) {
     return true;
@@ -158,7 +134,6 @@ export function checkFeatureDependencies(featureName: string, availableFeatures:
 
 // Feature rollout simulator
 export function simulateRollout(featureName: string, userEmails: string[]): any {
-  const feature = features[featureName];
   const results = {
     total: userEmails.length,
     enabled: 0,
@@ -178,7 +153,7 @@ export function simulateRollout(featureName: string, userEmails: string[]): any
     results.users.push({
       email,
       enabled: enabled,
-      hash: hashCode(email)
+      bucket: bucket(featureName, email)
     });
   });
 
@@ -186,5 +161,5 @@ export function simulateRollout(featureName: string, userEmails: string[]): any
   return results;
 }
 
-// Export for testing
-export { hashCode };
+// Export for testing (the service's rollout hash)
+export { hashKey as hashCode };
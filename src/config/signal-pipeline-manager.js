@@ -0,0 +1,243 @@
+// [DOMAIN][SIGNALS][YAML][HSL:170,70%,85%][META:{HOT-RELOAD}][CLASS:SignalPipelineManager]{BUN-API}
+
+/**
+ * Signal Pipeline Manager
+ * Loads signal fusion pipelines (indicators, weights, threshold ladders)
+ * from YAML and resolves which pipeline a symbol uses.
+ *
+ * Resolution order: assignments.symbols > assignments.assetClasses > default
+ * Hot reload (hot-reload.js): file watch + SIGUSR2. An invalid edit is
+ * rejected and the previous pipelines stay active.
+ */
+
+import { loadYAMLConfig, watchReload } from "../hot-reload.js";
+
+export const DEFAULT_PIPELINES_PATH = new URL(
+  "./signal-pipelines.yaml",
+  import.meta.url,
+).pathname;
+
+/**
+ * Weighted sum of indicator signals; indicators without a value count as 0
+ */
+export function fuseComponents(weights, components) {
+  let fused = 0;
+  for (const [indicator, weight] of Object.entries(weights)) {
+    fused += (components[indicator] ?? 0) * weight;
+  }
+  return fused;
+}
+
+/**
+ * Map a fused value to a label using an ordered threshold ladder
+ */
+export function classifySignal(thresholds, fused) {
+  for (const rung of thresholds) {
+    if (rung.above === undefined || fused > rung.above) return rung.label;
+  }
+  return thresholds[thresholds.length - 1].label;
+}
+
+/**
+ * Validate one pipeline definition and normalize it to
+ * { name, description, weights, thresholds }
+ */
+export function compilePipeline(name, definition, knownIndicators = null) {
+  if (!definition || typeof definition !== "object") {
+    throw new Error(`Pipeline "${name}" must be a mapping`);
+  }
+
+  const weights = {};
+  for (const [indicator, spec] of Object.entries(definition.indicators || {})) {
+    const weight = typeof spec === "number" ? spec : spec?.weight;
+    if (typeof weight !== "number" || !Number.isFinite(weight)) {
+      throw new Error(
+        `Pipeline "${name}": indicator "${indicator}" needs a numeric weight`,
+      );
+    }
+    if (knownIndicators && !knownIndicators.includes(indicator)) {
+      throw new Error(
+        `Pipeline "${name}": unknown indicator "${indicator}" (expected: ${knownIndicators.join(", ")})`,
+      );
+    }
+    weights[indicator] = weight;
+  }
+  if (Object.keys(weights).length === 0) {
+    throw new Error(`Pipeline "${name}" has no indicators`);
+  }
+
+  const thresholds = definition.thresholds;
+  if (!Array.isArray(thresholds) || thresholds.length === 0) {
+    throw new Error(`Pipeline "${name}" has no thresholds`);
+  }
+  let previous = Infinity;
+  thresholds.forEach((rung, index) => {
+    if (!rung?.label) {
+      throw new Error(`Pipeline "${name}": threshold ${index} has no label`);
+    }
+    if (rung.above === undefined) {
+      if (index !== thresholds.length - 1) {
+        throw new Error(
+          `Pipeline "${name}": only the last threshold may omit "above"`,
+        );
+      }
+      return;
+    }
+    if (typeof rung.above !== "number" || rung.above >= previous) {
+      throw new Error(
+        `Pipeline "${name}": thresholds must be numeric and descending`,
+      );
+    }
+    previous = rung.above;
+  });
+
+  return {
+    name,
+    description: definition.description || "",
+    weights,
+    thresholds: thresholds.map(({ label, above }) =>
+      above === undefined ? { label } : { label, above },
+    ),
+  };
+}
+
+class SignalPipelineManager {
+  /**
+   * @param {string} path - Pipelines YAML file
+   * @param {Object} options - { indicators: allowed indicator names }
+   */
+  constructor(path = DEFAULT_PIPELINES_PATH, options = {}) {
+    this.path = path;
+    this.knownIndicators = options.indicators || null;
+    this.pipelines = new Map();
+    this.symbolAssignments = new Map();
+    this.defaultPipeline = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    this.listeners = new Set();
+    this.load();
+  }
+
+  /**
+   * Load pipelines from disk (throws on the first load, keeps the previous
+   * pipelines on later loads)
+   */
+  load() {
+    return loadYAMLConfig(this, "Signal pipelines");
+  }
+
+  /**
+   * Compile a parsed YAML document and swap it in atomically
+   */
+  apply(document) {
+    const pipelines = new Map();
+    for (const [name, definition] of Object.entries(
+      document?.pipelines || {},
+    )) {
+      pipelines.set(
+        name,
+        compilePipeline(name, definition, this.knownIndicators),
+      );
+    }
+
+    const assignments = document?.assignments || {};
+    const defaultName = assignments.default || pipelines.keys().next().value;
+    if (!pipelines.has(defaultName)) {
+      throw new Error(`Default pipeline "${defaultName}" is not defined`);
+    }
+
+    const requirePipeline = (name, context) => {
+      if (!pipelines.has(name)) {
+        throw new Error(`${context} references unknown pipeline "${name}"`);
+      }
+      return pipelines.get(name);
+    };
+
+    const symbolAssignments = new Map();
+    for (const [assetClass, spec] of Object.entries(
+      assignments.assetClasses || {},
+    )) {
+      const pipeline = requirePipeline(
+        spec?.pipeline,
+        `Asset class "${assetClass}"`,
+      );
+      for (const symbol of spec.symbols || []) {
+        symbolAssignments.set(symbol, {
+          pipeline,
+          source: `assetClass:${assetClass}`,
+        });
+      }
+    }
+    for (const [symbol, name] of Object.entries(assignments.symbols || {})) {
+      symbolAssignments.set(symbol, {
+        pipeline: requirePipeline(name, `Symbol "${symbol}"`),
+        source: "symbol",
+      });
+    }
+
+    this.pipelines = pipelines;
+    this.symbolAssignments = symbolAssignments;
+    this.defaultPipeline = pipelines.get(defaultName);
+  }
+
+  reload() {
+    console.log("🔄 Reloading signal pipelines...");
+    const ok = this.load();
+    if (ok) {
+      for (const listener of this.listeners) listener(this);
+    }
+    return ok;
+  }
+
+  /**
+   * Pipeline used for symbol
+   */
+  resolve(symbol) {
+    return this.symbolAssignments.get(symbol)?.pipeline || this.defaultPipeline;
+  }
+
+  get(name) {
+    return this.pipelines.get(name) || null;
+  }
+
+  onReload(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Reload on file changes (debounced) and on SIGUSR2
+   */
+  watch() {
+    if (this.watcher) return this;
+    this.watcher = watchReload(this.path, () => this.reload(), {
+      label: "signal pipelines",
+    });
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  describe() {
+    return {
+      path: this.path,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      default: this.defaultPipeline?.name,
+      pipelines: Object.fromEntries(this.pipelines),
+      assignments: Object.fromEntries(
+        Array.from(this.symbolAssignments, ([symbol, { pipeline, source }]) => [
+          symbol,
+          { pipeline: pipeline.name, source },
+        ]),
+      ),
+    };
+  }
+}
+
+export { SignalPipelineManager };
+export default SignalPipelineManager;
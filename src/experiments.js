@@ -0,0 +1,577 @@
+/**
+ * experiments.js - A/B experiments on top of feature flags
+ *
+ * An experiment is a flag in src/config/features.yaml with variants:
+ *
+ *   dashboardLayout:
+ *     enabled: true
+ *     rolloutPercentage: 20      # share of users in the experiment
+ *     variants:                  # name: weight
+ *       control: 50
+ *       compact: 50
+ *     control: control           # baseline for analysis (default: first)
+ *     metrics: [conversion]      # metrics reported by default
+ *
+ * The flag decides who is in the experiment (FeatureFlagManager, so all
+ * targeting rules apply); within it, users are bucketed into a variant by
+ * weight. Assignments are sticky: stored on first exposure, they survive
+ * weight changes until the variant itself is removed.
+ *
+ * Exposures (a user was shown their variant) and conversions (a metric
+ * value a user produced) are logged to a local bun:sqlite database.
+ * Analysis compares every variant with the control, per metric: each
+ * exposed user contributes the sum of their values for the metric (0 when
+ * they never converted). Each variant reports its mean with a confidence
+ * interval, and vsControl: the difference from the control with its
+ * interval, the relative lift and Welch's t-test.
+ */
+
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "fs";
+import { dirname } from "path";
+import { bucket, contextKey } from "./feature-flag-service.js";
+import { FeatureFlagManager } from "./utils/feature-flag-manager.js";
+
+export const DEFAULT_EXPERIMENTS_DB =
+  process.env.EXPERIMENTS_DB || ".data/experiments.sqlite";
+
+export const DEFAULT_ALPHA = 0.05;
+
+const METRIC_NAME = /^[\w.-]{1,64}$/;
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * ln Γ(x), Lanczos approximation
+ */
+function logGamma(x) {
+  const c = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of c) series += coefficient / ++y;
+  return -tmp + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ */
+function betaContinuedFraction(x, a, b) {
+  const TINY = 1e-30;
+  let c = 1;
+  let d = 1 - ((a + b) * x) / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    for (const aa of [
+      (m * (b - m) * x) / ((a + m2 - 1) * (a + m2)),
+      (-(a + m) * (a + b + m) * x) / ((a + m2) * (a + m2 + 1)),
+    ]) {
+      d = 1 + aa * d;
+      if (Math.abs(d) < TINY) d = TINY;
+      c = 1 + aa / c;
+      if (Math.abs(c) < TINY) c = TINY;
+      d = 1 / d;
+      h *= d * c;
+    }
+    if (Math.abs(d * c - 1) < 3e-12) break;
+  }
+  return h;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ */
+export function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(
+    logGamma(a + b) -
+      logGamma(a) -
+      logGamma(b) +
+      a * Math.log(x) +
+      b * Math.log(1 - x),
+  );
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaContinuedFraction(x, a, b)) / a
+    : 1 - (front * betaContinuedFraction(1 - x, b, a)) / b;
+}
+
+/**
+ * Two-tailed p-value of Student's t with `df` degrees of freedom
+ */
+export function tTestPValue(t, df) {
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+/**
+ * Critical t value for a two-tailed test at `alpha` (bisection)
+ */
+export function tCritical(df, alpha = DEFAULT_ALPHA) {
+  let low = 0;
+  let high = 1e3;
+  for (let i = 0; i < 100; i++) {
+    const mid = (low + high) / 2;
+    if (tTestPValue(mid, df) > alpha) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Mean, sample variance and confidence interval of a list of values
+ */
+export function describeSample(values, alpha = DEFAULT_ALPHA) {
+  const n = values.length;
+  const mean = n ? values.reduce((sum, v) => sum + v, 0) / n : 0;
+  const variance =
+    n > 1 ? values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / (n - 1) : 0;
+  const stderr = n > 1 ? Math.sqrt(variance / n) : null;
+  const margin = stderr === null ? null : tCritical(n - 1, alpha) * stderr;
+  return {
+    n,
+    mean,
+    variance,
+    stderr,
+    ci: margin === null ? null : [mean - margin, mean + margin],
+  };
+}
+
+/**
+ * Welch's t-test of b against a (samples from describeSample)
+ */
+export function welchTTest(a, b, alpha = DEFAULT_ALPHA) {
+  const difference = b.mean - a.mean;
+  if (a.n < 2 || b.n < 2) {
+    return { difference, t: null, df: null, pValue: null, ci: null };
+  }
+  const va = a.variance / a.n;
+  const vb = b.variance / b.n;
+  const se = Math.sqrt(va + vb);
+  if (se === 0) {
+    return {
+      difference,
+      t: null,
+      df: null,
+      pValue: difference === 0 ? 1 : 0,
+      ci: [difference, difference],
+    };
+  }
+  const t = difference / se;
+  const df = (va + vb) ** 2 / (va ** 2 / (a.n - 1) + vb ** 2 / (b.n - 1));
+  const margin = tCritical(df, alpha) * se;
+  return {
+    difference,
+    t,
+    df,
+    pValue: tTestPValue(t, df),
+    ci: [difference - margin, difference + margin],
+  };
+}
+
+// ============================================================================
+// DEFINITIONS
+// ============================================================================
+
+/**
+ * Experiment settings of a flag definition, or null when it has no variants
+ */
+export function experimentOf(name, definition) {
+  const variants = definition?.variants;
+  if (!variants) return null;
+  if (typeof variants !== "object" || Array.isArray(variants)) {
+    throw new Error(`${name}.variants must map variant names to weights`);
+  }
+  const entries = Object.entries(variants);
+  if (entries.length < 2) {
+    throw new Error(`${name}.variants needs at least two variants`);
+  }
+  for (const [variant, weight] of entries) {
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`${name}.variants.${variant} must be a weight >= 0`);
+    }
+  }
+  const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (total <= 0) throw new Error(`${name}.variants has no weight`);
+  const control = definition.control ?? entries[0][0];
+  if (!(control in variants)) {
+    throw new Error(`${name}.control must name one of its variants`);
+  }
+  return {
+    name,
+    enabled: Boolean(definition.enabled),
+    description: definition.description ?? "",
+    variants,
+    control,
+    metrics: definition.metrics ?? [],
+    total,
+  };
+}
+
+/**
+ * Pick a variant by weight for a bucket in [0, 100)
+ */
+function pickVariant(experiment, point) {
+  let cumulative = 0;
+  const entries = Object.entries(experiment.variants);
+  for (const [variant, weight] of entries) {
+    cumulative += (weight / experiment.total) * 100;
+    if (point < cumulative) return variant;
+  }
+  return entries.findLast(([, weight]) => weight > 0)[0];
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+export class ExperimentStore {
+  /**
+   * @param {string} path - SQLite file path (":memory:" for tests)
+   */
+  constructor(path = DEFAULT_EXPERIMENTS_DB) {
+    if (path !== ":memory:") {
+      mkdirSync(dirname(path), { recursive: true });
+    }
+    this.path = path;
+    this.db = new Database(path, { create: true });
+    this.db.exec("PRAGMA journal_mode = WAL;");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS assignments (
+        experiment TEXT    NOT NULL,
+        unit       TEXT    NOT NULL,
+        variant    TEXT    NOT NULL,
+        ts         INTEGER NOT NULL,
+        PRIMARY KEY (experiment, unit)
+      );
+      CREATE TABLE IF NOT EXISTS exposures (
+        experiment TEXT    NOT NULL,
+        unit       TEXT    NOT NULL,
+        variant    TEXT    NOT NULL,
+        ts         INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS exposures_lookup
+        ON exposures (experiment, unit);
+      CREATE TABLE IF NOT EXISTS conversions (
+        experiment TEXT    NOT NULL,
+        unit       TEXT    NOT NULL,
+        metric     TEXT    NOT NULL,
+        value      REAL    NOT NULL,
+        ts         INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS conversions_lookup
+        ON conversions (experiment, metric);
+    `);
+
+    this.getAssignmentStmt = this.db.prepare(
+      "SELECT variant FROM assignments WHERE experiment = ? AND unit = ?",
+    );
+    this.setAssignmentStmt = this.db.prepare(
+      "INSERT OR REPLACE INTO assignments (experiment, unit, variant, ts) VALUES (?, ?, ?, ?)",
+    );
+    this.insertExposureStmt = this.db.prepare(
+      "INSERT INTO exposures (experiment, unit, variant, ts) VALUES (?, ?, ?, ?)",
+    );
+    this.insertConversionStmt = this.db.prepare(
+      "INSERT INTO conversions (experiment, unit, metric, value, ts) VALUES (?, ?, ?, ?, ?)",
+    );
+    // Exposed units with the variant of their first exposure (SQLite
+    // takes bare columns from the MIN() row)
+    this.exposedStmt = this.db.prepare(
+      "SELECT unit, variant, MIN(ts) FROM exposures WHERE experiment = ? GROUP BY unit",
+    );
+    this.firstExposureStmt = this.db.prepare(
+      "SELECT variant FROM exposures WHERE experiment = ? AND unit = ? ORDER BY ts LIMIT 1",
+    );
+    this.totalsStmt = this.db.prepare(
+      "SELECT unit, SUM(value) AS total FROM conversions WHERE experiment = ? AND metric = ? GROUP BY unit",
+    );
+    this.metricsStmt = this.db.prepare(
+      "SELECT DISTINCT metric FROM conversions WHERE experiment = ? ORDER BY metric",
+    );
+    this.countsStmt = this.db.prepare(
+      "SELECT variant, COUNT(DISTINCT unit) AS units, COUNT(*) AS events FROM exposures WHERE experiment = ? GROUP BY variant",
+    );
+  }
+
+  getAssignment(experiment, unit) {
+    return this.getAssignmentStmt.get(experiment, unit)?.variant ?? null;
+  }
+
+  setAssignment(experiment, unit, variant, ts = Date.now()) {
+    this.setAssignmentStmt.run(experiment, unit, variant, ts);
+  }
+
+  logExposure(experiment, unit, variant, ts = Date.now()) {
+    this.insertExposureStmt.run(experiment, unit, variant, ts);
+  }
+
+  logConversion(experiment, unit, metric, value, ts = Date.now()) {
+    this.insertConversionStmt.run(experiment, unit, metric, value, ts);
+  }
+
+  /**
+   * Variant a unit was first exposed to, or null
+   */
+  exposedVariant(experiment, unit) {
+    return this.firstExposureStmt.get(experiment, unit)?.variant ?? null;
+  }
+
+  /**
+   * Map of exposed unit -> variant it was first exposed to
+   */
+  exposedUnits(experiment) {
+    return new Map(
+      this.exposedStmt.all(experiment).map((row) => [row.unit, row.variant]),
+    );
+  }
+
+  /**
+   * Map of unit -> sum of its values for a metric
+   */
+  metricTotals(experiment, metric) {
+    return new Map(
+      this.totalsStmt
+        .all(experiment, metric)
+        .map((row) => [row.unit, row.total]),
+    );
+  }
+
+  metrics(experiment) {
+    return this.metricsStmt.all(experiment).map((row) => row.metric);
+  }
+
+  /**
+   * { [variant]: { units, events } } of exposures
+   */
+  exposureCounts(experiment) {
+    return Object.fromEntries(
+      this.countsStmt
+        .all(experiment)
+        .map(({ variant, units, events }) => [variant, { units, events }]),
+    );
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ============================================================================
+// EXPERIMENT MANAGER
+// ============================================================================
+
+class ExperimentManager {
+  /**
+   * @param {Object} options
+   * @param {FeatureFlagManager} options.flags - decides who is enrolled
+   * @param {ExperimentStore} options.store - assignment and event log
+   * @param {string} options.prefix - route prefix for handle()
+   */
+  constructor(options = {}) {
+    this.flags = options.flags || new FeatureFlagManager();
+    this.store = options.store || new ExperimentStore();
+    this.prefix = options.prefix || "/api/v1/experiments";
+  }
+
+  /**
+   * Experiment settings by name (throws on an invalid definition)
+   */
+  get(name) {
+    return experimentOf(name, this.flags.getFeatureConfig(name));
+  }
+
+  /**
+   * Every flag that defines variants
+   */
+  list() {
+    return Object.keys(this.flags.config.features)
+      .map((name) => this.get(name))
+      .filter(Boolean);
+  }
+
+  /**
+   * Variant for a context ({ key, id, email, role, ... }), or null when the
+   * flag leaves the user out of the experiment. Does not log an exposure.
+   */
+  assign(name, context = {}) {
+    const experiment = this.get(name);
+    if (!experiment) throw new Error(`Unknown experiment '${name}'`);
+    if (!this.flags.isFeatureEnabled(name, context)) return null;
+
+    const unit = contextKey(context);
+    const stored = this.store.getAssignment(name, unit);
+    if (stored && experiment.variants[stored] !== undefined) return stored;
+
+    const variant = pickVariant(experiment, bucket(`${name}:variant`, unit));
+    this.store.setAssignment(name, unit, variant);
+    return variant;
+  }
+
+  /**
+   * Assign and log that the user was shown their variant
+   */
+  expose(name, context = {}, ts = Date.now()) {
+    const variant = this.assign(name, context);
+    if (variant) this.store.logExposure(name, contextKey(context), variant, ts);
+    return variant;
+  }
+
+  /**
+   * Record a metric value for an exposed user. Returns their variant, or
+   * null (nothing recorded) when they were never exposed.
+   */
+  track(name, context, metric, value = 1, ts = Date.now()) {
+    if (!METRIC_NAME.test(metric)) {
+      throw new Error(`Metric names must match ${METRIC_NAME}`);
+    }
+    if (!Number.isFinite(value)) throw new Error("Metric values are numbers");
+    if (!this.get(name)) throw new Error(`Unknown experiment '${name}'`);
+    const unit = contextKey(context);
+    const variant = this.store.exposedVariant(name, unit);
+    if (variant) this.store.logConversion(name, unit, metric, value, ts);
+    return variant;
+  }
+
+  /**
+   * Per-variant statistics for each metric, compared with the control
+   */
+  analyze(name, { metrics = null, alpha = DEFAULT_ALPHA } = {}) {
+    const experiment = this.get(name);
+    if (!experiment) throw new Error(`Unknown experiment '${name}'`);
+    const exposed = this.store.exposedUnits(name);
+    const names = metrics ?? [
+      ...new Set([...experiment.metrics, ...this.store.metrics(name)]),
+    ];
+
+    const results = {};
+    for (const metric of names) {
+      const totals = this.store.metricTotals(name, metric);
+      const samples = Object.fromEntries(
+        Object.keys(experiment.variants).map((variant) => [variant, []]),
+      );
+      for (const [unit, variant] of exposed) {
+        samples[variant]?.push(totals.get(unit) ?? 0);
+      }
+
+      const control = describeSample(samples[experiment.control], alpha);
+      results[metric] = Object.fromEntries(
+        Object.entries(samples).map(([variant, values]) => {
+          const stats = describeSample(values, alpha);
+          const summary = {
+            ...stats,
+            converted: values.filter((v) => v !== 0).length,
+          };
+          if (variant === experiment.control) return [variant, summary];
+          const test = welchTTest(control, stats, alpha);
+          return [
+            variant,
+            {
+              ...summary,
+              vsControl: {
+                ...test,
+                lift: control.mean ? test.difference / control.mean : null,
+                significant: test.pValue !== null && test.pValue < alpha,
+              },
+            },
+          ];
+        }),
+      );
+    }
+
+    return {
+      experiment: name,
+      control: experiment.control,
+      variants: experiment.variants,
+      alpha,
+      exposures: this.store.exposureCounts(name),
+      metrics: results,
+    };
+  }
+
+  // ==========================================================================
+  // HTTP
+  // ==========================================================================
+
+  /**
+   * Handle experiment requests under the prefix; returns null otherwise.
+   *
+   *   GET  <prefix>                      experiments and exposure counts
+   *   POST <prefix>/:name/exposures      { key|id|email, ... } -> variant
+   *   POST <prefix>/:name/conversions    { key|id|email, metric, value? }
+   *   GET  <prefix>/:name/analysis       ?metric=a,b&alpha=0.05
+   */
+  async handle(req, url = new URL(req.url), headers = {}) {
+    const { prefix } = this;
+    if (url.pathname !== prefix && !url.pathname.startsWith(`${prefix}/`)) {
+      return null;
+    }
+    const reply = (body, status = 200) =>
+      Response.json(body, { status, headers });
+
+    try {
+      const [name, action] = url.pathname
+        .slice(prefix.length + 1)
+        .split("/")
+        .map(decodeURIComponent);
+      if (!name) {
+        if (req.method !== "GET")
+          return reply({ error: "Method not allowed" }, 405);
+        return reply({
+          experiments: this.list().map((experiment) => ({
+            ...experiment,
+            exposures: this.store.exposureCounts(experiment.name),
+          })),
+        });
+      }
+      if (!this.get(name)) {
+        return reply({ error: `Unknown experiment '${name}'` }, 404);
+      }
+
+      if (action === "analysis" && req.method === "GET") {
+        const metric = url.searchParams.get("metric");
+        const alpha = parseFloat(url.searchParams.get("alpha") ?? "");
+        return reply(
+          this.analyze(name, {
+            metrics: metric ? metric.split(",") : null,
+            alpha: alpha > 0 && alpha < 1 ? alpha : DEFAULT_ALPHA,
+          }),
+        );
+      }
+      if (action === "exposures" && req.method === "POST") {
+        const context = await req.json();
+        const variant = this.expose(name, context);
+        return reply({
+          experiment: name,
+          variant,
+          enrolled: variant !== null,
+        });
+      }
+      if (action === "conversions" && req.method === "POST") {
+        const { metric, value = 1, ...context } = await req.json();
+        const variant = this.track(name, context, metric, value);
+        if (!variant) {
+          return reply(
+            { error: "User was not exposed to the experiment" },
+            409,
+          );
+        }
+        return reply({ experiment: name, variant, metric, value }, 202);
+      }
+      return reply({ error: "Not found" }, 404);
+    } catch (error) {
+      return reply({ error: error.message }, 400);
+    }
+  }
+}
+
+export { ExperimentManager };
+export default ExperimentManager;
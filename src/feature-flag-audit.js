@@ -0,0 +1,268 @@
+/**
+ * feature-flag-audit.js - Append-only audit log of feature flag changes
+ *
+ * FeatureFlagService records every change to a flag definition here: one
+ * JSON line per flag per change, never rewritten.
+ *
+ *   { seq, ts, flag, action, actor, source, reason, before, after }
+ *
+ * action is "create", "update" or "delete". source is "runtime" for
+ * define()/update() calls, "file" for features.yaml (re)loads (which also
+ * name the file, and whose actor is FEATURE_FLAGS_ACTOR or the user running
+ * the server) and "sync" for definitions pulled from another service.
+ * before/after are the full definitions (null when the flag did not exist).
+ *
+ * Kill switches (feature-flag-kill-switches.js) are logged as "kill" and
+ * "revive" entries with source "kill-switch" and no before/after.
+ *
+ * Replaying the log up to a timestamp gives the definitions and kill
+ * switches in force at that time, which is what time-travel evaluation
+ * runs against.
+ *
+ * Every server on a host can share one log. Each append holds a lock file
+ * (<log>.lock) while it reads the entries other servers appended since and
+ * writes its own, so seq stays unique and a change every server sees (a
+ * features.yaml reload, a kill switch) is logged once.
+ */
+
+import {
+  appendFileSync,
+  closeSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readSync,
+  rmSync,
+  statSync,
+} from "fs";
+import { dirname } from "path";
+
+export const DEFAULT_AUDIT_LOG =
+  process.env.FEATURE_FLAGS_AUDIT_LOG || ".data/feature-flags-audit.jsonl";
+
+// A lock older than this was left by a process that died holding it (ms)
+const STALE_LOCK = 5000;
+
+export const KILL_SWITCH_ACTIONS = ["kill", "revive"];
+
+export const AUDIT_ACTIONS = [
+  "create",
+  "update",
+  "delete",
+  ...KILL_SWITCH_ACTIONS,
+];
+
+/**
+ * Timestamp from ms, a numeric string or an ISO date (null when invalid)
+ */
+export function parseTimestamp(value) {
+  if (value == null || value === "") return null;
+  if (typeof value === "number") return Number.isFinite(value) ? value : null;
+  const ts = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ts) ? ts : null;
+}
+
+/**
+ * Age of a lock file in ms (0 when it is already gone)
+ */
+function lockAge(lock) {
+  try {
+    return Date.now() - statSync(lock).mtimeMs;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Apply one entry to replayed definitions and kill switches
+ */
+function replay(state, killed, entry) {
+  if (entry.action === "kill") {
+    killed[entry.flag] = {
+      actor: entry.actor,
+      reason: entry.reason,
+      at: entry.ts,
+    };
+  } else if (entry.action === "revive") {
+    delete killed[entry.flag];
+  } else if (entry.after) {
+    state[entry.flag] = entry.after;
+  } else {
+    delete state[entry.flag];
+  }
+}
+
+class FlagAuditLog {
+  /**
+   * @param {string|null} path - JSON Lines file (null: keep entries in memory)
+   */
+  constructor(path = DEFAULT_AUDIT_LOG) {
+    this.path = path;
+    this.entries = [];
+    this.current = {};
+    this.killed = {};
+    // Bytes of the file read so far
+    this.offset = 0;
+    // Set when the file ends mid-line, so the next append starts afresh
+    this.torn = false;
+    this.refresh();
+  }
+
+  /**
+   * Read the entries appended to the file since the last read, by this or
+   * any other process
+   */
+  refresh() {
+    if (!this.path || !existsSync(this.path)) return;
+    const size = statSync(this.path).size;
+    if (size <= this.offset) return;
+    const buffer = Buffer.alloc(size - this.offset);
+    const fd = openSync(this.path, "r");
+    try {
+      readSync(fd, buffer, 0, buffer.length, this.offset);
+    } finally {
+      closeSync(fd);
+    }
+    // Whole lines only: a line without its newline is still being written,
+    // or was torn by a crash mid-append
+    const end = buffer.lastIndexOf(0x0a) + 1;
+    this.offset += end;
+    this.torn = end < buffer.length;
+    for (const line of buffer.toString("utf8", 0, end).split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        this.remember(JSON.parse(line));
+      } catch {
+        console.warn(`⚠️ Skipping unreadable audit entry in ${this.path}`);
+      }
+    }
+  }
+
+  /**
+   * Run fn holding the log's lock file, so no other process appends
+   * between our read of the file and our write
+   */
+  locked(fn) {
+    if (!this.path) return fn();
+    mkdirSync(dirname(this.path), { recursive: true });
+    const lock = `${this.path}.lock`;
+    let fd;
+    while (fd === undefined) {
+      try {
+        fd = openSync(lock, "wx");
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+        if (lockAge(lock) > STALE_LOCK) rmSync(lock, { force: true });
+        else Bun.sleepSync(1);
+      }
+    }
+    try {
+      return fn();
+    } finally {
+      closeSync(fd);
+      rmSync(lock, { force: true });
+    }
+  }
+
+  remember(entry) {
+    this.entries.push(entry);
+    replay(this.current, this.killed, entry);
+  }
+
+  /**
+   * Whether the log already shows a change's outcome (another server
+   * sharing the log recorded the same reload or kill switch first)
+   */
+  shows({ flag, action, after = null }) {
+    if (action === "kill") return Boolean(this.killed[flag]);
+    if (action === "revive") return !this.killed[flag];
+    return JSON.stringify(this.current[flag] ?? null) === JSON.stringify(after);
+  }
+
+  /**
+   * Append a change; seq and ts are filled in. The entry is a copy, so
+   * later edits to live definitions cannot rewrite history. Returns null
+   * when the log already shows the change.
+   */
+  append(change) {
+    return this.locked(() => {
+      this.refresh();
+      if (this.shows(change)) return null;
+      const entry = {
+        seq: (this.entries.at(-1)?.seq ?? 0) + 1,
+        ts: Date.now(),
+        ...structuredClone(change),
+      };
+      if (this.path) {
+        const prefix = this.torn ? "\n" : "";
+        appendFileSync(this.path, prefix + JSON.stringify(entry) + "\n");
+        // Under the lock, everything past our last read is ours
+        this.offset = statSync(this.path).size;
+        this.torn = false;
+      }
+      this.remember(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Definitions as of the last entry
+   */
+  state() {
+    this.refresh();
+    return this.current;
+  }
+
+  /**
+   * Kill switches as of the last entry: { [flag]: { actor, reason, at } }
+   */
+  killSwitches() {
+    this.refresh();
+    return this.killed;
+  }
+
+  /**
+   * Definitions in force at a timestamp
+   */
+  stateAt(ts) {
+    return this.replayUntil(ts).state;
+  }
+
+  /**
+   * Kill switches in force at a timestamp
+   */
+  killSwitchesAt(ts) {
+    return this.replayUntil(ts).killed;
+  }
+
+  replayUntil(ts) {
+    this.refresh();
+    const state = {};
+    const killed = {};
+    for (const entry of this.entries) {
+      if (entry.ts <= ts) replay(state, killed, entry);
+    }
+    return { state, killed };
+  }
+
+  /**
+   * Entries matching { flag, actor, since, until }, newest first
+   */
+  query({ flag, actor, since, until, limit = 100 } = {}) {
+    this.refresh();
+    const matches = [];
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      const entry = this.entries[i];
+      if (flag && entry.flag !== flag) continue;
+      if (actor && entry.actor !== actor) continue;
+      if (since != null && entry.ts < since) continue;
+      if (until != null && entry.ts > until) continue;
+      matches.push(entry);
+      if (matches.length >= limit) break;
+    }
+    return matches;
+  }
+}
+
+export { FlagAuditLog };
+export default FlagAuditLog;
@@ -0,0 +1,175 @@
+/**
+ * feature-flag-graph.js - Dependency graph of feature flags
+ *
+ * A flag's `dependencies` name either other flags, which must be on for it
+ * to be on, or components declared under `components:` in features.yaml
+ * (services such as ptyManager that the flag needs but no flag switches).
+ *
+ *   components: [ptyManager, webSocketServer]
+ *   features:
+ *     quantumTerminal:
+ *       dependencies: [ptyManager, webSocketServer]
+ *
+ * FeatureFlagService validates the graph whenever definitions change and
+ * rejects dangling references (usually typos) and cycles, which no
+ * context could ever switch on.
+ */
+
+// ============================================================================
+// GRAPH
+// ============================================================================
+
+/**
+ * Nodes (flags and components), edges (flag → dependency), cycles (each a
+ * path that ends where it starts) and dangling references
+ */
+export function dependencyGraph(features, components = []) {
+  const declared = new Set(components);
+  const nodes = [];
+  const edges = [];
+  const dangling = [];
+
+  for (const [name, definition] of Object.entries(features)) {
+    nodes.push({
+      id: name,
+      kind: "flag",
+      enabled: definition.enabled === true,
+      rolloutPercentage: definition.rolloutPercentage ?? null,
+    });
+    for (const dependency of definition.dependencies || []) {
+      const kind = Object.hasOwn(features, dependency)
+        ? "flag"
+        : declared.has(dependency)
+          ? "component"
+          : null;
+      edges.push({ from: name, to: dependency, kind });
+      if (!kind) dangling.push({ flag: name, dependency });
+    }
+  }
+  for (const component of declared) {
+    if (!Object.hasOwn(features, component)) {
+      nodes.push({ id: component, kind: "component" });
+    }
+  }
+
+  return { nodes, edges, cycles: findCycles(features), dangling };
+}
+
+/**
+ * Cycles among flag → flag dependencies (depth-first, one per back edge)
+ */
+export function findCycles(features) {
+  const state = new Map(); // name → "visiting" | "done"
+  const path = [];
+  const cycles = [];
+
+  const visit = (name) => {
+    state.set(name, "visiting");
+    path.push(name);
+    for (const dependency of features[name].dependencies || []) {
+      if (!Object.hasOwn(features, dependency)) continue;
+      if (state.get(dependency) === "visiting") {
+        cycles.push([...path.slice(path.indexOf(dependency)), dependency]);
+      } else if (!state.has(dependency)) {
+        visit(dependency);
+      }
+    }
+    path.pop();
+    state.set(name, "done");
+  };
+
+  for (const name of Object.keys(features)) {
+    if (!state.has(name)) visit(name);
+  }
+  return cycles;
+}
+
+/**
+ * Every problem with the graph, as messages (empty when valid)
+ */
+export function validateDependencies(features, components = []) {
+  const problems = [];
+  if (
+    !Array.isArray(components) ||
+    !components.every((c) => typeof c === "string")
+  ) {
+    return ["components must be a list of strings"];
+  }
+  for (const component of components) {
+    if (Object.hasOwn(features, component)) {
+      problems.push(`${component} is both a flag and a component`);
+    }
+  }
+  const { cycles, dangling } = dependencyGraph(features, components);
+  for (const { flag, dependency } of dangling) {
+    problems.push(
+      `${flag} depends on '${dependency}', which is neither a flag nor a component`,
+    );
+  }
+  for (const cycle of cycles) {
+    problems.push(`Dependency cycle: ${cycle.join(" → ")}`);
+  }
+  return problems;
+}
+
+// ============================================================================
+// MERMAID
+// ============================================================================
+
+const nodeId = (name) => name.replace(/\W/g, "_");
+const label = (text) => text.replace(/"/g, "#quot;");
+
+/**
+ * Render a dependencyGraph() as a Mermaid flowchart: flags and components
+ * in separate subgraphs, disabled flags greyed out, cycle edges and
+ * dangling references in red.
+ */
+export function dependencyMermaid(graph) {
+  let mermaid = "graph TB\n";
+
+  const flags = graph.nodes.filter((node) => node.kind === "flag");
+  mermaid += '    subgraph "flags"\n';
+  for (const node of flags) {
+    const rollout = !node.enabled ? "off" : `${node.rolloutPercentage ?? 100}%`;
+    mermaid += `        ${nodeId(node.id)}["${label(node.id)}<br/>${rollout}"]\n`;
+  }
+  mermaid += "    end\n";
+
+  const components = graph.nodes.filter((node) => node.kind === "component");
+  if (components.length > 0) {
+    mermaid += '    subgraph "components"\n';
+    for (const node of components) {
+      mermaid += `        ${nodeId(node.id)}(["${label(node.id)}"])\n`;
+    }
+    mermaid += "    end\n";
+  }
+
+  for (const { dependency } of graph.dangling) {
+    mermaid += `    ${nodeId(dependency)}{{"${label(dependency)}?"}}\n`;
+  }
+
+  const cyclic = new Set();
+  for (const cycle of graph.cycles) {
+    for (let i = 0; i < cycle.length - 1; i++) {
+      cyclic.add(`${cycle[i]}→${cycle[i + 1]}`);
+    }
+  }
+  const red = [];
+  graph.edges.forEach((edge, index) => {
+    const arrow = edge.kind === "component" ? "-.->" : "-->";
+    mermaid += `    ${nodeId(edge.from)} ${arrow} ${nodeId(edge.to)}\n`;
+    if (!edge.kind || cyclic.has(`${edge.from}→${edge.to}`)) red.push(index);
+  });
+
+  mermaid += "\n    classDef off fill:#444,color:#bbb\n";
+  mermaid += "    classDef missing fill:#f66,stroke:#900\n";
+  const off = flags.filter((node) => !node.enabled).map((n) => nodeId(n.id));
+  if (off.length > 0) mermaid += `    class ${off.join(",")} off\n`;
+  const missing = [...new Set(graph.dangling.map((d) => nodeId(d.dependency)))];
+  if (missing.length > 0) mermaid += `    class ${missing.join(",")} missing\n`;
+  if (red.length > 0) {
+    mermaid += `    linkStyle ${red.join(",")} stroke:#f33,stroke-width:2px\n`;
+  }
+
+  return mermaid;
+}
@@ -0,0 +1,166 @@
+/**
+ * feature-flag-kill-switches.js - Emergency kill switches for feature flags
+ *
+ * A killed flag is off for everyone, whatever features.yaml says, until it
+ * is revived. Switches live in one small JSON file that every server on
+ * the host (or a shared volume) reads:
+ *
+ *   { "killSwitches": {
+ *       "newDashboard": { "killed": true, "actor": "alice",
+ *                         "reason": "500s on /trade", "at": 1760000000000 } } }
+ *
+ * kill() and revive() rewrite the file atomically. Watching servers pick
+ * the change up from a watch on the file's directory within a fraction of
+ * a second, or on SIGUSR2 (for filesystems without change events, see
+ * hot-reload.js):
+ *
+ *   bun run src/utils/feature-flag-manager.js kill newDashboard "500s"
+ *   kill -USR2 <pid>
+ */
+
+import {
+  existsSync,
+  mkdirSync,
+  readFileSync,
+  renameSync,
+  writeFileSync,
+} from "fs";
+import { dirname } from "path";
+import { watchReload } from "./hot-reload.js";
+
+export const DEFAULT_KILL_SWITCHES_PATH =
+  process.env.FEATURE_FLAGS_KILL_SWITCHES ||
+  ".data/feature-flag-kill-switches.json";
+
+const isKilled = (entry) => entry?.killed === true;
+
+class FlagKillSwitches {
+  /**
+   * @param {string} path - JSON file shared by every server
+   */
+  constructor(path = DEFAULT_KILL_SWITCHES_PATH) {
+    this.path = path;
+    this.switches = {};
+    this.listeners = new Set();
+    this.watcher = null;
+    this.apply(this.read());
+  }
+
+  /**
+   * The file's killSwitches mapping ({} when missing or unreadable)
+   */
+  read() {
+    if (!existsSync(this.path)) return {};
+    try {
+      return JSON.parse(readFileSync(this.path, "utf8")).killSwitches ?? {};
+    } catch (error) {
+      console.error(`❌ Kill switches not read: ${error.message}`);
+      return this.switches;
+    }
+  }
+
+  /**
+   * The kill switch holding a flag off, or null
+   */
+  get(flag) {
+    const entry = Object.hasOwn(this.switches, flag)
+      ? this.switches[flag]
+      : null;
+    return isKilled(entry) ? entry : null;
+  }
+
+  /**
+   * Every flag held off: { [flag]: { actor, reason, at } }
+   */
+  list() {
+    return Object.fromEntries(
+      Object.entries(this.switches).filter(([, entry]) => isKilled(entry)),
+    );
+  }
+
+  /**
+   * Call listener({ flag, killed, entry }) whenever a flag is killed or
+   * revived; returns a function that unsubscribes
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Swap in a killSwitches mapping and notify listeners of each flag
+   * whose state flipped
+   */
+  apply(switches) {
+    const changes = [];
+    for (const flag of new Set([
+      ...Object.keys(this.switches),
+      ...Object.keys(switches),
+    ])) {
+      const entry = switches[flag] ?? null;
+      if (isKilled(this.switches[flag]) === isKilled(entry)) continue;
+      changes.push({ flag, killed: isKilled(entry), entry });
+    }
+    this.switches = structuredClone(switches);
+    for (const change of changes) {
+      for (const listener of this.listeners) {
+        try {
+          listener(change);
+        } catch (error) {
+          console.error(`❌ Kill switch listener failed: ${error.message}`);
+        }
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Turn a flag off on every server watching the file
+   */
+  kill(flag, { actor = "unknown", reason = null } = {}) {
+    return this.write(flag, { killed: true, actor, reason, at: Date.now() });
+  }
+
+  /**
+   * Let features.yaml decide again
+   */
+  revive(flag, { actor = "unknown", reason = null } = {}) {
+    return this.write(flag, { killed: false, actor, reason, at: Date.now() });
+  }
+
+  /**
+   * Update one flag's entry on top of the file's current contents (other
+   * processes may have written since we last read), then apply locally
+   */
+  write(flag, entry) {
+    const switches = { ...this.read(), [flag]: entry };
+    const temp = `${this.path}.${process.pid}.new`;
+    mkdirSync(dirname(this.path), { recursive: true });
+    writeFileSync(temp, JSON.stringify({ killSwitches: switches }, null, 2));
+    renameSync(temp, this.path);
+    this.apply(switches);
+    return entry;
+  }
+
+  /**
+   * Apply file changes as they land, and on SIGUSR2
+   */
+  watch() {
+    if (this.watcher) return this;
+    mkdirSync(dirname(this.path), { recursive: true });
+    // Watch the directory: writers replace the file, which ends a watch on it
+    this.watcher = watchReload(this.path, () => this.apply(this.read()), {
+      label: "kill switch",
+      directory: true,
+    });
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+export { FlagKillSwitches };
+export default FlagKillSwitches;
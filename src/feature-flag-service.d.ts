@@ -0,0 +1,88 @@
+// Types for feature-flag-service.js, for the TypeScript modules that import it
+
+export interface FlagContext {
+  key?: string;
+  id?: string;
+  email?: string;
+  role?: string;
+  environment?: string;
+  [field: string]: unknown;
+}
+
+export interface FlagChange {
+  actor?: string;
+  reason?: string | null;
+  source?: string;
+}
+
+export interface FlagEvaluation {
+  flag: string;
+  enabled: boolean;
+  value: any;
+  reason: string;
+  [field: string]: unknown;
+}
+
+export interface FeatureFlagServiceOptions {
+  environment?: string;
+  rules?: object[];
+  audit?: object | null;
+  killSwitches?: object | null;
+  syncToken?: string | null;
+}
+
+export interface FlagIdentity {
+  user: string | null;
+  role: string;
+  [field: string]: unknown;
+}
+
+export const DEFAULT_FEATURES_PATH: string;
+export const DEFAULT_SYNC_INTERVAL: number;
+export const FILE_ACTOR: string;
+export const TARGETING_RULES: object[];
+
+export function hashKey(str: string): number;
+export function bucket(flag: string, key: string): number;
+export function contextKey(context?: FlagContext): string;
+export function inRollout(percentage: number, flag: string, context?: FlagContext): boolean;
+export function schedulePercentage(schedule: object, now?: number): number;
+export function rolloutPhase(definition: object, now?: number): { phase: string; percentage: number; [field: string]: unknown };
+export function validateFlag(name: string, definition: object): string | null;
+
+export class FeatureFlagService {
+  constructor(path?: string | null, options?: FeatureFlagServiceOptions);
+  path: string | null;
+  environment: string;
+  features: Record<string, any>;
+  components: any[];
+  source: string | null;
+  loadedAt: number | null;
+  lastError: string | null;
+  syncToken: string | null;
+  load(): boolean;
+  apply(document: object, change?: FlagChange): void;
+  reload(): boolean;
+  addRule(rule: object): void;
+  has(name: string): boolean;
+  getDefinition(name: string): any;
+  define(name: string, definition: object, change?: FlagChange): any;
+  update(name: string, updates: object, change?: FlagChange): any;
+  evaluate(name: string, context?: FlagContext): FlagEvaluation;
+  evaluateAt(name: string, context?: FlagContext, at?: number): FlagEvaluation;
+  evaluateAll(context?: FlagContext): Record<string, FlagEvaluation>;
+  evaluateAllAt(context?: FlagContext, at?: number): Record<string, FlagEvaluation>;
+  isEnabled(name: string, context?: FlagContext): boolean;
+  getValue(name: string, context?: FlagContext, defaultValue?: any): any;
+  rolloutState(name: string, now?: number): any;
+  describe(): any;
+  handle(req: Request, url?: URL, identity?: FlagIdentity | null): Response | null;
+  watch(): this;
+  unwatch(): void;
+  sync(url: string): Promise<boolean>;
+  follow(url: string, interval?: number): Promise<boolean>;
+}
+
+export function getFeatureFlagService(): FeatureFlagService;
+
+export default FeatureFlagService;
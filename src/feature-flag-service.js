@@ -0,0 +1,919 @@
+/**
+ * feature-flag-service.js - One flag evaluation service for every module
+ *
+ * Flags are defined once, in src/config/features.yaml, and evaluated here.
+ * FeatureFlagManager, QuantumFeatureManager, SimpleFeatureManager,
+ * ConfigManager and config/feature-flags.ts all delegate to the shared
+ * service, so a flag cannot be on in one module and off in another.
+ *
+ *   features:
+ *     newDashboard:
+ *       enabled: true
+ *       rolloutPercentage: 50          # percentage rule
+ *       allowedUsers: [a@example.com]  # user rule (email or id)
+ *       roles: [admin, beta]           # role rule
+ *       environments: [staging]        # environment rule
+ *       dependencies: [darkMode]       # other flags that must be on
+ *     tradingView:
+ *       enabled: true
+ *       schedule:                      # schedule rule
+ *         start: "2026-10-20T09:30:00-04:00"
+ *         ramp: { from: 5, to: 100, hours: 6 }
+ *
+ * A flag is on when it is enabled, every targeting rule it configures
+ * matches the context, and every dependency that names a flag is on
+ * (other dependencies name components declared under `components:`, and
+ * are ignored). Dangling dependencies and cycles are rejected when the
+ * definitions change (see feature-flag-graph.js). More rules can be
+ * plugged in with addRule().
+ *
+ * Percentage rollouts bucket `flag:key` with 32-bit FNV-1a, where the key
+ * is context.key, else the email, else the id: the same user lands in the
+ * same bucket everywhere, and different flags roll out to different users.
+ *
+ * A schedule keeps a flag off before `start` and from `end`; with a ramp,
+ * its rollout grows linearly from `from`% at start to `to`% after `hours`
+ * (a ramp replaces rolloutPercentage). Kill switches
+ * (feature-flag-kill-switches.js) hold a flag off above all of this.
+ *
+ * Every change to a definition (runtime update, file reload, sync) goes to
+ * the append-only audit log (feature-flag-audit.js) when one is attached;
+ * evaluateAt() replays it to answer "what did flag X return for user Y at
+ * time T".
+ *
+ * Other processes and browser clients consult the HTTP endpoint
+ * (see handle()); with FEATURE_FLAGS_URL set, the shared service keeps
+ * itself in sync with that server's flags (see follow()). Evaluations are
+ * public; definitions (allowedUsers lists) and the audit log (actors,
+ * reasons) are served to admins only, so followers present an admin
+ * bearer token (FEATURE_FLAGS_TOKEN, see ws-auth.js).
+ */
+
+import { FlagAuditLog, parseTimestamp } from "./feature-flag-audit.js";
+import { dependencyGraph, validateDependencies } from "./feature-flag-graph.js";
+import { FlagKillSwitches } from "./feature-flag-kill-switches.js";
+import { loadYAMLConfig, watchReload } from "./hot-reload.js";
+import { roleAtLeast, unauthorized } from "./ws-auth.js";
+
+export const DEFAULT_FEATURES_PATH = new URL(
+  "./config/features.yaml",
+  import.meta.url,
+).pathname;
+
+export const DEFAULT_SYNC_INTERVAL = parseInt(
+  process.env.FEATURE_FLAGS_SYNC_INTERVAL || "30000",
+);
+
+// Who features.yaml (re)loads are audited as: whoever ships the file sets
+// it (a deploy job, say), else the user running the server
+export const FILE_ACTOR =
+  process.env.FEATURE_FLAGS_ACTOR ||
+  process.env.USER ||
+  process.env.LOGNAME ||
+  "unknown";
+
+const FLAG_NAME = /^[\w.-]{1,64}$/;
+
+const HOUR = 60 * 60 * 1000;
+
+// ============================================================================
+// BUCKETING
+// ============================================================================
+
+/**
+ * 32-bit FNV-1a hash of a string's UTF-16 code units
+ */
+export function hashKey(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Rollout bucket of a key for a flag, in [0, 100) with 0.01 resolution
+ */
+export function bucket(flag, key) {
+  return (hashKey(`${flag}:${key}`) % 10000) / 100;
+}
+
+/**
+ * The identity a context is bucketed by
+ */
+export function contextKey(context = {}) {
+  return String(context.key || context.email || context.id || "anonymous");
+}
+
+/**
+ * Whether a context falls in a percentage rollout of a flag
+ */
+export function inRollout(percentage, flag, context) {
+  if (percentage >= 100) return true;
+  if (percentage <= 0) return false;
+  return bucket(flag, contextKey(context)) < percentage;
+}
+
+// ============================================================================
+// SCHEDULES
+// ============================================================================
+
+/**
+ * Percentage of users a schedule lets in at a time: 0 outside
+ * [start, end), else the ramp's position (100 without a ramp)
+ */
+export function schedulePercentage(schedule, now = Date.now()) {
+  const start = parseTimestamp(schedule.start);
+  const end = parseTimestamp(schedule.end);
+  if ((start !== null && now < start) || (end !== null && now >= end)) {
+    return 0;
+  }
+  if (!schedule.ramp) return 100;
+  const { from = 0, to = 100, hours } = schedule.ramp;
+  const progress = Math.min(1, (now - start) / (hours * HOUR));
+  return from + (to - from) * progress;
+}
+
+/**
+ * Where a flag's rollout stands at a time: { phase, percentage, start,
+ * end, rampEnd }. phase is "static" (no schedule), "pending", "ramping",
+ * "live" or "ended".
+ */
+export function rolloutPhase(definition, now = Date.now()) {
+  const { schedule, rolloutPercentage = 100 } = definition;
+  if (!schedule) return { phase: "static", percentage: rolloutPercentage };
+
+  const start = parseTimestamp(schedule.start);
+  const end = parseTimestamp(schedule.end);
+  const rampEnd = schedule.ramp ? start + schedule.ramp.hours * HOUR : null;
+  const scheduled = schedulePercentage(schedule, now);
+  let phase = "live";
+  if (start !== null && now < start) phase = "pending";
+  else if (end !== null && now >= end) phase = "ended";
+  else if (rampEnd !== null && now < rampEnd) phase = "ramping";
+  return {
+    phase,
+    percentage: schedule.ramp
+      ? scheduled
+      : Math.min(scheduled, rolloutPercentage),
+    start,
+    end,
+    rampEnd,
+  };
+}
+
+// ============================================================================
+// TARGETING RULES
+// ============================================================================
+
+const listOf = (value) => (Array.isArray(value) ? value : [value]);
+
+/**
+ * Built-in rules, checked in this order. Each reads one field of the flag
+ * definition and is skipped when the flag does not set it. Rules whose
+ * bucketed(value) is true report the context's bucket.
+ */
+export const TARGETING_RULES = [
+  {
+    name: "user",
+    field: "allowedUsers",
+    evaluate: (users, context) =>
+      listOf(users).some(
+        (user) => user === context.email || user === context.id,
+      ),
+  },
+  {
+    name: "role",
+    field: "roles",
+    evaluate: (roles, context) => listOf(roles).includes(context.role),
+  },
+  {
+    name: "environment",
+    field: "environments",
+    evaluate: (environments, context) =>
+      listOf(environments).includes(context.environment),
+  },
+  {
+    name: "percentage",
+    field: "rolloutPercentage",
+    bucketed: () => true,
+    evaluate: (percentage, context, flag) =>
+      inRollout(percentage, flag, context),
+  },
+  {
+    name: "schedule",
+    field: "schedule",
+    bucketed: (schedule) => Boolean(schedule.ramp),
+    evaluate: (schedule, context, flag) =>
+      inRollout(
+        schedulePercentage(schedule, context.now ?? Date.now()),
+        flag,
+        context,
+      ),
+  },
+];
+
+/**
+ * Check a flag definition; returns the first problem, or null
+ */
+export function validateFlag(name, definition) {
+  if (!FLAG_NAME.test(name)) return `Flag names must match ${FLAG_NAME}`;
+  if (!definition || typeof definition !== "object") {
+    return `${name} must be a mapping`;
+  }
+  const { enabled, rolloutPercentage } = definition;
+  if (enabled != null && typeof enabled !== "boolean") {
+    return `${name}.enabled must be true or false`;
+  }
+  if (
+    rolloutPercentage != null &&
+    !(
+      Number.isFinite(rolloutPercentage) &&
+      rolloutPercentage >= 0 &&
+      rolloutPercentage <= 100
+    )
+  ) {
+    return `${name}.rolloutPercentage must be between 0 and 100`;
+  }
+  for (const field of [
+    "allowedUsers",
+    "roles",
+    "environments",
+    "dependencies",
+  ]) {
+    const value = definition[field];
+    if (
+      value != null &&
+      !(Array.isArray(value) && value.every((v) => typeof v === "string"))
+    ) {
+      return `${name}.${field} must be a list of strings`;
+    }
+  }
+  if (definition.schedule != null) return validateSchedule(name, definition);
+  return null;
+}
+
+function validateSchedule(name, { schedule, rolloutPercentage }) {
+  if (typeof schedule !== "object" || Array.isArray(schedule)) {
+    return `${name}.schedule must be a mapping`;
+  }
+  for (const field of ["start", "end"]) {
+    if (schedule[field] != null && parseTimestamp(schedule[field]) === null) {
+      return `${name}.schedule.${field} must be a timestamp in ms or an ISO date`;
+    }
+  }
+  const start = parseTimestamp(schedule.start);
+  const end = parseTimestamp(schedule.end);
+  if (start !== null && end !== null && end <= start) {
+    return `${name}.schedule.end must be after its start`;
+  }
+
+  const { ramp } = schedule;
+  if (ramp == null) return null;
+  if (start === null) return `${name}.schedule.ramp needs a start`;
+  if (rolloutPercentage != null) {
+    return `${name} sets both rolloutPercentage and schedule.ramp`;
+  }
+  const { from = 0, to = 100, hours } = ramp;
+  if (![from, to].every((p) => Number.isFinite(p) && p >= 0 && p <= 100)) {
+    return `${name}.schedule.ramp from/to must be between 0 and 100`;
+  }
+  if (!(Number.isFinite(hours) && hours > 0)) {
+    return `${name}.schedule.ramp.hours must be a positive number`;
+  }
+  return null;
+}
+
+// ============================================================================
+// SERVICE
+// ============================================================================
+
+class FeatureFlagService {
+  /**
+   * @param {string|null} path - features YAML file (null: flags via apply())
+   * @param {Object} options
+   * @param {string} options.environment - default context.environment
+   * @param {Object[]} options.rules - extra targeting rules (see addRule)
+   * @param {FlagAuditLog} options.audit - records every definition change
+   * @param {FlagKillSwitches} options.killSwitches - hold flags off
+   */
+  constructor(path = DEFAULT_FEATURES_PATH, options = {}) {
+    this.path = path;
+    this.environment =
+      options.environment || process.env.NODE_ENV || "development";
+    this.rules = [...TARGETING_RULES];
+    for (const rule of options.rules || []) this.addRule(rule);
+    this.features = {};
+    this.components = [];
+    this.audit = options.audit || null;
+    this.killSwitches = options.killSwitches || null;
+    this.remoteKillSwitches = {};
+    this.syncToken = options.syncToken || null;
+    this.source = path;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    this.syncTimer = null;
+    if (path) this.load();
+    if (this.killSwitches) {
+      // Kills and revivals made while this process was down, then live ones
+      const flags = new Set([
+        ...Object.keys(this.audit?.killSwitches() ?? {}),
+        ...Object.keys(this.killSwitches.list()),
+      ]);
+      for (const flag of flags) {
+        this.recordKillSwitch(flag, this.killSwitches.switches[flag] ?? null);
+      }
+      this.killSwitches.onChange(({ flag, entry }) =>
+        this.recordKillSwitch(flag, entry),
+      );
+    }
+  }
+
+  /**
+   * Load flags from disk (throws on the first load, keeps the previous
+   * flags on later loads)
+   */
+  load() {
+    const loaded = loadYAMLConfig(this, "Feature flags", {
+      actor: FILE_ACTOR,
+      source: "file",
+      file: this.path,
+      reason: this.loadedAt ? "reload" : "load",
+    });
+    if (loaded) this.source = this.path;
+    return loaded;
+  }
+
+  /**
+   * Validate a parsed YAML document ({ features, components }) and swap
+   * it in. Flags
+   * that differ from the audit log's latest state are recorded as changes
+   * by change.actor.
+   */
+  apply(document, change = {}) {
+    const features = document?.features ?? {};
+    if (typeof features !== "object" || Array.isArray(features)) {
+      throw new Error("features must be a mapping of flag definitions");
+    }
+    for (const [name, definition] of Object.entries(features)) {
+      const error = validateFlag(name, definition);
+      if (error) throw new Error(error);
+    }
+    const components = document?.components ?? [];
+    this.checkDependencies(features, components);
+    const next = structuredClone(features);
+    const previous = this.audit ? this.audit.state() : this.features;
+    for (const name of new Set([
+      ...Object.keys(previous),
+      ...Object.keys(next),
+    ])) {
+      this.record(name, previous[name] ?? null, next[name] ?? null, change);
+    }
+    this.features = next;
+    this.components = [...components];
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Throw when the dependency graph has dangling references or cycles
+   */
+  checkDependencies(features, components = this.components) {
+    const problems = validateDependencies(features, components);
+    if (problems.length > 0) throw new Error(problems.join("; "));
+  }
+
+  /**
+   * The flag dependency graph (see feature-flag-graph.js)
+   */
+  graph() {
+    return dependencyGraph(this.features, this.components);
+  }
+
+  /**
+   * Append a definition change to the audit log (no-op when unchanged)
+   */
+  record(flag, before, after, change = {}) {
+    if (!this.audit || JSON.stringify(before) === JSON.stringify(after)) {
+      return null;
+    }
+    return this.audit.append({
+      flag,
+      action: !before ? "create" : !after ? "delete" : "update",
+      actor: change.actor || "unknown",
+      source: change.source || "runtime",
+      ...(change.file && { file: change.file }),
+      reason: change.reason ?? null,
+      before,
+      after,
+    });
+  }
+
+  /**
+   * Audit a kill switch flipping and log it, unless the audit log already
+   * shows the flag in that state (this or another server recorded it)
+   */
+  recordKillSwitch(flag, entry) {
+    const killed = entry?.killed === true;
+    const actor = entry?.actor || "unknown";
+    const audited =
+      this.audit?.append({
+        flag,
+        action: killed ? "kill" : "revive",
+        actor,
+        source: "kill-switch",
+        reason: entry?.reason ?? null,
+      }) ?? null;
+    if (this.audit && !audited) return null;
+    console.log(
+      killed
+        ? `🛑 Feature '${flag}' killed by ${actor}: ${entry.reason ?? "no reason given"}`
+        : `✅ Feature '${flag}' revived by ${actor}`,
+    );
+    return audited;
+  }
+
+  /**
+   * Kill switches in force: local ones, then those synced from the source
+   */
+  activeKillSwitches() {
+    return { ...this.remoteKillSwitches, ...this.killSwitches?.list() };
+  }
+
+  reload() {
+    if (!this.path) return false;
+    console.log("🔄 Reloading feature flags...");
+    return this.load();
+  }
+
+  /**
+   * Plug in a targeting rule:
+   *   { name, field, evaluate(value, context, flag, definition) => boolean }
+   * It applies to every flag whose definition sets `field`.
+   */
+  addRule(rule) {
+    if (!rule?.name || !rule.field || typeof rule.evaluate !== "function") {
+      throw new Error("Targeting rules need a name, a field and evaluate()");
+    }
+    this.rules = [...this.rules.filter((r) => r.name !== rule.name), rule];
+    return this;
+  }
+
+  has(name) {
+    return Object.hasOwn(this.features, name);
+  }
+
+  getDefinition(name) {
+    return this.has(name) ? this.features[name] : null;
+  }
+
+  /**
+   * Add a flag at runtime (until the next reload)
+   *
+   * @param {Object} change - { actor, reason } for the audit log
+   */
+  define(name, definition, change = {}) {
+    if (this.has(name)) throw new Error(`Feature '${name}' already exists`);
+    const next = { enabled: false, ...definition };
+    const error = validateFlag(name, next);
+    if (error) throw new Error(error);
+    this.checkDependencies({ ...this.features, [name]: next });
+    this.record(name, null, next, { ...change, source: "runtime" });
+    this.features[name] = next;
+    return next;
+  }
+
+  /**
+   * Change a flag at runtime (until the next reload)
+   *
+   * @param {Object} change - { actor, reason } for the audit log
+   */
+  update(name, updates, change = {}) {
+    if (!this.has(name)) throw new Error(`Feature '${name}' not found`);
+    const next = { ...this.features[name], ...updates };
+    const error = validateFlag(name, next);
+    if (error) throw new Error(error);
+    this.checkDependencies({ ...this.features, [name]: next });
+    this.record(name, this.features[name], next, {
+      ...change,
+      source: "runtime",
+    });
+    this.features[name] = next;
+    return next;
+  }
+
+  // ==========================================================================
+  // EVALUATION
+  // ==========================================================================
+
+  /**
+   * Evaluate a flag for a context ({ key, id, email, role, environment,
+   * preferences }). Returns { flag, enabled, reason, value } where reason
+   * is "enabled", "unknown", "disabled", "rule:<name>" or
+   * "dependency:<flag>"; percentage rollouts also report the bucket.
+   */
+  evaluate(name, context = {}) {
+    return this.evaluateIn(this.snapshot(), name, context);
+  }
+
+  /**
+   * Definitions in force at a timestamp (ms or ISO date), from the audit log
+   */
+  snapshotAt(at) {
+    if (!this.audit) throw new Error("Time-travel needs an audit log");
+    const ts = parseTimestamp(at);
+    if (ts === null) throw new Error(`Invalid timestamp: ${at}`);
+    return {
+      features: this.audit.stateAt(ts),
+      killSwitches: this.audit.killSwitchesAt(ts),
+      now: ts,
+    };
+  }
+
+  /**
+   * The definitions and kill switches in force now
+   */
+  snapshot() {
+    return {
+      features: this.features,
+      killSwitches: this.activeKillSwitches(),
+      now: Date.now(),
+    };
+  }
+
+  /**
+   * Evaluate a flag as it was at a timestamp (ms or ISO date): against
+   * the definitions and kill switches then in force, with schedules at
+   * that time. The result carries `at` and the definition used.
+   */
+  evaluateAt(name, context = {}, at = Date.now()) {
+    const snapshot = this.snapshotAt(at);
+    return {
+      ...this.evaluateIn(snapshot, name, context),
+      at: snapshot.now,
+      definition: snapshot.features[name] ?? null,
+    };
+  }
+
+  /**
+   * Evaluate a flag within a snapshot ({ features, killSwitches, now })
+   */
+  evaluateIn(snapshot, name, context, visiting = new Set()) {
+    const { features, killSwitches } = snapshot;
+    const definition = Object.hasOwn(features, name) ? features[name] : null;
+    const off = (reason, extra = {}) => ({
+      flag: name,
+      enabled: false,
+      reason,
+      value: null,
+      ...extra,
+    });
+    if (!definition) return off("unknown");
+    if (!definition.enabled) return off("disabled");
+    if (Object.hasOwn(killSwitches, name)) {
+      return off("killed", { killSwitch: killSwitches[name] });
+    }
+
+    const ctx = {
+      environment: this.environment,
+      now: snapshot.now,
+      ...context,
+    };
+    const extra = {};
+    for (const rule of this.rules) {
+      const value = definition[rule.field];
+      if (value == null) continue;
+      if (rule.bucketed?.(value)) {
+        extra.bucket = bucket(name, contextKey(ctx));
+      }
+      if (!rule.evaluate(value, ctx, name, definition)) {
+        return off(`rule:${rule.name}`, extra);
+      }
+    }
+
+    visiting.add(name);
+    try {
+      for (const dependency of definition.dependencies || []) {
+        if (!Object.hasOwn(features, dependency)) continue;
+        if (
+          visiting.has(dependency) ||
+          !this.evaluateIn(snapshot, dependency, ctx, visiting).enabled
+        ) {
+          return off(`dependency:${dependency}`, extra);
+        }
+      }
+    } finally {
+      visiting.delete(name);
+    }
+
+    return {
+      flag: name,
+      enabled: true,
+      reason: "enabled",
+      value: this.resolveValue(name, definition, ctx),
+      ...extra,
+    };
+  }
+
+  /**
+   * Value of an enabled flag: the user's preference (userPreference flags),
+   * else value, default or endpoints, else null
+   */
+  resolveValue(name, definition, context) {
+    const preference = context.preferences?.[name];
+    if (definition.userPreference && preference != null) return preference;
+    return (
+      definition.value ?? definition.default ?? definition.endpoints ?? null
+    );
+  }
+
+  isEnabled(name, context = {}) {
+    return this.evaluate(name, context).enabled;
+  }
+
+  getValue(name, context = {}, defaultValue = null) {
+    const { enabled, value } = this.evaluate(name, context);
+    return enabled ? (value ?? defaultValue) : defaultValue;
+  }
+
+  /**
+   * Evaluate every flag in force at a timestamp: { [name]: evaluation }
+   */
+  evaluateAllAt(context = {}, at = Date.now()) {
+    return this.evaluateAllIn(this.snapshotAt(at), context);
+  }
+
+  /**
+   * Evaluate every flag: { [name]: evaluation }
+   */
+  evaluateAll(context = {}) {
+    return this.evaluateAllIn(this.snapshot(), context);
+  }
+
+  evaluateAllIn(snapshot, context) {
+    return Object.fromEntries(
+      Object.keys(snapshot.features).map((name) => [
+        name,
+        this.evaluateIn(snapshot, name, context),
+      ]),
+    );
+  }
+
+  /**
+   * Where a flag's rollout stands (see rolloutPhase), with the kill
+   * switch holding it off, if any
+   */
+  rolloutState(name, now = Date.now()) {
+    const definition = this.getDefinition(name);
+    if (!definition) return null;
+    return {
+      enabled: definition.enabled === true,
+      ...rolloutPhase(definition, now),
+      killSwitch: this.activeKillSwitches()[name] ?? null,
+    };
+  }
+
+  // ==========================================================================
+  // HTTP
+  // ==========================================================================
+
+  /**
+   * Flag definitions and service state (GET /api/flags)
+   */
+  describe() {
+    return {
+      source: this.source,
+      environment: this.environment,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      rules: this.rules.map(({ name, field }) => ({ name, field })),
+      audit: this.audit ? { path: this.audit.path } : null,
+      components: this.components,
+      killSwitches: this.activeKillSwitches(),
+      rollouts: Object.fromEntries(
+        Object.keys(this.features).map((name) => [
+          name,
+          this.rolloutState(name),
+        ]),
+      ),
+      flags: this.features,
+    };
+  }
+
+  /**
+   * Handle /api/flags requests; returns null for other paths.
+   *
+   *   GET /api/flags                   definitions (what sync() reads)
+   *   GET /api/flags/evaluate?<ctx>    every flag for a context
+   *   GET /api/flags/:name?<ctx>       one flag for a context
+   *   GET /api/flags/audit             changes, newest first
+   *                                    (?flag=&actor=&since=&until=&limit=)
+   *
+   * The context comes from the query: key, user (id), email, role, env.
+   * Evaluations take ?at=<ms or ISO date> to evaluate the definitions in
+   * force at that time.
+   *
+   * identity ({ user, role } from WebSocketAuth.authenticate(), or null)
+   * must be an admin for definitions, the audit log and ?at= (whose answer
+   * carries the definition); other callers get evaluations without the
+   * kill switch's actor and reason.
+   */
+  handle(req, url = new URL(req.url), identity = null) {
+    if (
+      url.pathname !== "/api/flags" &&
+      !url.pathname.startsWith("/api/flags/")
+    ) {
+      return null;
+    }
+    if (req.method !== "GET") {
+      return Response.json({ error: "Method not allowed" }, { status: 405 });
+    }
+    const name = decodeURIComponent(url.pathname.slice("/api/flags/".length));
+    const admin = roleAtLeast(identity?.role, "admin");
+    const denied = () =>
+      identity
+        ? Response.json(
+            { error: `Role ${identity.role} may not read flag definitions` },
+            { status: 403 },
+          )
+        : unauthorized();
+    if (!name) return admin ? Response.json(this.describe()) : denied();
+
+    const params = url.searchParams;
+    if (name === "audit") {
+      if (!admin) return denied();
+      if (!this.audit) {
+        return Response.json({ error: "No audit log" }, { status: 503 });
+      }
+      return Response.json({
+        entries: this.audit.query({
+          flag: params.get("flag"),
+          actor: params.get("actor"),
+          since: parseTimestamp(params.get("since")),
+          until: parseTimestamp(params.get("until")),
+          limit: parseInt(params.get("limit") || "100"),
+        }),
+      });
+    }
+
+    const context = contextFromQuery(params);
+    let at = null;
+    if (params.has("at")) {
+      if (!admin) return denied();
+      at = parseTimestamp(params.get("at"));
+      if (at === null) {
+        return Response.json(
+          { error: "at must be a timestamp in ms or an ISO date" },
+          { status: 400 },
+        );
+      }
+      if (!this.audit) {
+        return Response.json({ error: "No audit log" }, { status: 503 });
+      }
+    }
+    const reveal = admin ? (evaluation) => evaluation : publicEvaluation;
+    if (name === "evaluate") {
+      const flags =
+        at === null
+          ? this.evaluateAll(context)
+          : this.evaluateAllAt(context, at);
+      for (const flag in flags) flags[flag] = reveal(flags[flag]);
+      return Response.json({ context, at, flags });
+    }
+    const evaluation = reveal(
+      at === null
+        ? this.evaluate(name, context)
+        : this.evaluateAt(name, context, at),
+    );
+    return Response.json(evaluation, {
+      status: evaluation.reason === "unknown" ? 404 : 200,
+    });
+  }
+
+  // ==========================================================================
+  // HOT RELOAD AND REMOTE FLAGS
+  // ==========================================================================
+
+  /**
+   * Reload on file changes (debounced) and on SIGUSR2; kill switches are
+   * applied as soon as their file changes
+   */
+  watch() {
+    this.killSwitches?.watch();
+    if (this.watcher || !this.path) return this;
+    this.watcher = watchReload(this.path, () => this.reload(), {
+      label: "feature flag",
+    });
+    return this;
+  }
+
+  unwatch() {
+    this.killSwitches?.unwatch();
+    this.watcher?.close();
+    this.watcher = null;
+    clearInterval(this.syncTimer);
+    this.syncTimer = null;
+  }
+
+  /**
+   * Replace the flags with a remote service's (GET <url>/api/flags),
+   * including the kill switches in force there. The server only serves
+   * definitions to admins: syncToken is sent as a bearer token.
+   */
+  async sync(url) {
+    const endpoint = new URL("/api/flags", url);
+    try {
+      const response = await fetch(endpoint, {
+        headers: this.syncToken
+          ? { Authorization: `Bearer ${this.syncToken}` }
+          : {},
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const { flags, components, killSwitches } = await response.json();
+      this.apply(
+        { features: flags, components },
+        { actor: endpoint.href, source: "sync", reason: "sync" },
+      );
+      this.remoteKillSwitches = killSwitches ?? {};
+      this.source = endpoint.href;
+      this.lastError = null;
+      return true;
+    } catch (error) {
+      this.lastError = `${endpoint.href}: ${error.message}`;
+      console.error(`❌ Feature flags not synced: ${this.lastError}`);
+      return false;
+    }
+  }
+
+  /**
+   * Sync now and every `interval` ms
+   */
+  follow(url, interval = DEFAULT_SYNC_INTERVAL) {
+    clearInterval(this.syncTimer);
+    this.syncTimer = setInterval(() => this.sync(url), interval);
+    this.syncTimer.unref?.();
+    return this.sync(url);
+  }
+}
+
+/**
+ * An evaluation without the kill switch record (actor and reason)
+ */
+function publicEvaluation({ killSwitch, ...evaluation }) {
+  return evaluation;
+}
+
+function contextFromQuery(params) {
+  const context = {};
+  for (const [param, field] of [
+    ["key", "key"],
+    ["user", "id"],
+    ["id", "id"],
+    ["email", "email"],
+    ["role", "role"],
+    ["env", "environment"],
+    ["environment", "environment"],
+  ]) {
+    const value = params.get(param);
+    if (value) context[field] = value;
+  }
+  return context;
+}
+
+// ============================================================================
+// SHARED INSTANCE
+// ============================================================================
+
+let sharedService = null;
+
+/**
+ * The process-wide service every flag manager delegates to. Reads
+ * FEATURE_FLAGS_FILE (default src/config/features.yaml), audits to
+ * FEATURE_FLAGS_AUDIT_LOG and takes kill switches from
+ * FEATURE_FLAGS_KILL_SWITCHES ("off" disables either); with
+ * FEATURE_FLAGS_URL it also follows that server's /api/flags, presenting
+ * FEATURE_FLAGS_TOKEN (an admin bearer token).
+ */
+export function getFeatureFlagService() {
+  if (!sharedService) {
+    const auditLog = process.env.FEATURE_FLAGS_AUDIT_LOG;
+    const killSwitches = process.env.FEATURE_FLAGS_KILL_SWITCHES;
+    sharedService = new FeatureFlagService(
+      process.env.FEATURE_FLAGS_FILE || DEFAULT_FEATURES_PATH,
+      {
+        audit: auditLog === "off" ? null : new FlagAuditLog(auditLog),
+        killSwitches:
+          killSwitches === "off" ? null : new FlagKillSwitches(killSwitches),
+        syncToken: process.env.FEATURE_FLAGS_TOKEN,
+      },
+    );
+    if (process.env.FEATURE_FLAGS_URL) {
+      sharedService.follow(process.env.FEATURE_FLAGS_URL);
+    }
+  }
+  return sharedService;
+}
+
+export { FeatureFlagService };
+export default FeatureFlagService;
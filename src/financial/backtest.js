@@ -0,0 +1,499 @@
+/**
+ * backtest.js - Backtesting harness for SignalEngine signal fusion
+ *
+ * Runs a historical tick or candle file through SignalEngine (with session
+ * VWAP from CandleAggregator and RSI, MACD and Bollinger Bands from
+ * IndicatorEngine, as the live dashboard feeds it), trades the emitted signals with slippage and
+ * fees, and reports PnL, hit rate, max drawdown and Sharpe ratio.
+ *
+ * Input: JSON Lines (or a JSON array) of
+ *   - ticks:      { symbol, price, high, low, volume, timestamp }
+ *   - candles:    { symbol, time, open, high, low, close, volume }
+ *   - recordings: files written with DASHBOARD_RECORD_FILE
+ *
+ * Usage:
+ *   bun run src/financial/backtest.js <file> [--slippage-bps 2] [--fee-bps 1]
+ *     [--allow-short] [--sweep hurst=0.2:0.5:0.05,vwap=0.1:0.4:0.1] [--top 10] [--json]
+ *     [--pipelines src/config/signal-pipelines.yaml]
+ */
+
+import {
+  SignalEngine,
+  DEFAULT_FUSION_WEIGHTS,
+  SIGNAL_INDICATORS,
+} from "../unified-dashboard.js";
+import { SignalPipelineManager } from "../config/signal-pipeline-manager.js";
+import { CandleAggregator } from "./candle-aggregator.js";
+import { IndicatorEngine } from "./indicators.js";
+import { expandTickRecord } from "./market-data-providers.js";
+
+// 252 trading days × 6.5 hour sessions
+const TRADING_SECONDS_PER_YEAR = 252 * 6.5 * 3600;
+
+export const DEFAULT_BACKTEST_OPTIONS = {
+  slippageBps: 2,
+  feeBps: 1,
+  allowShort: false,
+  entryLong: ["bullish"],
+  exitLong: ["bearish", "resistance_test"],
+  entryShort: ["bearish"],
+  exitShort: ["bullish", "consolidating"],
+};
+
+// ============================================================================
+// HISTORY LOADING
+// ============================================================================
+
+/**
+ * Convert a candle record into the tick shape SignalEngine expects
+ */
+function candleToTick(candle) {
+  return {
+    symbol: candle.symbol,
+    price: candle.close,
+    high: candle.high,
+    low: candle.low,
+    size: candle.volume,
+    volume: candle.volume,
+    timestamp: candle.time ?? candle.timestamp,
+  };
+}
+
+/**
+ * Parse history text into ticks sorted by time
+ */
+export function parseHistory(text) {
+  const trimmed = text.trim();
+  let records;
+  if (trimmed.startsWith("[")) {
+    records = JSON.parse(trimmed);
+  } else {
+    records = [];
+    for (const line of trimmed.split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch {
+        // Skip malformed lines
+      }
+    }
+  }
+
+  const ticks = [];
+  for (const record of records) {
+    for (const [symbol, data] of expandTickRecord(record)) {
+      const isCandle = data.close !== undefined && data.price === undefined;
+      const tick = isCandle ? candleToTick({ symbol, ...data }) : data;
+      ticks.push({ ...tick, symbol, timestamp: Number(tick.timestamp) });
+    }
+  }
+  return ticks.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+export async function loadHistory(file) {
+  const source = Bun.file(file);
+  if (!(await source.exists())) {
+    throw new Error(`History file not found: ${file}`);
+  }
+  return parseHistory(await source.text());
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+function mean(values) {
+  return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function stddev(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(
+    values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1),
+  );
+}
+
+function maxDrawdown(equity) {
+  let peak = -Infinity;
+  let worst = 0;
+  for (const value of equity) {
+    peak = Math.max(peak, value);
+    worst = Math.max(worst, (peak - value) / peak);
+  }
+  return worst;
+}
+
+/**
+ * Annualized Sharpe ratio of per-step equity returns (risk-free rate 0)
+ */
+function sharpeRatio(equity, stepSeconds) {
+  const returns = [];
+  for (let i = 1; i < equity.length; i++) {
+    returns.push(equity[i] / equity[i - 1] - 1);
+  }
+  const sd = stddev(returns);
+  if (sd === 0 || !(stepSeconds > 0)) return 0;
+  return (
+    (mean(returns) / sd) * Math.sqrt(TRADING_SECONDS_PER_YEAR / stepSeconds)
+  );
+}
+
+function medianStepSeconds(timestamps) {
+  const steps = [];
+  for (let i = 1; i < timestamps.length; i++) {
+    const dt = timestamps[i] - timestamps[i - 1];
+    if (dt > 0) steps.push(dt);
+  }
+  if (steps.length === 0) return 0;
+  steps.sort((a, b) => a - b);
+  return steps[Math.floor(steps.length / 2)] / 1000;
+}
+
+// ============================================================================
+// BACKTESTER
+// ============================================================================
+
+/**
+ * Run one backtest over ticks
+ *
+ * Each symbol trades an equal slice of capital (equity starts at 1.0 per
+ * symbol); the portfolio equity is the average of the symbol equities.
+ *
+ * @param {Array} ticks - Output of parseHistory()
+ * @param {Object} options - DEFAULT_BACKTEST_OPTIONS overrides plus
+ *   { weights, pipelines } for SignalEngine
+ */
+export function runBacktest(ticks, options = {}) {
+  const opts = { ...DEFAULT_BACKTEST_OPTIONS, ...options };
+  const slippage = opts.slippageBps / 10000;
+  const fee = opts.feeBps / 10000;
+
+  const signalEngine = new SignalEngine(null, {
+    weights: opts.weights,
+    pipelines: opts.pipelines,
+  });
+  const candles = new CandleAggregator({ sessionReset: opts.sessionReset });
+  const indicators = new IndicatorEngine();
+  const books = new Map(); // symbol -> { equity, position, lastPrice }
+  const trades = [];
+  const signalCounts = {};
+  const equityCurve = [];
+  const timestamps = [];
+
+  const bookFor = (symbol) => {
+    if (!books.has(symbol)) {
+      books.set(symbol, { equity: 1, position: null, lastPrice: null });
+    }
+    return books.get(symbol);
+  };
+
+  // Mark-to-market value of one symbol book
+  const markToMarket = (book) => {
+    if (!book.position || book.lastPrice === null) return book.equity;
+    const { direction, entryPrice } = book.position;
+    return book.equity * (1 + direction * (book.lastPrice / entryPrice - 1));
+  };
+
+  const open = (book, direction, tick, price) => {
+    const entryPrice = price * (1 + direction * slippage);
+    book.equity *= 1 - fee;
+    book.position = {
+      direction,
+      entryPrice,
+      entryTime: tick.timestamp,
+      entrySignal: tick.signal,
+    };
+  };
+
+  const close = (book, symbol, tick, price, reason) => {
+    const { direction, entryPrice, entryTime, entrySignal } = book.position;
+    const exitPrice = price * (1 - direction * slippage);
+    const gross = direction * (exitPrice / entryPrice - 1);
+    book.equity *= (1 + gross) * (1 - fee);
+    const net = (1 + gross) * (1 - fee) ** 2 - 1;
+    trades.push({
+      symbol,
+      side: direction > 0 ? "long" : "short",
+      entryTime,
+      exitTime: tick.timestamp,
+      entryPrice,
+      exitPrice,
+      entrySignal,
+      exitSignal: reason,
+      return: net,
+    });
+    book.position = null;
+  };
+
+  for (const tick of ticks) {
+    const { symbol } = tick;
+    const price = parseFloat(tick.price);
+    if (!Number.isFinite(price) || price <= 0) continue;
+
+    const market = candles.ingest(symbol, tick);
+    market.indicators = indicators.update(symbol, {
+      price,
+      size: market.size,
+    });
+    const { signal } = signalEngine.fuse(symbol, tick, null, market);
+    signalCounts[signal] = (signalCounts[signal] || 0) + 1;
+
+    const book = bookFor(symbol);
+    book.lastPrice = price;
+    const event = { ...tick, signal };
+
+    if (book.position) {
+      const exits =
+        book.position.direction > 0 ? opts.exitLong : opts.exitShort;
+      if (exits.includes(signal)) close(book, symbol, event, price, signal);
+    }
+    if (!book.position) {
+      if (opts.entryLong.includes(signal)) {
+        open(book, 1, event, price);
+      } else if (opts.allowShort && opts.entryShort.includes(signal)) {
+        open(book, -1, event, price);
+      }
+    }
+
+    // One equity point per distinct timestamp
+    const portfolio = mean(Array.from(books.values(), markToMarket));
+    if (timestamps[timestamps.length - 1] === tick.timestamp) {
+      equityCurve[equityCurve.length - 1] = portfolio;
+    } else {
+      timestamps.push(tick.timestamp);
+      equityCurve.push(portfolio);
+    }
+  }
+
+  // Close anything still open at the last seen price
+  for (const [symbol, book] of books) {
+    if (book.position) {
+      close(
+        book,
+        symbol,
+        { timestamp: timestamps[timestamps.length - 1] },
+        book.lastPrice,
+        "end_of_data",
+      );
+    }
+  }
+
+  const finalEquity = books.size
+    ? mean(Array.from(books.values(), (b) => b.equity))
+    : 1;
+  if (equityCurve.length) equityCurve[equityCurve.length - 1] = finalEquity;
+
+  const wins = trades.filter((t) => t.return > 0).length;
+  const stepSeconds = medianStepSeconds(timestamps);
+
+  return {
+    weights: signalEngine.weights,
+    ticks: ticks.length,
+    symbols: books.size,
+    trades: trades.length,
+    pnl: finalEquity - 1,
+    hitRate: trades.length ? wins / trades.length : 0,
+    avgTradeReturn: mean(trades.map((t) => t.return)),
+    maxDrawdown: maxDrawdown(equityCurve),
+    sharpe: sharpeRatio(equityCurve, stepSeconds),
+    signals: signalCounts,
+    tradeLog: trades,
+    equityCurve,
+  };
+}
+
+// ============================================================================
+// PARAMETER SWEEP
+// ============================================================================
+
+/**
+ * Parse "hurst=0.2:0.5:0.1,vwap=0.3" into { hurst: [0.2, 0.3, 0.4, 0.5], vwap: [0.3] }
+ */
+export function parseSweep(spec) {
+  const grid = {};
+  for (const part of spec.split(",")) {
+    const [name, range] = part.split("=");
+    if (!range) {
+      throw new Error(`Invalid sweep "${part}" (expected name=start:end:step)`);
+    }
+    if (!SIGNAL_INDICATORS.includes(name)) {
+      throw new Error(
+        `Unknown weight "${name}" (expected: ${SIGNAL_INDICATORS.join(", ")})`,
+      );
+    }
+    const [start, end = start, step = 1] = range.split(":").map(Number);
+    if ([start, end, step].some((n) => !Number.isFinite(n)) || step <= 0) {
+      throw new Error(`Invalid sweep range for ${name}: ${range}`);
+    }
+    const values = [];
+    for (let v = start; v <= end + 1e-9; v += step) {
+      values.push(Math.round(v * 1e6) / 1e6);
+    }
+    grid[name] = values;
+  }
+  return grid;
+}
+
+/**
+ * Cartesian product of a sweep grid merged over the default weights
+ */
+export function expandGrid(grid) {
+  let combos = [{ ...DEFAULT_FUSION_WEIGHTS }];
+  for (const [name, values] of Object.entries(grid)) {
+    combos = combos.flatMap((combo) =>
+      values.map((value) => ({ ...combo, [name]: value })),
+    );
+  }
+  return combos;
+}
+
+/**
+ * Backtest every weight combination, best Sharpe first
+ */
+export function sweepWeights(ticks, grid, options = {}) {
+  if (options.pipelines) {
+    // A symbol's YAML pipeline wins over the swept weights
+    throw new Error("Weight sweeps cannot be combined with --pipelines");
+  }
+  return expandGrid(grid)
+    .map((weights) => {
+      const { tradeLog, equityCurve, ...summary } = runBacktest(ticks, {
+        ...options,
+        weights,
+      });
+      return summary;
+    })
+    .sort((a, b) => b.sharpe - a.sharpe || b.pnl - a.pnl);
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+function formatPercent(value) {
+  return `${(value * 100).toFixed(2)}%`;
+}
+
+function printReport(result) {
+  console.log("═".repeat(60));
+  console.log("Backtest Report");
+  console.log("═".repeat(60));
+  console.log(
+    `  Weights:      ${Object.entries(result.weights)
+      .map(([k, v]) => `${k}=${v}`)
+      .join(" ")}`,
+  );
+  console.log(`  Ticks:        ${result.ticks} (${result.symbols} symbols)`);
+  console.log(`  Trades:       ${result.trades}`);
+  console.log(`  PnL:          ${formatPercent(result.pnl)}`);
+  console.log(`  Hit rate:     ${formatPercent(result.hitRate)}`);
+  console.log(`  Avg trade:    ${formatPercent(result.avgTradeReturn)}`);
+  console.log(`  Max drawdown: ${formatPercent(result.maxDrawdown)}`);
+  console.log(`  Sharpe:       ${result.sharpe.toFixed(2)}`);
+  console.log(
+    `  Signals:      ${Object.entries(result.signals)
+      .map(([k, v]) => `${k}:${v}`)
+      .join(" ")}`,
+  );
+}
+
+function printSweep(results, top) {
+  console.log(
+    "hurst  vwap   tension compr.  trades  pnl       hit     maxDD    sharpe",
+  );
+  console.log("─".repeat(76));
+  for (const r of results.slice(0, top)) {
+    const w = r.weights;
+    console.log(
+      [
+        w.hurst.toFixed(3).padEnd(6),
+        w.vwap.toFixed(3).padEnd(6),
+        w.tension.toFixed(3).padEnd(7),
+        w.compression.toFixed(3).padEnd(7),
+        String(r.trades).padEnd(7),
+        formatPercent(r.pnl).padEnd(9),
+        formatPercent(r.hitRate).padEnd(7),
+        formatPercent(r.maxDrawdown).padEnd(8),
+        r.sharpe.toFixed(2),
+      ].join(" "),
+    );
+  }
+}
+
+if (import.meta.main) {
+  const args = Bun.argv.slice(2);
+  const valueFlags = new Set([
+    "--slippage-bps",
+    "--fee-bps",
+    "--sweep",
+    "--top",
+    "--pipelines",
+  ]);
+  const file = args.find(
+    (arg, i) => !arg.startsWith("--") && !valueFlags.has(args[i - 1]),
+  );
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : fallback;
+  };
+
+  if (!file || args.includes("--help")) {
+    console.log(
+      "Usage: bun run src/financial/backtest.js <file> [--slippage-bps N] [--fee-bps N]\n" +
+        "         [--allow-short] [--sweep hurst=0.2:0.5:0.05,vwap=...] [--top N] [--json]\n" +
+        "         [--pipelines <yaml>]",
+    );
+    process.exit(file ? 0 : 1);
+  }
+
+  const ticks = await loadHistory(file);
+  const options = {
+    slippageBps: parseFloat(
+      option("--slippage-bps", DEFAULT_BACKTEST_OPTIONS.slippageBps),
+    ),
+    feeBps: parseFloat(option("--fee-bps", DEFAULT_BACKTEST_OPTIONS.feeBps)),
+    allowShort: args.includes("--allow-short"),
+  };
+  if (option("--pipelines")) {
+    options.pipelines = new SignalPipelineManager(option("--pipelines"), {
+      indicators: SIGNAL_INDICATORS,
+    });
+  }
+
+  const sweep = option("--sweep");
+  if (sweep && options.pipelines) {
+    console.error(
+      "--sweep tunes the built-in fusion weights, which --pipelines overrides; use one or the other",
+    );
+    process.exit(1);
+  }
+  if (sweep) {
+    const results = sweepWeights(ticks, parseSweep(sweep), options);
+    if (args.includes("--json")) {
+      console.log(JSON.stringify(results, null, 2));
+    } else {
+      console.log(
+        `Swept ${results.length} weight combinations over ${ticks.length} ticks\n`,
+      );
+      printSweep(results, parseInt(option("--top", "10")));
+    }
+  } else {
+    const result = runBacktest(ticks, options);
+    if (args.includes("--json")) {
+      const { equityCurve, ...report } = result;
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printReport(result);
+    }
+  }
+}
+
+export default {
+  runBacktest,
+  sweepWeights,
+  parseHistory,
+  loadHistory,
+  parseSweep,
+  expandGrid,
+};
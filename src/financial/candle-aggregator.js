@@ -0,0 +1,228 @@
+/**
+ * candle-aggregator.js - Streaming OHLCV bars and session VWAP per symbol
+ *
+ * Builds 1s / 1m / 5m / 1h bars from the ticks FinancialEngine collects and
+ * maintains a true cumulative VWAP (Σ price·size / Σ size) that resets at
+ * the start of every trading session.
+ *
+ * Tick size: an explicit `size` field wins (the simulator sets one, since
+ * its volume is static). Otherwise `volume` is treated as cumulative
+ * session volume and the size is its increase since the last tick:
+ *   - first tick of a session: the volume traded so far, at this price
+ *   - unchanged volume: 0 (polled between trades)
+ *   - lower volume: the feed or its session restarted, so the new volume
+ *     is what traded since then
+ */
+
+export const CANDLE_INTERVALS = {
+  "1s": 1000,
+  "1m": 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse "HH:MM" (UTC) into an offset from midnight in ms
+ */
+export function parseSessionReset(value = "13:30") {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match) throw new Error(`Invalid session reset time: ${value}`);
+  return (parseInt(match[1]) * 60 + parseInt(match[2])) * 60 * 1000;
+}
+
+export class CandleAggregator {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.intervals - Subset of CANDLE_INTERVALS keys
+   * @param {number} options.maxBars - Closed bars kept per symbol/interval
+   * @param {string} options.sessionReset - Session start "HH:MM" UTC
+   */
+  constructor(options = {}) {
+    this.intervals = options.intervals || Object.keys(CANDLE_INTERVALS);
+    this.maxBars = options.maxBars || 500;
+    this.sessionOffset = parseSessionReset(options.sessionReset);
+    this.symbols = new Map(); // symbol -> { bars, current, vwap }
+  }
+
+  /**
+   * Start of the session containing timestamp
+   */
+  sessionStart(timestamp) {
+    return (
+      Math.floor((timestamp - this.sessionOffset) / DAY) * DAY +
+      this.sessionOffset
+    );
+  }
+
+  getState(symbol) {
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, {
+        bars: Object.fromEntries(this.intervals.map((i) => [i, []])),
+        current: Object.fromEntries(this.intervals.map((i) => [i, null])),
+        vwap: {
+          session: null,
+          priceVolume: 0,
+          volume: 0,
+          value: null,
+          lastVolume: null,
+        },
+      });
+    }
+    return this.symbols.get(symbol);
+  }
+
+  /**
+   * Add one tick and return the updated VWAP and current bars
+   */
+  ingest(symbol, tick) {
+    const price = parseFloat(tick.price);
+    if (!Number.isFinite(price) || price <= 0) return null;
+    const timestamp = tick.timestamp || Date.now();
+    const volume = parseFloat(tick.volume || 0);
+    const state = this.getState(symbol);
+
+    // Session reset
+    const session = this.sessionStart(timestamp);
+    if (state.vwap.session !== session) {
+      state.vwap = {
+        session,
+        priceVolume: 0,
+        volume: 0,
+        value: null,
+        lastVolume: null,
+      };
+    }
+
+    let size;
+    const lastVolume = state.vwap.lastVolume;
+    if (tick.size !== undefined) {
+      size = parseFloat(tick.size);
+    } else if (lastVolume === null || volume < lastVolume) {
+      size = volume;
+    } else {
+      size = volume - lastVolume;
+    }
+    state.vwap.lastVolume = volume;
+    if (!(size > 0)) size = 0;
+
+    // Cumulative session VWAP
+    state.vwap.priceVolume += price * size;
+    state.vwap.volume += size;
+    state.vwap.value =
+      state.vwap.volume > 0
+        ? state.vwap.priceVolume / state.vwap.volume
+        : price;
+
+    // OHLCV bars
+    for (const interval of this.intervals) {
+      const duration = CANDLE_INTERVALS[interval];
+      const time = Math.floor(timestamp / duration) * duration;
+      let bar = state.current[interval];
+
+      if (bar && bar.time !== time) {
+        state.bars[interval].push(bar);
+        if (state.bars[interval].length > this.maxBars) {
+          state.bars[interval].shift();
+        }
+        bar = null;
+      }
+      if (!bar) {
+        bar = {
+          time,
+          open: price,
+          high: price,
+          low: price,
+          close: price,
+          volume: 0,
+          priceVolume: 0,
+          trades: 0,
+        };
+        state.current[interval] = bar;
+      }
+
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      bar.volume += size;
+      bar.priceVolume += price * size;
+      bar.trades++;
+    }
+
+    return {
+      vwap: state.vwap.value,
+      size,
+      sessionVolume: state.vwap.volume,
+      session: state.vwap.session,
+      bars: state.current,
+    };
+  }
+
+  /**
+   * Current session VWAP for symbol (null before the first tick)
+   */
+  getVWAP(symbol) {
+    return this.symbols.get(symbol)?.vwap.value ?? null;
+  }
+
+  /**
+   * In-progress bar for symbol/interval
+   */
+  getCurrentBar(symbol, interval = "1m") {
+    const bar = this.symbols.get(symbol)?.current[interval];
+    return bar ? formatBar(bar) : null;
+  }
+
+  /**
+   * Bars for symbol/interval, oldest first, including the in-progress bar
+   */
+  getBars(symbol, interval = "1m", limit = 100) {
+    if (!CANDLE_INTERVALS[interval]) {
+      throw new Error(
+        `Unknown interval "${interval}" (expected: ${this.intervals.join(", ")})`,
+      );
+    }
+    const state = this.symbols.get(symbol);
+    if (!state || !state.bars[interval]) return [];
+    const bars = [...state.bars[interval]];
+    if (state.current[interval]) bars.push(state.current[interval]);
+    return bars.slice(-limit).map(formatBar);
+  }
+
+  /**
+   * Serializable state (used by the session recorder for exact replay)
+   */
+  snapshot() {
+    return Object.fromEntries(
+      Array.from(this.symbols, ([symbol, state]) => [
+        symbol,
+        structuredClone(state),
+      ]),
+    );
+  }
+
+  restore(snapshot = {}) {
+    this.symbols = new Map(
+      Object.entries(snapshot).map(([symbol, state]) => [
+        symbol,
+        structuredClone(state),
+      ]),
+    );
+  }
+}
+
+function formatBar(bar) {
+  return {
+    time: bar.time,
+    open: bar.open,
+    high: bar.high,
+    low: bar.low,
+    close: bar.close,
+    volume: bar.volume,
+    vwap: bar.volume > 0 ? bar.priceVolume / bar.volume : bar.close,
+    trades: bar.trades,
+  };
+}
+
+export default CandleAggregator;
@@ -0,0 +1,339 @@
+/**
+ * indicators.js - Streaming technical indicators per symbol
+ *
+ * Every indicator updates in O(1) (O(period) for rolling deviation) per
+ * tick and returns null until it has seen enough data:
+ * - SMA / EMA
+ * - RSI (Wilder smoothing)
+ * - MACD (line, signal, histogram)
+ * - Bollinger Bands (middle, upper, lower, %B, bandwidth)
+ * - ATR (Wilder smoothing of true range)
+ * - OBV (on-balance volume)
+ *
+ * IndicatorEngine keeps one IndicatorSet per symbol and is fed from
+ * FinancialEngine.collectTickers(). Ticker high/low are session extremes,
+ * not per-tick ranges, so ATR on ticks measures tick-to-tick true range.
+ */
+
+// ============================================================================
+// PRIMITIVES
+// ============================================================================
+
+export class SMA {
+  constructor(period) {
+    this.period = period;
+    this.window = [];
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    this.window.push(x);
+    this.sum += x;
+    if (this.window.length > this.period) this.sum -= this.window.shift();
+    this.value =
+      this.window.length === this.period ? this.sum / this.period : null;
+    return this.value;
+  }
+}
+
+export class EMA {
+  constructor(period) {
+    this.period = period;
+    this.alpha = 2 / (period + 1);
+    this.seed = new SMA(period); // seeded with the SMA of the first period values
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.value === null) {
+      this.value = this.seed.update(x);
+    } else {
+      this.value = x * this.alpha + this.value * (1 - this.alpha);
+    }
+    return this.value;
+  }
+}
+
+/**
+ * Wilder's smoothing (RMA): seeded with a simple average
+ */
+class WilderAverage {
+  constructor(period) {
+    this.period = period;
+    this.count = 0;
+    this.sum = 0;
+    this.value = null;
+  }
+
+  update(x) {
+    if (this.value === null) {
+      this.count++;
+      this.sum += x;
+      if (this.count === this.period) this.value = this.sum / this.period;
+    } else {
+      this.value = (this.value * (this.period - 1) + x) / this.period;
+    }
+    return this.value;
+  }
+}
+
+// ============================================================================
+// INDICATORS
+// ============================================================================
+
+export class RSI {
+  constructor(period = 14) {
+    this.gains = new WilderAverage(period);
+    this.losses = new WilderAverage(period);
+    this.previous = null;
+    this.value = null;
+  }
+
+  update(close) {
+    if (this.previous !== null) {
+      const delta = close - this.previous;
+      const gain = this.gains.update(Math.max(delta, 0));
+      const loss = this.losses.update(Math.max(-delta, 0));
+      if (gain !== null && loss !== null) {
+        this.value =
+          loss === 0 ? (gain === 0 ? 50 : 100) : 100 - 100 / (1 + gain / loss);
+      }
+    }
+    this.previous = close;
+    return this.value;
+  }
+}
+
+export class MACD {
+  constructor(fast = 12, slow = 26, signal = 9) {
+    this.fast = new EMA(fast);
+    this.slow = new EMA(slow);
+    this.signal = new EMA(signal);
+    this.value = null;
+  }
+
+  update(close) {
+    const fast = this.fast.update(close);
+    const slow = this.slow.update(close);
+    if (fast === null || slow === null) return null;
+    const macd = fast - slow;
+    const signal = this.signal.update(macd);
+    this.value =
+      signal === null ? null : { macd, signal, histogram: macd - signal };
+    return this.value;
+  }
+}
+
+export class BollingerBands {
+  constructor(period = 20, multiplier = 2) {
+    this.multiplier = multiplier;
+    this.sma = new SMA(period);
+    this.value = null;
+  }
+
+  update(close) {
+    const middle = this.sma.update(close);
+    if (middle === null) return null;
+    const variance =
+      this.sma.window.reduce((sum, x) => sum + (x - middle) ** 2, 0) /
+      this.sma.window.length;
+    const deviation = Math.sqrt(variance) * this.multiplier;
+    const upper = middle + deviation;
+    const lower = middle - deviation;
+    this.value = {
+      middle,
+      upper,
+      lower,
+      percentB: upper === lower ? 0.5 : (close - lower) / (upper - lower),
+      bandwidth: middle ? (upper - lower) / middle : 0,
+    };
+    return this.value;
+  }
+}
+
+export class ATR {
+  constructor(period = 14) {
+    this.average = new WilderAverage(period);
+    this.previousClose = null;
+    this.value = null;
+  }
+
+  update(high, low, close) {
+    const trueRange =
+      this.previousClose === null
+        ? high - low
+        : Math.max(high, this.previousClose) -
+          Math.min(low, this.previousClose);
+    this.previousClose = close;
+    this.value = this.average.update(trueRange);
+    return this.value;
+  }
+}
+
+export class OBV {
+  constructor() {
+    this.previous = null;
+    this.value = 0;
+  }
+
+  update(close, volume) {
+    if (this.previous !== null) {
+      if (close > this.previous) this.value += volume;
+      else if (close < this.previous) this.value -= volume;
+    }
+    this.previous = close;
+    return this.value;
+  }
+}
+
+// ============================================================================
+// PER-SYMBOL SET
+// ============================================================================
+
+export const DEFAULT_INDICATOR_PERIODS = {
+  sma: 20,
+  emaFast: 12,
+  emaSlow: 26,
+  rsi: 14,
+  macd: [12, 26, 9],
+  bollinger: [20, 2],
+  atr: 14,
+};
+
+export class IndicatorSet {
+  constructor(periods = DEFAULT_INDICATOR_PERIODS) {
+    this.sma = new SMA(periods.sma);
+    this.emaFast = new EMA(periods.emaFast);
+    this.emaSlow = new EMA(periods.emaSlow);
+    this.rsi = new RSI(periods.rsi);
+    this.macd = new MACD(...periods.macd);
+    this.bollinger = new BollingerBands(...periods.bollinger);
+    this.atr = new ATR(periods.atr);
+    this.obv = new OBV();
+  }
+
+  /**
+   * @param {Object} bar - { close, high?, low?, volume? }
+   */
+  update({ close, high = close, low = close, volume = 0 }) {
+    return {
+      sma: this.sma.update(close),
+      emaFast: this.emaFast.update(close),
+      emaSlow: this.emaSlow.update(close),
+      rsi: this.rsi.update(close),
+      macd: this.macd.update(close),
+      bollinger: this.bollinger.update(close),
+      atr: this.atr.update(high, low, close),
+      obv: this.obv.update(close, volume),
+    };
+  }
+
+  current() {
+    return {
+      sma: this.sma.value,
+      emaFast: this.emaFast.value,
+      emaSlow: this.emaSlow.value,
+      rsi: this.rsi.value,
+      macd: this.macd.value,
+      bollinger: this.bollinger.value,
+      atr: this.atr.value,
+      obv: this.obv.value,
+    };
+  }
+}
+
+/**
+ * Copy plain state into an existing instance tree (used by restore())
+ */
+function assignState(target, state) {
+  for (const [key, value] of Object.entries(state)) {
+    const current = target[key];
+    if (
+      current &&
+      typeof current === "object" &&
+      !Array.isArray(current) &&
+      value &&
+      typeof value === "object" &&
+      Object.getPrototypeOf(current) !== Object.prototype
+    ) {
+      assignState(current, value);
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+}
+
+export class IndicatorEngine {
+  constructor(options = {}) {
+    this.periods = { ...DEFAULT_INDICATOR_PERIODS, ...(options.periods || {}) };
+    this.symbols = new Map();
+  }
+
+  /**
+   * Feed one tick for symbol
+   *
+   * @param {string} symbol
+   * @param {Object} tick - { price, size } (size: traded volume of this tick)
+   */
+  update(symbol, tick) {
+    const price = parseFloat(tick.price);
+    if (!Number.isFinite(price)) return this.get(symbol);
+    if (!this.symbols.has(symbol)) {
+      this.symbols.set(symbol, new IndicatorSet(this.periods));
+    }
+    return this.symbols.get(symbol).update({
+      close: price,
+      volume: parseFloat(tick.size ?? 0) || 0,
+    });
+  }
+
+  get(symbol) {
+    return this.symbols.get(symbol)?.current() || null;
+  }
+
+  snapshot() {
+    return JSON.parse(JSON.stringify(Object.fromEntries(this.symbols)));
+  }
+
+  restore(snapshot = {}) {
+    this.symbols = new Map();
+    for (const [symbol, state] of Object.entries(snapshot)) {
+      const set = new IndicatorSet(this.periods);
+      assignState(set, state);
+      this.symbols.set(symbol, set);
+    }
+  }
+}
+
+// ============================================================================
+// SIGNAL INPUTS
+// ============================================================================
+
+/**
+ * Normalize indicators to [-1, 1] signals for SignalEngine fusion
+ * - rsi:       (RSI - 50) / 50  (momentum; use a negative weight to fade it)
+ * - macd:      tanh(histogram / ATR)
+ * - bollinger: (%B - 0.5) * 2, clamped
+ */
+export function indicatorSignals(indicators) {
+  if (!indicators) return {};
+  const signals = {};
+  if (indicators.rsi !== null && indicators.rsi !== undefined) {
+    signals.rsi = (indicators.rsi - 50) / 50;
+  }
+  if (indicators.macd && indicators.atr > 0) {
+    signals.macd = Math.tanh(indicators.macd.histogram / indicators.atr);
+  }
+  if (indicators.bollinger) {
+    signals.bollinger = Math.max(
+      -1,
+      Math.min(1, (indicators.bollinger.percentB - 0.5) * 2),
+    );
+  }
+  return signals;
+}
+
+export const INDICATOR_SIGNALS = ["rsi", "macd", "bollinger"];
+
+export default IndicatorEngine;
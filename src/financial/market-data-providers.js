@@ -0,0 +1,435 @@
+/**
+ * market-data-providers.js - Pluggable market data sources for FinancialEngine
+ *
+ * Providers:
+ * - simulator: Audit-spec base prices with ±0.1% jitter (default)
+ * - replay:    Replays ticks from a recorded JSON Lines file
+ * - feed:      Consumes a local WebSocket (ws://) or HTTP (http://) feed
+ *
+ * Every provider implements the same synchronous contract so that
+ * FinancialEngine.collectTickers() can stay synchronous:
+ *   start()          - async, open files/sockets (optional)
+ *   getTick(symbol)  - latest tick payload for symbol, or null if unknown
+ *   stop()           - release resources
+ */
+
+// ============================================================================
+// TICK NORMALIZATION
+// ============================================================================
+
+/**
+ * Normalize a raw tick into the ticker payload shape used by the dashboard
+ * (numeric fields rendered with 2 decimals, like the original simulator)
+ *
+ * @param {string} symbol - Ticker symbol
+ * @param {Object} raw - Raw tick ({ price, high, low, volume, size, change, ... })
+ * @param {Object} meta - Protocol metadata merged into the payload
+ * @returns {Object} Normalized ticker payload
+ */
+export function normalizeTick(symbol, raw, meta = {}) {
+  const price = parseFloat(raw.price ?? raw.last ?? raw.close ?? 0);
+  const high = parseFloat(raw.high ?? price);
+  const low = parseFloat(raw.low ?? price);
+  const change = parseFloat(raw.change ?? 0);
+  const changePercent =
+    raw.changePercent !== undefined
+      ? parseFloat(raw.changePercent)
+      : price
+        ? (change / price) * 100
+        : 0;
+
+  return {
+    symbol,
+    price: price.toFixed(2),
+    change: change.toFixed(2),
+    changePercent: changePercent.toFixed(2),
+    volume: parseFloat(raw.volume ?? 0),
+    high: high.toFixed(2),
+    low: low.toFixed(2),
+    spread: (high - low).toFixed(2),
+    timestamp: raw.timestamp || Date.now(),
+    // Traded size of this tick, when the source knows it (volume is the
+    // session's cumulative volume)
+    ...(raw.size !== undefined && { size: parseFloat(raw.size) }),
+    ...meta,
+  };
+}
+
+/**
+ * Expand one parsed record into [symbol, tick] pairs.
+ * Accepts a single tick ({ symbol, price, ... }), an array of ticks, or a
+ * dashboard snapshot ({ timestamp, tickers: { AAPL: {...}, ... } }).
+ */
+export function expandTickRecord(record) {
+  if (!record || typeof record !== "object") return [];
+  if (Array.isArray(record)) return record.flatMap(expandTickRecord);
+
+  const tickers = record.tickers || record.financial;
+  if (tickers && typeof tickers === "object") {
+    return Object.entries(tickers).map(([symbol, tick]) => [
+      symbol,
+      { timestamp: record.timestamp, ...tick },
+    ]);
+  }
+
+  if (record.symbol) return [[record.symbol, record]];
+  return [];
+}
+
+// ============================================================================
+// BASE PROVIDER
+// ============================================================================
+
+export class MarketDataProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+  }
+
+  async start() {
+    return this;
+  }
+
+  getTick(symbol) {
+    throw new Error(`${this.name} provider does not implement getTick()`);
+  }
+
+  stop() {}
+
+  describe() {
+    return { provider: this.name };
+  }
+}
+
+// ============================================================================
+// SIMULATOR PROVIDER
+// ============================================================================
+
+/**
+ * Base prices matching audit specification
+ * Protocol: WebSocket (real-time), REST (snapshot)
+ * Version: qsimd-data@1.5.0
+ */
+const SIMULATOR_BASE_DATA = {
+  AAPL: {
+    price: 184.61,
+    high: 186.85,
+    low: 182.16,
+    volume: 630345,
+    change: -0.78,
+  },
+  GOOGL: {
+    price: 116.35,
+    high: 120.2,
+    low: 111.63,
+    volume: 312260,
+    change: 0.77,
+  },
+  TSLA: {
+    price: 244.84,
+    high: 248.67,
+    low: 241.85,
+    volume: 958726,
+    change: -0.06,
+  },
+  NVDA: {
+    price: 495.88,
+    high: 498.03,
+    low: 494.95,
+    volume: 800008,
+    change: -0.89,
+  },
+  META: {
+    price: 359.75,
+    high: 363.63,
+    low: 356.7,
+    volume: 403945,
+    change: 0.15,
+  },
+  MSFT: { price: 380, high: 385, low: 375, volume: 500000, change: 0 },
+  AMZN: { price: 175, high: 180, low: 170, volume: 400000, change: 0 },
+  NFLX: { price: 450, high: 455, low: 445, volume: 300000, change: 0 },
+};
+
+const SIMULATOR_DEFAULT = {
+  price: 100,
+  high: 105,
+  low: 95,
+  volume: 100000,
+  change: 0,
+};
+
+export class SimulatorProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super("simulator", options);
+    this.baseData = { ...SIMULATOR_BASE_DATA, ...(options.baseData || {}) };
+    this.variation = options.variation ?? 0.002; // ±0.1%
+    this.random = options.random || Math.random;
+    this.prices = new Map();
+  }
+
+  /**
+   * Generate mock price data matching audit specification
+   * Update frequency: 200ms
+   * VWAP accuracy: ±0.05%
+   */
+  getTick(symbol) {
+    const data = this.baseData[symbol] || SIMULATOR_DEFAULT;
+    const existing = this.prices.get(symbol) || data.price;
+
+    // Add small random variation to simulate real-time updates
+    const variation = (this.random() - 0.5) * this.variation;
+    const newPrice = data.price * (1 + variation);
+    const change = data.change + (newPrice - data.price);
+    const changePercent = (change / existing) * 100;
+
+    this.prices.set(symbol, newPrice);
+
+    return normalizeTick(
+      symbol,
+      {
+        price: newPrice,
+        high: data.high,
+        low: data.low,
+        volume: data.volume,
+        // The simulated session volume never grows, so each tick trades a
+        // fixed lot of 0.1% of it
+        size: Math.round(data.volume / 1000),
+        change,
+        changePercent,
+      },
+      {
+        protocol: "WebSocket",
+        version: "qsimd-data@1.5.0",
+        updateFrequency: "200ms",
+        vwapAccuracy: "±0.05%",
+      },
+    );
+  }
+}
+
+// ============================================================================
+// REPLAY PROVIDER
+// ============================================================================
+
+export class ReplayProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super("replay", options);
+    this.file = options.file;
+    this.loop = options.loop !== false;
+    this.series = new Map(); // symbol -> tick[]
+    this.cursors = new Map(); // symbol -> index of next tick
+  }
+
+  async start() {
+    if (!this.file) {
+      throw new Error("Replay provider requires a file (MARKET_DATA_FILE)");
+    }
+    const file = Bun.file(this.file);
+    if (!(await file.exists())) {
+      throw new Error(`Replay file not found: ${this.file}`);
+    }
+    this.load(await file.text());
+    return this;
+  }
+
+  /**
+   * Load ticks from JSON Lines text (one tick, tick array or snapshot per line)
+   */
+  load(text) {
+    this.series.clear();
+    this.cursors.clear();
+
+    for (const line of text.split("\n")) {
+      const trimmed = line.trim();
+      if (!trimmed) continue;
+      let record;
+      try {
+        record = JSON.parse(trimmed);
+      } catch {
+        continue; // Skip torn or partial lines
+      }
+      for (const [symbol, tick] of expandTickRecord(record)) {
+        if (!this.series.has(symbol)) this.series.set(symbol, []);
+        this.series.get(symbol).push(tick);
+      }
+    }
+    return this;
+  }
+
+  getTick(symbol) {
+    const ticks = this.series.get(symbol);
+    if (!ticks || ticks.length === 0) return null;
+
+    let index = this.cursors.get(symbol) || 0;
+    if (index >= ticks.length) {
+      index = this.loop ? 0 : ticks.length - 1;
+    }
+    this.cursors.set(symbol, index + 1);
+
+    return normalizeTick(symbol, ticks[index], {
+      protocol: "Replay",
+      version: "qsimd-data@1.5.0",
+      source: this.file,
+    });
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      file: this.file,
+      loop: this.loop,
+      symbols: this.series.size,
+      ticks: Array.from(this.series.values()).reduce((n, t) => n + t.length, 0),
+    };
+  }
+}
+
+// ============================================================================
+// FEED PROVIDER (local WebSocket / HTTP feed emulator)
+// ============================================================================
+
+export class FeedProvider extends MarketDataProvider {
+  constructor(options = {}) {
+    super("feed", options);
+    this.url = options.url;
+    this.pollInterval = options.pollInterval || 200;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.latest = new Map(); // symbol -> raw tick
+    this.ws = null;
+    this.timer = null;
+    this.reconnectTimer = null;
+    this.polling = false;
+    this.stopped = false;
+    this.lastError = null;
+  }
+
+  get transport() {
+    return /^wss?:/.test(this.url || "") ? "WebSocket" : "REST";
+  }
+
+  async start() {
+    if (!this.url) {
+      throw new Error("Feed provider requires a url (MARKET_DATA_URL)");
+    }
+    this.stopped = false;
+    if (this.transport === "WebSocket") {
+      this.connect();
+    } else {
+      await this.poll();
+      this.timer = setInterval(() => this.poll(), this.pollInterval);
+    }
+    return this;
+  }
+
+  connect() {
+    this.ws = new WebSocket(this.url);
+    this.ws.onmessage = (event) => {
+      try {
+        this.ingest(JSON.parse(event.data));
+      } catch (error) {
+        this.lastError = error.message;
+      }
+    };
+    this.ws.onerror = (event) => {
+      this.lastError = event.message || "WebSocket error";
+    };
+    this.ws.onclose = () => {
+      if (!this.stopped) {
+        this.reconnectTimer = setTimeout(() => {
+          this.reconnectTimer = null;
+          this.connect();
+        }, this.reconnectDelay);
+      }
+    };
+  }
+
+  async poll() {
+    // A slow fetch must not overlap the next interval's
+    if (this.polling) return;
+    this.polling = true;
+    try {
+      const response = await fetch(this.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      this.ingest(await response.json());
+      this.lastError = null;
+    } catch (error) {
+      this.lastError = error.message;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  ingest(record) {
+    for (const [symbol, tick] of expandTickRecord(record)) {
+      this.latest.set(symbol, tick);
+    }
+  }
+
+  getTick(symbol) {
+    const tick = this.latest.get(symbol);
+    if (!tick) return null;
+    return normalizeTick(symbol, tick, {
+      protocol: this.transport,
+      version: "qsimd-data@1.5.0",
+      source: this.url,
+    });
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.ws?.close();
+    this.ws = null;
+  }
+
+  describe() {
+    return {
+      provider: this.name,
+      url: this.url,
+      transport: this.transport,
+      symbols: this.latest.size,
+      lastError: this.lastError,
+    };
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+const PROVIDERS = {
+  simulator: SimulatorProvider,
+  replay: ReplayProvider,
+  feed: FeedProvider,
+};
+
+/**
+ * Create a market data provider from config
+ *
+ * @param {Object} config - { provider, file, url, loop, pollInterval }
+ * @returns {MarketDataProvider}
+ */
+export function createMarketDataProvider(config = {}) {
+  const name = config.provider || "simulator";
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown market data provider "${name}" (expected: ${Object.keys(PROVIDERS).join(", ")})`,
+    );
+  }
+  return new Provider(config);
+}
+
+export default {
+  createMarketDataProvider,
+  normalizeTick,
+  expandTickRecord,
+  MarketDataProvider,
+  SimulatorProvider,
+  ReplayProvider,
+  FeedProvider,
+};
@@ -0,0 +1,324 @@
+/**
+ * session-recorder.js - Tick recording and deterministic replay
+ *
+ * Recording format (JSON Lines, append-only):
+ *   {"type":"header", "version":1, "startedAt":..., "state":{...}}
+ *   {"type":"tick", "seq":1, "timestamp":..., "tickers":{...}, "tension":{...}, "hurst":{...}}
+ *
+ * The header captures the engine state (tension integrator, Hurst samples,
+ * per-symbol volume profiles, candles, session VWAP and indicators) at the moment recording started, so a replay
+ * through fresh FinancialEngine / SignalEngine / TensionEngine instances
+ * reproduces the recorded tension, Hurst and signals exactly.
+ */
+
+import { appendFileSync, existsSync } from "fs";
+import { ReplayProvider } from "./market-data-providers.js";
+
+export const RECORDING_VERSION = 1;
+
+// ============================================================================
+// ENGINE STATE SNAPSHOT
+// ============================================================================
+
+/**
+ * Capture the mutable state that influences the next tick
+ */
+export function snapshotEngineState(financial, tension) {
+  return {
+    tension: {
+      currentTension: tension.currentTension,
+      lastUpdateTime: tension.lastUpdateTime,
+      samples: [...tension.samples],
+    },
+    candles: financial.candles?.snapshot(),
+    indicators: financial.indicators?.snapshot(),
+    volumeHistory: Object.fromEntries(
+      Array.from(financial.signalEngine.volumeHistory, ([symbol, profile]) => [
+        symbol,
+        [...profile],
+      ]),
+    ),
+  };
+}
+
+/**
+ * Restore state captured by snapshotEngineState()
+ */
+export function restoreEngineState(financial, tension, state) {
+  if (!state) return;
+  if (state.tension) {
+    tension.currentTension = state.tension.currentTension;
+    tension.lastUpdateTime = state.tension.lastUpdateTime;
+    tension.samples = [...(state.tension.samples || [])];
+  }
+  if (state.candles) financial.candles?.restore(state.candles);
+  if (state.indicators) financial.indicators?.restore(state.indicators);
+  financial.signalEngine.volumeHistory = new Map(
+    Object.entries(state.volumeHistory || {}).map(([symbol, profile]) => [
+      symbol,
+      [...profile],
+    ]),
+  );
+}
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+export class SessionRecorder {
+  constructor(file) {
+    this.file = file;
+    this.seq = 0;
+    this.started = false;
+  }
+
+  /**
+   * Write the header line. Appending to an existing recording adds a new
+   * header, which starts a new segment with its own engine state.
+   */
+  start(financial, tension) {
+    this.append({
+      type: "header",
+      version: RECORDING_VERSION,
+      startedAt: Date.now(),
+      resumed: existsSync(this.file),
+      state: snapshotEngineState(financial, tension),
+    });
+    this.started = true;
+    return this;
+  }
+
+  /**
+   * Record one tick (the output of one collectTickers + tension.update cycle)
+   */
+  record({ timestamp, tickers, tension, hurst }) {
+    if (!this.started) return;
+    this.seq++;
+    this.append({
+      type: "tick",
+      seq: this.seq,
+      timestamp,
+      tickers,
+      tension: {
+        current: tension.current,
+        status: tension.status,
+        model: tension.model,
+      },
+      hurst: {
+        exponent: hurst.exponent,
+        interpretation: hurst.interpretation,
+      },
+    });
+  }
+
+  append(entry) {
+    appendFileSync(this.file, JSON.stringify(entry) + "\n");
+  }
+
+  describe() {
+    return { file: this.file, recording: this.started, ticks: this.seq };
+  }
+}
+
+// ============================================================================
+// RECORDING PARSER
+// ============================================================================
+
+/**
+ * Parse a recording into segments of { header, ticks[] }
+ */
+export function parseRecording(text) {
+  const segments = [];
+  let current = null;
+
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    let entry;
+    try {
+      entry = JSON.parse(trimmed);
+    } catch {
+      continue; // Torn last line from a crash mid-write
+    }
+    if (entry.type === "header") {
+      current = { header: entry, ticks: [] };
+      segments.push(current);
+    } else if (entry.type === "tick") {
+      if (!current) {
+        current = { header: null, ticks: [] };
+        segments.push(current);
+      }
+      current.ticks.push(entry);
+    }
+  }
+
+  return segments;
+}
+
+// ============================================================================
+// REPLAYER
+// ============================================================================
+
+/**
+ * Feed a recording back through FinancialEngine -> SignalEngine -> TensionEngine.
+ *
+ * Engines should be fresh instances (see createReplaySession in
+ * unified-dashboard.js); their state is restored from the segment header.
+ */
+export class SessionReplayer {
+  constructor({ financial, tension, store }, options = {}) {
+    this.financial = financial;
+    this.tension = tension;
+    this.store = store;
+    this.speed = options.speed ?? 1; // 1 = real time, N = N times faster, 0 = no delay
+    this.tolerance = options.tolerance ?? 1e-9;
+    this.segment = null;
+    this.index = 0;
+    this.paused = false;
+    this.divergences = [];
+  }
+
+  async load(file) {
+    const source = Bun.file(file);
+    if (!(await source.exists())) {
+      throw new Error(`Recording not found: ${file}`);
+    }
+    return this.loadText(await source.text());
+  }
+
+  /**
+   * Load a recording. Only the last segment is replayed unless one is given.
+   * Segments without ticks (a recorder stopped before its first tick) are
+   * skipped and don't count towards segmentIndex.
+   */
+  loadText(text, segmentIndex = -1) {
+    const segments = parseRecording(text).filter(
+      (segment) => segment.ticks.length > 0,
+    );
+    if (segments.length === 0) {
+      throw new Error("Recording contains no ticks");
+    }
+    this.segment = segments.at(segmentIndex);
+    if (!this.segment) {
+      throw new Error(`Recording has no segment ${segmentIndex}`);
+    }
+    this.index = 0;
+    this.divergences = [];
+
+    const replay = new ReplayProvider({ loop: false });
+    replay.load(
+      this.segment.ticks
+        .map((tick) =>
+          JSON.stringify({ timestamp: tick.timestamp, tickers: tick.tickers }),
+        )
+        .join("\n"),
+    );
+    this.financial.provider = replay;
+    restoreEngineState(
+      this.financial,
+      this.tension,
+      this.segment.header?.state,
+    );
+    return this;
+  }
+
+  get total() {
+    return this.segment ? this.segment.ticks.length : 0;
+  }
+
+  get done() {
+    return this.index >= this.total;
+  }
+
+  /**
+   * Replay one tick and compare it with what was recorded
+   */
+  step() {
+    if (this.done) return null;
+    const recorded = this.segment.ticks[this.index++];
+
+    const tickers = this.financial.collectTickers(
+      Object.keys(recorded.tickers),
+    );
+    this.tension.update(null, recorded.timestamp);
+    const tension = this.store.metrics.tension;
+    const hurst = this.store.metrics.hurst;
+
+    const frame = {
+      seq: recorded.seq,
+      timestamp: recorded.timestamp,
+      tickers,
+      tension,
+      hurst,
+      diverged: this.compare(recorded, { tickers, tension, hurst }),
+    };
+    if (frame.diverged.length > 0) {
+      this.divergences.push({ seq: recorded.seq, fields: frame.diverged });
+    }
+    return frame;
+  }
+
+  compare(recorded, replayed) {
+    const diverged = [];
+    if (
+      Math.abs(recorded.tension.current - replayed.tension.current) >
+      this.tolerance
+    ) {
+      diverged.push("tension");
+    }
+    if (
+      Math.abs(recorded.hurst.exponent - replayed.hurst.exponent) >
+      this.tolerance
+    ) {
+      diverged.push("hurst");
+    }
+    for (const [symbol, tick] of Object.entries(recorded.tickers)) {
+      if (tick.signal !== replayed.tickers[symbol]?.signal) {
+        diverged.push(`signal:${symbol}`);
+      }
+    }
+    return diverged;
+  }
+
+  /**
+   * Replay the remaining ticks, honouring recorded spacing divided by speed
+   *
+   * @param {Function} onFrame - Called with each replayed frame
+   */
+  async play(onFrame = () => {}) {
+    this.paused = false;
+    while (!this.done && !this.paused) {
+      const previous = this.segment.ticks[this.index - 1];
+      const next = this.segment.ticks[this.index];
+      if (previous && this.speed > 0) {
+        await Bun.sleep(
+          Math.max(0, (next.timestamp - previous.timestamp) / this.speed),
+        );
+      }
+      await onFrame(this.step());
+    }
+    return this.summary();
+  }
+
+  pause() {
+    this.paused = true;
+  }
+
+  summary() {
+    return {
+      ticks: this.total,
+      replayed: this.index,
+      divergences: this.divergences,
+      deterministic: this.divergences.length === 0,
+    };
+  }
+}
+
+export default {
+  SessionRecorder,
+  SessionReplayer,
+  parseRecording,
+  snapshotEngineState,
+  restoreEngineState,
+  RECORDING_VERSION,
+};
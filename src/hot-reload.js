@@ -0,0 +1,92 @@
+/**
+ * hot-reload.js - Load and hot-reload the YAML/JSON files servers run on
+ *
+ * Signal pipelines, alert rules, the terminal policy, feature flags and
+ * kill switches all reload the same way:
+ *
+ *   load() {
+ *     return loadYAMLConfig(this, "Alert rules"); // calls this.apply(document)
+ *   }
+ *   watch() {
+ *     if (this.watcher) return this;
+ *     this.watcher = watchReload(this.path, () => this.reload());
+ *     return this;
+ *   }
+ *   unwatch() {
+ *     this.watcher?.close();
+ *     this.watcher = null;
+ *   }
+ *
+ * A reload is triggered by a change to the file (debounced: editors write
+ * in several steps) and by SIGUSR2, for filesystems without change events:
+ *
+ *   kill -USR2 <pid>
+ *
+ * An invalid edit is rejected and the previous config stays in force.
+ */
+
+import { YAML } from "bun";
+import { readFileSync, watch } from "fs";
+import { basename, dirname } from "path";
+
+const DEFAULT_DEBOUNCE = 100;
+
+/**
+ * Parse owner.path and hand the document to owner.apply(document, ...args),
+ * keeping owner.loadedAt and owner.lastError current. The first load
+ * throws; a later failure is logged as "<label> not reloaded" and returns
+ * false.
+ */
+export function loadYAMLConfig(owner, label, ...args) {
+  const first = !owner.loadedAt;
+  try {
+    owner.apply(YAML.parse(readFileSync(owner.path, "utf8")), ...args);
+    owner.loadedAt = Date.now();
+    owner.lastError = null;
+    return true;
+  } catch (error) {
+    owner.lastError = error.message;
+    if (first) throw error;
+    console.error(`❌ ${label} not reloaded: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Call reload() when path changes (debounced) and on SIGUSR2
+ *
+ * @param {string} path - File to watch
+ * @param {Function} reload - Called with no arguments
+ * @param {Object} options
+ * @param {string} options.label - Logged when SIGUSR2 arrives
+ * @param {number} options.debounce - ms to wait for the write to settle
+ * @param {boolean} options.directory - Watch the file's directory instead,
+ *   for files replaced by rename (which ends a watch on the file itself)
+ * @returns {{ fsWatcher: FSWatcher, close: Function }}
+ */
+export function watchReload(
+  path,
+  reload,
+  { label = null, debounce = DEFAULT_DEBOUNCE, directory = false } = {},
+) {
+  let timer = null;
+  const name = basename(path);
+  const fsWatcher = watch(directory ? dirname(path) : path, (_, filename) => {
+    if (directory && filename !== name) return;
+    clearTimeout(timer);
+    timer = setTimeout(reload, debounce);
+  });
+  const onSignal = () => {
+    if (label) console.log(`📡 Received ${label} reload signal`);
+    reload();
+  };
+  process.on("SIGUSR2", onSignal);
+  return {
+    fsWatcher,
+    close() {
+      clearTimeout(timer);
+      fsWatcher.close();
+      process.off("SIGUSR2", onSignal);
+    },
+  };
+}
@@ -0,0 +1,271 @@
+/**
+ * metrics-exporter.js - OpenMetrics text exposition for the dashboard
+ *
+ * Renders MetricsStore contents for Prometheus-compatible scrapers. All
+ * names share the `quantum_dashboard_` prefix, durations are in seconds
+ * and memory in bytes (OpenMetrics base units); per-entity series use the
+ * labels `symbol`, `check`, `statistic`, `benchmark` and `type`.
+ *
+ * Rendering only reads the store: a scrape never steps the engines.
+ */
+
+import { SEVERITIES } from "./alert-engine.js";
+
+export const OPENMETRICS_CONTENT_TYPE =
+  "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+export const METRIC_PREFIX = "quantum_dashboard_";
+
+// States of MetricsStore.tension.status (see TensionEngine.update)
+const TENSION_STATES = ["low", "normal", "elevated", "critical"];
+
+// ============================================================================
+// WRITER
+// ============================================================================
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (typeof value === "boolean") return value ? "1" : "0";
+  const number = typeof value === "number" ? value : parseFloat(value);
+  if (Number.isNaN(number)) return "NaN";
+  if (number === Infinity) return "+Inf";
+  if (number === -Infinity) return "-Inf";
+  return String(number);
+}
+
+/**
+ * Collects metric families and renders them in exposition order
+ */
+export class OpenMetricsWriter {
+  constructor(prefix = METRIC_PREFIX) {
+    this.prefix = prefix;
+    this.families = new Map();
+  }
+
+  /**
+   * Declare a family (idempotent)
+   *
+   * @param {string} name - Without prefix; must end in `_${unit}` when unit is set
+   * @param {string} type - gauge | counter | stateset | info | unknown
+   */
+  family(name, type, help, unit = null) {
+    const fullName = this.prefix + name;
+    if (!this.families.has(fullName)) {
+      this.families.set(fullName, { type, help, unit, samples: [] });
+    }
+    return fullName;
+  }
+
+  /**
+   * Add a sample; missing values (null, undefined) are skipped
+   */
+  sample(name, labels, value, suffix = "") {
+    const fullName = this.prefix + name;
+    const family = this.families.get(fullName);
+    if (!family) throw new Error(`Metric family ${fullName} not declared`);
+    if (value === null || value === undefined) return;
+    family.samples.push({ suffix, labels, value });
+  }
+
+  render() {
+    const lines = [];
+    for (const [name, family] of this.families) {
+      if (family.samples.length === 0) continue;
+      lines.push(`# TYPE ${name} ${family.type}`);
+      if (family.unit) lines.push(`# UNIT ${name} ${family.unit}`);
+      lines.push(`# HELP ${name} ${family.help}`);
+      for (const { suffix, labels, value } of family.samples) {
+        const pairs = Object.entries(labels || {}).map(
+          ([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`,
+        );
+        const labelText = pairs.length ? `{${pairs.join(",")}}` : "";
+        lines.push(`${name}${suffix}${labelText} ${formatValue(value)}`);
+      }
+    }
+    lines.push("# EOF");
+    return lines.join("\n") + "\n";
+  }
+}
+
+// ============================================================================
+// DASHBOARD METRICS
+// ============================================================================
+
+/**
+ * Render dashboard metrics in OpenMetrics text format
+ *
+ * @param {Object} source
+ * @param {Object} source.metrics - MetricsStore.metrics
+ * @param {number} source.uptime - Seconds since start
+ * @param {Object} source.server - { pendingRequests, pendingWebSockets, topicCount, totalSubscribers }
+ * @param {Object} source.alerts - AlertEngine.describe() (optional)
+ */
+export function renderOpenMetrics({ metrics, uptime, server = {}, alerts }) {
+  const w = new OpenMetricsWriter();
+
+  w.family(
+    "uptime_seconds",
+    "gauge",
+    "Seconds since dashboard start",
+    "seconds",
+  );
+  w.sample("uptime_seconds", {}, uptime);
+
+  // Benchmarks
+  w.family(
+    "spawn_duration_seconds",
+    "gauge",
+    "Bun.spawnSync benchmark duration",
+    "seconds",
+  );
+  for (const statistic of ["avg", "min", "max", "p95", "p99"]) {
+    const ms = metrics.spawn?.[statistic];
+    w.sample(
+      "spawn_duration_seconds",
+      { statistic },
+      typeof ms === "number" ? ms / 1000 : null,
+    );
+  }
+
+  w.family(
+    "benchmark_ops_per_second",
+    "gauge",
+    "Operations per second measured by the performance benchmarks",
+  );
+  w.sample(
+    "benchmark_ops_per_second",
+    { benchmark: "buffer_indexOf" },
+    metrics.buffer?.indexOf,
+  );
+  w.sample(
+    "benchmark_ops_per_second",
+    { benchmark: "buffer_includes" },
+    metrics.buffer?.includes,
+  );
+  w.sample(
+    "benchmark_ops_per_second",
+    { benchmark: "promise" },
+    metrics.promise?.opsPerSec,
+  );
+  w.sample(
+    "benchmark_ops_per_second",
+    { benchmark: "response" },
+    metrics.response?.opsPerSec,
+  );
+
+  // System
+  w.family("memory_bytes", "gauge", "Process memory usage", "bytes");
+  for (const [type, key] of [
+    ["heap_used", "heapUsed"],
+    ["heap_total", "heapTotal"],
+    ["rss", "rss"],
+    ["external", "external"],
+  ]) {
+    w.sample("memory_bytes", { type }, metrics.memory?.[key]);
+  }
+
+  // Tension / Hurst
+  w.family(
+    "tension",
+    "gauge",
+    "Market tension (dT/dt = α·shock - β·liquidity)",
+  );
+  w.sample("tension", {}, metrics.tension?.current);
+  w.family("tension_status", "stateset", "Market tension band");
+  if (metrics.tension?.status) {
+    for (const state of TENSION_STATES) {
+      w.sample(
+        "tension_status",
+        { [`${METRIC_PREFIX}tension_status`]: state },
+        metrics.tension.status === state,
+      );
+    }
+  }
+  w.family("tension_market_shock", "gauge", "Tension model market shock input");
+  w.sample("tension_market_shock", {}, metrics.tension?.model?.marketShock);
+  w.family("tension_liquidity", "gauge", "Tension model liquidity input");
+  w.sample("tension_liquidity", {}, metrics.tension?.model?.liquidity);
+  w.family("hurst_exponent", "gauge", "Hurst exponent of the tension series");
+  w.sample("hurst_exponent", {}, metrics.hurst?.exponent);
+
+  // Financial (per symbol)
+  w.family("ticker_price", "gauge", "Last price per symbol");
+  w.family("ticker_volume", "gauge", "Reported volume per symbol");
+  w.family("ticker_change_percent", "gauge", "Price change in percent");
+  w.family("ticker_vwap", "gauge", "Session VWAP per symbol");
+  w.family(
+    "ticker_signal_fused",
+    "gauge",
+    "Fused signal value in [-1, 1] per symbol",
+  );
+  w.family("ticker_signal", "info", "Current fused signal label per symbol");
+  const tickers = metrics.financial?.tickers;
+  const entries =
+    tickers instanceof Map ? tickers : Object.entries(tickers || {});
+  for (const [symbol, ticker] of entries) {
+    w.sample("ticker_price", { symbol }, ticker.price);
+    w.sample("ticker_volume", { symbol }, ticker.volume);
+    w.sample("ticker_change_percent", { symbol }, ticker.changePercent);
+    w.sample("ticker_vwap", { symbol }, ticker.vwap);
+    w.sample("ticker_signal_fused", { symbol }, ticker.fusedSignal);
+    if (ticker.signal) {
+      w.sample(
+        "ticker_signal",
+        {
+          symbol,
+          signal: ticker.signal,
+          pipeline: ticker.signalPipeline ?? "",
+        },
+        1,
+        "_info",
+      );
+    }
+  }
+
+  // Health
+  w.family("healthy", "gauge", "1 when every health check is healthy");
+  w.family(
+    "health_check_healthy",
+    "gauge",
+    "1 when the health check is healthy",
+  );
+  const health = metrics.health;
+  if (health?.lastCheck) {
+    w.sample("healthy", {}, health.status === "HEALTHY");
+    for (const [check, result] of Object.entries(health.checks || {})) {
+      w.sample("health_check_healthy", { check }, result?.status === "healthy");
+    }
+  }
+
+  // Bun.serve
+  w.family("server_pending_requests", "gauge", "In-flight HTTP requests");
+  w.sample("server_pending_requests", {}, server.pendingRequests);
+  w.family("server_pending_websockets", "gauge", "Open WebSocket connections");
+  w.sample("server_pending_websockets", {}, server.pendingWebSockets);
+  w.family("websocket_topics", "gauge", "Pub/sub topics with subscribers");
+  w.sample("websocket_topics", {}, server.topicCount);
+  w.family("websocket_subscribers", "gauge", "Pub/sub subscriptions");
+  w.sample("websocket_subscribers", {}, server.totalSubscribers);
+
+  // Alerts
+  if (alerts) {
+    w.family("alerts_firing", "gauge", "Firing alerts by severity");
+    for (const severity of SEVERITIES) {
+      w.sample(
+        "alerts_firing",
+        { severity },
+        alerts.firing.filter((alert) => alert.severity === severity).length,
+      );
+    }
+  }
+
+  return w.render();
+}
+
+export default renderOpenMetrics;
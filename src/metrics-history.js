@@ -0,0 +1,309 @@
+/**
+ * metrics-history.js - Persistent time-series storage for MetricsStore
+ *
+ * Backed by bun:sqlite with three resolutions:
+ * - raw: every addToHistory() sample
+ * - 1m:  per-minute rollups of raw samples
+ * - 1h:  per-hour rollups of 1m rollups
+ *
+ * Rollups average numeric leaves (numeric strings included, e.g. ticker
+ * prices) and keep the last value of anything else (signals, statuses).
+ * Each resolution has its own retention window; compact() rolls up
+ * completed buckets and then prunes expired rows.
+ */
+
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "fs";
+import { dirname } from "path";
+
+export const RESOLUTIONS = {
+  raw: 0,
+  "1m": 60 * 1000,
+  "1h": 60 * 60 * 1000,
+};
+
+export const DEFAULT_RETENTION = {
+  raw: 24 * 60 * 60 * 1000, // 24 hours
+  "1m": 7 * 24 * 60 * 60 * 1000, // 7 days
+  "1h": 90 * 24 * 60 * 60 * 1000, // 90 days
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Parse a step such as "30s", "5m", "1h", "1d" or a number of milliseconds
+ * @returns {number|null} Step in ms, or null when not given
+ */
+export function parseStep(step) {
+  if (step === null || step === undefined || step === "") return null;
+  if (typeof step === "number") return step;
+  const match = String(step)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/);
+  if (!match) throw new Error(`Invalid step: ${step}`);
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(parseFloat(match[1]) * units[match[2] || "ms"]);
+}
+
+/**
+ * Aggregate a list of values: numeric leaves are averaged, others keep the
+ * most recent value. Objects are aggregated key by key.
+ */
+export function aggregateValues(values) {
+  const present = values.filter((v) => v !== null && v !== undefined);
+  if (present.length === 0) return null;
+
+  const last = present[present.length - 1];
+  if (typeof last === "object" && !Array.isArray(last)) {
+    const keys = new Set(present.flatMap((v) => Object.keys(v || {})));
+    const result = {};
+    for (const key of keys) {
+      result[key] = aggregateValues(present.map((v) => v?.[key]));
+    }
+    return result;
+  }
+
+  const numeric = present
+    .map((v) => (typeof v === "number" ? v : parseFloat(v)))
+    .filter((v) => Number.isFinite(v));
+  if (numeric.length === present.length) {
+    return numeric.reduce((a, b) => a + b, 0) / numeric.length;
+  }
+  return last;
+}
+
+/**
+ * Keep only the fields worth persisting for large categories
+ */
+function summarize(category, value) {
+  if (category === "financial" && value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([symbol, t]) => [
+        symbol,
+        {
+          price: parseFloat(t.price),
+          volume: t.volume,
+          changePercent: parseFloat(t.changePercent),
+          vwap: t.vwap !== undefined ? parseFloat(t.vwap) : undefined,
+          signal: t.signal,
+        },
+      ]),
+    );
+  }
+  return value;
+}
+
+// ============================================================================
+// HISTORY STORE
+// ============================================================================
+
+export class MetricsHistoryStore {
+  /**
+   * @param {string} path - SQLite file path (":memory:" for tests)
+   * @param {Object} options - { retention: { raw, "1m", "1h" } in ms }
+   */
+  constructor(path, options = {}) {
+    if (path !== ":memory:") {
+      mkdirSync(dirname(path), { recursive: true });
+    }
+    this.path = path;
+    this.retention = { ...DEFAULT_RETENTION, ...(options.retention || {}) };
+    this.db = new Database(path, { create: true });
+    this.db.exec("PRAGMA journal_mode = WAL;");
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS samples (
+        category   TEXT    NOT NULL,
+        resolution TEXT    NOT NULL,
+        ts         INTEGER NOT NULL,
+        count      INTEGER NOT NULL DEFAULT 1,
+        value      TEXT    NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS samples_lookup
+        ON samples (category, resolution, ts);
+      CREATE TABLE IF NOT EXISTS rollup_state (
+        resolution TEXT PRIMARY KEY,
+        watermark  INTEGER NOT NULL
+      );
+    `);
+
+    this.insertStmt = this.db.prepare(
+      "INSERT INTO samples (category, resolution, ts, count, value) VALUES (?, ?, ?, ?, ?)",
+    );
+    this.rangeStmt = this.db.prepare(
+      "SELECT category, ts, count, value FROM samples WHERE resolution = ? AND ts >= ? AND ts < ? ORDER BY ts",
+    );
+    this.queryStmt = this.db.prepare(
+      "SELECT ts, count, value FROM samples WHERE category = ? AND resolution = ? AND ts >= ? AND ts <= ? ORDER BY ts",
+    );
+    this.recentStmt = this.db.prepare(
+      "SELECT ts, value FROM samples WHERE category = ? AND resolution = 'raw' ORDER BY ts DESC LIMIT ?",
+    );
+    this.pruneStmt = this.db.prepare(
+      "DELETE FROM samples WHERE resolution = ? AND ts < ?",
+    );
+    this.getWatermarkStmt = this.db.prepare(
+      "SELECT watermark FROM rollup_state WHERE resolution = ?",
+    );
+    this.setWatermarkStmt = this.db.prepare(
+      "INSERT OR REPLACE INTO rollup_state (resolution, watermark) VALUES (?, ?)",
+    );
+  }
+
+  /**
+   * Persist one raw sample
+   */
+  write(category, timestamp, value) {
+    this.insertStmt.run(
+      category,
+      "raw",
+      timestamp,
+      1,
+      JSON.stringify(summarize(category, value)),
+    );
+  }
+
+  /**
+   * Most recent raw samples, oldest first (used to hydrate MetricsStore)
+   */
+  recent(category, limit = 100) {
+    return this.recentStmt
+      .all(category, limit)
+      .reverse()
+      .map((row) => ({ timestamp: row.ts, value: JSON.parse(row.value) }));
+  }
+
+  /**
+   * Roll completed buckets of `source` into `target`
+   */
+  rollup(source, target, now = Date.now()) {
+    const size = RESOLUTIONS[target];
+    const end = Math.floor(now / size) * size; // only completed buckets
+    const stored = this.getWatermarkStmt.get(target)?.watermark;
+    const start = stored ?? Math.max(0, end - this.retention[source]);
+    if (end <= start) return 0;
+
+    const rows = this.rangeStmt.all(source, start, end);
+    const buckets = new Map(); // "category|bucket" -> { values, count }
+    for (const row of rows) {
+      const bucket = Math.floor(row.ts / size) * size;
+      const key = `${row.category}|${bucket}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, {
+          category: row.category,
+          bucket,
+          values: [],
+          count: 0,
+        });
+      }
+      const entry = buckets.get(key);
+      entry.values.push(JSON.parse(row.value));
+      entry.count += row.count;
+    }
+
+    this.db.transaction(() => {
+      for (const { category, bucket, values, count } of buckets.values()) {
+        this.insertStmt.run(
+          category,
+          target,
+          bucket,
+          count,
+          JSON.stringify(aggregateValues(values)),
+        );
+      }
+      this.setWatermarkStmt.run(target, end);
+    })();
+
+    return buckets.size;
+  }
+
+  /**
+   * Roll up raw -> 1m -> 1h, then apply the retention policy
+   */
+  compact(now = Date.now()) {
+    const rolled = {
+      "1m": this.rollup("raw", "1m", now),
+      "1h": this.rollup("1m", "1h", now),
+    };
+    const pruned = {};
+    for (const resolution of Object.keys(RESOLUTIONS)) {
+      pruned[resolution] = this.pruneStmt.run(
+        resolution,
+        now - this.retention[resolution],
+      ).changes;
+    }
+    return { rolled, pruned };
+  }
+
+  /**
+   * Pick the coarsest resolution that still satisfies the step and whose
+   * retention covers the start of the range
+   */
+  chooseResolution(from, to, step, now = Date.now()) {
+    const candidates = Object.keys(RESOLUTIONS).filter(
+      (res) => now - this.retention[res] <= from,
+    );
+    const available = candidates.length > 0 ? candidates : ["1h"];
+    if (step === null) {
+      // ~1000 points max without an explicit step
+      const span = to - from;
+      return (
+        available.find(
+          (res) => span / Math.max(RESOLUTIONS[res], 1000) <= 1000,
+        ) || available[available.length - 1]
+      );
+    }
+    const fitting = available.filter((res) => RESOLUTIONS[res] <= step);
+    return fitting.length > 0 ? fitting[fitting.length - 1] : available[0];
+  }
+
+  /**
+   * Query one category between from and to (ms), optionally re-bucketed
+   *
+   * @returns {{ category, resolution, step, points: Array<{timestamp, value, count}> }}
+   */
+  query(category, { from, to, step } = {}, now = Date.now()) {
+    const end = to ?? now;
+    const start = from ?? end - 60 * 60 * 1000;
+    const stepMs = parseStep(step);
+    const resolution = this.chooseResolution(start, end, stepMs, now);
+
+    let points = this.queryStmt
+      .all(category, resolution, start, end)
+      .map((row) => ({
+        timestamp: row.ts,
+        value: JSON.parse(row.value),
+        count: row.count,
+      }));
+
+    if (stepMs && stepMs > RESOLUTIONS[resolution]) {
+      const buckets = new Map();
+      for (const point of points) {
+        const bucket = Math.floor(point.timestamp / stepMs) * stepMs;
+        if (!buckets.has(bucket)) buckets.set(bucket, []);
+        buckets.get(bucket).push(point);
+      }
+      points = Array.from(buckets, ([bucket, group]) => ({
+        timestamp: bucket,
+        value: aggregateValues(group.map((p) => p.value)),
+        count: group.reduce((n, p) => n + p.count, 0),
+      }));
+    }
+
+    return {
+      category,
+      from: start,
+      to: end,
+      resolution,
+      step: stepMs ?? (RESOLUTIONS[resolution] || null),
+      points,
+    };
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+export default MetricsHistoryStore;
@@ -9,6 +9,8 @@
  * - Terminal-based dashboard using Bun.stringWidth()
  */
 
+import { AlertEngine, CallbackSink } from "./alert-engine.js";
+
 /**
  * Pad string to width using Bun.stringWidth() for accurate Unicode handling
  */
@@ -57,6 +59,27 @@ const ANSI = {
   showCursor: "\x1b[?25h",
 };
 
+/**
+ * Alert rules for metric thresholds: warning above the threshold, critical
+ * above 1.2x it. Each fires once per crossing rather than on every sample.
+ */
+function thresholdRules(thresholds) {
+  return Object.entries(thresholds).flatMap(([metric, threshold]) => [
+    {
+      name: `${metric}_warning`,
+      expr: `${metric} > ${threshold} && ${metric} <= ${threshold * 1.2}`,
+      severity: "warning",
+      labels: { metric, threshold },
+    },
+    {
+      name: `${metric}_critical`,
+      expr: `${metric} > ${threshold * 1.2}`,
+      severity: "critical",
+      labels: { metric, threshold },
+    },
+  ]);
+}
+
 class MonitoringDashboard {
   constructor(config = {}) {
     this.config = {
@@ -85,6 +108,14 @@ class MonitoringDashboard {
     };
 
     this.alerts = [];
+    this.alertEngine = new AlertEngine(null, {
+      sinks: [
+        new CallbackSink({ callback: (events) => this.recordAlerts(events) }),
+      ],
+    });
+    this.alertEngine.apply({
+      rules: thresholdRules(this.config.alertThresholds),
+    });
     this.anomalies = [];
     this.intervalId = null;
     this.startTime = Date.now();
@@ -205,33 +236,23 @@ class MonitoringDashboard {
     return result;
   }
 
-  // Check thresholds and generate alerts
+  // Check thresholds through the alert engine (notifies recordAlerts)
   checkThresholds(metrics) {
-    const thresholds = this.config.alertThresholds;
-
-    for (const [key, threshold] of Object.entries(thresholds)) {
-      if (metrics[key] !== undefined && metrics[key] > threshold) {
-        this.addAlert({
-          type: "threshold",
-          metric: key,
-          value: metrics[key],
-          threshold,
-          severity: metrics[key] > threshold * 1.2 ? "critical" : "warning",
-          timestamp: Date.now(),
-        });
-      }
-    }
+    return this.alertEngine.evaluate(metrics);
   }
 
-  // Add alert
-  addAlert(alert) {
-    // Avoid duplicate alerts within 30 seconds
-    const recentAlert = this.alerts.find(
-      (a) => a.metric === alert.metric && Date.now() - a.timestamp < 30000,
-    );
-
-    if (!recentAlert) {
-      this.alerts.push(alert);
+  // Keep firing threshold alerts for health scoring and display
+  recordAlerts(events) {
+    for (const event of events) {
+      if (event.status !== "firing") continue;
+      this.alerts.push({
+        type: "threshold",
+        metric: event.labels.metric,
+        value: event.value,
+        threshold: event.labels.threshold,
+        severity: event.severity,
+        timestamp: event.startsAt,
+      });
 
       // Keep only last 50 alerts
       if (this.alerts.length > 50) {
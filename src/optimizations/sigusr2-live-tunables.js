@@ -34,13 +34,15 @@ export class LiveTunables {
 
   setupSignalHandler() {
     if (typeof process !== 'undefined' && process.on) {
-      process.on('SIGUSR2', () => {
+      // Kept so destroy() removes only this instance's handlers
+      this.onSIGUSR2 = () => {
         this.handleSignal();
-      });
-      
-      process.on('SIGUSR1', () => {
+      };
+      this.onSIGUSR1 = () => {
         this.dumpConfig();
-      });
+      };
+      process.on('SIGUSR2', this.onSIGUSR2);
+      process.on('SIGUSR1', this.onSIGUSR1);
       
       this.isListening = true;
       console.log('📡 Live tunables listening on SIGUSR2');
@@ -303,9 +305,9 @@ export class LiveTunables {
 
   // Cleanup resources
   destroy() {
-    if (typeof process !== 'undefined' && process.removeAllListeners) {
-      process.removeAllListeners('SIGUSR2');
-      process.removeAllListeners('SIGUSR1');
+    if (typeof process !== 'undefined' && process.off && this.onSIGUSR2) {
+      process.off('SIGUSR2', this.onSIGUSR2);
+      process.off('SIGUSR1', this.onSIGUSR1);
     }
     
     this.watchers.clear();
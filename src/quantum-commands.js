@@ -0,0 +1,545 @@
+/**
+ * quantum-commands.js - Registry for quantum.* terminal commands
+ *
+ * Commands declare their name, typed arguments, help text and handler:
+ *
+ *   registry.register({
+ *     name: "ticker",
+ *     description: "Start the financial ticker",
+ *     args: [
+ *       { name: "symbols", type: "list", choices: SYMBOLS, default: SYMBOLS },
+ *       { name: "interval", type: "integer", min: 100, default: 1000 },
+ *     ],
+ *     run: (args, context) => ({ exec: { command: "bun", args: [...] } }),
+ *   });
+ *
+ * Command lines look like `quantum.ticker --symbols AAPL,NVDA --interval 500`:
+ * --name value or --name=value, a bare --flag / --no-flag for booleans and
+ * plain values for arguments declared `positional`. Types are string,
+ * number, integer, boolean and list (comma separated); `choices` restricts
+ * values and feeds tab completion.
+ *
+ * Handlers return what the server should do with the result:
+ *   { text }           print to the terminal
+ *   { data }           structured result, sent to clients as command_result
+ *                      (printed as JSON when there is no text)
+ *   { exec }           { command, args, env } to start in the session shell
+ *                      (every word is shell-quoted)
+ *   { clear: true }    clear the screen
+ */
+
+import { join } from "path";
+
+export const COMMAND_PREFIX = "quantum.";
+
+const SCRIPTS_DIR = join(import.meta.dir, "scripts");
+
+const DEFAULT_SYMBOLS = (
+  process.env.FINANCIAL_SYMBOLS || "AAPL,GOOGL,TSLA,MSFT,AMZN,NVDA"
+).split(",");
+
+/**
+ * Quote a word for POSIX shells
+ */
+export function shellQuote(word) {
+  const text = String(word);
+  return /^[\w@%+=:,./-]+$/.test(text)
+    ? text
+    : `'${text.replace(/'/g, "'\\''")}'`;
+}
+
+/**
+ * Split a command line into words (single/double quotes and backslash
+ * escapes, like a shell)
+ */
+export function tokenize(line) {
+  const words = [];
+  let current = null;
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"' && i + 1 < line.length) {
+        current += line[++i];
+      } else current += ch;
+    } else if (ch === "'" || ch === '"') {
+      quote = ch;
+      current ??= "";
+    } else if (ch === "\\" && i + 1 < line.length) {
+      current = (current ?? "") + line[++i];
+    } else if (/\s/.test(ch)) {
+      if (current !== null) words.push(current);
+      current = null;
+    } else {
+      current = (current ?? "") + ch;
+    }
+  }
+  if (current !== null) words.push(current);
+  return words;
+}
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * Convert a raw value to an argument's type; returns { value } or { error }
+ */
+function coerce(spec, raw) {
+  const label = `--${spec.name}`;
+  let value;
+
+  switch (spec.type) {
+    case "number":
+    case "integer":
+      value = Number(raw);
+      if (raw === "" || Number.isNaN(value)) {
+        return { error: `${label} expects a number, got "${raw}"` };
+      }
+      if (spec.type === "integer" && !Number.isInteger(value)) {
+        return { error: `${label} expects an integer, got "${raw}"` };
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        return { error: `${label} must be at least ${spec.min}` };
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        return { error: `${label} must be at most ${spec.max}` };
+      }
+      return { value };
+
+    case "boolean":
+      if (["true", "yes", "on", "1"].includes(raw)) return { value: true };
+      if (["false", "no", "off", "0"].includes(raw)) return { value: false };
+      return { error: `${label} expects true or false, got "${raw}"` };
+
+    case "list":
+      value = raw
+        .split(",")
+        .map((item) => item.trim())
+        .filter(Boolean);
+      if (value.length === 0) return { error: `${label} expects a list` };
+      break;
+
+    default:
+      value = raw;
+  }
+
+  if (spec.choices) {
+    const caseless = spec.type === "list";
+    const normalize = (v) => (caseless ? v.toUpperCase() : v);
+    const values = Array.isArray(value) ? value.map(normalize) : [value];
+    const unknown = values.filter((v) => !spec.choices.includes(v));
+    if (unknown.length > 0) {
+      return {
+        error: `${label}: unknown ${unknown.map((v) => `"${v}"`).join(", ")} (${spec.choices.join(", ")})`,
+      };
+    }
+    if (caseless) value = values;
+  }
+  return { value };
+}
+
+function usage(command) {
+  const args = command.args.map((spec) => {
+    const value = spec.type === "boolean" ? "" : ` <${spec.type}>`;
+    const text = spec.positional ? `<${spec.name}>` : `--${spec.name}${value}`;
+    return spec.required ? text : `[${text}]`;
+  });
+  return [`${COMMAND_PREFIX}${command.name}`, ...args].join(" ");
+}
+
+// ============================================================================
+// REGISTRY
+// ============================================================================
+
+class CommandRegistry {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  /**
+   * @param {Object} command - { name, description, args, run(args, context) }
+   */
+  register(command) {
+    if (!/^[a-z][\w-]*$/.test(command.name || "")) {
+      throw new Error(`Invalid command name "${command.name}"`);
+    }
+    if (typeof command.run !== "function") {
+      throw new Error(`Command "${command.name}" needs a run() handler`);
+    }
+    this.commands.set(command.name, {
+      description: "",
+      ...command,
+      args: command.args || [],
+    });
+    return this;
+  }
+
+  get(name) {
+    return this.commands.get(name) || null;
+  }
+
+  list() {
+    return Array.from(this.commands.values());
+  }
+
+  /**
+   * Parse a command line
+   *
+   * @returns {{ command, args, error }} error is a message for the user
+   */
+  parse(line) {
+    const [head = "", ...words] = tokenize(line.trim());
+    if (!head.startsWith(COMMAND_PREFIX)) {
+      return {
+        command: null,
+        args: {},
+        error: `Not a quantum command: ${head}`,
+      };
+    }
+    const name = head.slice(COMMAND_PREFIX.length);
+    const command = this.get(name);
+    if (!command) {
+      return {
+        command: null,
+        args: {},
+        error: `Unknown quantum command: ${name} (try ${COMMAND_PREFIX}help)`,
+      };
+    }
+
+    const fail = (error) => ({ command, args: {}, error });
+    const args = {};
+    const positional = command.args.filter((spec) => spec.positional);
+
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      if (!word.startsWith("--")) {
+        const spec = positional.shift();
+        if (!spec) return fail(`Unexpected argument "${word}"`);
+        const result = coerce(spec, word);
+        if (result.error) return fail(result.error);
+        args[spec.name] = result.value;
+        continue;
+      }
+
+      let [key, raw] = word.slice(2).split(/=(.*)/s);
+      let spec = command.args.find((s) => s.name === key);
+      if (!spec && key.startsWith("no-")) {
+        spec = command.args.find(
+          (s) => s.name === key.slice(3) && s.type === "boolean",
+        );
+        if (spec && raw === undefined) raw = "false";
+      }
+      if (!spec) return fail(`Unknown option --${key} for ${usage(command)}`);
+
+      if (raw === undefined) {
+        if (spec.type === "boolean") raw = "true";
+        else if (i + 1 < words.length) raw = words[++i];
+        else return fail(`--${spec.name} needs a value`);
+      }
+      const result = coerce(spec, raw);
+      if (result.error) return fail(result.error);
+      args[spec.name] = result.value;
+    }
+
+    for (const spec of command.args) {
+      if (spec.name in args) continue;
+      if (spec.required) {
+        const label = spec.positional ? `<${spec.name}>` : `--${spec.name}`;
+        return fail(`Missing ${label} (${usage(command)})`);
+      }
+      if (spec.default !== undefined) args[spec.name] = spec.default;
+    }
+    return { command, args, error: null };
+  }
+
+  /**
+   * Parse and run a command line. Never throws: invalid input and handler
+   * failures come back as { error }.
+   *
+   * @param {string} line
+   * @param {Object} context - Passed to the handler (server state)
+   * @returns {Promise<Object>} handler result plus { command, args }
+   */
+  async execute(line, context = {}) {
+    const { command, args, error } = this.parse(line);
+    if (error) return { command: command?.name ?? null, args, error };
+    try {
+      const result = await command.run(args, { ...context, registry: this });
+      const normalized =
+        typeof result === "string" ? { text: result } : result || {};
+      return { ...normalized, command: command.name, args };
+    } catch (handlerError) {
+      return { command: command.name, args, error: handlerError.message };
+    }
+  }
+
+  /**
+   * Completions for the word under the cursor (the end of line)
+   *
+   * @returns {{ word: string, candidates: string[] }} candidates replace
+   *   word; a trailing space marks a complete word
+   */
+  complete(line) {
+    const words = tokenize(line);
+    const word = /\s$/.test(line) || words.length === 0 ? "" : words.pop();
+    const matching = (values) =>
+      values.filter((value) => value.startsWith(word)).sort();
+
+    // Command name
+    if (words.length === 0) {
+      return {
+        word,
+        candidates: matching(
+          this.list().map((c) => `${COMMAND_PREFIX}${c.name} `),
+        ),
+      };
+    }
+
+    const command = this.get(words[0].slice(COMMAND_PREFIX.length));
+    if (!command) return { word, candidates: [] };
+
+    // Value of the preceding option
+    const previous = words[words.length - 1];
+    const option = previous?.startsWith("--")
+      ? command.args.find((s) => `--${s.name}` === previous)
+      : null;
+    if (option && option.type !== "boolean") {
+      return { word, candidates: this.completeValue(option, word) };
+    }
+
+    if (word.startsWith("--")) {
+      const [key, value] = word.slice(2).split(/=(.*)/s);
+      if (value !== undefined) {
+        const spec = command.args.find((s) => s.name === key);
+        const values = spec ? this.completeValue(spec, value) : [];
+        return { word, candidates: values.map((v) => `--${key}=${v}`) };
+      }
+    }
+
+    const used = new Set(words.filter((w) => w.startsWith("--")));
+    return {
+      word,
+      candidates: matching(
+        command.args
+          .filter((spec) => !spec.positional && !used.has(`--${spec.name}`))
+          .map((spec) => `--${spec.name} `),
+      ),
+    };
+  }
+
+  completeValue(spec, word) {
+    const choices =
+      spec.type === "boolean" ? ["true", "false"] : spec.choices || [];
+    if (spec.type !== "list") {
+      return choices.filter((c) => c.startsWith(word)).map((c) => `${c} `);
+    }
+    // Lists complete their last item
+    const items = word.toUpperCase().split(",");
+    const last = items.pop();
+    const head = items.length ? `${items.join(",")},` : "";
+    return choices
+      .filter((c) => c.startsWith(last) && !items.includes(c))
+      .map((c) => `${head}${c}`);
+  }
+
+  /**
+   * Help for all commands, or usage and arguments of one
+   */
+  help(name) {
+    if (name) {
+      const command = this.get(name.replace(COMMAND_PREFIX, ""));
+      if (!command) return `Unknown quantum command: ${name}`;
+      const lines = [usage(command), "", `  ${command.description}`];
+      if (command.args.length) lines.push("", "Arguments:");
+      for (const spec of command.args) {
+        const label = spec.positional ? `<${spec.name}>` : `--${spec.name}`;
+        const details = [
+          spec.type,
+          spec.choices && `one of ${spec.choices.join(", ")}`,
+          spec.default !== undefined &&
+            `default ${[].concat(spec.default).join(",")}`,
+        ]
+          .filter(Boolean)
+          .join("; ");
+        lines.push(
+          `  ${label.padEnd(18)} ${spec.description || ""} (${details})`,
+        );
+      }
+      return lines.join("\n");
+    }
+
+    const width = Math.max(
+      ...this.list().map((c) => c.name.length + COMMAND_PREFIX.length),
+    );
+    return [
+      "Quantum Terminal Commands:",
+      ...this.list().map(
+        (c) =>
+          `  ${`${COMMAND_PREFIX}${c.name}`.padEnd(width)} - ${c.description}`,
+      ),
+      "",
+      `${COMMAND_PREFIX}help <command> shows its arguments; Tab completes.`,
+    ].join("\n");
+  }
+}
+
+// ============================================================================
+// BUILT-IN COMMANDS
+// ============================================================================
+
+/**
+ * Registry with the standard quantum.* commands. context.stats() supplies
+ * the server-specific part of quantum.status.
+ */
+function createQuantumCommands() {
+  const scriptArgs = (defaults) => [
+    {
+      name: "symbols",
+      type: "list",
+      choices: DEFAULT_SYMBOLS,
+      default: DEFAULT_SYMBOLS,
+      description: "Symbols to show",
+    },
+    {
+      name: "interval",
+      type: "integer",
+      min: 100,
+      max: 60000,
+      default: defaults.interval,
+      description: "Refresh interval in ms",
+    },
+  ];
+
+  return new CommandRegistry()
+    .register({
+      name: "ticker",
+      description: "Start financial ticker",
+      args: [
+        ...scriptArgs({ interval: 1000 }),
+        {
+          name: "volume",
+          type: "boolean",
+          default: true,
+          description: "Volume column",
+        },
+        {
+          name: "indicators",
+          type: "boolean",
+          default: true,
+          description: "RSI/MACD/Bollinger columns",
+        },
+      ],
+      run: (args) => ({
+        exec: {
+          command: "bun",
+          args: ["run", join(SCRIPTS_DIR, "financial-ticker.js")],
+          env: {
+            FINANCIAL_SYMBOLS: args.symbols.join(","),
+            UPDATE_INTERVAL: args.interval,
+            SHOW_VOLUME: args.volume,
+            SHOW_INDICATORS: args.indicators,
+          },
+        },
+      }),
+    })
+    .register({
+      name: "monitor",
+      description: "Start market monitor (htop-style)",
+      args: scriptArgs({ interval: 2000 }),
+      run: (args) => ({
+        exec: {
+          command: "bun",
+          args: ["run", join(SCRIPTS_DIR, "market-monitor.js")],
+          env: {
+            FINANCIAL_SYMBOLS: args.symbols.join(","),
+            UPDATE_INTERVAL: args.interval,
+          },
+        },
+      }),
+    })
+    .register({
+      name: "status",
+      description: "Show server status",
+      args: [
+        {
+          name: "json",
+          type: "boolean",
+          default: false,
+          description: "Print raw JSON",
+        },
+      ],
+      run: (args, context) => {
+        const data = {
+          ...context.stats?.(),
+          uptime: process.uptime(),
+          memory: process.memoryUsage(),
+        };
+        if (args.json) return { data };
+        const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        const text = Object.entries(data)
+          .filter(([key]) => key !== "memory")
+          .map(([key, value]) => {
+            const shown = Number.isInteger(value) ? value : value.toFixed?.(1);
+            return `  ${key.padEnd(16)} ${shown ?? value}`;
+          })
+          .concat(
+            `  ${"rss".padEnd(16)} ${mb(data.memory.rss)}`,
+            `  ${"heapUsed".padEnd(16)} ${mb(data.memory.heapUsed)}`,
+          )
+          .join("\n");
+        return { text: `Quantum Terminal Status:\n${text}`, data };
+      },
+    })
+    .register({
+      name: "clear",
+      description: "Clear terminal",
+      run: () => ({ clear: true }),
+    })
+    .register({
+      name: "help",
+      description: "Show this help",
+      args: [
+        {
+          name: "command",
+          type: "string",
+          positional: true,
+          description: "Command to describe",
+        },
+      ],
+      run: (args, context) => ({ text: context.registry.help(args.command) }),
+    });
+}
+
+/**
+ * Shell command line for an { exec } result
+ */
+function execCommandLine({ command, args = [], env = {} }) {
+  return [
+    ...Object.entries(env).map(
+      ([name, value]) => `${name}=${shellQuote(value)}`,
+    ),
+    ...[command, ...args].map(shellQuote),
+  ].join(" ");
+}
+
+/**
+ * Terminal text for a result: CRLF line endings, errors in red
+ */
+function renderResult(result) {
+  if (result.error) return `\x1b[31m${result.error}\x1b[0m\r\n`;
+  const text =
+    result.text ??
+    (result.data !== undefined ? JSON.stringify(result.data, null, 2) : "");
+  return text ? `${text.replace(/\r?\n/g, "\r\n")}\r\n` : "";
+}
+
+export {
+  CommandRegistry,
+  createQuantumCommands,
+  execCommandLine,
+  renderResult,
+};
+export default CommandRegistry;
@@ -11,6 +11,7 @@
  */
 
 import { join, basename } from "path";
+import { AlertEngine, CallbackSink } from "./alert-engine.js";
 
 class QuantumProductionSystem {
   constructor(config = {}) {
@@ -479,9 +480,32 @@ class QuantumProductionSystem {
   // MONITORING AND METRICS
   initializeMonitoring() {
     const metricsData = new Map();
-    const alerts = new Set();
+    const rules = [];
+    const callbacks = new Map(); // rule name -> callback
     const self = this;
 
+    // Thresholds are alert rules: "alert" is emitted once per crossing
+    const alerts = new AlertEngine(null, {
+      sinks: [
+        new CallbackSink({
+          callback: (events) => {
+            for (const event of events) {
+              if (event.status !== "firing") continue;
+              const { metric, threshold } = event.labels;
+              self.emit("alert", {
+                type: "threshold",
+                metric,
+                value: event.value,
+                threshold,
+                timestamp: event.startsAt,
+              });
+              callbacks.get(event.rule)?.({ metric, value: event.value });
+            }
+          },
+        }),
+      ],
+    });
+
     const collectMetrics = () => {
       const mem = process.memoryUsage();
 
@@ -496,20 +520,11 @@ class QuantumProductionSystem {
       );
       metricsData.set("active_builds", self.buildCache.size);
 
-      // Check alerts
-      for (const alert of alerts) {
-        const value = metricsData.get(alert.metric);
-        if (value !== undefined && alert.condition(value)) {
-          self.emit("alert", {
-            type: "threshold",
-            metric: alert.metric,
-            value,
-            threshold: alert.threshold,
-            timestamp: Date.now(),
-          });
-          alert.callback?.({ metric: alert.metric, value });
-        }
-      }
+      alerts
+        .evaluate(Object.fromEntries(metricsData))
+        .catch((error) =>
+          console.error(`Alert evaluation failed: ${error.message}`),
+        );
     };
 
     const intervalId = setInterval(collectMetrics, 5000);
@@ -528,14 +543,20 @@ class QuantumProductionSystem {
       }),
 
       addAlert: (metric, threshold, callback) => {
-        alerts.add({
-          metric,
-          threshold,
-          condition: (value) => value > threshold,
-          callback,
-        });
+        const name = `${metric}_above_${threshold}`;
+        if (!rules.some((rule) => rule.name === name)) {
+          rules.push({
+            name,
+            expr: `${metric} > ${threshold}`,
+            labels: { metric, threshold },
+          });
+          alerts.apply({ rules });
+        }
+        if (callback) callbacks.set(name, callback);
       },
 
+      getAlerts: () => alerts.describe(),
+
       generateReport: () => ({
         timestamp: Date.now(),
         version: self.config.version,
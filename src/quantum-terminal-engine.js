@@ -4,6 +4,12 @@
  */
 
 import { join } from "path";
+import { WebSocketAuth } from "./ws-auth.js";
+import {
+  createQuantumCommands,
+  execCommandLine,
+  renderResult,
+} from "./quantum-commands.js";
 
 // Feature flag helper (works both at compile-time and runtime)
 const hasFeature = (name) => {
@@ -25,6 +31,7 @@ class QuantumTerminalEngine {
     this.ptyProcesses = new Map();
     this.terminalOutputs = new Map();
     this.eventListeners = new Map();
+    this.commands = createQuantumCommands();
     this.initializeTerminalFeatures();
   }
 
@@ -329,17 +336,29 @@ class QuantumTerminalEngine {
     if (!hasFeature("TERMINAL")) return null;
 
     const engine = this;
+    const auth = new WebSocketAuth();
 
     const server = Bun.serve({
       port,
-      fetch(req, server) {
+      async fetch(req, server) {
         const url = new URL(req.url);
 
-        // Handle WebSocket upgrade for terminal connections
+        // Handle WebSocket upgrade for terminal connections (each one gets
+        // its own shell, so viewers are turned away)
         if (url.pathname === "/terminal") {
+          const identity = await auth.authenticate(req, server);
+          if (!identity) return auth.unauthorized();
+          if (!auth.permits(identity.role, "terminal_input")) {
+            return Response.json(
+              { error: `Role ${identity.role} cannot open a terminal` },
+              { status: 403 },
+            );
+          }
+
           const success = server.upgrade(req, {
             data: {
               terminal: null,
+              identity,
               createdAt: Date.now(),
             },
           });
@@ -400,6 +419,16 @@ class QuantumTerminalEngine {
           try {
             const data = JSON.parse(message.toString());
 
+            if (!auth.permits(ws.data.identity.role, data.type)) {
+              ws.send(
+                JSON.stringify({
+                  type: "error",
+                  message: `Role ${ws.data.identity.role} may not send ${data.type}`,
+                }),
+              );
+              return;
+            }
+
             switch (data.type) {
               case "terminal_input":
                 term.terminal.write(data.data);
@@ -412,7 +441,19 @@ class QuantumTerminalEngine {
               case "terminal_command":
                 const cmd = data.command;
                 if (cmd.startsWith("quantum.")) {
-                  await engine.handleQuantumCommand(term, cmd);
+                  const result = await engine.handleQuantumCommand(term, cmd);
+                  if (result.data !== undefined || result.error) {
+                    ws.send(
+                      JSON.stringify({
+                        type: "command_result",
+                        command: result.command,
+                        args: result.args,
+                        data: result.data ?? null,
+                        error: result.error ?? null,
+                        timestamp: Date.now(),
+                      }),
+                    );
+                  }
                 } else {
                   term.terminal.write(cmd + "\n");
                 }
@@ -440,54 +481,19 @@ class QuantumTerminalEngine {
     return server;
   }
 
-  // HANDLE QUANTUM COMMANDS
+  // HANDLE QUANTUM COMMANDS (registry in quantum-commands.js)
   async handleQuantumCommand(term, command) {
-    const parts = command.split(".");
-    const cmd = parts[1];
-
-    switch (cmd) {
-      case "ticker":
-        term.terminal.write('echo "Starting Quantum Ticker..."\n');
-        term.terminal.write(
-          `bun run ${join(import.meta.dir, "scripts/financial-ticker.js")}\n`,
-        );
-        break;
-
-      case "monitor":
-        term.terminal.write('echo "Starting Market Monitor..."\n');
-        term.terminal.write(
-          `bun run ${join(import.meta.dir, "scripts/market-monitor.js")}\n`,
-        );
-        break;
-
-      case "status":
-        const stats = {
-          activeTerminals: this.terminals.size,
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-        };
-        term.terminal.write(`echo '${JSON.stringify(stats, null, 2)}'\n`);
-        break;
-
-      case "clear":
-        term.terminal.write("clear\n");
-        break;
-
-      case "help":
-        const helpText = `
-Quantum Terminal Commands:
-  quantum.ticker  - Start financial ticker
-  quantum.monitor - Start market monitor (htop-style)
-  quantum.status  - Show server status
-  quantum.clear   - Clear terminal
-  quantum.help    - Show this help
-`;
-        term.terminal.write(`echo '${helpText.replace(/'/g, "\\'")}'\n`);
-        break;
+    const result = await this.commands.execute(command, {
+      stats: () => ({ activeTerminals: this.terminals.size }),
+    });
 
-      default:
-        term.terminal.write(`echo "Unknown quantum command: ${cmd}"\n`);
+    if (result.exec || result.clear) {
+      const line = result.exec ? execCommandLine(result.exec) : "clear";
+      term.terminal.write(`${line}\n`);
+    } else {
+      this.emitTerminalData(term.terminal, `\r\n${renderResult(result)}`);
     }
+    return result;
   }
 
   // COMPILE-TIME FEATURE FLAG INTEGRATION
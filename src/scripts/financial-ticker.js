@@ -3,8 +3,12 @@
  * Displays real-time stock prices in a terminal UI
  *
  * Uses Bun.stringWidth() for accurate Unicode/emoji column alignment
+ * Indicator columns (RSI, MACD histogram, Bollinger %B) use the same
+ * streaming IndicatorEngine as the dashboard's FinancialEngine
  */
 
+import { IndicatorEngine } from "../financial/indicators.js";
+
 // Configuration
 const CONFIG = {
   symbols: (
@@ -13,6 +17,7 @@ const CONFIG = {
   updateInterval: parseInt(process.env.UPDATE_INTERVAL || "1000"),
   showVolume: process.env.SHOW_VOLUME !== "false",
   showChart: process.env.SHOW_CHART !== "false",
+  showIndicators: process.env.SHOW_INDICATORS !== "false",
 };
 
 // ANSI color codes
@@ -63,6 +68,9 @@ const BASE_PRICES = {
 const priceHistory = new Map();
 CONFIG.symbols.forEach((sym) => priceHistory.set(sym, []));
 
+// Streaming technical indicators per symbol
+const indicators = new IndicatorEngine();
+
 /**
  * Generate simulated price
  */
@@ -123,6 +131,39 @@ function formatVolume(num) {
   return num.toString();
 }
 
+/**
+ * Format an indicator value ("--" while warming up)
+ */
+function formatIndicator(value, digits, width, color = COLORS.white) {
+  if (value === null || value === undefined) {
+    return `${COLORS.dim}${padStart("--", width)}${COLORS.reset}`;
+  }
+  return `${color}${padStart(value.toFixed(digits), width)}${COLORS.reset}`;
+}
+
+/**
+ * Indicator cells: RSI (overbought/oversold colored), MACD histogram, %B
+ */
+function indicatorCells(values) {
+  const rsi = values?.rsi ?? null;
+  let rsiColor = COLORS.white;
+  if (rsi !== null && rsi >= 70) rsiColor = COLORS.red;
+  if (rsi !== null && rsi <= 30) rsiColor = COLORS.green;
+  const histogram = values?.macd?.histogram ?? null;
+  const percentB = values?.bollinger?.percentB ?? null;
+
+  return [
+    formatIndicator(rsi, 1, 5, rsiColor),
+    formatIndicator(
+      histogram,
+      3,
+      7,
+      histogram >= 0 ? COLORS.green : COLORS.red,
+    ),
+    formatIndicator(percentB, 2, 5, COLORS.yellow),
+  ];
+}
+
 /**
  * Clear screen and move cursor to top
  */
@@ -156,6 +197,9 @@ function drawTableHeader() {
     padStart("%", 8),
     CONFIG.showVolume ? padStart("VOLUME", 10) : "",
     CONFIG.showChart ? padStart("TREND", 12) : "",
+    ...(CONFIG.showIndicators
+      ? [padStart("RSI", 5), padStart("MACD", 7), padStart("%B", 5)]
+      : []),
   ]
     .filter(Boolean)
     .join(" | ");
@@ -168,7 +212,7 @@ function drawTableHeader() {
  * Draw stock row using Bun.stringWidth() for Unicode-aware alignment
  */
 function drawStockRow(symbol, data) {
-  const { price, change, percent, volume, history } = data;
+  const { price, change, percent, volume, history, indicators } = data;
 
   const arrow = change >= 0 ? "\u25B2" : "\u25BC";
   const changeColor = change >= 0 ? COLORS.green : COLORS.red;
@@ -184,6 +228,7 @@ function drawStockRow(symbol, data) {
     CONFIG.showChart
       ? `${changeColor}${generateSparkline(history, 10)}${COLORS.reset}`
       : "",
+    ...(CONFIG.showIndicators ? indicatorCells(indicators) : []),
   ]
     .filter(Boolean)
     .join(" | ");
@@ -240,7 +285,14 @@ function update() {
     // Generate volume
     const volume = Math.floor(Math.random() * 50000000) + 1000000;
 
-    const data = { price, change, percent, volume, history: [...history] };
+    const data = {
+      price,
+      change,
+      percent,
+      volume,
+      history: [...history],
+      indicators: indicators.update(symbol, { price, size: volume }),
+    };
     stats.push({ symbol, ...data });
 
     drawStockRow(symbol, data);
@@ -0,0 +1,168 @@
+/**
+ * asciicast.js - asciicast v2 recording for PTY sessions
+ *
+ * A recording is a newline-delimited JSON file: a header object, then one
+ * [time, code, data] event per line where time is seconds since start and
+ * code is "o" (output), "i" (input), "r" (resize, "COLSxROWS") or
+ * "m" (marker). Files play back with `asciinema play` or the
+ * WebSocketTerminal playback mode, and double as an audit trail of what
+ * operators ran.
+ *
+ * Spec: https://docs.asciinema.org/manual/asciicast/v2/
+ */
+
+import {
+  closeSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readdirSync,
+  readFileSync,
+  statSync,
+  writeSync,
+} from "fs";
+import { join } from "path";
+
+export const ASCIICAST_CONTENT_TYPE = "application/x-asciicast";
+
+export const DEFAULT_RECORDINGS_DIR =
+  process.env.TERMINAL_RECORDINGS_DIR || ".data/recordings";
+
+// Recording ids become file names: keep them to a safe alphabet
+const RECORDING_ID = /^[\w.-]+$/;
+
+// ============================================================================
+// RECORDER
+// ============================================================================
+
+export class AsciicastRecorder {
+  /**
+   * @param {string} path - .cast file to create (parent dirs are created)
+   * @param {Object} options - { width, height, title, command, env }
+   */
+  constructor(path, options = {}) {
+    const { width = 80, height = 24, title, command, env = {} } = options;
+    mkdirSync(join(path, ".."), { recursive: true });
+
+    this.path = path;
+    this.fd = openSync(path, "w");
+    this.startedAt = performance.now();
+    this.events = 0;
+
+    this.header = {
+      version: 2,
+      width,
+      height,
+      timestamp: Math.floor(Date.now() / 1000),
+      ...(title && { title }),
+      ...(command && { command }),
+      env: { TERM: env.TERM || "xterm-256color", SHELL: env.SHELL || "" },
+    };
+    writeSync(this.fd, JSON.stringify(this.header) + "\n");
+  }
+
+  get closed() {
+    return this.fd === null;
+  }
+
+  elapsed() {
+    return Math.round(performance.now() - this.startedAt) / 1000;
+  }
+
+  event(code, data) {
+    if (this.closed) return;
+    writeSync(this.fd, JSON.stringify([this.elapsed(), code, data]) + "\n");
+    this.events++;
+  }
+
+  output(data) {
+    this.event("o", data);
+  }
+
+  input(data) {
+    this.event("i", data);
+  }
+
+  resize(cols, rows) {
+    this.event("r", `${cols}x${rows}`);
+  }
+
+  marker(label = "") {
+    this.event("m", label);
+  }
+
+  close() {
+    if (this.closed) return;
+    closeSync(this.fd);
+    this.fd = null;
+  }
+}
+
+// ============================================================================
+// READING
+// ============================================================================
+
+/**
+ * Parse a .cast file into { header, events }. A trailing partial line (a
+ * recording that is still being written) is ignored.
+ */
+export function parseAsciicast(text) {
+  const lines = text.split("\n").filter((line) => line.trim());
+  if (lines.length === 0) throw new Error("Empty asciicast");
+
+  const header = JSON.parse(lines[0]);
+  if (header.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header.version}`);
+  }
+
+  const events = [];
+  for (const line of lines.slice(1)) {
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      break;
+    }
+  }
+  return { header, events };
+}
+
+/**
+ * Path of a recording by id, or null for ids that could escape the directory
+ */
+export function recordingPath(id, dir = DEFAULT_RECORDINGS_DIR) {
+  return RECORDING_ID.test(id) ? join(dir, `${id}.cast`) : null;
+}
+
+/**
+ * Summaries of every recording in a directory, newest first
+ */
+export function listRecordings(dir = DEFAULT_RECORDINGS_DIR) {
+  if (!existsSync(dir)) return [];
+
+  const recordings = [];
+  for (const file of readdirSync(dir)) {
+    if (!file.endsWith(".cast")) continue;
+    const path = join(dir, file);
+    try {
+      const { header, events } = parseAsciicast(readFileSync(path, "utf8"));
+      recordings.push({
+        id: file.slice(0, -".cast".length),
+        file: path,
+        size: statSync(path).size,
+        width: header.width,
+        height: header.height,
+        timestamp: header.timestamp,
+        title: header.title ?? null,
+        command: header.command ?? null,
+        duration: events.length ? events.at(-1)[0] : 0,
+        events: events.length,
+        inputs: events.filter(([, code]) => code === "i").length,
+      });
+    } catch (err) {
+      console.warn(`Skipping unreadable recording ${path}: ${err.message}`);
+    }
+  }
+  return recordings.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export default AsciicastRecorder;
@@ -0,0 +1,379 @@
+/**
+ * output-stream.js - Coalesced, flow-controlled PTY output for WebSocket clients
+ *
+ * PTY chunks are collected and sent as one frame per client every
+ * flushInterval ms (16ms by default, about one frame per display refresh).
+ * Clients pick their framing when they connect (?framing=):
+ *   json    { type: "terminal_data", data, sessionId, timestamp } text frames
+ *   binary  the raw UTF-8 output as binary frames; every other message
+ *           stays JSON
+ *
+ * A client is congested once its socket buffers more than highWaterMark
+ * bytes (ws.getBufferedAmount()). What happens then depends on the
+ * backpressure mode:
+ *   drop   frames for that client are dropped; once its buffer falls below
+ *          lowWaterMark it gets a terminal_replay of the screen model
+ *          instead of the frames it missed
+ *   pause  a congested controller stops the PTY with XOFF (Ctrl-S) until its
+ *          buffer drains, so nothing is lost. Needs IXON on the PTY: raw-mode
+ *          programs that turn it off, and spectators, fall back to drop
+ */
+
+export const FRAMINGS = ["json", "binary"];
+
+export const BACKPRESSURE_MODES = ["drop", "pause"];
+
+export const DEFAULT_FLUSH_INTERVAL = parseInt(
+  process.env.TERMINAL_FLUSH_INTERVAL || "16",
+);
+
+export const DEFAULT_HIGH_WATER_MARK = parseInt(
+  process.env.TERMINAL_HIGH_WATER_MARK || String(1024 * 1024),
+);
+
+export const DEFAULT_BACKPRESSURE = BACKPRESSURE_MODES.includes(
+  process.env.TERMINAL_BACKPRESSURE,
+)
+  ? process.env.TERMINAL_BACKPRESSURE
+  : "drop";
+
+// termios c_iflag bit for XON/XOFF output control (Linux and macOS)
+const IXON = process.platform === "darwin" ? 0o1000 : 0o2000;
+const XOFF = "\x13";
+const XON = "\x11";
+
+// Throughput rates are measured over windows of this length (ms)
+const RATE_WINDOW = 1000;
+
+const encoder = new TextEncoder();
+
+// ============================================================================
+// OUTPUT STREAM
+// ============================================================================
+
+export class OutputStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.sessionId - sent with JSON frames
+   * @param {Object} options.terminal - Bun.Terminal (XOFF/XON in pause mode)
+   * @param {Function} options.snapshot - () => ANSI redraw of the screen
+   * @param {Function} options.size - () => { cols, rows } of the screen
+   * @param {number} options.flushInterval - ms between flushes (0: no
+   *   coalescing)
+   * @param {number} options.highWaterMark - buffered bytes that congest a
+   *   client
+   * @param {number} options.lowWaterMark - buffered bytes that end it
+   *   (highWaterMark / 4)
+   * @param {string} options.backpressure - "drop" | "pause"
+   */
+  constructor(options = {}) {
+    const {
+      sessionId,
+      terminal = null,
+      snapshot = () => "",
+      size = () => ({}),
+      flushInterval = DEFAULT_FLUSH_INTERVAL,
+      highWaterMark = DEFAULT_HIGH_WATER_MARK,
+      lowWaterMark = Math.floor(highWaterMark / 4),
+      backpressure = DEFAULT_BACKPRESSURE,
+    } = options;
+    if (!BACKPRESSURE_MODES.includes(backpressure)) {
+      throw new Error(
+        `Unknown backpressure mode "${backpressure}" (${BACKPRESSURE_MODES.join(", ")})`,
+      );
+    }
+
+    this.sessionId = sessionId;
+    this.terminal = terminal;
+    this.snapshot = snapshot;
+    this.size = size;
+    this.flushInterval = flushInterval;
+    this.highWaterMark = highWaterMark;
+    this.lowWaterMark = lowWaterMark;
+    this.backpressure = backpressure;
+
+    this.clients = new Map(); // ws -> { id, framing, skip, stale, counters }
+    this.pending = "";
+    this.timer = null;
+    this.controller = null;
+    this.pausedBy = null; // ws that stopped the PTY
+    this.pausedAt = null;
+    this.createdAt = Date.now();
+
+    this.counters = {
+      bytesIn: 0,
+      chunksIn: 0,
+      flushes: 0,
+      framesOut: 0,
+      bytesOut: 0,
+      droppedFrames: 0,
+      droppedBytes: 0,
+      resyncs: 0,
+      pauses: 0,
+      pausedMs: 0,
+    };
+    this.window = { start: Date.now(), bytesIn: 0, bytesOut: 0 };
+    this.rates = { bytesIn: 0, bytesOut: 0 };
+  }
+
+  /**
+   * Start sending output to a client. Output queued before this call is
+   * already part of the screen the client was sent, so it is skipped.
+   *
+   * @param {Object} options - { id, framing: "json" | "binary" }
+   */
+  attach(ws, { id = null, framing = "json" } = {}) {
+    const client = {
+      id,
+      framing: FRAMINGS.includes(framing) ? framing : "json",
+      skip: this.pending.length,
+      stale: false,
+      framesOut: 0,
+      bytesOut: 0,
+      droppedFrames: 0,
+      droppedBytes: 0,
+      resyncs: 0,
+      peakBuffered: 0,
+    };
+    this.clients.set(ws, client);
+    return client;
+  }
+
+  detach(ws) {
+    this.clients.delete(ws);
+    if (this.pausedBy === ws) this.resume();
+  }
+
+  /**
+   * The controller is the only client allowed to pause the PTY
+   */
+  setController(ws) {
+    this.controller = ws;
+    if (this.pausedBy && this.pausedBy !== ws) this.resume();
+  }
+
+  /**
+   * Queue PTY output; it goes out with the next flush
+   */
+  push(data) {
+    if (!data) return;
+    const bytes = Buffer.byteLength(data);
+    this.counters.bytesIn += bytes;
+    this.counters.chunksIn++;
+    this.window.bytesIn += bytes;
+
+    this.pending += data;
+    if (this.flushInterval <= 0) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.flushInterval);
+    }
+  }
+
+  /**
+   * Send everything queued as one frame per client
+   */
+  flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    const data = this.pending;
+    this.pending = "";
+    this.rollWindow();
+    if (!data) return;
+    this.counters.flushes++;
+
+    let json = null;
+    let binary = null;
+    for (const [ws, client] of this.clients) {
+      const chunk = client.skip ? data.slice(client.skip) : data;
+      client.skip = 0;
+      if (!chunk || ws.readyState !== WebSocket.OPEN) continue;
+
+      // Congested: drop until drained, then the replay holds this output
+      if (client.stale) {
+        if (this.resync(ws, client)) client.stale = false;
+        else this.drop(client, chunk);
+        continue;
+      }
+
+      let frame;
+      if (client.framing === "binary") {
+        frame =
+          chunk === data
+            ? (binary ??= encoder.encode(data))
+            : encoder.encode(chunk);
+      } else {
+        frame =
+          chunk === data
+            ? (json ??= this.jsonFrame(data))
+            : this.jsonFrame(chunk);
+      }
+      this.sendFrame(ws, client, frame);
+      this.checkPressure(ws, client);
+    }
+  }
+
+  jsonFrame(data) {
+    return JSON.stringify({
+      type: "terminal_data",
+      data,
+      sessionId: this.sessionId,
+      timestamp: Date.now(),
+    });
+  }
+
+  sendFrame(ws, client, frame) {
+    ws.send(frame);
+    const bytes =
+      typeof frame === "string" ? Buffer.byteLength(frame) : frame.byteLength;
+    client.framesOut++;
+    client.bytesOut += bytes;
+    this.counters.framesOut++;
+    this.counters.bytesOut += bytes;
+    this.window.bytesOut += bytes;
+  }
+
+  drop(client, chunk) {
+    const bytes = Buffer.byteLength(chunk);
+    client.droppedFrames++;
+    client.droppedBytes += bytes;
+    this.counters.droppedFrames++;
+    this.counters.droppedBytes += bytes;
+  }
+
+  /**
+   * Congestion check after a send: pause the PTY for the controller when
+   * possible, otherwise mark the client stale so it is resynced later
+   */
+  checkPressure(ws, client) {
+    const buffered = ws.getBufferedAmount?.() ?? 0;
+    client.peakBuffered = Math.max(client.peakBuffered, buffered);
+    if (buffered <= this.highWaterMark) return;
+
+    if (
+      this.backpressure === "pause" &&
+      ws === this.controller &&
+      (this.pausedBy === ws || this.pause(ws))
+    ) {
+      return;
+    }
+    client.stale = true;
+  }
+
+  /**
+   * Redraw a stale client from the screen model once its buffer has
+   * drained; false while it is still congested
+   */
+  resync(ws, client) {
+    if ((ws.getBufferedAmount?.() ?? 0) > this.lowWaterMark) return false;
+    const data = this.snapshot();
+    ws.send(
+      JSON.stringify({
+        type: "terminal_replay",
+        data,
+        ...this.size(),
+        sessionId: this.sessionId,
+        resync: true,
+        timestamp: Date.now(),
+      }),
+    );
+    client.resyncs++;
+    this.counters.resyncs++;
+    return true;
+  }
+
+  /**
+   * Called from the WebSocket drain handler: resume the PTY, or redraw a
+   * client that missed frames
+   */
+  drain(ws) {
+    const client = this.clients.get(ws);
+    if (!client) return;
+    const buffered = ws.getBufferedAmount?.() ?? 0;
+    if (this.pausedBy === ws && buffered <= this.lowWaterMark) this.resume();
+    if (client.stale && this.resync(ws, client)) client.stale = false;
+  }
+
+  /**
+   * Stop PTY output with XOFF; false when the PTY does not honour it
+   */
+  pause(ws) {
+    if (!this.terminal || !(this.terminal.inputFlags & IXON)) return false;
+    this.terminal.write(XOFF);
+    this.pausedBy = ws;
+    this.pausedAt = Date.now();
+    this.counters.pauses++;
+    return true;
+  }
+
+  resume() {
+    if (!this.pausedBy) return;
+    this.pausedBy = null;
+    this.counters.pausedMs += Date.now() - this.pausedAt;
+    this.pausedAt = null;
+    if (!this.terminal?.closed) this.terminal?.write(XON);
+  }
+
+  get paused() {
+    return this.pausedBy !== null;
+  }
+
+  rollWindow() {
+    const elapsed = Date.now() - this.window.start;
+    if (elapsed < RATE_WINDOW) return;
+    this.rates = {
+      bytesIn: Math.round((this.window.bytesIn * 1000) / elapsed),
+      bytesOut: Math.round((this.window.bytesOut * 1000) / elapsed),
+    };
+    this.window = { start: Date.now(), bytesIn: 0, bytesOut: 0 };
+  }
+
+  /**
+   * Throughput metrics for the sessions API
+   */
+  stats() {
+    this.rollWindow();
+    const uptime = Math.max(1, Date.now() - this.createdAt) / 1000;
+    const pausedMs =
+      this.counters.pausedMs + (this.pausedAt ? Date.now() - this.pausedAt : 0);
+    return {
+      flushInterval: this.flushInterval,
+      backpressure: this.backpressure,
+      highWaterMark: this.highWaterMark,
+      paused: this.paused,
+      ...this.counters,
+      pausedMs,
+      // PTY chunks per frame: how much coalescing saves
+      coalescing: this.counters.flushes
+        ? Math.round((this.counters.chunksIn / this.counters.flushes) * 100) /
+          100
+        : 0,
+      bytesInPerSecond: this.rates.bytesIn,
+      bytesOutPerSecond: this.rates.bytesOut,
+      averageBytesInPerSecond: Math.round(this.counters.bytesIn / uptime),
+      clients: Array.from(this.clients, ([ws, client]) => ({
+        id: client.id,
+        framing: client.framing,
+        bufferedAmount: ws.getBufferedAmount?.() ?? 0,
+        peakBuffered: client.peakBuffered,
+        congested: client.stale || this.pausedBy === ws,
+        framesOut: client.framesOut,
+        bytesOut: client.bytesOut,
+        droppedFrames: client.droppedFrames,
+        droppedBytes: client.droppedBytes,
+        resyncs: client.resyncs,
+      })),
+    };
+  }
+
+  /**
+   * Flush what is queued and stop; the PTY is left running
+   */
+  close() {
+    this.flush();
+    this.resume();
+    this.clients.clear();
+  }
+}
+
+export default OutputStream;
@@ -0,0 +1,200 @@
+/**
+ * terminal-layouts.js - Saved pane layouts for the terminal UI
+ *
+ * A layout is a tree of nodes:
+ *   { type: "pane", id, title?, command?, session?, mode? }
+ *   { type: "split", id, direction: "horizontal" | "vertical", sizes?, children }
+ *   { type: "tabs", id, active?, children }
+ * A pane is one multiplexed terminal channel (see terminal-mux.js): a new
+ * session that runs `command` (e.g. quantum.ticker), or the live `session`
+ * it was attached to when the layout was saved.
+ *
+ * Layouts are stored per user in the encrypted state-vault cookie, so they
+ * have to stay small: at most MAX_LAYOUTS layouts of MAX_PANES panes each,
+ * MAX_LAYOUT_BYTES of JSON in total.
+ */
+
+export const LAYOUT_NAME = /^[\w.-]{1,64}$/;
+
+export const MAX_LAYOUTS = 8;
+
+export const MAX_PANES = 16;
+
+export const MAX_LAYOUT_BYTES = 3072;
+
+export const DEFAULT_LAYOUTS_KEY = "terminal_layouts";
+
+const MAX_DEPTH = 6;
+const NODE_ID = /^[\w.-]{1,64}$/;
+const DIRECTIONS = ["horizontal", "vertical"];
+const PANE_MODES = ["control", "view"];
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Check a layout tree; returns the first problem, or null when it is valid
+ */
+export function validateLayout(layout) {
+  const ids = new Set();
+  let panes = 0;
+
+  const check = (node, path, depth) => {
+    if (!node || typeof node !== "object" || Array.isArray(node)) {
+      return `${path} must be an object`;
+    }
+    if (depth > MAX_DEPTH) return `${path} is nested too deeply`;
+    if (typeof node.id !== "string" || !NODE_ID.test(node.id)) {
+      return `${path}.id must match ${NODE_ID}`;
+    }
+    if (ids.has(node.id)) return `${path}.id "${node.id}" is used twice`;
+    ids.add(node.id);
+
+    if (node.type === "pane") {
+      if (++panes > MAX_PANES) return `More than ${MAX_PANES} panes`;
+      for (const field of ["title", "command", "session"]) {
+        if (node[field] != null && typeof node[field] !== "string") {
+          return `${path}.${field} must be a string`;
+        }
+      }
+      if (node.mode != null && !PANE_MODES.includes(node.mode)) {
+        return `${path}.mode must be one of ${PANE_MODES.join(", ")}`;
+      }
+      return null;
+    }
+
+    if (node.type !== "split" && node.type !== "tabs") {
+      return `${path}.type must be pane, split or tabs`;
+    }
+    const { children } = node;
+    const minimum = node.type === "split" ? 2 : 1;
+    if (!Array.isArray(children) || children.length < minimum) {
+      return `${path}.children must list at least ${minimum} node(s)`;
+    }
+    if (node.type === "split") {
+      if (!DIRECTIONS.includes(node.direction)) {
+        return `${path}.direction must be one of ${DIRECTIONS.join(", ")}`;
+      }
+      const { sizes } = node;
+      if (
+        sizes != null &&
+        (!Array.isArray(sizes) ||
+          sizes.length !== children.length ||
+          !sizes.every((size) => Number.isFinite(size) && size > 0))
+      ) {
+        return `${path}.sizes must hold one positive number per child`;
+      }
+    } else if (
+      node.active != null &&
+      !(
+        Number.isInteger(node.active) &&
+        node.active >= 0 &&
+        node.active < children.length
+      )
+    ) {
+      return `${path}.active must index one of its children`;
+    }
+    for (const [i, child] of children.entries()) {
+      const error = check(child, `${path}.children[${i}]`, depth + 1);
+      if (error) return error;
+    }
+    return null;
+  };
+
+  return check(layout, "layout", 0);
+}
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+/**
+ * State-vault functions, loaded lazily: the vault needs QUANTUM_SECRET and
+ * bun.yaml, which not every server has
+ */
+let vaultLoader = null;
+function loadVault() {
+  vaultLoader ??= import("../state-vault.js").catch((error) => {
+    console.warn(`Saved layouts unavailable: ${error.message}`);
+    return null;
+  });
+  return vaultLoader;
+}
+
+export class LayoutStoreUnavailable extends Error {
+  constructor() {
+    super("Layout storage is not available (state vault not configured)");
+    this.name = "LayoutStoreUnavailable";
+  }
+}
+
+export class LayoutStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.key - state-vault key holding the layouts
+   * @param {Function} options.load - (request, key) => value | null
+   * @param {Function} options.save - (request, key, value) => Set-Cookie
+   */
+  constructor(options = {}) {
+    this.key = options.key || DEFAULT_LAYOUTS_KEY;
+    this.load =
+      options.load ||
+      (async (request, key) => {
+        const vault = await loadVault();
+        if (!vault) throw new LayoutStoreUnavailable();
+        return vault.loadState(request, key);
+      });
+    this.save =
+      options.save ||
+      (async (request, key, value) => {
+        const vault = await loadVault();
+        if (!vault) throw new LayoutStoreUnavailable();
+        return vault.saveState(request, key, value);
+      });
+  }
+
+  /**
+   * Saved layouts by name: { [name]: { layout, savedAt } }
+   */
+  async list(request) {
+    const layouts = await this.load(request, this.key);
+    return layouts && typeof layouts === "object" ? layouts : {};
+  }
+
+  /**
+   * Save (or replace) a layout. Resolves to { cookie, layouts }; the cookie
+   * goes out as Set-Cookie. Invalid layouts reject with a 400-style error
+   * ({ status }).
+   */
+  async put(request, name, layout) {
+    const reject = (message, status = 400) =>
+      Promise.reject(Object.assign(new Error(message), { status }));
+    if (!LAYOUT_NAME.test(name)) {
+      return reject(`Layout names must match ${LAYOUT_NAME}`);
+    }
+    const error = validateLayout(layout);
+    if (error) return reject(error);
+
+    const layouts = await this.list(request);
+    if (!(name in layouts) && Object.keys(layouts).length >= MAX_LAYOUTS) {
+      return reject(`At most ${MAX_LAYOUTS} layouts can be saved`, 409);
+    }
+    const next = { ...layouts, [name]: { layout, savedAt: Date.now() } };
+    if (JSON.stringify(next).length > MAX_LAYOUT_BYTES) {
+      return reject(
+        `Saved layouts would exceed ${MAX_LAYOUT_BYTES} bytes`,
+        413,
+      );
+    }
+    return { cookie: await this.save(request, this.key, next), layouts: next };
+  }
+
+  async delete(request, name) {
+    const { [name]: removed, ...layouts } = await this.list(request);
+    if (!removed) return null;
+    return { cookie: await this.save(request, this.key, layouts), layouts };
+  }
+}
+
+export default LayoutStore;
@@ -0,0 +1,106 @@
+/**
+ * terminal-mux.js - Several terminal sessions over one WebSocket
+ *
+ * On /terminal/mux every client message names a channel:
+ *   { type: "channel_open", channel, session?, mode? }   new or attached session
+ *   { type: "terminal_input", channel, data }            any terminal message
+ *   { type: "channel_close", channel }                  detach the channel
+ * and every server message carries the channel it belongs to. A closed
+ * channel (detach, session ended, session not found) is reported as
+ *   { type: "channel_closed", channel, code, reason }
+ * with the close code a single-session socket would have gotten.
+ *
+ * Binary output frames (?framing=binary) start with a header naming the
+ * channel: one byte with the channel id's length, then the id (ASCII).
+ *
+ * Each channel is a ChannelSocket: it stands in for a ServerWebSocket, so
+ * sessions, control handover and output streaming treat it like any other
+ * client.
+ */
+
+export const CHANNEL_ID = /^[\w.-]{1,64}$/;
+
+export const DEFAULT_MAX_CHANNELS = parseInt(
+  process.env.TERMINAL_MAX_CHANNELS || "16",
+);
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+/**
+ * Binary frame for a channel: [id length][id][payload]
+ */
+export function encodeChannelFrame(channel, payload) {
+  const id = encoder.encode(channel);
+  const frame = new Uint8Array(1 + id.length + payload.byteLength);
+  frame[0] = id.length;
+  frame.set(id, 1);
+  frame.set(payload, 1 + id.length);
+  return frame;
+}
+
+/**
+ * Split a binary frame into { channel, payload }
+ */
+export function decodeChannelFrame(frame) {
+  const bytes = frame instanceof Uint8Array ? frame : new Uint8Array(frame);
+  const end = 1 + bytes[0];
+  return {
+    channel: decoder.decode(bytes.subarray(1, end)),
+    payload: bytes.subarray(end),
+  };
+}
+
+// ============================================================================
+// CHANNEL SOCKET
+// ============================================================================
+
+export class ChannelSocket {
+  /**
+   * @param {ServerWebSocket} socket - the multiplexed connection
+   * @param {string} channel - channel id
+   * @param {Object} data - per-client data, like ServerWebSocket.data
+   * @param {Function} onClose - (channel socket, code, reason) on close()
+   */
+  constructor(socket, channel, data, onClose = () => {}) {
+    this.socket = socket;
+    this.channel = channel;
+    this.data = data;
+    this.onClose = onClose;
+    this.closed = false;
+    // JSON messages get the channel spliced in as their first field
+    this.prefix = `{"channel":${JSON.stringify(channel)},`;
+  }
+
+  get readyState() {
+    return this.closed ? WebSocket.CLOSED : this.socket.readyState;
+  }
+
+  send(frame) {
+    if (this.closed) return 0;
+    if (typeof frame !== "string") {
+      return this.socket.send(encodeChannelFrame(this.channel, frame));
+    }
+    return this.socket.send(
+      frame.startsWith("{") && frame !== "{}"
+        ? this.prefix + frame.slice(1)
+        : frame,
+    );
+  }
+
+  getBufferedAmount() {
+    return this.socket.getBufferedAmount?.() ?? 0;
+  }
+
+  close(code = 1000, reason = "") {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose(this, code, reason);
+  }
+}
+
+export default ChannelSocket;
@@ -0,0 +1,528 @@
+/**
+ * terminal-policy.js - Sandbox policy for web-exposed terminal sessions
+ *
+ * Roles come from YAML (src/config/terminal-policy.yaml) and are
+ * hot-reloaded:
+ *   - edit the file (fs.watch), or
+ *   - send SIGUSR2 to the terminal server process
+ * Spawn settings (environment, working directory, resource limits) apply to
+ * new sessions; allowlists apply to running sessions immediately.
+ *
+ * Roles with `shell: true` get an unrestricted interactive shell. For every
+ * other role, CommandLineGuard tracks what is typed and each submitted line
+ * is checked against the role's allow/deny patterns before Enter reaches the
+ * shell. Line editing that the guard cannot follow (history recall, tab
+ * completion, escape sequences) is dropped for those roles. The guard sees
+ * keystrokes, not processes: input typed into a running program is checked
+ * like a command line.
+ *
+ * Checked roles are confined to their working directory: every argument is
+ * taken as a path (for --option=value, the value) and rejected when it
+ * resolves outside cwd, so /proc/self/environ, /etc and the like are out of
+ * reach. Shell wildcards and variables, which could expand to such a path,
+ * are rejected too.
+ */
+
+import { existsSync, realpathSync } from "fs";
+import { basename, isAbsolute, relative, resolve, sep } from "path";
+import { loadYAMLConfig, watchReload } from "../hot-reload.js";
+import { parseStep } from "../metrics-history.js";
+
+export const DEFAULT_TERMINAL_POLICY_PATH =
+  process.env.TERMINAL_POLICY ||
+  new URL("../config/terminal-policy.yaml", import.meta.url).pathname;
+
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+// Shell constructs that could run commands the allowlist never sees
+const UNSAFE_SYNTAX = [
+  [/\$\(|`/, "Command substitution is not allowed"],
+  [/[<>]\(/, "Process substitution is not allowed"],
+  [/[<>]/, "Redirection is not allowed"],
+];
+
+// Characters the shell expands in an unquoted word, so the guard cannot
+// know which path the command will open
+const EXPANDING = "*?[{$";
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+/**
+ * Compile a command pattern. `*` matches within one word and path segment
+ * and `?` one such character ("bun run src/scripts/*" does not match
+ * "src/scripts/../../x.js"); with { deny: true } they match anything, so a
+ * deny pattern errs on the side of matching. A pattern also matches the
+ * same command with further arguments ("git status" matches
+ * "git status -s").
+ */
+export function compileCommandPattern(pattern, { deny = false } = {}) {
+  const source = String(pattern)
+    .trim()
+    .split(/\s+/)
+    .join(" ")
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, deny ? ".*" : "[^\\s/]*")
+    .replace(/\?/g, deny ? "." : "[^\\s/]");
+  return new RegExp(`^${source}(?:\\s.*)?$`);
+}
+
+/**
+ * Glob for environment variable names (case-sensitive, `*` only)
+ */
+function compileNamePattern(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\?]/g, "\\$&")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Words of one command with quotes and escapes removed, and whether the
+ * shell would expand any of them (unquoted * ? [ { $ or a leading ~)
+ */
+function commandWords(command) {
+  const words = [];
+  let word = null;
+  let quote = null;
+  let expands = false;
+
+  for (let i = 0; i < command.length; i++) {
+    const ch = command[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"') word += command[++i] ?? "";
+      else {
+        if (ch === "$" && quote === '"') expands = true;
+        word += ch;
+      }
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      if (word !== null) words.push(word);
+      word = null;
+      continue;
+    }
+    if (ch === "~" && word === null) expands = true;
+    word ??= "";
+    if (ch === "'" || ch === '"') quote = ch;
+    else if (ch === "\\") word += command[++i] ?? "";
+    else {
+      if (EXPANDING.includes(ch)) expands = true;
+      word += ch;
+    }
+  }
+  if (word !== null) words.push(word);
+  return { words, expands };
+}
+
+/**
+ * Split a command line into the commands it runs (on ; && || | & and
+ * newlines, outside of quotes)
+ */
+export function splitCommandLine(line) {
+  const commands = [];
+  let current = "";
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+      else if (ch === "\\" && quote === '"') current += line[i++];
+      current += ch;
+      continue;
+    }
+    if (ch === "'" || ch === '"') {
+      quote = ch;
+      current += ch;
+    } else if (ch === "\\") {
+      current += ch + (line[++i] ?? "");
+    } else if (";|&\n".includes(ch)) {
+      if (line[i + 1] === ch && ch !== ";" && ch !== "\n") i++;
+      commands.push(current);
+      current = "";
+    } else {
+      current += ch;
+    }
+  }
+  commands.push(current);
+  return commands.map((c) => c.trim().split(/\s+/).join(" ")).filter(Boolean);
+}
+
+// ============================================================================
+// ROLES
+// ============================================================================
+
+function compileLimits(limits = {}) {
+  return {
+    cpuSeconds: limits.cpuSeconds ?? null,
+    memoryMB: limits.memoryMB ?? null,
+    maxProcesses: limits.maxProcesses ?? null,
+    fileSizeMB: limits.fileSizeMB ?? null,
+    idleTimeout: parseStep(limits.idleTimeout),
+    maxDuration: parseStep(limits.maxDuration),
+  };
+}
+
+function compileRole(name, spec = {}, defaults) {
+  const limits = compileLimits({ ...defaults.limits, ...spec.limits });
+  const cwd = resolve(spec.cwd ?? defaults.cwd ?? ".");
+  if (!existsSync(cwd)) {
+    throw new Error(`Role "${name}": working directory ${cwd} does not exist`);
+  }
+  return {
+    name,
+    shell: spec.shell === true,
+    restricted: spec.restricted === true,
+    allow: (spec.allow || []).map(String),
+    deny: (spec.deny || []).map(String),
+    denyPaths: (spec.denyPaths || []).map(String),
+    allowPatterns: (spec.allow || []).map((p) => compileCommandPattern(p)),
+    denyPatterns: (spec.deny || []).map((p) =>
+      compileCommandPattern(p, { deny: true }),
+    ),
+    denyPathPatterns: (spec.denyPaths || []).map(compileNamePattern),
+    cwd,
+    limits,
+  };
+}
+
+/**
+ * ulimit prelude for the session shell (bash units: KB for -v, 1 KB blocks
+ * for -f). Limits the hard limit does not allow are skipped.
+ */
+function ulimitPrelude(limits) {
+  const settings = [
+    ["-t", limits.cpuSeconds],
+    ["-v", limits.memoryMB && limits.memoryMB * 1024],
+    ["-u", limits.maxProcesses],
+    ["-f", limits.fileSizeMB && limits.fileSizeMB * 1024],
+  ].filter(([, value]) => value);
+  return settings
+    .map(([flag, value]) => `ulimit ${flag} ${Math.floor(value)} 2>/dev/null;`)
+    .join(" ");
+}
+
+// ============================================================================
+// POLICY
+// ============================================================================
+
+class TerminalPolicy {
+  /**
+   * @param {string|null} path - Policy YAML file (null: policy via apply())
+   */
+  constructor(path = DEFAULT_TERMINAL_POLICY_PATH) {
+    this.path = path;
+    this.roles = new Map();
+    this.defaultRole = null;
+    this.localRole = null;
+    this.scrub = [];
+    this.scrubPatterns = [];
+    this.maxSessions = null;
+    this.loadedAt = null;
+    this.lastError = null;
+    this.watcher = null;
+    if (path) this.load();
+  }
+
+  /**
+   * Load the policy from disk (throws on the first load, keeps the previous
+   * policy on later loads)
+   */
+  load() {
+    return loadYAMLConfig(this, "Terminal policy");
+  }
+
+  /**
+   * Compile a parsed YAML document and swap it in
+   */
+  apply(document = {}) {
+    const defaults = { cwd: document.cwd, limits: document.limits };
+    const roles = new Map(
+      Object.entries(document.roles || {}).map(([name, spec]) => [
+        name,
+        compileRole(name, spec, defaults),
+      ]),
+    );
+    const defaultRole = document.defaultRole ?? null;
+    const localRole = document.localRole ?? defaultRole;
+    for (const name of [defaultRole, localRole]) {
+      if (name !== null && !roles.has(name)) {
+        throw new Error(`Unknown role "${name}" in terminal policy`);
+      }
+    }
+
+    this.roles = roles;
+    this.defaultRole = defaultRole;
+    this.localRole = localRole;
+    this.scrub = (document.env?.scrub || []).map(String);
+    this.scrubPatterns = this.scrub.map(compileNamePattern);
+    this.maxSessions = document.limits?.maxSessions ?? null;
+  }
+
+  reload() {
+    console.log("🔄 Reloading terminal policy...");
+    return this.load();
+  }
+
+  role(name) {
+    return this.roles.get(name) || null;
+  }
+
+  /**
+   * Role for a connection: localRole for loopback addresses, defaultRole
+   * otherwise
+   */
+  roleForAddress(address) {
+    return LOOPBACK_ADDRESSES.has(address) ? this.localRole : this.defaultRole;
+  }
+
+  /**
+   * Check a submitted command line against a role
+   *
+   * @returns {{ allowed: boolean, command?: string, reason?: string }}
+   */
+  checkCommand(roleName, line) {
+    const role = this.role(roleName);
+    if (!role) {
+      return { allowed: false, reason: `Unknown role "${roleName}"` };
+    }
+    if (role.shell) return { allowed: true };
+
+    for (const [pattern, reason] of UNSAFE_SYNTAX) {
+      if (pattern.test(line)) return { allowed: false, reason };
+    }
+    for (const command of splitCommandLine(line)) {
+      if (role.denyPatterns.some((p) => p.test(command))) {
+        return { allowed: false, command, reason: "Command is denied" };
+      }
+      if (!role.allowPatterns.some((p) => p.test(command))) {
+        return { allowed: false, command, reason: "Command is not allowed" };
+      }
+      const { words, expands } = commandWords(command);
+      const args = words.slice(1);
+      if (args.some((word) => word.split(/[/=]/).includes(".."))) {
+        return {
+          allowed: false,
+          command,
+          reason: "Parent directory (..) paths are not allowed",
+        };
+      }
+      // Paths the shell would expand could lead anywhere
+      if (expands) {
+        return {
+          allowed: false,
+          command,
+          reason: "Wildcards and variables are not allowed in this role",
+        };
+      }
+      const outside = args.find((word) => this.isOutsideCwd(role, word));
+      if (outside !== undefined) {
+        return {
+          allowed: false,
+          command,
+          reason: `Path ${outside} is outside the working directory`,
+        };
+      }
+      const denied = args.find((word) => this.isDeniedPath(role, word));
+      if (denied !== undefined) {
+        return { allowed: false, command, reason: `Path ${denied} is denied` };
+      }
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Whether an argument names a path outside the role's working directory:
+   * any absolute path, or a relative one that resolves (through symlinks)
+   * out of cwd
+   */
+  isOutsideCwd(role, word) {
+    // Options are checked by their value ("--output=/tmp/x")
+    const path = word.startsWith("-")
+      ? word.split("=").slice(1).join("=")
+      : word;
+    if (!path) return false;
+    if (isAbsolute(path)) return true;
+    const target = resolve(role.cwd, path);
+    const real = existsSync(target) ? realpathSync(target) : target;
+    const rel = relative(realpathSync(role.cwd), real);
+    return rel === ".." || rel.startsWith(`..${sep}`) || isAbsolute(rel);
+  }
+
+  /**
+   * Whether an argument, or its last path segment, matches denyPaths
+   */
+  isDeniedPath(role, word) {
+    const name = basename(word);
+    return role.denyPathPatterns.some((p) => p.test(word) || p.test(name));
+  }
+
+  /**
+   * Copy of env without scrubbed variables
+   */
+  sanitizeEnv(env = process.env) {
+    return Object.fromEntries(
+      Object.entries(env).filter(
+        ([name]) => !this.scrubPatterns.some((p) => p.test(name)),
+      ),
+    );
+  }
+
+  /**
+   * Spawn settings for a session of this role, for createTerminalSession
+   */
+  sessionConfig(roleName, { command = "bash", args = ["-i"], env } = {}) {
+    const role = this.role(roleName);
+    if (!role) throw new Error(`Unknown role "${roleName}"`);
+
+    const shellArgs = role.restricted ? ["--restricted", ...args] : args;
+    const prelude = ulimitPrelude(role.limits);
+    return {
+      command: prelude ? "bash" : command,
+      args: prelude
+        ? ["-c", `${prelude} exec "$0" "$@"`, command, ...shellArgs]
+        : shellArgs,
+      cwd: role.cwd,
+      env: {
+        ...this.sanitizeEnv(env || process.env),
+        TERM: "xterm-256color",
+      },
+      role: role.name,
+      idleTimeout: role.limits.idleTimeout,
+      maxDuration: role.limits.maxDuration,
+    };
+  }
+
+  describe() {
+    return {
+      path: this.path,
+      loadedAt: this.loadedAt,
+      lastError: this.lastError,
+      defaultRole: this.defaultRole,
+      localRole: this.localRole,
+      maxSessions: this.maxSessions,
+      scrub: this.scrub,
+      roles: Array.from(this.roles.values(), (role) => ({
+        name: role.name,
+        shell: role.shell,
+        restricted: role.restricted,
+        allow: role.allow,
+        deny: role.deny,
+        denyPaths: role.denyPaths,
+        cwd: role.cwd,
+        limits: role.limits,
+      })),
+    };
+  }
+
+  /**
+   * Reload on file changes (debounced) and on SIGUSR2
+   */
+  watch() {
+    if (this.watcher || !this.path) return this;
+    this.watcher = watchReload(this.path, () => this.reload(), {
+      label: "terminal policy",
+    });
+    return this;
+  }
+
+  unwatch() {
+    this.watcher?.close();
+    this.watcher = null;
+  }
+}
+
+// ============================================================================
+// LINE GUARD
+// ============================================================================
+
+/**
+ * Follows the line being typed into a shell so it can be checked before
+ * Enter is forwarded. feed() returns the input split into actions:
+ *   { type: "write", data }     forward as-is
+ *   { type: "submit", line }    Enter pressed on this line (not forwarded yet)
+ *   { type: "complete", line }  Tab pressed on a line options.completes()
+ *                               accepts (other Tabs are dropped)
+ */
+class CommandLineGuard {
+  /**
+   * @param {Object} options - { completes: (line) => boolean }
+   */
+  constructor(options = {}) {
+    this.line = "";
+    this.escape = null; // pending escape sequence
+    this.completes = options.completes || (() => false);
+  }
+
+  reset() {
+    this.line = "";
+    this.escape = null;
+  }
+
+  feed(data) {
+    const actions = [];
+    let pending = "";
+    const flush = () => {
+      if (pending) actions.push({ type: "write", data: pending });
+      pending = "";
+    };
+
+    for (const ch of data) {
+      // Drop escape sequences (cursor keys, history, bracketed paste marks)
+      if (this.escape !== null) {
+        this.escape += ch;
+        const done =
+          this.escape.length === 1
+            ? ch !== "[" && ch !== "O"
+            : ch >= "@" && ch <= "~";
+        if (done) this.escape = null;
+        continue;
+      }
+
+      switch (ch) {
+        case "\x1b":
+          this.escape = "";
+          break;
+        case "\r":
+        case "\n":
+          flush();
+          actions.push({ type: "submit", line: this.line });
+          this.line = "";
+          break;
+        case "\x7f":
+        case "\b":
+          this.line = this.line.slice(0, -1);
+          pending += ch;
+          break;
+        case "\x03": // Ctrl-C
+        case "\x15": // Ctrl-U
+          this.line = "";
+          pending += ch;
+          break;
+        case "\x04": // Ctrl-D only on an empty line (logout)
+          if (!this.line) pending += ch;
+          break;
+        case "\t":
+          if (this.completes(this.line)) {
+            flush();
+            actions.push({ type: "complete", line: this.line });
+          }
+          break;
+        default:
+          // Other control characters edit the line in ways we cannot follow
+          if (ch >= " ") {
+            this.line += ch;
+            pending += ch;
+          }
+      }
+    }
+    flush();
+    return actions;
+  }
+}
+
+export { TerminalPolicy, CommandLineGuard };
+export default TerminalPolicy;
@@ -0,0 +1,98 @@
+/**
+ * terminal-pools.js - Prewarmed shells for terminal-server sessions
+ *
+ * A role's spawn settings (command, arguments, working directory and
+ * environment from terminal-policy.js) are the same for every session, so
+ * its shells can be started before anyone connects. TerminalPools keeps one
+ * PTYManager pool per role, started on the role's first session and
+ * replaced when a policy reload changes the role's spawn settings.
+ *
+ * A pooled shell serves one session and is closed when the session ends;
+ * the pool warms a fresh one in its place (see PTYManager.release()).
+ *
+ *   TERMINAL_POOL_MIN=4 TERMINAL_POOL_MAX=40 bun src/servers/terminal-server.js
+ */
+
+import { PTYManager } from "../components/Terminal/PTYManager.ts";
+
+// Prewarmed shells per role (0: no pooling, every session spawns its shell)
+export const DEFAULT_POOL_MIN = parseInt(process.env.TERMINAL_POOL_MIN || "0");
+// Pooled shells per role, idle and in use
+export const DEFAULT_POOL_MAX = parseInt(process.env.TERMINAL_POOL_MAX || "10");
+
+class TerminalPools {
+  /**
+   * @param {Object} options - { min, max, healthCheckInterval (ms) }
+   */
+  constructor(options = {}) {
+    this.min = options.min ?? DEFAULT_POOL_MIN;
+    this.max = options.max ?? DEFAULT_POOL_MAX;
+    this.healthCheckInterval = options.healthCheckInterval;
+    this.pools = new Map(); // role -> { key, manager }
+  }
+
+  get enabled() {
+    return this.min > 0;
+  }
+
+  /**
+   * The pool for a session's spawn settings
+   */
+  poolFor({ role = null, cols, rows, command, args, cwd, env }) {
+    // Shells are resized on checkout, so the size is not part of the key
+    const key = JSON.stringify({ command, args, cwd, env });
+    const current = this.pools.get(role);
+    if (current?.key === key) return current.manager;
+
+    // Settings changed (policy reload): shells in use close on release
+    current?.manager
+      .stopPool()
+      .catch((error) =>
+        console.error(`Terminal pool (${role}) stop failed:`, error),
+      );
+    const manager = new PTYManager();
+    manager
+      .startPool({
+        min: this.min,
+        max: Math.max(this.max, this.min),
+        cols,
+        rows,
+        command,
+        args,
+        cwd,
+        env,
+        ...(this.healthCheckInterval !== undefined && {
+          healthCheckInterval: this.healthCheckInterval,
+        }),
+      })
+      .catch((error) =>
+        console.error(`Terminal pool (${role}) start failed:`, error),
+      );
+    this.pools.set(role, { key, manager });
+    return manager;
+  }
+
+  /**
+   * Pool gauges and counters per role (for /health)
+   */
+  stats() {
+    return Object.fromEntries(
+      Array.from(this.pools, ([role, { manager }]) => [
+        role,
+        manager.getPoolStats(),
+      ]),
+    );
+  }
+
+  /**
+   * Close every idle shell and stop warming new ones
+   */
+  async stop() {
+    const pools = Array.from(this.pools.values());
+    this.pools.clear();
+    await Promise.all(pools.map(({ manager }) => manager.stopPool()));
+  }
+}
+
+export { TerminalPools };
+export default TerminalPools;
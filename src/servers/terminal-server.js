@@ -1,16 +1,149 @@
 /**
  * terminal-server.js - Bun.Terminal WebSocket Server
  * Handles PTY terminal connections for the dashboard
+ *
+ * Sessions are detachable (tmux-style): when the last WebSocket closes the
+ * PTY keeps running for a grace period. Reconnect with
+ *   /terminal?session=<id>  or  /api/sessions/<id>/attach  (WebSocket)
+ * to get the screen and scrollback redrawn before live output resumes.
+ *
+ * Output is also parsed into a server-side screen model (vt-screen.js), so
+ *   GET /api/sessions/<id>/screen?format=text|json|html[&scrollback=1]
+ * returns what the terminal shows and &search=<text> finds lines in it.
+ *
+ * Sessions are shared: any number of clients can attach, either as
+ * operators (default) or as read-only spectators (&mode=view). One client
+ * holds control and is the only one whose input reaches the PTY; control is
+ * handed over explicitly (control_request / control_grant / control_release)
+ * and falls to the longest-connected operator when the controller leaves.
+ * The PTY always uses the smallest size reported by a connected client.
+ *
+ * Output is coalesced into one frame per client every 16ms and sent as JSON
+ * or, with ?framing=binary, as binary frames (output-stream.js). Congested
+ * clients either miss frames and get the screen redrawn once they catch up
+ * (backpressure "drop") or, for the controller, stop the PTY with XOFF until
+ * they drain ("pause"). GET /api/sessions reports per-session throughput.
+ *
+ * /terminal/mux carries several sessions over one WebSocket, one channel
+ * per session (terminal-mux.js), for the split-pane UI. Its pane layouts
+ * are saved per user in the state vault under /api/layouts
+ * (terminal-layouts.js).
+ *
+ * With recording on (TERMINAL_RECORD=1 or { record: true }) every session
+ * is written to <recordingsDir>/<sessionId>.cast (asciicast v2, including
+ * input and resize events); GET /api/recordings lists them.
+ *
+ * With TERMINAL_POOL_MIN > 0 new sessions get a prewarmed shell from their
+ * role's pool (terminal-pools.js); /health reports the pool counters.
+ *
+ * Every request is authenticated (session cookie or bearer token, see
+ * ws-auth.js) and the role it carries picks the sandbox policy
+ * (src/config/terminal-policy.yaml, see terminal-policy.js) that decides the
+ * shell environment, working directory, resource limits, idle timeout and
+ * which command lines may run. Viewers only join shared sessions as
+ * spectators; message types are checked against the role
+ * (MESSAGE_ROLES). A session belongs to the user who started it: only they
+ * and admins see it in /api/sessions, attach to it or read its screen.
+ * Denials reach the client as
+ *   { type: "terminal_error", code, message, command? }
  */
 
+import {
+  AsciicastRecorder,
+  ASCIICAST_CONTENT_TYPE,
+  DEFAULT_RECORDINGS_DIR,
+  listRecordings,
+  recordingPath,
+} from "./asciicast.js";
+import { TerminalPolicy, CommandLineGuard } from "./terminal-policy.js";
+import { TerminalScreen } from "./vt-screen.js";
+import { OutputStream, FRAMINGS } from "./output-stream.js";
+import {
+  ChannelSocket,
+  CHANNEL_ID,
+  DEFAULT_MAX_CHANNELS,
+} from "./terminal-mux.js";
+import { LayoutStore, LayoutStoreUnavailable } from "./terminal-layouts.js";
+import { TerminalPools } from "./terminal-pools.js";
+import { WebSocketAuth, roleAtLeast } from "../ws-auth.js";
+import {
+  COMMAND_PREFIX,
+  createQuantumCommands,
+  execCommandLine,
+  renderResult,
+} from "../quantum-commands.js";
+
 // Terminal session storage
 const terminalSessions = new Map();
 const sessionOutputBuffers = new Map();
 
+// quantum.* commands (see quantum-commands.js)
+const quantumCommands = createQuantumCommands();
+
+// How long a detached session survives without a client (ms)
+const DEFAULT_DETACH_GRACE_PERIOD = parseInt(
+  process.env.TERMINAL_DETACH_GRACE || "300000",
+);
+
+const DEFAULT_RECORD = ["1", "true"].includes(process.env.TERMINAL_RECORD);
+
+const CLIENT_MODES = ["control", "view"];
+
+// Largest size a client may ask for, per side: the screen model keeps a
+// cell object for every column of every row
+const MAX_TERMINAL_SIZE = 500;
+
+const SCREEN_FORMATS = ["text", "json", "html"];
+
+// Lines kept above the screen model's visible rows
+const DEFAULT_SCREEN_SCROLLBACK = parseInt(
+  process.env.TERMINAL_SCROLLBACK || "1000",
+);
+
+// Messages only the controlling client may send
+const INPUT_MESSAGES = new Set([
+  "terminal_input",
+  "terminal_command",
+  "control_grant",
+  "control_release",
+]);
+
+function send(ws, message) {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+}
+
+/**
+ * Structured policy/limit error for terminal clients
+ */
+function terminalError(code, message, details = {}) {
+  return {
+    type: "terminal_error",
+    code,
+    message,
+    ...details,
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Send a message to every client attached to a session (after the output
+ * queued before it)
+ */
+function sendToSession(session, message) {
+  session?.output?.flush();
+  for (const ws of session?.clients?.keys() ?? []) send(ws, message);
+}
+
 /**
  * Create a PTY terminal for a WebSocket connection
+ * (config.recordingsDir turns on asciicast recording; config.idleTimeout and
+ * config.maxDuration close the session with a terminal_error;
+ * config.flushInterval, highWaterMark and backpressure tune the output
+ * stream, see output-stream.js; with config.pools (TerminalPools, enabled)
+ * the shell comes prewarmed from the role's pool, see terminal-pools.js;
+ * config.owner is the { user, role } who started it)
  */
-async function createTerminalSession(ws, config = {}) {
+async function createTerminalSession(config = {}) {
   const {
     cols = 80,
     rows = 24,
@@ -18,161 +151,1147 @@ async function createTerminalSession(ws, config = {}) {
     args = ["-i"],
     cwd = process.cwd(),
     env = { ...process.env, TERM: "xterm-256color" },
+    recordingsDir = null,
+    scrollback = DEFAULT_SCREEN_SCROLLBACK,
+    idleTimeout = null,
+    maxDuration = null,
+    flushInterval,
+    highWaterMark,
+    backpressure,
+    pools = null,
+    owner = { user: null, role: config.role ?? null },
   } = config;
 
   const sessionId = `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   sessionOutputBuffers.set(sessionId, []);
+  let session = null;
+  // Created once the shell is up; onExit can fire before that
+  let outputStream = null;
+  const screen = new TerminalScreen(cols, rows, { scrollback });
 
-  // Create reusable Bun.Terminal
-  // Terminal Methods: write(), resize(), setRawMode(), ref()/unref(), close()
-  // Platform: POSIX only (Linux, macOS)
-  const terminal = new Bun.Terminal({
-    cols,
-    rows,
-    data(term, data) {
-      const output = data.toString();
-
-      // Buffer output
-      const buffer = sessionOutputBuffers.get(sessionId);
-      if (buffer) {
-        buffer.push(output);
-        if (buffer.length > 500) buffer.shift();
-      }
+  const recorder = recordingsDir
+    ? new AsciicastRecorder(recordingPath(sessionId, recordingsDir), {
+        width: cols,
+        height: rows,
+        title: sessionId,
+        command: [command, ...args].join(" "),
+        env,
+      })
+    : null;
 
-      // Send to WebSocket
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(
-          JSON.stringify({
-            type: "terminal_data",
-            data: output,
-            sessionId,
-            timestamp: Date.now(),
-          }),
-        );
-      }
-    },
-  });
+  // PTY output, and server-side output printed into the session
+  function emit(output) {
+    // Buffer output
+    const buffer = sessionOutputBuffers.get(sessionId);
+    if (buffer) {
+      buffer.push(output);
+      if (buffer.length > 500) buffer.shift();
+    }
+    screen.write(output);
+    recorder?.output(output);
 
-  // Spawn process with PTY
-  const proc = Bun.spawn([command, ...args], {
-    terminal,
-    cwd,
-    env,
-    onExit(proc, exitCode, signalCode, error) {
-      console.log(`[${sessionId}] Process exited with code ${exitCode}`);
+    // Queue for the attached clients (buffer only while detached)
+    if (session) outputStream.push(output);
+  }
+  const outputWaiters = new Set();
+  function onOutput(data) {
+    emit(data);
+    for (const resolve of outputWaiters) resolve();
+  }
 
-      if (ws.readyState === WebSocket.OPEN) {
-        ws.send(
-          JSON.stringify({
-            type: "terminal_exit",
-            exitCode,
-            sessionId,
-            timestamp: Date.now(),
-          }),
-        );
-      }
+  function onExit(exitCode) {
+    console.log(`[${sessionId}] Process exited with code ${exitCode}`);
 
-      // Cleanup
-      terminalSessions.delete(sessionId);
-      sessionOutputBuffers.delete(sessionId);
-    },
+    sendToSession(session, {
+      type: "terminal_exit",
+      exitCode,
+      sessionId,
+      timestamp: Date.now(),
+    });
+
+    // Cleanup
+    outputStream?.close();
+    recorder?.close();
+    clearTimeout(session?.detachTimer);
+    clearTimeout(session?.idleTimer);
+    clearTimeout(session?.durationTimer);
+    terminalSessions.delete(sessionId);
+    sessionOutputBuffers.delete(sessionId);
+  }
+
+  let terminal;
+  let proc;
+  let release;
+  if (pools?.enabled) {
+    // A prewarmed shell; it is closed (not reused) when the session ends
+    const pool = pools.poolFor({
+      role: config.role,
+      cols,
+      rows,
+      command,
+      args,
+      cwd,
+      env,
+    });
+    const managed = await pool.acquire({
+      cols,
+      rows,
+      onData: onOutput,
+      onExit,
+    });
+    terminal = managed.terminal;
+    proc = managed.process;
+    release = () => pool.release(managed);
+  } else {
+    // Create reusable Bun.Terminal
+    // Terminal Methods: write(), resize(), setRawMode(), ref()/unref(), close()
+    // Platform: POSIX only (Linux, macOS)
+    terminal = new Bun.Terminal({
+      cols,
+      rows,
+      data(term, data) {
+        onOutput(data.toString());
+      },
+    });
+
+    // Spawn process with PTY
+    proc = Bun.spawn([command, ...args], {
+      terminal,
+      cwd,
+      env,
+      onExit(proc, exitCode) {
+        onExit(exitCode);
+      },
+    });
+    release = async () => {
+      // Hang up like a closed terminal would: interactive shells ignore SIGTERM
+      proc.kill("SIGHUP");
+      await proc.exited;
+      terminal.close();
+    };
+  }
+
+  outputStream = new OutputStream({
+    sessionId,
+    terminal,
+    snapshot: () => screen.toANSI(),
+    size: () => ({ cols: screen.cols, rows: screen.rows }),
+    flushInterval,
+    highWaterMark,
+    backpressure,
   });
 
-  const session = {
+  session = {
     id: sessionId,
     terminal,
     process: proc,
-    ws,
+    clients: new Map(), // ws -> { id, mode, cols, rows, joinedAt }
+    controller: null, // ws whose input reaches the PTY
+    size: { cols, rows },
     config,
+    role: config.role ?? null,
+    owner,
+    recorder,
+    screen,
+    output: outputStream,
+    guard: new CommandLineGuard({
+      completes: (line) => {
+        const head = line.trimStart();
+        return (
+          head.startsWith(COMMAND_PREFIX) ||
+          (head !== "" && COMMAND_PREFIX.startsWith(head))
+        );
+      },
+    }),
     createdAt: Date.now(),
+    lastInputAt: Date.now(),
+    detachedAt: null,
+    detachTimer: null,
+    idleTimer: null,
+    durationTimer: null,
+    // Input from clients (recorded); server-side writes use terminal.write
     write(data) {
+      recorder?.input(data);
       terminal.write(data);
+      session.lastInputAt = Date.now();
+      armIdleTimer();
+    },
+    // Output that does not come from the PTY (command results)
+    print: emit,
+    // Resolves once the PTY has been quiet for quiet ms (at most limit ms)
+    settle(quiet = 50, limit = 500) {
+      return new Promise((resolve) => {
+        const deadline = Date.now() + limit;
+        let timer = null;
+        const wait = () => {
+          clearTimeout(timer);
+          timer = setTimeout(
+            done,
+            Math.max(0, Math.min(quiet, deadline - Date.now())),
+          );
+        };
+        const done = () => {
+          outputWaiters.delete(wait);
+          resolve();
+        };
+        outputWaiters.add(wait);
+        wait();
+      });
     },
     resize(cols, rows) {
       terminal.resize(cols, rows);
+      recorder?.resize(cols, rows);
+      screen.resize(cols, rows);
+      session.size = { cols, rows };
     },
     async close() {
-      proc.kill();
-      await proc.exited;
-      terminal.close();
+      clearTimeout(session.detachTimer);
+      clearTimeout(session.idleTimer);
+      clearTimeout(session.durationTimer);
+      outputStream.close();
+      await release();
+      recorder?.close();
       terminalSessions.delete(sessionId);
       sessionOutputBuffers.delete(sessionId);
     },
   };
 
+  // Policy limits: both end the session, attached or not
+  const expire = (code, message) => {
+    console.log(`[${sessionId}] ${message}`);
+    sendToSession(session, terminalError(code, message, { sessionId }));
+    session.close().catch(console.error);
+  };
+  function armIdleTimer() {
+    if (!idleTimeout) return;
+    clearTimeout(session.idleTimer);
+    session.idleTimer = setTimeout(
+      () => expire("idle_timeout", `Idle for ${idleTimeout}ms, session closed`),
+      idleTimeout,
+    );
+  }
+  armIdleTimer();
+  if (maxDuration) {
+    session.durationTimer = setTimeout(
+      () =>
+        expire(
+          "max_duration",
+          `Session reached its ${maxDuration}ms limit and was closed`,
+        ),
+      maxDuration,
+    );
+  }
+
   terminalSessions.set(sessionId, session);
   return session;
 }
 
 /**
- * Handle quantum-specific commands
+ * Detach a session from its last client; the PTY keeps running and is
+ * closed if nobody reattaches within gracePeriod
  */
-async function handleQuantumCommand(session, command) {
-  const parts = command.split(".");
-  const cmd = parts[1];
-
-  switch (cmd) {
-    case "ticker":
-      session.terminal.write('echo "Starting Quantum Ticker..."\n');
-      session.terminal.write(
-        `node ${process.cwd()}/src/scripts/financial-ticker.js\n`,
-      );
-      break;
+function detachSession(session, gracePeriod = DEFAULT_DETACH_GRACE_PERIOD) {
+  session.detachedAt = Date.now();
+  clearTimeout(session.detachTimer);
+  session.detachTimer = setTimeout(() => {
+    console.log(`[${session.id}] Detach grace period expired`);
+    session.close().catch(console.error);
+  }, gracePeriod);
+  console.log(`[${session.id}] Detached (grace ${gracePeriod}ms)`);
+}
+
+/**
+ * Attached clients as sent to viewers and the sessions API
+ */
+function listViewers(session) {
+  return Array.from(session.clients, ([ws, client]) => ({
+    id: client.id,
+    mode: client.mode,
+    role: client.role,
+    cols: client.cols,
+    rows: client.rows,
+    framing: client.framing,
+    controller: ws === session.controller,
+    joinedAt: client.joinedAt,
+  }));
+}
+
+function broadcastViewers(session) {
+  sendToSession(session, {
+    type: "viewers",
+    sessionId: session.id,
+    controller: session.clients.get(session.controller)?.id ?? null,
+    viewers: listViewers(session),
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * A client-reported column or row count: integers are clamped to
+ * 1..MAX_TERMINAL_SIZE, anything else is 0 (no size reported)
+ */
+function clientSize(value) {
+  if (!Number.isInteger(value) || value < 1) return 0;
+  return Math.min(value, MAX_TERMINAL_SIZE);
+}
 
-    case "monitor":
-      session.terminal.write('echo "Starting Market Monitor..."\n');
-      session.terminal.write(
-        `node ${process.cwd()}/src/scripts/market-monitor.js\n`,
+/**
+ * Resize the PTY to the smallest size reported by any attached client.
+ * Clients that have not reported a size yet do not take part.
+ */
+function negotiateSize(session) {
+  const sized = Array.from(session.clients.values()).filter(
+    (client) => client.cols > 0 && client.rows > 0,
+  );
+  if (sized.length === 0) return session.size;
+
+  const cols = Math.min(...sized.map((client) => client.cols));
+  const rows = Math.min(...sized.map((client) => client.rows));
+  if (cols !== session.size.cols || rows !== session.size.rows) {
+    session.resize(cols, rows);
+    sendToSession(session, {
+      type: "terminal_size",
+      sessionId: session.id,
+      cols,
+      rows,
+      timestamp: Date.now(),
+    });
+  }
+  return session.size;
+}
+
+/**
+ * Hand control to a client (or to nobody with null)
+ */
+function setController(session, ws) {
+  if (session.controller === ws) return;
+  session.controller = ws;
+  session.output.setController(ws);
+  session.guard.reset();
+  sendToSession(session, {
+    type: "control_changed",
+    sessionId: session.id,
+    controller: session.clients.get(ws)?.id ?? null,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * Attach a client to a session. Operators take control when nobody holds
+ * it; spectators never receive control.
+ */
+function addClient(
+  session,
+  ws,
+  { mode = "control", role = session.role, cols, rows, framing } = {},
+) {
+  clearTimeout(session.detachTimer);
+  session.detachTimer = null;
+  session.detachedAt = null;
+
+  const client = {
+    id: `viewer_${Math.random().toString(36).substr(2, 9)}`,
+    mode: CLIENT_MODES.includes(mode) ? mode : "control",
+    role,
+    cols: clientSize(cols),
+    rows: clientSize(rows),
+    joinedAt: Date.now(),
+  };
+  session.clients.set(ws, client);
+  client.framing = session.output.attach(ws, {
+    id: client.id,
+    framing,
+  }).framing;
+  ws.data.sessionId = session.id;
+  ws.data.clientId = client.id;
+
+  if (!session.controller && client.mode === "control") {
+    session.controller = ws;
+    session.output.setController(ws);
+  }
+  return client;
+}
+
+/**
+ * Remove a client; control falls to the longest-connected operator and the
+ * session detaches once the last client is gone
+ */
+function removeClient(session, ws, gracePeriod = DEFAULT_DETACH_GRACE_PERIOD) {
+  if (!session.clients.delete(ws)) return false;
+  session.output.detach(ws);
+
+  if (session.clients.size === 0) {
+    session.controller = null;
+    session.output.setController(null);
+    detachSession(session, gracePeriod);
+    return true;
+  }
+
+  if (session.controller === ws) {
+    const next = Array.from(session.clients).find(
+      ([, client]) => client.mode === "control",
+    );
+    setController(session, next ? next[0] : null);
+  }
+  negotiateSize(session);
+  broadcastViewers(session);
+  return true;
+}
+
+/**
+ * Attach a WebSocket to an existing session: redraw the screen and
+ * scrollback from the session's screen model, then resume live output
+ * alongside any clients that are already attached.
+ *
+ * @param {Object} options - { mode: "control" | "view", role, cols, rows,
+ *   framing: "json" | "binary" }
+ */
+function attachSession(sessionId, ws, options = {}) {
+  const session = terminalSessions.get(sessionId);
+  if (!session) return null;
+
+  // Replay and attach synchronously so no output falls in between
+  ws.send(
+    JSON.stringify({
+      type: "terminal_replay",
+      data: session.screen.toANSI(),
+      cols: session.screen.cols,
+      rows: session.screen.rows,
+      sessionId,
+      timestamp: Date.now(),
+    }),
+  );
+  const client = addClient(session, ws, options);
+
+  ws.send(
+    JSON.stringify({
+      type: "session_attached",
+      sessionId,
+      clientId: client.id,
+      mode: client.mode,
+      framing: client.framing,
+      controller: session.clients.get(session.controller)?.id ?? null,
+      cols: session.size.cols,
+      rows: session.size.rows,
+      timestamp: Date.now(),
+    }),
+  );
+  negotiateSize(session);
+  broadcastViewers(session);
+  return session;
+}
+
+// Spawn settings that stay server-side
+function publicConfig({ env, recordingsDir, owner, ...config }) {
+  return config;
+}
+
+/**
+ * Whether an identity may see a session, attach to it (and so take control)
+ * or read its output: the user who started it, or any admin. Sessions
+ * started without credentials belong to admins only.
+ */
+function mayAccessSession(session, identity) {
+  if (roleAtLeast(identity?.role, "admin")) return true;
+  return session.owner.user !== null && session.owner.user === identity?.user;
+}
+
+/**
+ * Session summary for the sessions API
+ */
+function describeSession(session, gracePeriod = DEFAULT_DETACH_GRACE_PERIOD) {
+  return {
+    id: session.id,
+    createdAt: session.createdAt,
+    config: publicConfig(session.config),
+    role: session.role,
+    owner: session.owner,
+    attached: session.clients.size > 0,
+    size: session.size,
+    viewers: listViewers(session),
+    recording: session.recorder?.path ?? null,
+    detachedAt: session.detachedAt,
+    expiresAt: session.detachedAt ? session.detachedAt + gracePeriod : null,
+    output: session.output.stats(),
+  };
+}
+
+/**
+ * Forward client input to the PTY under the client's policy role. Shell
+ * roles pass straight through; for the others every submitted line is
+ * checked first (quantum.* lines run server-side, denied lines are erased
+ * with Ctrl-U and reported as terminal_error) and Tab completes quantum.*
+ * commands and arguments.
+ */
+async function submitInput(
+  session,
+  ws,
+  client,
+  data,
+  policy,
+  commands = quantumCommands,
+) {
+  if (policy.role(client.role)?.shell) {
+    session.write(data);
+    return;
+  }
+
+  for (const action of session.guard.feed(data)) {
+    if (action.type === "write") {
+      session.write(action.data);
+      continue;
+    }
+    if (action.type === "complete") {
+      await completeInput(session, action.line, commands);
+      continue;
+    }
+
+    const line = action.line.trim();
+    const decision = policy.checkCommand(client.role, line);
+    if (!decision.allowed) {
+      session.write("\x15");
+      session.recorder?.marker(`denied: ${line}`);
+      send(
+        ws,
+        terminalError("command_denied", decision.reason, {
+          command: decision.command ?? line,
+          role: client.role,
+          sessionId: session.id,
+        }),
       );
-      break;
-
-    case "status":
-      const stats = {
-        activeSessions: terminalSessions.size,
-        uptime: process.uptime(),
-        memory: process.memoryUsage(),
-      };
-      session.terminal.write(`echo '${JSON.stringify(stats, null, 2)}'\n`);
-      break;
-
-    case "clear":
-      session.terminal.write("clear\n");
-      break;
-
-    case "help":
-      const helpText = `
-Quantum Terminal Commands:
-  quantum.ticker  - Start financial ticker
-  quantum.monitor - Start market monitor (htop-style)
-  quantum.status  - Show server status
-  quantum.clear   - Clear terminal
-  quantum.help    - Show this help
-
-Standard bash commands also work.
-`;
-      session.terminal.write(`echo '${helpText.replace(/'/g, "\\'")}'\n`);
-      break;
-
-    default:
-      session.terminal.write(`echo "Unknown quantum command: ${cmd}"\n`);
+    } else if (line.startsWith(COMMAND_PREFIX)) {
+      session.recorder?.marker(line);
+      await handleQuantumCommand(session, line, commands);
+    } else {
+      session.write("\r");
+    }
   }
 }
 
+/**
+ * Tab on a quantum.* line: extend the word under the cursor to the longest
+ * common completion, or list the candidates when that adds nothing
+ */
+async function completeInput(session, line, commands = quantumCommands) {
+  const { word, candidates } = commands.complete(line);
+  if (candidates.length === 0) {
+    session.print("\x07");
+    return;
+  }
+
+  let common = candidates[0];
+  for (const candidate of candidates) {
+    while (!candidate.startsWith(common)) common = common.slice(0, -1);
+  }
+  // Replacements (case changes) erase the word first; the guard follows
+  const typed = common.startsWith(word)
+    ? common.slice(word.length)
+    : "\x7f".repeat(word.length) + common;
+  if (typed && common.length >= word.length) {
+    for (const action of session.guard.feed(typed)) session.write(action.data);
+    return;
+  }
+
+  // Like bash: list below the line, then the line again on a new prompt
+  const list = candidates.map((c) => c.trim()).join("  ");
+  await printBelowLine(session, line, list);
+  for (const action of session.guard.feed(line)) session.write(action.data);
+}
+
+/**
+ * Print text under a typed line the shell should forget: Ctrl-U clears the
+ * line (and its echo, so it is printed again), the text follows and an
+ * empty Enter brings up a fresh prompt
+ */
+async function printBelowLine(session, line, text) {
+  session.guard.reset();
+  session.terminal.write("\x15");
+  await session.settle();
+  session.print(`${line}\r\n${text.replace(/\r?\n/g, "\r\n")}`);
+  session.terminal.write("\r");
+}
+
+/**
+ * Run a quantum.* command line from the registry. Text results are printed
+ * into the session, structured ones also go to clients as command_result,
+ * and programs (quantum.ticker, ...) start in the shell with every word
+ * quoted.
+ *
+ * @returns {Promise<Object>} the registry result
+ */
+async function handleQuantumCommand(session, line, commands = quantumCommands) {
+  const result = await commands.execute(line, {
+    session,
+    stats: () => ({
+      activeSessions: terminalSessions.size,
+      sessionId: session.id,
+      clients: session.clients.size,
+      role: session.role,
+    }),
+  });
+
+  if (result.data !== undefined || result.error) {
+    sendToSession(session, {
+      type: "command_result",
+      sessionId: session.id,
+      command: result.command,
+      args: result.args,
+      data: result.data ?? null,
+      error: result.error ?? null,
+      timestamp: Date.now(),
+    });
+  }
+
+  // Programs replace the typed line (Ctrl-U) and run in the shell
+  if (result.exec || result.clear) {
+    session.guard.reset();
+    const command = result.exec ? execCommandLine(result.exec) : "clear";
+    session.terminal.write(`\x15${command}\r`);
+  } else {
+    await printBelowLine(session, line, renderResult(result).trimEnd());
+  }
+  return result;
+}
+
 /**
  * Start the WebSocket terminal server
+ *
+ * @param {number} port
+ * @param {Object} options - { detachGracePeriod: ms a detached session survives,
+ *   record: write asciicast recordings, recordingsDir,
+ *   policy: TerminalPolicy (default: src/config/terminal-policy.yaml, watched),
+ *   auth: WebSocketAuth (anonymous roles from the policy's localRole/defaultRole;
+ *     loopback capped at WS_AUTH_LOCAL_ROLE, default none),
+ *   resolveRole: (req, server, identity) => policy role (default: identity.role),
+ *   commands: quantum.* CommandRegistry (default: createQuantumCommands()),
+ *   pools: TerminalPools of prewarmed shells per role (default: from
+ *     TERMINAL_POOL_MIN / TERMINAL_POOL_MAX, off when the minimum is 0) }
  */
-function startTerminalServer(port = 3001) {
+function startTerminalServer(port = 3001, options = {}) {
+  const {
+    detachGracePeriod = DEFAULT_DETACH_GRACE_PERIOD,
+    record = DEFAULT_RECORD,
+    recordingsDir = DEFAULT_RECORDINGS_DIR,
+    policy = new TerminalPolicy().watch(),
+    auth = new WebSocketAuth({
+      anonymousRole: (address) => policy.roleForAddress(address),
+    }),
+    resolveRole = (req, server, identity) => identity.role,
+    commands = quantumCommands,
+    // Output stream tuning (see output-stream.js)
+    flushInterval,
+    highWaterMark,
+    backpressure,
+    maxChannels = DEFAULT_MAX_CHANNELS,
+    layouts = new LayoutStore(),
+    pools = new TerminalPools(),
+  } = options;
+
+  /**
+   * Saved layouts live in the caller's state-vault cookie: GET lists them
+   * (or returns one by name), PUT saves the JSON body, DELETE removes it.
+   * Changes come back as Set-Cookie.
+   */
+  async function handleLayouts(req, name) {
+    const methodNotAllowed = () =>
+      Response.json({ error: "Method not allowed" }, { status: 405 });
+    try {
+      if (!name) {
+        if (req.method !== "GET") return methodNotAllowed();
+        return Response.json({ layouts: await layouts.list(req) });
+      }
+      if (req.method === "GET") {
+        const saved = (await layouts.list(req))[name];
+        return saved
+          ? Response.json({ name, ...saved })
+          : Response.json({ error: "Layout not found" }, { status: 404 });
+      }
+      if (req.method === "PUT") {
+        const layout = await req.json().catch(() => null);
+        const { cookie, layouts: saved } = await layouts.put(req, name, layout);
+        return Response.json(
+          { name, ...saved[name] },
+          { headers: { "Set-Cookie": cookie } },
+        );
+      }
+      if (req.method === "DELETE") {
+        const deleted = await layouts.delete(req, name);
+        if (!deleted) {
+          return Response.json({ error: "Layout not found" }, { status: 404 });
+        }
+        return Response.json(
+          { deleted: name },
+          { headers: { "Set-Cookie": deleted.cookie } },
+        );
+      }
+      return methodNotAllowed();
+    } catch (err) {
+      if (err instanceof LayoutStoreUnavailable) {
+        return Response.json({ error: err.message }, { status: 503 });
+      }
+      if (err.status) {
+        return Response.json({ error: err.message }, { status: err.status });
+      }
+      throw err;
+    }
+  }
+
+  // ==========================================================================
+  // CLIENTS (plain sockets and mux channels alike)
+  // ==========================================================================
+
+  /**
+   * Start a client: attach it to ws.data.attachTo or create its session
+   */
+  async function openClient(ws) {
+    // Attach to an existing (shared or detached) session
+    if (ws.data.attachTo) {
+      const target = terminalSessions.get(ws.data.attachTo);
+      if (target && !mayAccessSession(target, ws.data.identity)) {
+        send(
+          ws,
+          terminalError("forbidden", "Session belongs to another user", {
+            sessionId: target.id,
+          }),
+        );
+        ws.close(4403, "Forbidden");
+        return;
+      }
+      const attached = attachSession(ws.data.attachTo, ws, {
+        mode: ws.data.mode,
+        role: ws.data.role,
+        framing: ws.data.framing,
+      });
+      if (!attached) {
+        // Session ended between upgrade and open
+        ws.send(
+          JSON.stringify({
+            type: "error",
+            message: `Session not found: ${ws.data.attachTo}`,
+            timestamp: Date.now(),
+          }),
+        );
+        ws.close(4404, "Session not found");
+      }
+      return;
+    }
+
+    if (policy.maxSessions && terminalSessions.size >= policy.maxSessions) {
+      send(
+        ws,
+        terminalError(
+          "session_limit",
+          `Session limit reached (${policy.maxSessions})`,
+        ),
+      );
+      ws.close(4429, "Session limit reached");
+      return;
+    }
+
+    // Create terminal session
+    const session = await createTerminalSession({
+      cols: 80,
+      rows: 24,
+      recordingsDir: record ? recordingsDir : null,
+      flushInterval,
+      highWaterMark,
+      backpressure,
+      pools,
+      owner: { user: ws.data.identity?.user ?? null, role: ws.data.role },
+      ...policy.sessionConfig(ws.data.role),
+    });
+    // Closed while the shell was starting (a cold pool can take up to its
+    // startupTimeout): closeClient had no session to detach, so end it here
+    if (ws.readyState !== WebSocket.OPEN) {
+      await session.close();
+      return;
+    }
+    const client = addClient(session, ws, { framing: ws.data.framing });
+
+    // Send welcome message
+    ws.send(
+      JSON.stringify({
+        type: "session_created",
+        sessionId: session.id,
+        clientId: client.id,
+        mode: client.mode,
+        role: client.role,
+        framing: client.framing,
+        controller: client.id,
+        timestamp: Date.now(),
+      }),
+    );
+
+    // Write initial prompt
+    session.terminal.write('echo "Welcome to Quantum Financial Terminal"\n');
+    session.terminal.write('echo "Type quantum.help for available commands"\n');
+    session.terminal.write('echo ""\n');
+  }
+
+  /**
+   * Handle a client message. Mux channels pass the message already parsed;
+   * for plain sockets anything that is not JSON is raw terminal input.
+   */
+  async function handleClientMessage(ws, message, parsed = null) {
+    const session = terminalSessions.get(ws.data.sessionId);
+    const client = session?.clients.get(ws);
+    if (!client) return; // already detached
+
+    const hasControl = session.controller === ws;
+    const rejectInput = () =>
+      send(ws, {
+        type: "error",
+        code: "read_only",
+        message:
+          client.mode === "view"
+            ? "Spectators cannot send input"
+            : "Another client has control; send control_request first",
+        timestamp: Date.now(),
+      });
+
+    try {
+      const data = parsed ?? JSON.parse(message.toString());
+
+      if (!auth.permits(client.role, data.type)) {
+        send(
+          ws,
+          terminalError(
+            "forbidden",
+            `Role ${client.role} may not send ${data.type}`,
+            { role: client.role, sessionId: session.id },
+          ),
+        );
+        return;
+      }
+
+      if (INPUT_MESSAGES.has(data.type) && !hasControl) {
+        rejectInput();
+        return;
+      }
+
+      switch (data.type) {
+        case "terminal_input":
+          await submitInput(session, ws, client, data.data, policy, commands);
+          break;
+
+        case "terminal_resize":
+          // Per-client size; the PTY follows the smallest one
+          client.cols = clientSize(data.cols);
+          client.rows = clientSize(data.rows);
+          negotiateSize(session);
+          broadcastViewers(session);
+          break;
+
+        case "terminal_detach":
+          // Explicit detach: keep the PTY, drop this client
+          removeClient(session, ws, detachGracePeriod);
+          ws.close(1000, "Detached");
+          break;
+
+        case "control_request":
+          if (client.mode === "view") {
+            rejectInput();
+          } else if (!session.controller) {
+            setController(session, ws);
+            broadcastViewers(session);
+          } else if (!hasControl) {
+            send(session.controller, {
+              type: "control_requested",
+              sessionId: session.id,
+              clientId: client.id,
+              timestamp: Date.now(),
+            });
+          }
+          break;
+
+        case "control_grant": {
+          const target = Array.from(session.clients).find(
+            ([, other]) => other.id === data.clientId,
+          );
+          if (!target || target[1].mode !== "control") {
+            send(ws, {
+              type: "error",
+              message: `Cannot grant control to ${data.clientId}`,
+              timestamp: Date.now(),
+            });
+            break;
+          }
+          setController(session, target[0]);
+          broadcastViewers(session);
+          break;
+        }
+
+        case "control_release":
+          setController(session, null);
+          broadcastViewers(session);
+          break;
+
+        case "terminal_command": {
+          const decision = policy.checkCommand(client.role, data.command);
+          if (!decision.allowed) {
+            session.recorder?.marker(`denied: ${data.command}`);
+            send(
+              ws,
+              terminalError("command_denied", decision.reason, {
+                command: decision.command ?? data.command,
+                role: client.role,
+                sessionId: session.id,
+              }),
+            );
+          } else if (data.command.startsWith(COMMAND_PREFIX)) {
+            session.recorder?.marker(data.command);
+            await handleQuantumCommand(session, data.command, commands);
+          } else {
+            session.write(data.command + "\n");
+          }
+          break;
+        }
+
+        case "config":
+          // Update session configuration
+          if (data.dimensions) {
+            client.cols = clientSize(data.dimensions.cols);
+            client.rows = clientSize(data.dimensions.rows);
+            negotiateSize(session);
+            broadcastViewers(session);
+          }
+          if (data.symbols && hasControl) {
+            session.config.symbols = data.symbols;
+          }
+          break;
+
+        default:
+          console.warn("Unknown message type:", data.type);
+      }
+    } catch (err) {
+      // Channel messages are always JSON: this is a real failure
+      if (parsed) {
+        console.error("Channel message failed:", err);
+        send(ws, {
+          type: "error",
+          message: err.message,
+          timestamp: Date.now(),
+        });
+        return;
+      }
+      // Treat as raw input
+      if (hasControl && auth.permits(client.role, "terminal_input")) {
+        await submitInput(
+          session,
+          ws,
+          client,
+          message.toString(),
+          policy,
+          commands,
+        );
+      } else {
+        rejectInput();
+      }
+    }
+  }
+
+  // The session detaches once its last client is gone
+  function closeClient(ws) {
+    const session = terminalSessions.get(ws.data.sessionId);
+    if (session) removeClient(session, ws, detachGracePeriod);
+  }
+
+  /**
+   * Open a channel on a multiplexed connection: a new session, or
+   * { session, mode } to attach to a running one
+   */
+  async function openChannel(ws, { channel, session: attachTo = null, mode }) {
+    const { channels } = ws.data;
+    const reject = (code, message) =>
+      send(ws, { ...terminalError(code, message), channel });
+    if (channels.has(channel)) {
+      reject("channel_open", `Channel already open: ${channel}`);
+      return;
+    }
+    if (channels.size >= maxChannels) {
+      reject("channel_limit", `Channel limit reached (${maxChannels})`);
+      return;
+    }
+    const canType = auth.permits(ws.data.role, "terminal_input");
+    if (!attachTo && !canType) {
+      reject(
+        "forbidden",
+        `Role ${ws.data.role} can only join existing sessions (mode=view)`,
+      );
+      return;
+    }
+
+    const socket = new ChannelSocket(
+      ws,
+      channel,
+      {
+        sessionId: null,
+        clientId: null,
+        role: ws.data.role,
+        identity: ws.data.identity,
+        attachTo,
+        mode: canType ? mode || "control" : "view",
+        framing: ws.data.framing,
+        createdAt: Date.now(),
+      },
+      (socket, code, reason) => {
+        channels.delete(channel);
+        closeClient(socket);
+        send(ws, {
+          type: "channel_closed",
+          channel,
+          code,
+          reason,
+          timestamp: Date.now(),
+        });
+      },
+    );
+    channels.set(channel, socket);
+    await openClient(socket);
+  }
+
+  /**
+   * Route a message on a multiplexed connection to its channel
+   */
+  async function handleMuxMessage(ws, message) {
+    let data = null;
+    try {
+      data = JSON.parse(message.toString());
+    } catch {}
+    if (typeof data?.channel !== "string" || !CHANNEL_ID.test(data.channel)) {
+      send(ws, {
+        type: "error",
+        code: "bad_channel",
+        message: "Multiplexed messages are JSON objects with a channel id",
+        timestamp: Date.now(),
+      });
+      return;
+    }
+
+    const { channel, ...rest } = data;
+    if (data.type === "channel_open") {
+      await openChannel(ws, data);
+      return;
+    }
+    const socket = ws.data.channels.get(channel);
+    if (!socket) {
+      send(ws, {
+        type: "error",
+        code: "bad_channel",
+        channel,
+        message: `Channel not open: ${channel}`,
+        timestamp: Date.now(),
+      });
+    } else if (data.type === "channel_close") {
+      socket.close(1000, "Closed");
+    } else {
+      await handleClientMessage(socket, null, rest);
+    }
+  }
+
   const server = Bun.serve({
     port,
 
-    fetch(req, server) {
+    async fetch(req, server) {
       const url = new URL(req.url);
 
-      // WebSocket upgrade for terminal
-      if (url.pathname === "/terminal") {
+      // Health check
+      if (url.pathname === "/health") {
+        return Response.json({
+          status: "ok",
+          activeSessions: terminalSessions.size,
+          uptime: process.uptime(),
+          ...(pools.enabled && { pools: pools.stats() }),
+        });
+      }
+
+      // Everything else needs an identity
+      const identity = await auth.authenticate(req, server);
+      if (!identity) return auth.unauthorized();
+
+      const attachMatch = url.pathname.match(
+        /^\/api\/sessions\/([^/]+)\/attach$/,
+      );
+
+      // WebSocket upgrade for terminal (?session=<id> reattaches;
+      // /terminal/mux carries several sessions, see terminal-mux.js)
+      const mux = url.pathname === "/terminal/mux";
+      if (url.pathname === "/terminal" || mux || attachMatch) {
+        const attachTo = attachMatch
+          ? decodeURIComponent(attachMatch[1])
+          : mux
+            ? null
+            : url.searchParams.get("session");
+
+        const target = attachTo && terminalSessions.get(attachTo);
+        if (target && !mayAccessSession(target, identity)) {
+          return Response.json(
+            terminalError("forbidden", "Session belongs to another user", {
+              sessionId: attachTo,
+            }),
+            { status: 403 },
+          );
+        }
+
+        // Plain GET on the attach route: describe how to attach. (WebSocket
+        // clients with an unknown session are closed with code 4404 in open)
+        if (attachMatch && req.headers.get("upgrade") !== "websocket") {
+          if (!terminalSessions.has(attachTo)) {
+            return Response.json(
+              { error: "Session not found", sessionId: attachTo },
+              { status: 404 },
+            );
+          }
+          return Response.json({
+            ...describeSession(
+              terminalSessions.get(attachTo),
+              detachGracePeriod,
+            ),
+            websocket: `/api/sessions/${encodeURIComponent(attachTo)}/attach`,
+          });
+        }
+
+        const role = resolveRole(req, server, identity);
+        if (!policy.role(role)) {
+          return Response.json(
+            terminalError("forbidden", "No terminal role for this connection"),
+            { status: 403 },
+          );
+        }
+        // Roles that cannot type only watch existing sessions (checked per
+        // channel on mux connections)
+        const canType = auth.permits(role, "terminal_input");
+        if (!attachTo && !canType && !mux) {
+          return Response.json(
+            terminalError(
+              "forbidden",
+              `Role ${role} can only join existing sessions (mode=view)`,
+            ),
+            { status: 403 },
+          );
+        }
+
+        const framing = url.searchParams.get("framing") || "json";
+        if (!FRAMINGS.includes(framing)) {
+          return Response.json(
+            {
+              error: `Unknown framing "${framing}" (${FRAMINGS.join(", ")})`,
+            },
+            { status: 400 },
+          );
+        }
+
         const upgraded = server.upgrade(req, {
           data: {
             sessionId: null,
+            clientId: null,
+            role,
+            identity: { ...identity, role },
+            attachTo,
+            mode: canType ? url.searchParams.get("mode") || "control" : "view",
+            framing,
+            mux,
+            channels: mux ? new Map() : null,
             createdAt: Date.now(),
           },
         });
@@ -181,117 +1300,175 @@ function startTerminalServer(port = 3001) {
         return new Response("WebSocket upgrade failed", { status: 400 });
       }
 
-      // Health check
-      if (url.pathname === "/health") {
+      // API: List sessions (the caller's own; admins see all)
+      if (url.pathname === "/api/sessions") {
+        const sessions = Array.from(terminalSessions.values())
+          .filter((s) => mayAccessSession(s, identity))
+          .map((s) => describeSession(s, detachGracePeriod));
+        return Response.json({ sessions });
+      }
+
+      // API: Saved pane layouts (GET, PUT and DELETE /api/layouts/:name)
+      const layoutMatch = url.pathname.match(/^\/api\/layouts(?:\/([^/]+))?$/);
+      if (layoutMatch) {
+        return handleLayouts(
+          req,
+          layoutMatch[1] && decodeURIComponent(layoutMatch[1]),
+        );
+      }
+
+      // API: Sandbox policy (roles, limits, scrubbed variables)
+      if (url.pathname === "/api/policy") {
+        return Response.json(policy.describe());
+      }
+
+      const screenMatch = url.pathname.match(
+        /^\/api\/sessions\/([^/]+)\/screen$/,
+      );
+
+      // Recordings, output buffers and screens show what operators typed
+      if (
+        (url.pathname.startsWith("/api/recordings") ||
+          url.pathname.startsWith("/api/buffer/") ||
+          screenMatch) &&
+        !roleAtLeast(identity.role, "operator")
+      ) {
+        return Response.json(
+          terminalError(
+            "forbidden",
+            `Role ${identity.role} may not read output`,
+          ),
+          { status: 403 },
+        );
+      }
+
+      // API: Recordings (listing, and the .cast file for playback)
+      if (url.pathname === "/api/recordings") {
         return Response.json({
-          status: "ok",
-          activeSessions: terminalSessions.size,
-          uptime: process.uptime(),
+          recording: record,
+          recordings: listRecordings(recordingsDir),
         });
       }
 
-      // API: List sessions
-      if (url.pathname === "/api/sessions") {
-        const sessions = Array.from(terminalSessions.values()).map((s) => ({
-          id: s.id,
-          createdAt: s.createdAt,
-          config: s.config,
-        }));
-        return Response.json({ sessions });
+      const recordingMatch = url.pathname.match(/^\/api\/recordings\/([^/]+)$/);
+      if (recordingMatch) {
+        const path = recordingPath(
+          decodeURIComponent(recordingMatch[1]),
+          recordingsDir,
+        );
+        const file = path && Bun.file(path);
+        if (!file || !(await file.exists())) {
+          return Response.json(
+            { error: "Recording not found" },
+            { status: 404 },
+          );
+        }
+        return new Response(file, {
+          headers: { "Content-Type": ASCIICAST_CONTENT_TYPE },
+        });
+      }
+
+      // API: Parsed screen (?format=text|json|html, &scrollback=1,
+      // &search=<text> lists matching lines instead)
+      if (screenMatch) {
+        const session = terminalSessions.get(
+          decodeURIComponent(screenMatch[1]),
+        );
+        if (!session || !mayAccessSession(session, identity)) {
+          return Response.json({ error: "Session not found" }, { status: 404 });
+        }
+        const { screen } = session;
+        const query = url.searchParams.get("search");
+        if (query) {
+          return Response.json({
+            sessionId: session.id,
+            query,
+            matches: screen.search(query),
+          });
+        }
+
+        const format = url.searchParams.get("format") || "text";
+        if (!SCREEN_FORMATS.includes(format)) {
+          return Response.json(
+            {
+              error: `Unknown format "${format}" (${SCREEN_FORMATS.join(", ")})`,
+            },
+            { status: 400 },
+          );
+        }
+        const options = {
+          scrollback: ["1", "true"].includes(
+            url.searchParams.get("scrollback"),
+          ),
+        };
+        if (format === "json") {
+          return Response.json({
+            sessionId: session.id,
+            ...screen.toJSON(options),
+          });
+        }
+        if (format === "html") {
+          return new Response(screen.toHTML(options), {
+            headers: { "Content-Type": "text/html; charset=utf-8" },
+          });
+        }
+        return new Response(screen.toText(options), {
+          headers: { "Content-Type": "text/plain; charset=utf-8" },
+        });
       }
 
       // API: Get session output buffer
       if (url.pathname.startsWith("/api/buffer/")) {
         const sessionId = url.pathname.split("/").pop();
+        const session = terminalSessions.get(sessionId);
         const buffer = sessionOutputBuffers.get(sessionId);
-        if (buffer) {
+        if (buffer && session && mayAccessSession(session, identity)) {
           return Response.json({ sessionId, output: buffer });
         }
         return Response.json({ error: "Session not found" }, { status: 404 });
       }
 
       return new Response(
-        "Quantum Terminal Server\n\nEndpoints:\n- wss://api.example.com/terminal\n- GET /health\n- GET /api/sessions\n- GET /api/buffer/:sessionId",
+        "Quantum Terminal Server\n\nEndpoints:\n- wss://api.example.com/terminal (?framing=binary for binary output frames)\n- wss://api.example.com/terminal/mux (several sessions, one channel each)\n- GET /health\n- GET /api/sessions\n- GET /api/sessions/:id/attach (WebSocket to attach, ?mode=view for spectators)\n- GET /api/sessions/:id/screen (?format=text|json|html, &scrollback=1, &search=)\n- GET /api/buffer/:sessionId\n- GET /api/policy\n- GET /api/layouts, GET|PUT|DELETE /api/layouts/:name\n- GET /api/recordings\n- GET /api/recordings/:id (asciicast v2)",
       );
     },
 
     websocket: {
       async open(ws) {
         console.log("WebSocket connection opened");
-
-        // Create terminal session
-        const session = await createTerminalSession(ws, {
-          cols: 80,
-          rows: 24,
-        });
-
-        ws.data.sessionId = session.id;
-
-        // Send welcome message
-        ws.send(
-          JSON.stringify({
-            type: "session_created",
-            sessionId: session.id,
+        if (ws.data.mux) {
+          send(ws, {
+            type: "mux_ready",
+            maxChannels,
+            framing: ws.data.framing,
             timestamp: Date.now(),
-          }),
-        );
-
-        // Write initial prompt
-        session.terminal.write(
-          'echo "Welcome to Quantum Financial Terminal"\n',
-        );
-        session.terminal.write(
-          'echo "Type quantum.help for available commands"\n',
-        );
-        session.terminal.write('echo ""\n');
+          });
+          return;
+        }
+        await openClient(ws);
       },
 
       async message(ws, message) {
-        const session = terminalSessions.get(ws.data.sessionId);
-        if (!session) return;
-
-        try {
-          const data = JSON.parse(message.toString());
-
-          switch (data.type) {
-            case "terminal_input":
-              session.terminal.write(data.data);
-              break;
-
-            case "terminal_resize":
-              session.terminal.resize(data.cols, data.rows);
-              break;
-
-            case "terminal_command":
-              if (data.command.startsWith("quantum.")) {
-                await handleQuantumCommand(session, data.command);
-              } else {
-                session.terminal.write(data.command + "\n");
-              }
-              break;
-
-            case "config":
-              // Update session configuration
-              if (data.symbols) {
-                session.config.symbols = data.symbols;
-              }
-              break;
-
-            default:
-              console.warn("Unknown message type:", data.type);
-          }
-        } catch (err) {
-          // Treat as raw input
-          session.terminal.write(message.toString());
+        if (ws.data.mux) await handleMuxMessage(ws, message);
+        else await handleClientMessage(ws, message);
+      },
+
+      // The socket flushed its send buffer: resume output held back for it
+      drain(ws) {
+        const sockets = ws.data.mux ? ws.data.channels.values() : [ws];
+        for (const socket of sockets) {
+          terminalSessions.get(socket.data.sessionId)?.output.drain(socket);
         }
       },
 
       close(ws) {
         console.log("WebSocket connection closed");
-
-        const session = terminalSessions.get(ws.data.sessionId);
-        if (session) {
-          session.close().catch(console.error);
+        if (!ws.data.mux) {
+          closeClient(ws);
+          return;
+        }
+        for (const socket of Array.from(ws.data.channels.values())) {
+          socket.close(1001, "Connection closed");
         }
       },
 
@@ -315,4 +1492,12 @@ if (import.meta.main) {
   startTerminalServer(port);
 }
 
-export { startTerminalServer, createTerminalSession, terminalSessions };
+export {
+  startTerminalServer,
+  createTerminalSession,
+  attachSession,
+  detachSession,
+  negotiateSize,
+  terminalSessions,
+  sessionOutputBuffers,
+};
@@ -0,0 +1,944 @@
+/**
+ * vt-screen.js - Headless VT100/xterm screen model
+ *
+ * Feeds raw PTY output through an escape-sequence parser and keeps what a
+ * terminal would show: a grid of styled cells, the cursor, scrollback, the
+ * alternate screen (full-screen apps such as less or htop) and the window
+ * title. Supported:
+ *   C0    BEL BS HT LF VT FF CR, SO/SI ignored
+ *   ESC   7 8 D E M c, ( ) charsets (DEC line drawing), OSC 0/2 titles
+ *   CSI   A-G H f d e a J K L M P @ X S T m r s u, modes ?7 ?25 ?47 ?1047
+ *         ?1048 ?1049 and 4 (insert)
+ *   SGR   bold dim italic underline blink inverse hidden strike, 16/256
+ *         colors and truecolor (; or : separated)
+ * Characters count as one column each (wide CJK/emoji are not doubled).
+ *
+ * Renders as plain text, JSON cells, HTML, or an ANSI snapshot that rebuilds
+ * the screen in a fresh terminal (used for fast reattach).
+ */
+
+const DEFAULT_STYLE = Object.freeze({
+  fg: null, // null | 0-255 | "#rrggbb"
+  bg: null,
+  bold: false,
+  dim: false,
+  italic: false,
+  underline: false,
+  blink: false,
+  inverse: false,
+  hidden: false,
+  strike: false,
+});
+
+const STYLE_FLAGS = [
+  "bold",
+  "dim",
+  "italic",
+  "underline",
+  "blink",
+  "inverse",
+  "hidden",
+  "strike",
+];
+
+// SGR codes that switch a flag on / off
+const SGR_ON = {
+  1: "bold",
+  2: "dim",
+  3: "italic",
+  4: "underline",
+  5: "blink",
+  7: "inverse",
+  8: "hidden",
+  9: "strike",
+};
+const SGR_OFF = {
+  22: ["bold", "dim"],
+  23: ["italic"],
+  24: ["underline"],
+  25: ["blink"],
+  27: ["inverse"],
+  28: ["hidden"],
+  29: ["strike"],
+};
+
+// DEC Special Graphics (ESC ( 0), as used for box drawing
+const DEC_GRAPHICS = {
+  "`": "◆",
+  a: "▒",
+  f: "°",
+  g: "±",
+  j: "┘",
+  k: "┐",
+  l: "┌",
+  m: "└",
+  n: "┼",
+  q: "─",
+  t: "├",
+  u: "┤",
+  v: "┴",
+  w: "┬",
+  x: "│",
+  y: "≤",
+  z: "≥",
+  "~": "·",
+};
+
+// xterm default palette for colors 0-15
+const ANSI_COLORS = [
+  "#000000",
+  "#cd0000",
+  "#00cd00",
+  "#cdcd00",
+  "#0000ee",
+  "#cd00cd",
+  "#00cdcd",
+  "#e5e5e5",
+  "#7f7f7f",
+  "#ff0000",
+  "#00ff00",
+  "#ffff00",
+  "#5c5cff",
+  "#ff00ff",
+  "#00ffff",
+  "#ffffff",
+];
+
+/**
+ * CSS color for a palette index or "#rrggbb"
+ */
+export function colorToCSS(color) {
+  if (color === null) return null;
+  if (typeof color === "string") return color;
+  if (color < 16) return ANSI_COLORS[color];
+  if (color < 232) {
+    const steps = [0, 95, 135, 175, 215, 255];
+    const index = color - 16;
+    const rgb = [Math.floor(index / 36), Math.floor(index / 6) % 6, index % 6];
+    return `#${rgb.map((c) => steps[c].toString(16).padStart(2, "0")).join("")}`;
+  }
+  const level = (8 + (color - 232) * 10).toString(16).padStart(2, "0");
+  return `#${level}${level}${level}`;
+}
+
+function escapeHTML(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function sameStyle(a, b) {
+  if (a === b) return true;
+  if (a.fg !== b.fg || a.bg !== b.bg) return false;
+  return STYLE_FLAGS.every((flag) => a[flag] === b[flag]);
+}
+
+/**
+ * Parse an SGR extended color (38/48) starting at params[i]; returns
+ * [color, params consumed]
+ */
+function extendedColor(params, i) {
+  if (params[i + 1] === 5) return [params[i + 2] ?? 0, 3];
+  if (params[i + 1] === 2) {
+    const [r, g, b] = params.slice(i + 2, i + 5).map((v) => v ?? 0);
+    const hex = [r, g, b]
+      .map((v) => Math.min(255, v).toString(16).padStart(2, "0"))
+      .join("");
+    return [`#${hex}`, 5];
+  }
+  return [null, 1];
+}
+
+// ============================================================================
+// SCREEN
+// ============================================================================
+
+class TerminalScreen {
+  /**
+   * @param {number} cols
+   * @param {number} rows
+   * @param {Object} options - { scrollback: lines kept above the screen }
+   */
+  constructor(cols = 80, rows = 24, options = {}) {
+    this.cols = cols;
+    this.rows = rows;
+    this.scrollbackLimit = options.scrollback ?? 1000;
+    this.reset();
+  }
+
+  /**
+   * Full reset (RIS); scrollback is kept like xterm does
+   */
+  reset() {
+    this.scrollback ??= [];
+    this.style = DEFAULT_STYLE;
+    this.main = this.blankLines(this.rows);
+    this.alt = null;
+    this.lines = this.main;
+    this.cursor = { x: 0, y: 0 };
+    this.saved = null;
+    this.top = 0;
+    this.bottom = this.rows - 1;
+    this.wrapPending = false;
+    this.autowrap = true;
+    this.insertMode = false;
+    this.cursorVisible = true;
+    this.charset = "B";
+    this.title = "";
+    this.state = "ground";
+    this.sequence = "";
+  }
+
+  get altScreen() {
+    return this.alt !== null && this.lines === this.alt;
+  }
+
+  blankCell() {
+    // Erased cells keep the current background (xterm's BCE)
+    return {
+      ch: " ",
+      style:
+        this.style.bg === null
+          ? DEFAULT_STYLE
+          : Object.freeze({ ...DEFAULT_STYLE, bg: this.style.bg }),
+    };
+  }
+
+  blankLine() {
+    return Array.from({ length: this.cols }, () => this.blankCell());
+  }
+
+  blankLines(count) {
+    return Array.from({ length: count }, () => this.blankLine());
+  }
+
+  // ==========================================================================
+  // PARSER
+  // ==========================================================================
+
+  /**
+   * Feed PTY output (string or bytes)
+   */
+  write(data) {
+    const text =
+      typeof data === "string" ? data : new TextDecoder().decode(data);
+    for (const ch of text) this.feed(ch);
+  }
+
+  feed(ch) {
+    const code = ch.codePointAt(0);
+
+    switch (this.state) {
+      case "ground":
+        if (code < 0x20 || code === 0x7f) this.control(ch);
+        else this.print(ch);
+        return;
+
+      case "escape":
+        this.escape(ch);
+        return;
+
+      case "csi":
+        if (code >= 0x40 && code <= 0x7e) {
+          this.state = "ground";
+          this.csi(this.sequence, ch);
+        } else if (code >= 0x20) {
+          this.sequence += ch;
+        } else if (ch === "\x1b") {
+          this.state = "escape";
+        } else {
+          this.control(ch); // C0 controls execute inside CSI
+        }
+        return;
+
+      case "osc":
+        if (ch === "\x07") {
+          this.state = "ground";
+          this.osc(this.sequence);
+        } else if (ch === "\x1b") {
+          this.state = "oscEscape";
+        } else if (this.sequence.length < 4096) {
+          this.sequence += ch;
+        }
+        return;
+
+      case "oscEscape":
+        this.state = "ground";
+        if (ch === "\\") this.osc(this.sequence);
+        return;
+
+      case "string": // DCS/SOS/PM/APC: ignored up to ST or BEL
+        if (ch === "\x07") this.state = "ground";
+        else if (ch === "\x1b") this.state = "stringEscape";
+        return;
+
+      case "stringEscape":
+        this.state = ch === "\\" ? "ground" : "string";
+        return;
+
+      case "charset":
+        if (this.sequence === "(") this.charset = ch;
+        this.state = "ground";
+        return;
+
+      case "skip": // one parameter byte (ESC # 8, ESC % G, ...)
+        this.state = "ground";
+        return;
+    }
+  }
+
+  control(ch) {
+    switch (ch) {
+      case "\x1b":
+        this.state = "escape";
+        return;
+      case "\b":
+        this.wrapPending = false;
+        this.cursor.x = Math.max(0, this.cursor.x - 1);
+        return;
+      case "\t":
+        this.wrapPending = false;
+        this.cursor.x = Math.min(
+          this.cols - 1,
+          (Math.floor(this.cursor.x / 8) + 1) * 8,
+        );
+        return;
+      case "\n":
+      case "\x0b":
+      case "\x0c":
+        this.lineFeed();
+        return;
+      case "\r":
+        this.wrapPending = false;
+        this.cursor.x = 0;
+        return;
+      case "\x18":
+      case "\x1a":
+        this.state = "ground";
+        return;
+      // BEL, SO, SI and the rest have no effect on the grid
+    }
+  }
+
+  escape(ch) {
+    this.state = "ground";
+    switch (ch) {
+      case "[":
+        this.state = "csi";
+        this.sequence = "";
+        return;
+      case "]":
+        this.state = "osc";
+        this.sequence = "";
+        return;
+      case "P":
+      case "X":
+      case "^":
+      case "_":
+        this.state = "string";
+        return;
+      case "(":
+      case ")":
+      case "*":
+      case "+":
+        this.state = "charset";
+        this.sequence = ch;
+        return;
+      case "#":
+      case "%":
+        this.state = "skip";
+        return;
+      case "7":
+        this.saveCursor();
+        return;
+      case "8":
+        this.restoreCursor();
+        return;
+      case "D":
+        this.lineFeed();
+        return;
+      case "E":
+        this.cursor.x = 0;
+        this.lineFeed();
+        return;
+      case "M":
+        this.reverseIndex();
+        return;
+      case "c":
+        this.reset();
+        return;
+      // ESC = / ESC > (keypad modes) and ST need no action
+    }
+  }
+
+  osc(sequence) {
+    const separator = sequence.indexOf(";");
+    const command = sequence.slice(0, separator);
+    if (command === "0" || command === "2") {
+      this.title = sequence.slice(separator + 1);
+    }
+  }
+
+  print(ch) {
+    if (this.charset === "0") ch = DEC_GRAPHICS[ch] ?? ch;
+
+    if (this.wrapPending) {
+      this.lines[this.cursor.y].wrapped = true;
+      this.cursor.x = 0;
+      this.lineFeed();
+    }
+
+    const line = this.lines[this.cursor.y];
+    if (this.insertMode) {
+      line.splice(this.cursor.x, 0, this.blankCell());
+      line.length = this.cols;
+    }
+    line[this.cursor.x] = { ch, style: this.style };
+
+    if (this.cursor.x === this.cols - 1) {
+      this.wrapPending = this.autowrap;
+    } else {
+      this.cursor.x++;
+    }
+  }
+
+  // ==========================================================================
+  // CURSOR AND SCROLLING
+  // ==========================================================================
+
+  moveTo(x, y) {
+    this.wrapPending = false;
+    this.cursor.x = Math.max(0, Math.min(this.cols - 1, x));
+    this.cursor.y = Math.max(0, Math.min(this.rows - 1, y));
+  }
+
+  saveCursor() {
+    this.saved = {
+      x: this.cursor.x,
+      y: this.cursor.y,
+      style: this.style,
+      charset: this.charset,
+    };
+  }
+
+  restoreCursor() {
+    const saved = this.saved || { x: 0, y: 0, style: DEFAULT_STYLE };
+    this.moveTo(saved.x, saved.y);
+    this.style = saved.style;
+    this.charset = saved.charset || "B";
+  }
+
+  lineFeed() {
+    this.wrapPending = false;
+    if (this.cursor.y === this.bottom) this.scrollUp(1);
+    else if (this.cursor.y < this.rows - 1) this.cursor.y++;
+  }
+
+  reverseIndex() {
+    this.wrapPending = false;
+    if (this.cursor.y === this.top) this.scrollDown(1);
+    else if (this.cursor.y > 0) this.cursor.y--;
+  }
+
+  /**
+   * Scroll the region up; lines leaving the top of the full main screen
+   * go to scrollback
+   */
+  scrollUp(count, top = this.top) {
+    for (let i = 0; i < count; i++) {
+      const [removed] = this.lines.splice(top, 1);
+      this.lines.splice(this.bottom, 0, this.blankLine());
+      if (top === 0 && this.lines === this.main) this.pushScrollback(removed);
+    }
+  }
+
+  scrollDown(count, top = this.top) {
+    for (let i = 0; i < count; i++) {
+      this.lines.splice(this.bottom, 1);
+      this.lines.splice(top, 0, this.blankLine());
+    }
+  }
+
+  pushScrollback(line) {
+    this.scrollback.push(line);
+    if (this.scrollback.length > this.scrollbackLimit) this.scrollback.shift();
+  }
+
+  // ==========================================================================
+  // CSI
+  // ==========================================================================
+
+  csi(sequence, final) {
+    const prefix = /^[?>=<]/.test(sequence) ? sequence[0] : "";
+    const params = sequence
+      .slice(prefix.length)
+      .replace(/[ -/]+$/, "") // intermediates
+      .split(";")
+      .map((p) => (p === "" ? undefined : p));
+    const num = (i, fallback = 1) => {
+      const value = parseInt(params[i], 10);
+      return Number.isNaN(value) || value === 0 ? fallback : value;
+    };
+    const { x, y } = this.cursor;
+
+    if (prefix === "?") {
+      if (final === "h" || final === "l") {
+        for (const mode of params)
+          this.privateMode(Number(mode), final === "h");
+      }
+      return;
+    }
+    if (prefix) return; // > = < queries and xterm extensions
+
+    switch (final) {
+      case "A":
+        return this.moveTo(
+          x,
+          Math.max(y >= this.top ? this.top : 0, y - num(0)),
+        );
+      case "B":
+      case "e":
+        return this.moveTo(
+          x,
+          Math.min(y <= this.bottom ? this.bottom : this.rows - 1, y + num(0)),
+        );
+      case "C":
+      case "a":
+        return this.moveTo(x + num(0), y);
+      case "D":
+        return this.moveTo(x - num(0), y);
+      case "E":
+        return this.moveTo(0, y + num(0));
+      case "F":
+        return this.moveTo(0, y - num(0));
+      case "G":
+      case "`":
+        return this.moveTo(num(0) - 1, y);
+      case "H":
+      case "f":
+        return this.moveTo(num(1) - 1, num(0) - 1);
+      case "d":
+        return this.moveTo(x, num(0) - 1);
+      case "J":
+        return this.eraseDisplay(num(0, 0));
+      case "K":
+        return this.eraseLine(num(0, 0));
+      case "L":
+        if (y >= this.top && y <= this.bottom) this.scrollDown(num(0), y);
+        return this.moveTo(0, y);
+      case "M":
+        if (y >= this.top && y <= this.bottom) {
+          for (let i = 0; i < num(0); i++) {
+            this.lines.splice(y, 1);
+            this.lines.splice(this.bottom, 0, this.blankLine());
+          }
+        }
+        return this.moveTo(0, y);
+      case "P": {
+        const line = this.lines[y];
+        line.splice(x, Math.min(num(0), this.cols - x));
+        while (line.length < this.cols) line.push(this.blankCell());
+        return;
+      }
+      case "@": {
+        const line = this.lines[y];
+        const count = Math.min(num(0), this.cols - x);
+        line.splice(
+          x,
+          0,
+          ...Array.from({ length: count }, () => this.blankCell()),
+        );
+        line.length = this.cols;
+        return;
+      }
+      case "X": {
+        const line = this.lines[y];
+        for (let i = x; i < Math.min(this.cols, x + num(0)); i++) {
+          line[i] = this.blankCell();
+        }
+        return;
+      }
+      case "S":
+        return this.scrollUp(num(0));
+      case "T":
+        return this.scrollDown(num(0));
+      case "m":
+        return this.sgr(sequence);
+      case "r": {
+        const top = num(0) - 1;
+        const bottom = num(1, this.rows) - 1;
+        if (top < bottom && bottom < this.rows) {
+          this.top = top;
+          this.bottom = bottom;
+          this.moveTo(0, 0);
+        }
+        return;
+      }
+      case "s":
+        return this.saveCursor();
+      case "u":
+        return this.restoreCursor();
+      case "h":
+      case "l":
+        if (params.includes("4")) this.insertMode = final === "h";
+        return;
+      // n (status reports), c (device attributes), t (window ops): no-ops
+    }
+  }
+
+  privateMode(mode, enable) {
+    switch (mode) {
+      case 7:
+        this.autowrap = enable;
+        break;
+      case 25:
+        this.cursorVisible = enable;
+        break;
+      case 47:
+      case 1047:
+        if (enable) this.enterAltScreen();
+        else this.exitAltScreen();
+        break;
+      case 1048:
+        if (enable) this.saveCursor();
+        else this.restoreCursor();
+        break;
+      case 1049:
+        if (enable) {
+          this.saveCursor();
+          this.enterAltScreen();
+        } else {
+          this.exitAltScreen();
+          this.restoreCursor();
+        }
+        break;
+    }
+  }
+
+  enterAltScreen() {
+    if (this.altScreen) return;
+    this.alt = this.blankLines(this.rows);
+    this.lines = this.alt;
+  }
+
+  exitAltScreen() {
+    if (!this.altScreen) return;
+    this.alt = null;
+    this.lines = this.main;
+  }
+
+  eraseDisplay(mode) {
+    const { x, y } = this.cursor;
+    if (mode === 3) {
+      this.scrollback = [];
+      return;
+    }
+    const from = mode === 0 ? y + 1 : 0;
+    const to = mode === 1 ? y : this.rows;
+    for (let row = from; row < to; row++) this.lines[row] = this.blankLine();
+    if (mode !== 2) this.eraseLine(mode);
+    if (mode === 2) this.lines[y] = this.blankLine();
+    this.cursor.x = x;
+  }
+
+  eraseLine(mode) {
+    const line = this.lines[this.cursor.y];
+    const from = mode === 0 ? this.cursor.x : 0;
+    const to = mode === 1 ? this.cursor.x + 1 : this.cols;
+    for (let i = from; i < to; i++) line[i] = this.blankCell();
+    line.wrapped = false;
+  }
+
+  sgr(sequence) {
+    const params = sequence
+      .split(";")
+      .flatMap((part) => {
+        // 38:2::r:g:b (colorspace slot) and 38:5:n sub-parameters
+        if (!part.includes(":")) return [part];
+        const sub = part.split(":");
+        return sub[1] === "2" && sub.length === 6
+          ? [sub[0], sub[1], ...sub.slice(3)]
+          : sub;
+      })
+      .map((p) => (p === "" ? 0 : parseInt(p, 10)));
+    if (params.length === 0) params.push(0);
+
+    const style = { ...this.style };
+    for (let i = 0; i < params.length; i++) {
+      const p = params[i];
+      if (p === 0) Object.assign(style, DEFAULT_STYLE);
+      else if (SGR_ON[p]) style[SGR_ON[p]] = true;
+      else if (SGR_OFF[p]) for (const flag of SGR_OFF[p]) style[flag] = false;
+      else if (p === 21) style.underline = true;
+      else if (p >= 30 && p <= 37) style.fg = p - 30;
+      else if (p >= 90 && p <= 97) style.fg = p - 90 + 8;
+      else if (p >= 40 && p <= 47) style.bg = p - 40;
+      else if (p >= 100 && p <= 107) style.bg = p - 100 + 8;
+      else if (p === 39) style.fg = null;
+      else if (p === 49) style.bg = null;
+      else if (p === 38 || p === 48) {
+        const [color, used] = extendedColor(params, i);
+        style[p === 38 ? "fg" : "bg"] = color;
+        i += used - 1;
+      }
+    }
+    this.style = Object.freeze(style);
+  }
+
+  // ==========================================================================
+  // RESIZE
+  // ==========================================================================
+
+  /**
+   * Resize the grid. Shrinking drops blank rows below the cursor first,
+   * then moves top rows into scrollback.
+   */
+  resize(cols, rows) {
+    if (cols === this.cols && rows === this.rows) return;
+    const fit = (lines, isMain) => {
+      for (const line of lines) {
+        line.length = Math.min(line.length, cols);
+        while (line.length < cols) line.push({ ch: " ", style: DEFAULT_STYLE });
+      }
+      while (lines.length > rows) {
+        const last = lines.length - 1;
+        if (last > this.cursor.y && this.lineText(lines[last]) === "") {
+          lines.pop();
+        } else {
+          const [removed] = lines.splice(0, 1);
+          if (isMain) this.pushScrollback(removed);
+          if (lines === this.lines)
+            this.cursor.y = Math.max(0, this.cursor.y - 1);
+        }
+      }
+      while (lines.length < rows) {
+        lines.push(
+          Array.from({ length: cols }, () => ({
+            ch: " ",
+            style: DEFAULT_STYLE,
+          })),
+        );
+      }
+    };
+
+    fit(this.main, true);
+    if (this.alt) fit(this.alt, false);
+    this.cols = cols;
+    this.rows = rows;
+    this.top = 0;
+    this.bottom = rows - 1;
+    this.moveTo(this.cursor.x, this.cursor.y);
+  }
+
+  // ==========================================================================
+  // OUTPUT
+  // ==========================================================================
+
+  lineText(line) {
+    return line
+      .map((cell) => cell.ch)
+      .join("")
+      .trimEnd();
+  }
+
+  /**
+   * Lines to render: scrollback (optional) then the visible screen
+   */
+  visibleLines({ scrollback = false } = {}) {
+    return scrollback ? [...this.scrollback, ...this.lines] : this.lines;
+  }
+
+  /**
+   * Consecutive cells with the same style: [{ text, style }]
+   */
+  runs(line) {
+    const runs = [];
+    for (const cell of line) {
+      const last = runs[runs.length - 1];
+      if (last && sameStyle(last.style, cell.style)) last.text += cell.ch;
+      else runs.push({ text: cell.ch, style: cell.style });
+    }
+    // Trailing unstyled blanks carry nothing
+    const last = runs[runs.length - 1];
+    if (last && sameStyle(last.style, DEFAULT_STYLE)) {
+      last.text = last.text.trimEnd();
+      if (!last.text) runs.pop();
+    }
+    return runs;
+  }
+
+  toText(options = {}) {
+    return this.visibleLines(options)
+      .map((line) => this.lineText(line))
+      .join("\n");
+  }
+
+  /**
+   * JSON snapshot; cells list only non-default attributes and trailing
+   * blank cells are omitted
+   */
+  toJSON(options = {}) {
+    const cell = ({ ch, style }) => {
+      const out = { ch };
+      if (style.fg !== null) out.fg = style.fg;
+      if (style.bg !== null) out.bg = style.bg;
+      for (const flag of STYLE_FLAGS) if (style[flag]) out[flag] = true;
+      return out;
+    };
+    return {
+      cols: this.cols,
+      rows: this.rows,
+      cursor: { ...this.cursor, visible: this.cursorVisible },
+      title: this.title,
+      altScreen: this.altScreen,
+      scrollback: this.scrollback.length,
+      lines: this.visibleLines(options).map((line) => {
+        let end = line.length;
+        while (
+          end > 0 &&
+          line[end - 1].ch === " " &&
+          line[end - 1].style.bg === null &&
+          !line[end - 1].style.inverse
+        ) {
+          end--;
+        }
+        return line.slice(0, end).map(cell);
+      }),
+    };
+  }
+
+  toHTML(options = {}) {
+    const css = (style) => {
+      let fg = colorToCSS(style.fg);
+      let bg = colorToCSS(style.bg);
+      if (style.inverse)
+        [fg, bg] = [
+          bg || "var(--terminal-bg, #000)",
+          fg || "var(--terminal-fg, #fff)",
+        ];
+      const rules = [];
+      if (fg) rules.push(`color:${fg}`);
+      if (bg) rules.push(`background:${bg}`);
+      if (style.bold) rules.push("font-weight:bold");
+      if (style.dim) rules.push("opacity:0.6");
+      if (style.italic) rules.push("font-style:italic");
+      const lines = [
+        style.underline && "underline",
+        style.strike && "line-through",
+      ].filter(Boolean);
+      if (lines.length) rules.push(`text-decoration:${lines.join(" ")}`);
+      if (style.hidden) rules.push("visibility:hidden");
+      return rules.join(";");
+    };
+
+    const body = this.visibleLines(options)
+      .map((line) =>
+        this.runs(line)
+          .map(({ text, style }) => {
+            const rules = css(style);
+            const html = escapeHTML(text);
+            return rules ? `<span style="${rules}">${html}</span>` : html;
+          })
+          .join(""),
+      )
+      .join("\n");
+    return `<pre class="terminal-screen">${body}</pre>`;
+  }
+
+  /**
+   * ANSI escape sequences that rebuild this screen (and optionally the
+   * scrollback) in a freshly reset terminal
+   */
+  toANSI({ scrollback = true } = {}) {
+    const sgr = (style) => {
+      const codes = [0];
+      STYLE_FLAGS.forEach((flag) => {
+        if (style[flag]) {
+          codes.push(
+            Number(Object.keys(SGR_ON).find((k) => SGR_ON[k] === flag)),
+          );
+        }
+      });
+      for (const [key, base] of [
+        ["fg", 38],
+        ["bg", 48],
+      ]) {
+        const color = style[key];
+        if (color === null) continue;
+        if (typeof color === "string") {
+          const [r, g, b] = [1, 3, 5].map((i) =>
+            parseInt(color.slice(i, i + 2), 16),
+          );
+          codes.push(base, 2, r, g, b);
+        } else {
+          codes.push(base, 5, color);
+        }
+      }
+      return `\x1b[${codes.join(";")}m`;
+    };
+    const render = (lines) =>
+      lines
+        .map((line) =>
+          this.runs(line)
+            .map(({ text, style }) =>
+              sameStyle(style, DEFAULT_STYLE)
+                ? text
+                : `${sgr(style)}${text}\x1b[0m`,
+            )
+            .join(""),
+        )
+        .join("\r\n");
+
+    let out = "\x1b[0m\x1b[H\x1b[2J";
+    const main = scrollback ? [...this.scrollback, ...this.main] : this.main;
+    out += render(main);
+    if (this.altScreen) out += "\x1b[?1049h\x1b[H" + render(this.alt);
+    if (this.title) out += `\x1b]2;${this.title}\x07`;
+    if (this.top !== 0 || this.bottom !== this.rows - 1) {
+      out += `\x1b[${this.top + 1};${this.bottom + 1}r`;
+    }
+    out += `\x1b[${this.cursor.y + 1};${this.cursor.x + 1}H`;
+    if (!sameStyle(this.style, DEFAULT_STYLE)) out += sgr(this.style);
+    if (!this.cursorVisible) out += "\x1b[?25l";
+    return out;
+  }
+
+  /**
+   * Find text in scrollback and screen
+   *
+   * @param {string|RegExp} query - Plain strings match case-insensitively
+   * @returns {Object[]} [{ row, column, text, scrollback }] where row counts
+   *   from the oldest scrollback line
+   */
+  search(query, { limit = 100 } = {}) {
+    const pattern =
+      query instanceof RegExp
+        ? new RegExp(
+            query.source,
+            query.flags.includes("g") ? query.flags : query.flags + "g",
+          )
+        : new RegExp(query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "gi");
+    const matches = [];
+    const lines = this.visibleLines({ scrollback: true });
+    for (let row = 0; row < lines.length && matches.length < limit; row++) {
+      const text = this.lineText(lines[row]);
+      for (const match of text.matchAll(pattern)) {
+        if (match[0] === "") break;
+        matches.push({
+          row,
+          column: match.index,
+          match: match[0],
+          text,
+          scrollback: row < this.scrollback.length,
+        });
+        if (matches.length >= limit) break;
+      }
+    }
+    return matches;
+  }
+}
+
+export { TerminalScreen, DEFAULT_STYLE };
+export default TerminalScreen;
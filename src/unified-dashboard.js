@@ -23,6 +23,31 @@ import {
   arch,
 } from "os";
 import { lookup } from "dns/promises";
+import { MetricsHistoryStore } from "./metrics-history.js";
+import { TopicHub } from "./ws-topics.js";
+import { WebSocketAuth } from "./ws-auth.js";
+import { AlertEngine, WebhookSink } from "./alert-engine.js";
+import { getFeatureFlagService } from "./feature-flag-service.js";
+import {
+  renderOpenMetrics,
+  OPENMETRICS_CONTENT_TYPE,
+} from "./metrics-exporter.js";
+import { createMarketDataProvider } from "./financial/market-data-providers.js";
+import { CandleAggregator } from "./financial/candle-aggregator.js";
+import {
+  IndicatorEngine,
+  indicatorSignals,
+  INDICATOR_SIGNALS,
+} from "./financial/indicators.js";
+import {
+  SignalPipelineManager,
+  fuseComponents,
+  classifySignal,
+} from "./config/signal-pipeline-manager.js";
+import {
+  SessionRecorder,
+  SessionReplayer,
+} from "./financial/session-recorder.js";
 
 // ============================================================================
 // DEBUG UTILITIES - Bun.inspect with sorted properties
@@ -57,6 +82,32 @@ const CONFIG = {
     process.env.FINANCIAL_SYMBOLS || "AAPL,GOOGL,TSLA,MSFT,AMZN,NVDA,META,NFLX"
   ).split(","),
   enableProfiling: process.env.ENABLE_PROFILING !== "false",
+  // Market data provider: simulator | replay | feed
+  marketData: {
+    provider: process.env.MARKET_DATA_PROVIDER || "simulator",
+    file: process.env.MARKET_DATA_FILE, // replay: JSON Lines tick file
+    url: process.env.MARKET_DATA_URL, // feed: ws://localhost:8765 or http://localhost:8765/ticks
+    loop: process.env.MARKET_DATA_LOOP !== "false",
+    pollInterval: parseInt(process.env.MARKET_DATA_POLL_INTERVAL || "200"),
+  },
+  // Signal fusion pipelines (YAML, hot-reloaded); "off" uses built-in weights
+  signalPipelines: process.env.SIGNAL_PIPELINES,
+  // Session VWAP resets at this UTC time (NYSE open, 09:30 ET)
+  vwapSessionReset: process.env.VWAP_SESSION_RESET || "13:30",
+  // Persistent metrics history (bun:sqlite); "off" keeps history in memory only
+  historyDb: process.env.DASHBOARD_HISTORY_DB || ".data/metrics-history.sqlite",
+  historyRetention: {
+    raw: parseInt(process.env.HISTORY_RETENTION_RAW_HOURS || "24") * 3600000,
+    "1m": parseInt(process.env.HISTORY_RETENTION_1M_DAYS || "7") * 86400000,
+    "1h": parseInt(process.env.HISTORY_RETENTION_1H_DAYS || "90") * 86400000,
+  },
+  historyCompactInterval: 60000,
+  // Append every tick to this JSON Lines file (replay with `replay <file>`)
+  recordFile: process.env.DASHBOARD_RECORD_FILE,
+  // Alert rules (YAML, hot-reloaded); "off" disables alerting
+  alertRules: process.env.DASHBOARD_ALERT_RULES,
+  // Extra webhook sink for every alert rule
+  alertWebhook: process.env.ALERT_WEBHOOK_URL,
   dnsHosts: [
     "bun.sh",
     "github.com",
@@ -71,8 +122,10 @@ const CONFIG = {
 // ============================================================================
 
 class MetricsStore {
-  constructor() {
+  constructor(historyStore = null) {
     this.startTime = Date.now();
+    // Optional persistent backend (MetricsHistoryStore) for long-range history
+    this.historyStore = historyStore;
     this.metrics = {
       // Performance
       buffer: { indexOf: 0, includes: 0, history: [] },
@@ -110,10 +163,23 @@ class MetricsStore {
 
   addToHistory(category, value) {
     if (!this.metrics[category].history) return;
-    this.metrics[category].history.push({ timestamp: Date.now(), value });
+    const timestamp = Date.now();
+    this.metrics[category].history.push({ timestamp, value });
     if (this.metrics[category].history.length > this.maxHistory) {
       this.metrics[category].history.shift();
     }
+    this.historyStore?.write(category, timestamp, value);
+  }
+
+  /**
+   * Reload the in-memory history window from the persistent store
+   */
+  hydrateHistory() {
+    if (!this.historyStore) return;
+    for (const [category, metric] of Object.entries(this.metrics)) {
+      if (!metric.history) continue;
+      metric.history = this.historyStore.recent(category, this.maxHistory);
+    }
   }
 
   getUptime() {
@@ -708,10 +774,57 @@ class NetworkEngine {
 // SIGNAL ENGINE - Multi-layer Tension Fusion
 // ============================================================================
 
+// Default fusion weights (see SignalEngine.fuse)
+const DEFAULT_FUSION_WEIGHTS = {
+  hurst: 0.35,
+  vwap: 0.3,
+  tension: 0.2,
+  compression: 0.15,
+};
+
+// Default threshold ladder: first rung whose `above` is exceeded wins
+const DEFAULT_SIGNAL_THRESHOLDS = [
+  { label: "bullish", above: 0.3 },
+  { label: "consolidating", above: 0.1 },
+  // Accumulation: slight positive momentum with low volatility
+  { label: "accumulation", above: 0.05 },
+  { label: "neutral", above: -0.1 },
+  { label: "resistance_test", above: -0.3 },
+  { label: "bearish" },
+];
+
+// Indicator signals SignalEngine computes for fusion pipelines. The
+// technical indicators (rsi, macd, bollinger) carry no default weight and
+// only contribute when a pipeline assigns one.
+const SIGNAL_INDICATORS = [
+  ...Object.keys(DEFAULT_FUSION_WEIGHTS),
+  ...INDICATOR_SIGNALS,
+];
+
 class SignalEngine {
-  constructor(tensionEngine) {
+  /**
+   * @param {TensionEngine} tensionEngine
+   * @param {Object} options
+   * @param {Object} options.weights - Default pipeline weights { hurst, vwap, tension, compression }
+   * @param {SignalPipelineManager} options.pipelines - YAML pipelines (override weights)
+   */
+  constructor(tensionEngine, options = {}) {
     this.tensionEngine = tensionEngine;
     this.volumeHistory = new Map(); // Track volume profiles per symbol
+    this.weights = { ...DEFAULT_FUSION_WEIGHTS, ...(options.weights || {}) };
+    this.pipelines = options.pipelines || null;
+    this.defaultPipeline = {
+      name: "default",
+      weights: this.weights,
+      thresholds: DEFAULT_SIGNAL_THRESHOLDS,
+    };
+  }
+
+  /**
+   * Fusion pipeline for symbol (YAML assignment, else built-in default)
+   */
+  resolvePipeline(symbol) {
+    return this.pipelines?.resolve(symbol) || this.defaultPipeline;
   }
 
   /**
@@ -788,16 +901,19 @@ class SignalEngine {
   /**
    * Fuse multiple signals into a single trading signal
    * signal = fuse(hurstExponent, tension, vwapDeviation, spreadCompression)
+   *
+   * @param {Object} market - Candle context from CandleAggregator.ingest()
+   *   ({ vwap, sessionVolume, indicators }); without it VWAP falls back to
+   *   the typical price (high + low + price) / 3
    */
-  fuse(symbol, tickerData, allTickers) {
+  fuse(symbol, tickerData, allTickers, market = null) {
     const price = parseFloat(tickerData.price || 0);
     const high = parseFloat(tickerData.high || price);
     const low = parseFloat(tickerData.low || price);
     const volume = parseFloat(tickerData.volume || 0);
 
-    // Calculate VWAP (Volume Weighted Average Price)
-    // Simplified: (high + low + price) / 3
-    const vwap = (high + low + price) / 3;
+    // Session VWAP (Σ price·size / Σ size) from the candle aggregator
+    const vwap = market?.vwap ?? (high + low + price) / 3;
 
     // 1. Hurst exponent from volume profile
     if (!this.volumeHistory.has(symbol)) {
@@ -827,36 +943,28 @@ class SignalEngine {
     const compressionSignal = compression * 2 - 1.0; // Map [0,1] to [-1,1]
 
     // Weighted fusion (institutional-grade logic)
-    // Hurst (trending) gets highest weight for directional bias
-    // VWAP deviation gets high weight for entry timing
-    // Tension and compression provide confirmation
-    const fusedSignal =
-      hurstSignal * 0.35 + // Trend strength (primary)
-      vwapSignal * 0.3 + // Price position vs VWAP (timing)
-      tensionSignal * 0.2 + // Order book depth (confirmation)
-      compressionSignal * 0.15; // Spread tightness (liquidity)
-
-    // Convert to trading signal
+    // Default pipeline: Hurst (trending) gets highest weight for directional
+    // bias, VWAP deviation high weight for entry timing, tension and
+    // compression provide confirmation. YAML pipelines may override per symbol.
+    const pipeline = this.resolvePipeline(symbol);
+    // 5. Technical indicators (RSI, MACD, Bollinger) once warmed up
+    const technical = indicatorSignals(market?.indicators);
+    const fusedSignal = fuseComponents(pipeline.weights, {
+      hurst: hurstSignal, // Trend strength (primary)
+      vwap: vwapSignal, // Price position vs VWAP (timing)
+      tension: tensionSignal, // Order book depth (confirmation)
+      compression: compressionSignal, // Spread tightness (liquidity)
+      ...technical,
+    });
+
+    // Convert to trading signal via the pipeline's threshold ladder
     // Signal types: bullish, consolidating, neutral, resistance_test, accumulation, bearish
-    let signal;
-    if (fusedSignal > 0.3) {
-      signal = "bullish";
-    } else if (fusedSignal > 0.1) {
-      signal = "consolidating";
-    } else if (fusedSignal > 0.05 && fusedSignal <= 0.1) {
-      // Accumulation: slight positive momentum with low volatility
-      signal = "accumulation";
-    } else if (fusedSignal > -0.1) {
-      signal = "neutral";
-    } else if (fusedSignal > -0.3) {
-      signal = "resistance_test";
-    } else {
-      signal = "bearish";
-    }
+    const signal = classifySignal(pipeline.thresholds, fusedSignal);
 
     return {
       signal,
       fusedValue: fusedSignal,
+      pipeline: pipeline.name,
       components: {
         hurst: hurst,
         hurstSignal: hurstSignal,
@@ -868,6 +976,7 @@ class SignalEngine {
         spread: high - low,
         compression: compression,
         compressionSignal: compressionSignal,
+        indicatorSignals: technical,
       },
     };
   }
@@ -878,108 +987,54 @@ class SignalEngine {
 // ============================================================================
 
 class FinancialEngine {
-  constructor(store, tensionEngine) {
+  /**
+   * @param {MetricsStore} store
+   * @param {TensionEngine} tensionEngine
+   * @param {Object} options - { provider: MarketDataProvider, pipelines: SignalPipelineManager }
+   */
+  constructor(store, tensionEngine, { provider = null, pipelines = null } = {}) {
     this.store = store;
-    this.prices = new Map();
-    this.signalEngine = new SignalEngine(tensionEngine);
+    this.signalEngine = new SignalEngine(tensionEngine, { pipelines });
+    // OHLCV bars (1s/1m/5m/1h) and session VWAP per symbol
+    this.candles = new CandleAggregator({
+      sessionReset: CONFIG.vwapSessionReset,
+    });
+    // Streaming RSI/MACD/Bollinger/ATR/OBV per symbol
+    this.indicators = new IndicatorEngine();
+    // Market data source: simulator (default), replay file or local feed
+    this.provider = provider || createMarketDataProvider(CONFIG.marketData);
   }
 
   /**
-   * Generate mock price data matching audit specification
-   * Protocol: WebSocket (real-time), REST (snapshot)
-   * Version: qsimd-data@1.5.0
-   * Update frequency: 200ms
-   * VWAP accuracy: ±0.05%
+   * Swap the market data provider at runtime (e.g. simulator -> replay)
    */
-  generateMockPrice(symbol) {
-    // Base prices matching audit specification
-    const baseData = {
-      AAPL: {
-        price: 184.61,
-        high: 186.85,
-        low: 182.16,
-        volume: 630345,
-        change: -0.78,
-      },
-      GOOGL: {
-        price: 116.35,
-        high: 120.2,
-        low: 111.63,
-        volume: 312260,
-        change: 0.77,
-      },
-      TSLA: {
-        price: 244.84,
-        high: 248.67,
-        low: 241.85,
-        volume: 958726,
-        change: -0.06,
-      },
-      NVDA: {
-        price: 495.88,
-        high: 498.03,
-        low: 494.95,
-        volume: 800008,
-        change: -0.89,
-      },
-      META: {
-        price: 359.75,
-        high: 363.63,
-        low: 356.7,
-        volume: 403945,
-        change: 0.15,
-      },
-      MSFT: { price: 380, high: 385, low: 375, volume: 500000, change: 0 },
-      AMZN: { price: 175, high: 180, low: 170, volume: 400000, change: 0 },
-      NFLX: { price: 450, high: 455, low: 445, volume: 300000, change: 0 },
-    };
-
-    const data = baseData[symbol] || {
-      price: 100,
-      high: 105,
-      low: 95,
-      volume: 100000,
-      change: 0,
-    };
-    const existing = this.prices.get(symbol) || data.price;
-
-    // Add small random variation (±0.1%) to simulate real-time updates
-    const variation = (Math.random() - 0.5) * 0.002; // ±0.1% variation
-    const newPrice = data.price * (1 + variation);
-    const change = data.change + (newPrice - data.price);
-    const changePercent = (change / existing) * 100;
-
-    // Calculate spread
-    const spread = data.high - data.low;
-
-    this.prices.set(symbol, newPrice);
-
-    return {
-      symbol,
-      price: newPrice.toFixed(2),
-      change: change.toFixed(2),
-      changePercent: changePercent.toFixed(2),
-      volume: data.volume,
-      high: data.high.toFixed(2),
-      low: data.low.toFixed(2),
-      spread: spread.toFixed(2),
-      timestamp: Date.now(),
-      // Metadata
-      protocol: "WebSocket",
-      version: "qsimd-data@1.5.0",
-      updateFrequency: "200ms",
-      vwapAccuracy: "±0.05%",
-    };
+  async setProvider(provider) {
+    const previous = this.provider;
+    await provider.start();
+    this.provider = provider;
+    previous?.stop();
+    return provider;
   }
 
-  collectTickers() {
+  collectTickers(symbols = CONFIG.financialSymbols) {
     const tickers = {};
     const allTickersMap = new Map();
+    const market = new Map();
 
-    for (const symbol of CONFIG.financialSymbols) {
-      const tickerData = this.generateMockPrice(symbol);
+    for (const symbol of symbols) {
+      const tickerData = this.provider.getTick(symbol);
+      if (!tickerData) continue; // No data yet (feed warming up, symbol not in replay)
       tickers[symbol] = tickerData;
       allTickersMap.set(symbol, tickerData);
+      // A tick without a usable price (e.g. a feed or replay record with
+      // none) updates no candle or indicator; its signal uses the tick alone
+      const context = this.candles.ingest(symbol, tickerData);
+      if (!context) continue;
+      context.indicators = this.indicators.update(symbol, {
+        price: tickerData.price,
+        size: context.size,
+      });
+      market.set(symbol, context);
     }
 
     // Generate signals using fusion model
@@ -994,10 +1049,15 @@ class FinancialEngine {
         symbol,
         tickerData,
         allTickersMap,
+        market.get(symbol),
       );
       tickers[symbol].signal = signalResult.signal;
+      tickers[symbol].fusedSignal = signalResult.fusedValue;
+      tickers[symbol].signalPipeline = signalResult.pipeline;
       tickers[symbol].vwap = signalResult.components.vwap.toFixed(2);
       tickers[symbol].signalComponents = signalResult.components;
+      tickers[symbol].candle = this.candles.getCurrentBar(symbol, "1m");
+      tickers[symbol].indicators = market.get(symbol)?.indicators ?? null;
 
       // Add protocol metadata (WebSocket for real-time, REST for snapshot)
       tickers[symbol].protocol = tickerData.protocol || "WebSocket";
@@ -1052,7 +1112,15 @@ class TensionEngine {
       const volume = parseFloat(data.volume || 0);
 
       // Volatility component: normalized price change
-      totalVolatility += Math.min(1.0, changePercent / 10.0); // Normalize to [0, 1]
+      const volatility = Math.min(1.0, changePercent / 10.0); // Normalize to [0, 1]
+      // Blend in realized volatility from the current 1m candle range
+      const candle = data.candle;
+      if (candle && candle.open > 0) {
+        const rangePercent = ((candle.high - candle.low) / candle.open) * 100;
+        totalVolatility += volatility * 0.5 + Math.min(1.0, rangePercent) * 0.5;
+      } else {
+        totalVolatility += volatility;
+      }
 
       // Volume spike component: relative volume change
       const volumeNormalized = Math.min(1.0, volume / 10000000); // Normalize to [0, 1]
@@ -1180,8 +1248,11 @@ class TensionEngine {
   /**
    * Update tension using dynamical systems model
    * Integrates financial data to solve dT/dt = α·shock - β·liquidity
+   *
+   * @param {number|null} tensionValue - Explicit tension (skips the model)
+   * @param {number} now - Tick time in ms (replay passes the recorded time)
    */
-  update(tensionValue = null) {
+  update(tensionValue = null, now = Date.now()) {
     // If no value provided, calculate from financial data using dynamical model
     if (tensionValue === null) {
       const tickers = this.store.metrics.financial?.tickers || new Map();
@@ -1189,7 +1260,6 @@ class TensionEngine {
       const liquidity = this.calculateLiquidity(tickers);
 
       // Calculate time delta (normalized to ~0.1 for stable integration)
-      const now = Date.now();
       const dt = Math.min(0.2, (now - this.lastUpdateTime) / 1000.0); // Cap at 200ms
       this.lastUpdateTime = now;
 
@@ -1270,16 +1340,20 @@ class HealthEngine {
       (c) => c.status === "healthy",
     );
 
+    const status = allHealthy ? "HEALTHY" : "DEGRADED";
+    const lastCheck = Date.now();
+    this.store.metrics.health = { status, checks, lastCheck };
+
     // Return flattened format matching audit specification
     return {
-      status: allHealthy ? "HEALTHY" : "DEGRADED",
+      status,
       memory: checks.memory.status,
       cpu: checks.cpu.status,
       disk: checks.disk.status,
       network: checks.network.status,
       bun: checks.bun.status,
       checks: checks, // Keep detailed checks for backward compatibility
-      lastCheck: Date.now(),
+      lastCheck,
     };
   }
 
@@ -1366,18 +1440,87 @@ class HealthEngine {
 // UNIFIED DASHBOARD
 // ============================================================================
 
+// Delta-published WebSocket topics (besides tickers:<SYMBOL>)
+const DASHBOARD_TOPICS = ["tension", "health", "network", "alerts"];
+
+/**
+ * Load YAML alert rules (null when DASHBOARD_ALERT_RULES=off)
+ */
+function loadAlertEngine() {
+  if (CONFIG.alertRules === "off") return null;
+  const alerts = new AlertEngine(CONFIG.alertRules || undefined);
+  if (CONFIG.alertWebhook) {
+    alerts.addSink(new WebhookSink({ url: CONFIG.alertWebhook }));
+  }
+  return alerts;
+}
+
+/**
+ * Flatten a metrics snapshot into the context alert rules evaluate against
+ */
+function alertContext(metrics) {
+  const { memory, health, spawn } = metrics;
+  return {
+    ...metrics,
+    memory: {
+      ...memory,
+      heapPercent: memory.heapTotal
+        ? (memory.heapUsed / memory.heapTotal) * 100
+        : 0,
+    },
+    latency: {
+      dns: parseFloat(health?.checks?.network?.dnsLatency),
+      spawn: spawn?.avg,
+    },
+  };
+}
+
+/**
+ * Load YAML signal pipelines (null when SIGNAL_PIPELINES=off)
+ */
+function loadSignalPipelines() {
+  if (CONFIG.signalPipelines === "off") return null;
+  return new SignalPipelineManager(CONFIG.signalPipelines || undefined, {
+    indicators: SIGNAL_INDICATORS,
+  });
+}
+
 class UnifiedDashboard {
   constructor() {
-    this.store = new MetricsStore();
+    this.history =
+      CONFIG.historyDb !== "off"
+        ? new MetricsHistoryStore(CONFIG.historyDb, {
+            retention: CONFIG.historyRetention,
+          })
+        : null;
+    this.store = new MetricsStore(this.history);
+    this.store.hydrateHistory();
     this.performance = new PerformanceEngine(this.store);
     this.system = new SystemEngine(this.store);
     this.network = new NetworkEngine(this.store);
     this.tension = new TensionEngine(this.store);
-    this.financial = new FinancialEngine(this.store, this.tension);
+    this.pipelines = loadSignalPipelines();
+    this.financial = new FinancialEngine(this.store, this.tension, {
+      pipelines: this.pipelines,
+    });
     this.health = new HealthEngine(this.store);
+    this.recorder = CONFIG.recordFile
+      ? new SessionRecorder(CONFIG.recordFile)
+      : null;
+    this.alerts = loadAlertEngine();
+    this.flags = getFeatureFlagService();
 
     this.wsClients = new Set();
-    this.topics = new Map();
+    // WebSocket topics: "metrics" (full snapshot every tick, the default
+    // for the built-in page) plus delta-published DASHBOARD_TOPICS
+    this.topics = new TopicHub({
+      validate: (topic) =>
+        topic === "metrics" ||
+        DASHBOARD_TOPICS.includes(topic) ||
+        /^tickers:[A-Z0-9.^=-]+$/i.test(topic),
+      publish: (topic, message) => this.wsServer?.publish(topic, message),
+    });
+    this.auth = new WebSocketAuth();
   }
 
   generateHTML() {
@@ -1504,8 +1647,11 @@ class UnifiedDashboard {
       })
       .catch(e => console.error('Initial fetch failed:', e));
 
-    // Then connect WebSocket for real-time updates
-    const ws = new WebSocket('ws://localhost:${CONFIG.wsPort}');
+    // Then connect WebSocket for real-time updates (the session cookie is
+    // sent automatically; ?access_token= on this page is passed along)
+    const token = new URLSearchParams(location.search).get('access_token');
+    const ws = new WebSocket('ws://localhost:${CONFIG.wsPort}/' +
+      (token ? '?access_token=' + encodeURIComponent(token) : ''));
     ws.onmessage = (e) => {
       const data = JSON.parse(e.data);
       document.getElementById('metrics').innerHTML = renderMetrics(data);
@@ -1685,6 +1831,7 @@ class UnifiedDashboard {
             <div class="endpoint"><code>GET /api/financial</code> Tickers</div>
             <div class="endpoint"><code>GET /api/tension</code> Tension/Hurst</div>
             <div class="endpoint"><code>GET /api/profile</code> Profiling</div>
+            <div class="endpoint"><code>GET /api/flags/evaluate</code> Feature flags</div>
             <div class="endpoint"><code>WS :${CONFIG.wsPort}</code> Real-time</div>
           </div>
         </div>
@@ -1695,6 +1842,39 @@ class UnifiedDashboard {
 </html>`;
   }
 
+  /**
+   * Publish per-topic deltas (tickers:<SYMBOL>, tension, health, network,
+   * alerts). History arrays are left out; use /api/history instead.
+   */
+  publishTopics(metrics) {
+    const withoutHistory = ({ history, ...rest } = {}) => rest;
+    for (const [symbol, ticker] of Object.entries(metrics.financial || {})) {
+      this.topics.update(`tickers:${symbol}`, ticker);
+    }
+    this.topics.update("tension", {
+      tension: withoutHistory(metrics.tension),
+      hurst: withoutHistory(metrics.hurst),
+    });
+    this.topics.update("health", metrics.health);
+    this.topics.update("network", metrics.network);
+    if (this.alerts) {
+      const { firing, pending, resolved, silences } = this.alerts.describe();
+      this.topics.update("alerts", { firing, pending, resolved, silences });
+    }
+  }
+
+  /**
+   * Bun.serve load and pub/sub topic counts
+   */
+  serverStats() {
+    return {
+      pendingRequests: this.httpServer?.pendingRequests || 0,
+      pendingWebSockets: this.httpServer?.pendingWebSockets || 0,
+      topicCount: this.topics.counts.size,
+      totalSubscribers: this.topics.describe().totalSubscribers,
+    };
+  }
+
   async collectAllMetrics() {
     // Collect all metrics in parallel
     const [memory, cpu, system, interfaces, dns, tickers, health] =
@@ -1713,7 +1893,14 @@ class UnifiedDashboard {
     // Where α=0.8 (qsimd-network@1.5.0) and β=0.6 (qsimd-particles@1.5.0)
     this.tension.update(); // Uses financial data to calculate market shock and liquidity
 
-    return {
+    this.recorder?.record({
+      timestamp: this.tension.lastUpdateTime,
+      tickers,
+      tension: this.store.metrics.tension,
+      hurst: this.store.metrics.hurst,
+    });
+
+    const metrics = {
       buffer: this.store.metrics.buffer,
       spawn: this.store.metrics.spawn,
       promise: this.store.metrics.promise,
@@ -1722,15 +1909,7 @@ class UnifiedDashboard {
       cpu: this.store.metrics.cpu,
       system,
       uptime: this.store.getUptime(),
-      server: {
-        pendingRequests: this.httpServer?.pendingRequests || 0,
-        pendingWebSockets: this.httpServer?.pendingWebSockets || 0,
-        topicCount: this.topics.size,
-        totalSubscribers: Array.from(this.topics.values()).reduce(
-          (a, b) => a + b,
-          0,
-        ),
-      },
+      server: this.serverStats(),
       network: {
         interfaces,
         dns,
@@ -1740,6 +1919,15 @@ class UnifiedDashboard {
       hurst: this.store.metrics.hurst,
       health,
     };
+
+    // Sinks (webhooks) must not hold up the metrics broadcast
+    this.alerts
+      ?.evaluate(alertContext(metrics))
+      .catch((error) =>
+        console.error(`❌ Alert evaluation failed: ${error.message}`),
+      );
+
+    return metrics;
   }
 
   async start() {
@@ -1758,6 +1946,38 @@ class UnifiedDashboard {
       console.log("  ✓ Bun version OK - SIMD optimizations enabled");
     }
 
+    // Start market data provider
+    await this.financial.provider.start();
+    console.log(`  Market Data: ${this.financial.provider.name}`);
+
+    if (this.pipelines) {
+      this.pipelines.watch();
+      console.log(`  Signal Pipelines: ${this.pipelines.path}`);
+    }
+
+    if (this.alerts) {
+      this.alerts.watch();
+      console.log(
+        `  Alert Rules: ${this.alerts.path} (${this.alerts.rules.length} rules)`,
+      );
+    }
+
+    this.flags.watch();
+    console.log(
+      `  Feature Flags: ${this.flags.source} (${Object.keys(this.flags.features).length} flags)`,
+    );
+    if (this.flags.killSwitches) {
+      const killed = Object.keys(this.flags.killSwitches.list());
+      console.log(
+        `  Kill Switches: ${this.flags.killSwitches.path} (${killed.length} active)`,
+      );
+    }
+
+    if (this.recorder) {
+      this.recorder.start(this.financial, this.tension);
+      console.log(`  Recording ticks to: ${this.recorder.file}`);
+    }
+
     // Run initial benchmarks
     console.log("Running initial benchmarks...");
     await this.performance.runAllBenchmarks();
@@ -1787,6 +2007,18 @@ class UnifiedDashboard {
         if (url.pathname === "/api/metrics") {
           return Response.json(await this.collectAllMetrics());
         }
+        if (url.pathname === "/metrics") {
+          // OpenMetrics scrape: reads the store, never steps the engines
+          return new Response(
+            renderOpenMetrics({
+              metrics: this.store.metrics,
+              uptime: this.store.getUptime(),
+              server: this.serverStats(),
+              alerts: this.alerts?.describe(),
+            }),
+            { headers: { "Content-Type": OPENMETRICS_CONTENT_TYPE } },
+          );
+        }
         if (url.pathname === "/api/health") {
           return Response.json(await this.health.runChecks());
         }
@@ -1808,7 +2040,138 @@ class UnifiedDashboard {
           });
         }
         if (url.pathname === "/api/financial") {
-          return Response.json(this.financial.collectTickers());
+          // Serve the last tick instead of stepping the engines off-cycle:
+          // reads must not advance prices, candles or recordings
+          return Response.json(
+            Object.fromEntries(this.store.metrics.financial.tickers),
+          );
+        }
+        if (url.pathname.startsWith("/api/candles/")) {
+          const symbol = decodeURIComponent(
+            url.pathname.slice("/api/candles/".length),
+          ).toUpperCase();
+          const interval = url.searchParams.get("interval") || "1m";
+          const limit = Number(url.searchParams.get("limit") || "100");
+          if (!Number.isInteger(limit) || limit < 1) {
+            return Response.json(
+              { error: "Invalid limit (expected a positive integer)" },
+              { status: 400 },
+            );
+          }
+          try {
+            return Response.json({
+              symbol,
+              interval,
+              vwap: this.financial.candles.getVWAP(symbol),
+              bars: this.financial.candles.getBars(symbol, interval, limit),
+            });
+          } catch (error) {
+            return Response.json({ error: error.message }, { status: 400 });
+          }
+        }
+        if (url.pathname === "/api/signals/pipelines") {
+          return Response.json(
+            this.pipelines?.describe() || {
+              default: "default",
+              pipelines: {
+                default: this.financial.signalEngine.defaultPipeline,
+              },
+            },
+          );
+        }
+        if (url.pathname === "/api/financial/provider") {
+          return Response.json(this.financial.provider.describe());
+        }
+        if (url.pathname === "/api/history") {
+          if (!this.history) {
+            return Response.json(
+              { error: "Persistent history disabled (DASHBOARD_HISTORY_DB=off)" },
+              { status: 503 },
+            );
+          }
+          const category = url.searchParams.get("category");
+          if (!category || !this.store.metrics[category]?.history) {
+            return Response.json(
+              {
+                error: "Unknown or missing category",
+                categories: Object.keys(this.store.metrics).filter(
+                  (name) => this.store.metrics[name].history,
+                ),
+              },
+              { status: 400 },
+            );
+          }
+          const parseTime = (value) =>
+            value === null
+              ? undefined
+              : /^\d+$/.test(value)
+                ? parseInt(value)
+                : Date.parse(value);
+          const from = parseTime(url.searchParams.get("from"));
+          const to = parseTime(url.searchParams.get("to"));
+          if (Number.isNaN(from) || Number.isNaN(to)) {
+            return Response.json(
+              {
+                error: `Invalid ${Number.isNaN(from) ? "from" : "to"} time (expected epoch ms or a date string)`,
+              },
+              { status: 400 },
+            );
+          }
+          try {
+            return Response.json(
+              this.history.query(category, {
+                from,
+                to,
+                step: url.searchParams.get("step"),
+              }),
+            );
+          } catch (error) {
+            return Response.json({ error: error.message }, { status: 400 });
+          }
+        }
+        if (url.pathname === "/api/alerts") {
+          if (!this.alerts) {
+            return Response.json(
+              { error: "Alerting disabled (DASHBOARD_ALERT_RULES=off)" },
+              { status: 503 },
+            );
+          }
+          return Response.json(this.alerts.describe());
+        }
+        if (url.pathname.startsWith("/api/alerts/silences")) {
+          if (!this.alerts) {
+            return Response.json(
+              { error: "Alerting disabled (DASHBOARD_ALERT_RULES=off)" },
+              { status: 503 },
+            );
+          }
+          const id = url.pathname.slice("/api/alerts/silences/".length);
+          if (req.method === "POST" && !id) {
+            try {
+              return Response.json(this.alerts.silence(await req.json()), {
+                status: 201,
+              });
+            } catch (error) {
+              return Response.json({ error: error.message }, { status: 400 });
+            }
+          }
+          if (req.method === "DELETE" && id) {
+            return this.alerts.unsilence(id)
+              ? Response.json({ deleted: id })
+              : Response.json({ error: "Unknown silence" }, { status: 404 });
+          }
+          return Response.json(this.alerts.describe().silences);
+        }
+        if (
+          url.pathname === "/api/flags" ||
+          url.pathname.startsWith("/api/flags/")
+        ) {
+          // Evaluations are public; definitions and audit need an admin
+          const identity = await this.auth.authenticate(req, server);
+          return this.flags.handle(req, url, identity);
+        }
+        if (url.pathname === "/api/recording") {
+          return Response.json(this.recorder?.describe() || { recording: false });
         }
         if (url.pathname === "/api/tension") {
           return Response.json({
@@ -1835,30 +2198,36 @@ class UnifiedDashboard {
     console.log(`  HTTP Server: https://api.example.com:${CONFIG.httpPort}`);
 
     // Start WebSocket server
+    // ws://host:port/?topics=tension,tickers:AAPL skips the full "metrics" feed
+    // Upgrades need a session cookie or bearer token (see ws-auth.js)
     this.wsServer = Bun.serve({
       port: CONFIG.wsPort,
-      fetch(req, server) {
-        if (server.upgrade(req)) return;
+      fetch: async (req, server) => {
+        const identity = await this.auth.authenticate(req, server);
+        if (!identity) return this.auth.unauthorized();
+        const topics = new URL(req.url).searchParams.get("topics");
+        const initialTopics = topics ? topics.split(",") : ["metrics"];
+        if (server.upgrade(req, { data: { initialTopics, identity } })) return;
         return new Response("WebSocket upgrade required", { status: 426 });
       },
       websocket: {
         open: (ws) => {
           this.wsClients.add(ws);
-          ws.subscribe("metrics");
+          for (const topic of ws.data.initialTopics) {
+            this.topics.subscribe(ws, topic);
+          }
         },
         close: (ws) => {
           this.wsClients.delete(ws);
+          this.topics.release(ws);
         },
         message: (ws, message) => {
-          // Handle subscriptions
-          const data = JSON.parse(message);
-          if (data.subscribe) {
-            ws.subscribe(data.subscribe);
-            this.topics.set(
-              data.subscribe,
-              (this.topics.get(data.subscribe) || 0) + 1,
-            );
+          // { subscribe } / { unsubscribe } control messages
+          if (!this.auth.permits(ws.data.identity.role, "subscribe")) {
+            ws.send(JSON.stringify({ type: "error", error: "Forbidden" }));
+            return;
           }
+          this.topics.handleMessage(ws, message);
         },
       },
     });
@@ -1868,7 +2237,10 @@ class UnifiedDashboard {
     // Start metrics broadcast loop
     setInterval(async () => {
       const metrics = await this.collectAllMetrics();
-      this.wsServer.publish("metrics", JSON.stringify(metrics));
+      if (this.topics.counts.has("metrics")) {
+        this.wsServer.publish("metrics", JSON.stringify(metrics));
+      }
+      this.publishTopics(metrics);
     }, CONFIG.refreshInterval);
 
     // Run periodic benchmarks
@@ -1876,6 +2248,12 @@ class UnifiedDashboard {
       await this.performance.runAllBenchmarks();
     }, 10000);
 
+    // Roll up raw history into 1m/1h buckets and apply retention
+    if (this.history) {
+      setInterval(() => this.history.compact(), CONFIG.historyCompactInterval);
+      console.log(`  History DB: ${CONFIG.historyDb}`);
+    }
+
     console.log("═".repeat(60));
     console.log(`\nDashboard ready at https://api.example.com:${CONFIG.httpPort}`);
     console.log("Press Ctrl+C to stop\n");
@@ -1884,13 +2262,88 @@ class UnifiedDashboard {
   }
 }
 
+// ============================================================================
+// REPLAY
+// ============================================================================
+
+/**
+ * Build fresh engines and load a recording into a SessionReplayer
+ *
+ * @param {string} file - Recording written with DASHBOARD_RECORD_FILE
+ * @param {Object} options - { speed, tolerance, pipelines }
+ * @returns {Promise<SessionReplayer>}
+ */
+async function createReplaySession(file, options = {}) {
+  const store = new MetricsStore();
+  const tension = new TensionEngine(store);
+  const financial = new FinancialEngine(store, tension, {
+    pipelines: options.pipelines,
+  });
+  const replayer = new SessionReplayer({ financial, tension, store }, options);
+  return replayer.load(file);
+}
+
+function printReplayFrame(frame) {
+  const signals = Object.entries(frame.tickers)
+    .map(([symbol, t]) => `${symbol}:${t.signal}`)
+    .join(" ");
+  const flag = frame.diverged.length ? ` ✗ ${frame.diverged.join(",")}` : "";
+  console.log(
+    `#${String(frame.seq).padStart(5)} ${new Date(frame.timestamp).toISOString()} ` +
+      `T=${frame.tension.current.toFixed(4)} (${frame.tension.status}) ` +
+      `H=${frame.hurst.exponent.toFixed(4)} ${signals}${flag}`,
+  );
+}
+
+async function runReplay(args) {
+  const file = args[1];
+  if (!file) {
+    console.error(
+      "Usage: bun run src/unified-dashboard.js replay <file> [--speed N] [--step]",
+    );
+    process.exit(1);
+  }
+  const speedIndex = args.indexOf("--speed");
+  const speed = speedIndex !== -1 ? parseFloat(args[speedIndex + 1]) : 1;
+  const replayer = await createReplaySession(file, {
+    speed,
+    pipelines: loadSignalPipelines(),
+  });
+
+  console.log(`Replaying ${replayer.total} ticks from ${file}`);
+  if (args.includes("--step")) {
+    console.log("Press Enter to step, q + Enter to quit");
+    printReplayFrame(replayer.step());
+    for await (const line of console) {
+      if (line.trim() === "q" || replayer.done) break;
+      printReplayFrame(replayer.step());
+    }
+  } else {
+    await replayer.play(printReplayFrame);
+  }
+
+  const summary = replayer.summary();
+  console.log(
+    `\nReplayed ${summary.replayed}/${summary.ticks} ticks - ` +
+      (summary.deterministic
+        ? "matches recording"
+        : `${summary.divergences.length} divergent ticks`),
+  );
+  process.exit(summary.deterministic ? 0 : 2);
+}
+
 // ============================================================================
 // CLI
 // ============================================================================
 
 if (import.meta.main) {
-  const dashboard = new UnifiedDashboard();
-  await dashboard.start();
+  const args = Bun.argv.slice(2);
+  if (args[0] === "replay") {
+    await runReplay(args);
+  } else {
+    const dashboard = new UnifiedDashboard();
+    await dashboard.start();
+  }
 }
 
 export {
@@ -1901,7 +2354,11 @@ export {
   NetworkEngine,
   FinancialEngine,
   SignalEngine,
+  DEFAULT_FUSION_WEIGHTS,
+  DEFAULT_SIGNAL_THRESHOLDS,
+  SIGNAL_INDICATORS,
   TensionEngine,
   HealthEngine,
+  createReplaySession,
   debugInspect,
 };
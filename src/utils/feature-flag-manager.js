@@ -2,43 +2,30 @@
 
 /**
  * Feature Flag Management System
- * Controls feature rollouts and experimental features for Quantum System
+ * Controls feature rollouts and experimental features for Quantum System.
+ * Flags come from src/config/features.yaml and are evaluated by the shared
+ * FeatureFlagService (src/feature-flag-service.js).
  */
 
+import { YAML } from "bun";
+import { readFileSync } from "fs";
+import {
+  DEFAULT_FEATURES_PATH,
+  getFeatureFlagService,
+} from "../feature-flag-service.js";
+import {
+  dependencyGraph,
+  dependencyMermaid,
+  validateDependencies,
+} from "../feature-flag-graph.js";
+import { FlagKillSwitches } from "../feature-flag-kill-switches.js";
+
 class FeatureFlagManager {
-  constructor(config = {}) {
-    this.config = {
-      features: {
-        newDashboard: {
-          enabled: true,
-          rolloutPercentage: 50,
-          allowedUsers: ["admin@example.com", "beta@example.com"],
-          description: "Next-generation dashboard interface",
-          version: "2.0.0",
-          dependencies: ["modernUI", "enhancedCharts"],
-          rolloutStrategy: "gradual",
-        },
-        experimentalAPI: {
-          enabled: false,
-          endpoints: ["/api/v2/experimental", "/api/v2/beta"],
-          description: "Experimental API endpoints for testing",
-          version: "0.1.0",
-          dependencies: ["apiGateway"],
-          rolloutStrategy: "opt-in",
-          requiresAuth: true,
-        },
-        darkMode: {
-          enabled: true,
-          default: "auto", // auto, light, dark
-          description: "Dark mode theme support",
-          version: "1.0.0",
-          dependencies: ["themeEngine"],
-          rolloutStrategy: "universal",
-          userPreference: true,
-        },
-      },
-      ...config,
-    };
+  /**
+   * @param {Object} options - { service: FeatureFlagService to delegate to }
+   */
+  constructor(options = {}) {
+    this.ownService = options.service || null;
 
     this.userContext = null;
     this.metrics = {
@@ -48,6 +35,21 @@ class FeatureFlagManager {
     };
   }
 
+  /**
+   * The service flags are evaluated by: the one passed in, else the shared
+   * one, created on first use rather than when this manager is built
+   */
+  get service() {
+    return this.ownService || getFeatureFlagService();
+  }
+
+  /**
+   * Flag definitions, by name
+   */
+  get config() {
+    return { features: this.service.features };
+  }
+
   /**
    * Set user context for personalized feature flags
    */
@@ -67,98 +69,26 @@ class FeatureFlagManager {
   isFeatureEnabled(featureName, context = {}) {
     this.metrics.featureChecks++;
 
-    const feature = this.config.features[featureName];
-    if (!feature) {
+    const evaluation = this.service.evaluate(featureName, {
+      ...this.userContext,
+      ...context,
+    });
+    if (evaluation.reason === "unknown") {
       console.warn(`Feature '${featureName}' not found`);
       return false;
     }
 
-    // Check if feature is globally enabled
-    if (!feature.enabled) {
-      return false;
-    }
-
-    // Check rollout percentage
-    if (!this.isInRollout(feature)) {
-      return false;
-    }
-
-    // Check user-specific allowlist
-    if (!this.isUserAllowed(feature)) {
-      return false;
-    }
-
-    // Check dependencies
-    if (!this.areDependenciesMet(feature)) {
+    if (!evaluation.enabled) {
       return false;
     }
 
     this.metrics.enabledFeatures++;
-    return true;
-  }
-
-  /**
-   * Check if current user is in rollout percentage
-   */
-  isInRollout(feature) {
-    if (!feature.rolloutPercentage || feature.rolloutPercentage >= 100) {
-      return true;
-    }
-
-    if (feature.rolloutPercentage <= 0) {
-      return false;
-    }
-
-    // Use user ID for consistent rollout
-    const userId = this.userContext?.id || "anonymous";
-    const hash = this.hashString(userId);
-    const percentage = (hash % 100) + 1;
-
-    const inRollout = percentage <= feature.rolloutPercentage;
-    if (inRollout) {
+    // Count users let in by a percentage rollout or ramp (a bucket that
+    // passed, on a flag no later rule or dependency switched off)
+    if (evaluation.bucket !== undefined) {
       this.metrics.rolloutHits++;
     }
-
-    return inRollout;
-  }
-
-  /**
-   * Check if user is in allowed users list
-   */
-  isUserAllowed(feature) {
-    if (!feature.allowedUsers || feature.allowedUsers.length === 0) {
-      return true;
-    }
-
-    if (!this.userContext) {
-      return false;
-    }
-
-    return feature.allowedUsers.includes(this.userContext.email);
-  }
-
-  /**
-   * Check if feature dependencies are met
-   */
-  areDependenciesMet(feature) {
-    if (!feature.dependencies || feature.dependencies.length === 0) {
-      return true;
-    }
-
-    return feature.dependencies.every((dep) => this.isFeatureEnabled(dep));
-  }
-
-  /**
-   * Simple hash function for consistent rollouts
-   */
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash; // Convert to 32-bit integer
-    }
-    return Math.abs(hash);
+    return true;
   }
 
   /**
@@ -235,39 +165,30 @@ class FeatureFlagManager {
   }
 
   /**
-   * Update feature configuration
+   * Update feature configuration (until features.yaml is reloaded).
+   * The change is audited with change.actor and change.reason.
    */
-  updateFeature(featureName, updates) {
-    if (!this.config.features[featureName]) {
-      throw new Error(`Feature '${featureName}' not found`);
-    }
-
-    this.config.features[featureName] = {
-      ...this.config.features[featureName],
-      ...updates,
-    };
-
+  updateFeature(featureName, updates, change = {}) {
+    this.service.update(featureName, updates, change);
     console.log(`✅ Feature '${featureName}' updated`);
   }
 
   /**
-   * Add new feature
+   * Add new feature (until features.yaml is reloaded).
+   * The change is audited with change.actor and change.reason.
    */
-  addFeature(name, config) {
-    if (this.config.features[name]) {
-      throw new Error(`Feature '${name}' already exists`);
-    }
-
-    this.config.features[name] = {
+  addFeature(name, config, change = {}) {
+    const defaults = {
       enabled: false,
       rolloutPercentage: 0,
       description: "",
       version: "1.0.0",
       dependencies: [],
       rolloutStrategy: "gradual",
-      ...config,
     };
-
+    // A ramp sets the percentage itself
+    if (config.schedule?.ramp) delete defaults.rolloutPercentage;
+    this.service.define(name, { ...defaults, ...config }, change);
     console.log(`✅ Feature '${name}' added`);
   }
 
@@ -323,14 +244,18 @@ class FeatureFlagManager {
 
     console.log(`\n🔧 All Features:`);
     Object.entries(this.config.features).forEach(([name, feature]) => {
-      const status = feature.enabled ? "✅" : "❌";
-      const rollout = feature.rolloutPercentage
-        ? `${feature.rolloutPercentage}%`
-        : "N/A";
+      const state = this.service.rolloutState(name);
+      const status = state.killSwitch ? "🛑" : feature.enabled ? "✅" : "❌";
       console.log(
-        `   ${status} ${name} (v${feature.version}) - Rollout: ${rollout}`,
+        `   ${status} ${name} (v${feature.version}) - Rollout: ${describeRollout(feature, state)}`,
       );
       console.log(`      ${feature.description}`);
+      if (state.killSwitch) {
+        const { actor, reason, at } = state.killSwitch;
+        console.log(
+          `      Killed by ${actor} at ${new Date(at).toISOString()}: ${reason ?? "no reason given"}`,
+        );
+      }
     });
 
     return metrics;
@@ -378,72 +303,6 @@ class FeatureFlagManager {
 
 // Quantum-specific feature flag manager
 class QuantumFeatureManager extends FeatureFlagManager {
-  constructor() {
-    super({
-      features: {
-        // Existing features from config
-        newDashboard: {
-          enabled: true,
-          rolloutPercentage: 50,
-          allowedUsers: ["admin@example.com", "beta@example.com"],
-          description: "Next-generation dashboard interface",
-          version: "2.0.0",
-          dependencies: ["modernUI", "enhancedCharts"],
-          rolloutStrategy: "gradual",
-        },
-        experimentalAPI: {
-          enabled: false,
-          endpoints: ["/api/v2/experimental", "/api/v2/beta"],
-          description: "Experimental API endpoints for testing",
-          version: "0.1.0",
-          dependencies: ["apiGateway"],
-          rolloutStrategy: "opt-in",
-          requiresAuth: true,
-        },
-        darkMode: {
-          enabled: true,
-          default: "auto",
-          description: "Dark mode theme support",
-          version: "1.0.0",
-          dependencies: ["themeEngine"],
-          rolloutStrategy: "universal",
-          userPreference: true,
-        },
-
-        // Quantum-specific features
-        quantumTerminal: {
-          enabled: true,
-          rolloutPercentage: 100,
-          description: "Quantum terminal interface",
-          version: "1.5.0",
-          dependencies: ["ptyManager", "webSocketServer"],
-        },
-        simdOptimization: {
-          enabled: true,
-          rolloutPercentage: 75,
-          description: "SIMD-optimized performance",
-          version: "1.0.0",
-          dependencies: ["bunRuntime"],
-        },
-        realTimeMonitoring: {
-          enabled: true,
-          rolloutPercentage: 25,
-          allowedUsers: ["admin@example.com"],
-          description: "Real-time system monitoring",
-          version: "2.0.0",
-          dependencies: ["websocketServer", "metricsEngine"],
-        },
-        predictiveAnalytics: {
-          enabled: false,
-          rolloutPercentage: 0,
-          description: "AI-powered predictive analytics",
-          version: "0.1.0",
-          dependencies: ["mlEngine", "dataPipeline"],
-        },
-      },
-    });
-  }
-
   /**
    * Get quantum-specific features
    */
@@ -474,11 +333,74 @@ class QuantumFeatureManager extends FeatureFlagManager {
   }
 }
 
+/**
+ * Rollout column of the flag report, e.g. "37.5% (ramping 5% → 100% until
+ * 2026-10-20T19:30:00.000Z)"
+ */
+function describeRollout(feature, state) {
+  const percentage = `${+state.percentage.toFixed(1)}%`;
+  const time = (ts) => new Date(ts).toISOString();
+  switch (state.phase) {
+    case "static":
+      return feature.rolloutPercentage ? percentage : "N/A";
+    case "pending":
+      return `${percentage} (starts ${time(state.start)})`;
+    case "ramping": {
+      const { from = 0, to = 100 } = feature.schedule.ramp;
+      return `${percentage} (ramping ${from}% → ${to}% until ${time(state.rampEnd)})`;
+    }
+    case "ended":
+      return `${percentage} (ended ${time(state.end)})`;
+    default:
+      return state.end === null
+        ? percentage
+        : `${percentage} (until ${time(state.end)})`;
+  }
+}
+
+/**
+ * Print a features file's dependency graph as Mermaid and its problems to
+ * stderr. Reads the file directly, so it also works on files the service
+ * would reject. Returns the exit code.
+ */
+function printDependencyGraph(
+  path = process.env.FEATURE_FLAGS_FILE || DEFAULT_FEATURES_PATH,
+) {
+  const { features = {}, components = [] } =
+    YAML.parse(readFileSync(path, "utf8")) ?? {};
+  process.stdout.write(
+    dependencyMermaid(dependencyGraph(features, components)),
+  );
+
+  const problems = validateDependencies(features, components);
+  for (const problem of problems) console.error(`❌ ${problem}`);
+  return problems.length > 0 ? 1 : 0;
+}
+
 // CLI interface
 async function main() {
   const args = Bun.argv.slice(2);
   const command = args[0] || "help";
 
+  // Before the service loads the file, which throws if the graph is invalid
+  if (command === "graph") process.exit(printDependencyGraph(args[1]));
+
+  // Kill switches only touch their file; watching servers apply them
+  if (command === "kill" || command === "revive") {
+    const [flag, reason = null] = args.slice(1);
+    if (!flag) {
+      console.error("❌ Please provide a feature name");
+      process.exit(1);
+    }
+    const killSwitches = new FlagKillSwitches();
+    const actor = process.env.USER || process.env.LOGNAME || "unknown";
+    killSwitches[command](flag, { actor, reason });
+    console.log(
+      `${command === "kill" ? "🛑" : "✅"} ${flag} ${command === "kill" ? "killed" : "revived"} in ${killSwitches.path}`,
+    );
+    return;
+  }
+
   const manager = new QuantumFeatureManager();
 
   switch (command) {
@@ -555,6 +477,15 @@ async function main() {
       console.log(
         `  bun run feature-flag-manager.js export              Export client configuration`,
       );
+      console.log(
+        `  bun run feature-flag-manager.js graph [file]        Dependency graph as Mermaid`,
+      );
+      console.log(
+        `  bun run feature-flag-manager.js kill <feature> [reason]  Turn a feature off everywhere`,
+      );
+      console.log(
+        `  bun run feature-flag-manager.js revive <feature>    Lift a kill switch`,
+      );
       console.log(`\nFeatures:`);
       console.log(`  newDashboard, experimentalAPI, darkMode`);
       console.log(`  quantumTerminal, simdOptimization, realTimeMonitoring`);
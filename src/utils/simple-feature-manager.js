@@ -2,30 +2,25 @@
 
 /**
  * Simple Feature Flag Management System
- * Based on your provided configuration
+ * Based on your provided configuration: flags come from
+ * src/config/features.yaml via the shared FeatureFlagService
  */
 
-class SimpleFeatureManager {
-  constructor() {
-    this.features = {
-      newDashboard: {
-        enabled: true,
-        rolloutPercentage: 50,
-        allowedUsers: ["admin@example.com", "beta@example.com"],
-      },
-      experimentalAPI: {
-        enabled: false,
-        endpoints: ["/api/v2/experimental", "/api/v2/beta"],
-      },
-      darkMode: {
-        enabled: true,
-        default: "auto", // auto, light, dark
-      },
-    };
+import { getFeatureFlagService } from "../feature-flag-service.js";
 
+class SimpleFeatureManager {
+  constructor(service = getFeatureFlagService()) {
+    this.service = service;
     this.userContext = null;
   }
 
+  /**
+   * Flag definitions, by name
+   */
+  get features() {
+    return this.service.features;
+  }
+
   /**
    * Set user context
    */
@@ -42,61 +37,7 @@ class SimpleFeatureManager {
    * Check if feature is enabled
    */
   isFeatureEnabled(featureName) {
-    const feature = this.features[featureName];
-    if (!feature) {
-      return false;
-    }
-
-    // Check global enabled flag
-    if (!feature.enabled) {
-      return false;
-    }
-
-    // Check user allowlist
-    if (feature.allowedUsers && feature.allowedUsers.length > 0) {
-      if (
-        !this.userContext ||
-        !feature.allowedUsers.includes(this.userContext.email)
-      ) {
-        return false;
-      }
-    }
-
-    // Check rollout percentage
-    if (feature.rolloutPercentage !== undefined) {
-      if (!this.isInRollout(feature.rolloutPercentage)) {
-        return false;
-      }
-    }
-
-    return true;
-  }
-
-  /**
-   * Check if user is in rollout percentage
-   */
-  isInRollout(percentage) {
-    if (percentage >= 100) return true;
-    if (percentage <= 0) return false;
-
-    const userId = this.userContext?.id || "anonymous";
-    const hash = this.hashString(userId);
-    const userPercentage = (hash % 100) + 1;
-
-    return userPercentage <= percentage;
-  }
-
-  /**
-   * Simple hash function
-   */
-  hashString(str) {
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = (hash << 5) - hash + char;
-      hash = hash & hash;
-    }
-    return Math.abs(hash);
+    return this.service.isEnabled(featureName, this.userContext || {});
   }
 
   /**
@@ -195,67 +136,71 @@ class SimpleFeatureManager {
   }
 }
 
-// Test the feature manager
-const manager = new SimpleFeatureManager();
-
-console.log("🧪 Testing Feature Flags\n");
-
-// Test with admin user
-console.log("🔹 Testing with admin@example.com:");
-manager.setUserContext({
-  id: "admin-123",
-  email: "admin@example.com",
-  role: "admin",
-});
-
-console.log(
-  `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
-);
-console.log(`darkMode: ${manager.getFeatureValue("darkMode")}`);
-console.log(
-  `experimentalAPI: ${manager.isFeatureEnabled("experimentalAPI") ? "✅ ENABLED" : "❌ DISABLED"}`,
-);
-
-// Test with beta user
-console.log("\n🔹 Testing with beta@example.com:");
-manager.setUserContext({
-  id: "beta-456",
-  email: "beta@example.com",
-  role: "beta",
-});
-
-console.log(
-  `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
-);
-console.log(`darkMode: ${manager.getFeatureValue("darkMode")}`);
-
-// Test with regular user (50% rollout)
-console.log("\n🔹 Testing with regular user (50% rollout chance):");
-manager.setUserContext({
-  id: "user-789",
-  email: "user@example.com",
-  role: "user",
-});
-
-console.log(
-  `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
-);
-
-// Test dark mode
-console.log("\n🔹 Testing dark mode with preferences:");
-manager.setUserContext({
-  id: "user-789",
-  email: "user@example.com",
-  role: "user",
-  preferences: {
-    darkMode: "dark",
-  },
-});
-
-console.log(
-  `darkMode (user preference): ${manager.getFeatureValue("darkMode")}`,
-);
-
-// Generate full report
-console.log("\n🔹 Full Report:");
-manager.generateReport();
+export { SimpleFeatureManager };
+
+// Test the feature manager when run directly
+if (import.meta.main) {
+  const manager = new SimpleFeatureManager();
+
+  console.log("🧪 Testing Feature Flags\n");
+
+  // Test with admin user
+  console.log("🔹 Testing with admin@example.com:");
+  manager.setUserContext({
+    id: "admin-123",
+    email: "admin@example.com",
+    role: "admin",
+  });
+
+  console.log(
+    `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
+  );
+  console.log(`darkMode: ${manager.getFeatureValue("darkMode")}`);
+  console.log(
+    `experimentalAPI: ${manager.isFeatureEnabled("experimentalAPI") ? "✅ ENABLED" : "❌ DISABLED"}`,
+  );
+
+  // Test with beta user
+  console.log("\n🔹 Testing with beta@example.com:");
+  manager.setUserContext({
+    id: "beta-456",
+    email: "beta@example.com",
+    role: "beta",
+  });
+
+  console.log(
+    `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
+  );
+  console.log(`darkMode: ${manager.getFeatureValue("darkMode")}`);
+
+  // Test with regular user (50% rollout)
+  console.log("\n🔹 Testing with regular user (50% rollout chance):");
+  manager.setUserContext({
+    id: "user-789",
+    email: "user@example.com",
+    role: "user",
+  });
+
+  console.log(
+    `newDashboard: ${manager.isFeatureEnabled("newDashboard") ? "✅ ENABLED" : "❌ DISABLED"}`,
+  );
+
+  // Test dark mode
+  console.log("\n🔹 Testing dark mode with preferences:");
+  manager.setUserContext({
+    id: "user-789",
+    email: "user@example.com",
+    role: "user",
+    preferences: {
+      darkMode: "dark",
+    },
+  });
+
+  console.log(
+    `darkMode (user preference): ${manager.getFeatureValue("darkMode")}`,
+  );
+
+  // Generate full report
+  console.log("\n🔹 Full Report:");
+  manager.generateReport();
+}
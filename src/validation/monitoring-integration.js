@@ -6,6 +6,7 @@
 import { BunVersionValidator } from "./version-validation.js";
 import { TensionDecayEngine } from "./tension-decay-engine.js";
 import { BundleValidator } from "./bundle-validator.js";
+import { AlertEngine, WebhookSink } from "../alert-engine.js";
 
 export class MonitoringIntegration {
   constructor(monitoringSystem) {
@@ -16,6 +17,14 @@ export class MonitoringIntegration {
     };
     this.metrics = new Map();
     this.alerts = [];
+    // Alert checks are rules over their results; the endpoint hears each
+    // alert once when it fires and once when it resolves
+    const endpoint = monitoringSystem.alerts?.endpoint;
+    this.alertEngine = new AlertEngine(null, {
+      sinks: endpoint
+        ? [new WebhookSink({ url: endpoint, source: "quantum-validation" })]
+        : [],
+    });
     this.integrationActive = false;
   }
 
@@ -172,6 +181,15 @@ export class MonitoringIntegration {
         return missing.length > 0;
       },
     });
+
+    this.alertEngine.apply({
+      rules: this.alerts.map((alert) => ({
+        name: alert.name,
+        expr: alert.name,
+        severity: alert.severity,
+        summary: alert.message,
+      })),
+    });
   }
 
   async connectToMonitoringEndpoints() {
@@ -293,51 +311,13 @@ export class MonitoringIntegration {
       }
     }
 
-    // Send alerts to monitoring system
-    if (activeAlerts.length > 0 && this.monitoring.alerts) {
-      await this.sendAlerts(activeAlerts);
-    }
+    await this.alertEngine.evaluate(
+      Object.fromEntries(activeAlerts.map((alert) => [alert.name, true])),
+    );
 
     return activeAlerts;
   }
 
-  async sendAlerts(alerts) {
-    if (!this.monitoring.alerts?.endpoint) {
-      console.warn("⚠️ No alerts endpoint configured");
-      return;
-    }
-
-    const alertData = {
-      source: "quantum-validation",
-      timestamp: Date.now(),
-      alerts: alerts.map((alert) => ({
-        name: alert.name,
-        severity: alert.severity,
-        message: alert.message,
-        triggered_at: alert.triggered_at,
-        status: alert.status,
-      })),
-    };
-
-    try {
-      const response = await fetch(this.monitoring.alerts.endpoint, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify(alertData),
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      }
-
-      console.log(`🚨 Sent ${alerts.length} alerts to monitoring system`);
-    } catch (error) {
-      console.error(`❌ Failed to send alerts: ${error.message}`);
-    }
-  }
-
   generateMetricsSummary(metrics) {
     const summary = {
       total_metrics: Object.keys(metrics).length,
@@ -0,0 +1,275 @@
+/**
+ * ws-auth.js - Authentication and role checks for WebSocket upgrades
+ *
+ * An upgrade is accepted with either
+ *   - the encrypted state-vault session cookie (src/state-vault.js, key
+ *     "session": { user, role, expiresAt }), or
+ *   - a bearer token signed with QUANTUM_SECRET, sent as
+ *     `Authorization: Bearer <token>` or `?access_token=<token>` (browsers
+ *     cannot set headers on WebSocket upgrades); tokens must carry `exp`
+ * Connections without credentials are rejected with 401 unless localRole
+ * (WS_AUTH_LOCAL_ROLE, default "none") names a role: loopback connections
+ * then get it, or anonymousRole(address) if given, capped at localRole.
+ * Other addresses get only what anonymousRole(address) grants.
+ *
+ * Roles are ordered viewer < operator < admin; MESSAGE_ROLES lists the
+ * lowest role allowed to send each message type. The identity is kept in
+ * ws.data.identity = { user, role, via }.
+ *
+ * Issue a token:
+ *   bun src/ws-auth.js issue --user alice --role operator [--ttl 8h]
+ */
+
+import { createHmac, timingSafeEqual } from "crypto";
+import { parseStep } from "./metrics-history.js";
+
+export const ROLES = ["viewer", "operator", "admin"];
+
+// Lowest role that may send each client message type
+export const MESSAGE_ROLES = {
+  // terminal-server / quantum-terminal-engine
+  terminal_input: "operator",
+  terminal_command: "operator",
+  terminal_resize: "viewer",
+  terminal_detach: "viewer",
+  control_request: "operator",
+  control_grant: "operator",
+  control_release: "operator",
+  config: "viewer", // dimensions; symbols need control
+  channel_open: "viewer", // new sessions need terminal_input
+  channel_close: "viewer",
+  // unified dashboard topics
+  subscribe: "viewer",
+  unsubscribe: "viewer",
+};
+
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+const DEFAULT_LOCAL_ROLE = process.env.WS_AUTH_LOCAL_ROLE || "none";
+
+/**
+ * Whether role is at least minimum (unknown roles rank below viewer)
+ */
+export function roleAtLeast(role, minimum) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minimum);
+}
+
+/**
+ * 401 response for requests without (valid) credentials
+ */
+export function unauthorized() {
+  return Response.json(
+    { error: "Authentication required" },
+    {
+      status: 401,
+      headers: { "WWW-Authenticate": 'Bearer realm="quantum"' },
+    },
+  );
+}
+
+// ============================================================================
+// TOKENS
+// ============================================================================
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString("base64url");
+}
+
+function signature(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest();
+}
+
+/**
+ * Sign claims ({ sub, role, exp } with exp in seconds) into a bearer token
+ */
+export function signToken(claims, secret = process.env.QUANTUM_SECRET) {
+  if (!secret) throw new Error("QUANTUM_SECRET is required to sign tokens");
+  const payload = base64url(JSON.stringify(claims));
+  return `${payload}.${base64url(signature(payload, secret))}`;
+}
+
+/**
+ * Verify a bearer token; returns its claims, or null when the signature
+ * does not match or the token expired or never expires
+ */
+export function verifyToken(
+  token,
+  secret = process.env.QUANTUM_SECRET,
+  now = Date.now(),
+) {
+  if (!secret || typeof token !== "string") return null;
+  const [payload, mac] = token.split(".");
+  if (!payload || !mac) return null;
+
+  const expected = signature(payload, secret);
+  const given = Buffer.from(mac, "base64url");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    if (!Number.isFinite(claims.exp) || claims.exp * 1000 < now) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+// ============================================================================
+// AUTHENTICATOR
+// ============================================================================
+
+/**
+ * Session cookie reader backed by state-vault.js. Loaded lazily: the vault
+ * needs QUANTUM_SECRET and bun.yaml, which not every server has.
+ */
+let vaultLoader = null;
+async function loadVaultSession(request, key) {
+  vaultLoader ??= import("./state-vault.js").catch((error) => {
+    console.warn(`Session cookies unavailable: ${error.message}`);
+    return null;
+  });
+  const vault = await vaultLoader;
+  return vault ? vault.loadState(request, key) : null;
+}
+
+class WebSocketAuth {
+  /**
+   * @param {Object} options
+   * @param {string} options.secret - Token signing secret (QUANTUM_SECRET)
+   * @param {string|null} options.localRole - Highest role for loopback
+   *   connections without credentials ("none": credentials required)
+   * @param {Function} options.anonymousRole - (address) => role | null for
+   *   connections without credentials (default: localRole on loopback)
+   * @param {string} options.defaultRole - Role when a credential has none
+   * @param {string} options.cookieKey - state-vault key holding the session
+   * @param {Function} options.loadSession - (request, key) => session | null
+   */
+  constructor(options = {}) {
+    this.secret = options.secret ?? process.env.QUANTUM_SECRET;
+    const localRole = options.localRole ?? DEFAULT_LOCAL_ROLE;
+    if (
+      localRole !== "none" &&
+      localRole !== null &&
+      !ROLES.includes(localRole)
+    ) {
+      throw new Error(
+        `Unknown local role "${localRole}" (expected: none, ${ROLES.join(", ")})`,
+      );
+    }
+    this.localRole = localRole === "none" ? null : localRole;
+    this.resolveAnonymous = options.anonymousRole || null;
+    this.defaultRole = options.defaultRole || "viewer";
+    this.cookieKey = options.cookieKey || "session";
+    this.loadSession = options.loadSession || loadVaultSession;
+  }
+
+  /**
+   * Bearer token from the Authorization header or ?access_token=
+   */
+  bearerToken(request) {
+    const header = request.headers.get("authorization") || "";
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match
+      ? match[1]
+      : new URL(request.url).searchParams.get("access_token");
+  }
+
+  /**
+   * Identify the client behind an upgrade request
+   *
+   * @param {Request} request
+   * @param {Server} server - Bun server (for the remote address)
+   * @returns {Promise<{ user, role, via }|null>} null: reject with 401
+   */
+  async authenticate(request, server) {
+    const token = this.bearerToken(request);
+    if (token) {
+      // A bad token is rejected, not downgraded to anonymous
+      const claims = verifyToken(token, this.secret);
+      return claims ? this.identity(claims.sub, claims.role, "bearer") : null;
+    }
+
+    if (request.headers.get("cookie")) {
+      const session = await this.loadSession(request, this.cookieKey);
+      if (session && !(session.expiresAt && session.expiresAt < Date.now())) {
+        return this.identity(session.user, session.role, "cookie");
+      }
+    }
+
+    const role = this.anonymousRole(server?.requestIP(request)?.address);
+    return role ? this.identity(null, role, "anonymous") : null;
+  }
+
+  /**
+   * Role for a connection without credentials (null: reject). Loopback
+   * connections never get more than localRole, whoever resolves the role.
+   */
+  anonymousRole(address) {
+    if (!LOOPBACK_ADDRESSES.has(address)) {
+      return this.resolveAnonymous?.(address) ?? null;
+    }
+    if (!this.localRole) return null;
+    const role = this.resolveAnonymous
+      ? this.resolveAnonymous(address)
+      : this.localRole;
+    if (!role) return null;
+    return roleAtLeast(role, this.localRole) ? this.localRole : role;
+  }
+
+  identity(user, role, via) {
+    return {
+      user: user ?? null,
+      role: ROLES.includes(role) ? role : this.defaultRole,
+      via,
+    };
+  }
+
+  /**
+   * Whether a role may send a message type (unlisted types need admin)
+   */
+  permits(role, type) {
+    return roleAtLeast(role, MESSAGE_ROLES[type] || "admin");
+  }
+
+  unauthorized() {
+    return unauthorized();
+  }
+}
+
+// ============================================================================
+// CLI
+// ============================================================================
+
+if (import.meta.main) {
+  const args = Bun.argv.slice(2);
+  const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index !== -1 ? args[index + 1] : fallback;
+  };
+
+  if (args[0] !== "issue" || args.includes("--help")) {
+    console.log(
+      "Usage: bun src/ws-auth.js issue --user <name> --role <viewer|operator|admin> [--ttl 8h]",
+    );
+    process.exit(args.includes("--help") ? 0 : 1);
+  }
+
+  const role = option("--role", "viewer");
+  if (!ROLES.includes(role)) {
+    console.error(`Unknown role "${role}" (${ROLES.join(", ")})`);
+    process.exit(1);
+  }
+  const ttl = parseStep(option("--ttl", "8h"));
+  console.log(
+    signToken({
+      sub: option("--user", "anonymous"),
+      role,
+      exp: Math.floor((Date.now() + ttl) / 1000),
+    }),
+  );
+}
+
+export { WebSocketAuth };
+export default WebSocketAuth;
@@ -0,0 +1,246 @@
+/**
+ * ws-topics.js - Per-topic WebSocket subscriptions with JSON Patch deltas
+ *
+ * Protocol (client -> server):
+ *   { "subscribe": "tension" }            or an array of topics
+ *   { "unsubscribe": "tickers:AAPL" }     or an array of topics
+ * Subscribing (again) sends a full snapshot, which is also how a client
+ * resynchronizes after a missed seq.
+ *
+ * Protocol (server -> client):
+ *   { "type": "snapshot", "topic", "seq", "data" }
+ *   { "type": "patch", "topic", "seq", "ops": [RFC 6902 add/remove/replace] }
+ *   { "type": "error", "error" }
+ *
+ * Patches apply to the previous seq of the same topic; a topic only
+ * publishes when something changed.
+ */
+
+// ============================================================================
+// JSON PATCH
+// ============================================================================
+
+function escapePointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+function unescapePointer(segment) {
+  return segment.replace(/~1/g, "/").replace(/~0/g, "~");
+}
+
+function isObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Diff two JSON values into RFC 6902 operations (add/remove/replace).
+ * Arrays of equal length are diffed element-wise, otherwise replaced.
+ */
+export function diffJSON(previous, next, path = "", ops = []) {
+  if (previous === next) return ops;
+
+  if (isObject(previous) && isObject(next)) {
+    for (const key of Object.keys(previous)) {
+      if (!(key in next))
+        ops.push({ op: "remove", path: `${path}/${escapePointer(key)}` });
+    }
+    for (const [key, value] of Object.entries(next)) {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (!(key in previous)) ops.push({ op: "add", path: childPath, value });
+      else diffJSON(previous[key], value, childPath, ops);
+    }
+    return ops;
+  }
+
+  if (
+    Array.isArray(previous) &&
+    Array.isArray(next) &&
+    previous.length === next.length
+  ) {
+    next.forEach((value, index) =>
+      diffJSON(previous[index], value, `${path}/${index}`, ops),
+    );
+    return ops;
+  }
+
+  ops.push({ op: "replace", path, value: next });
+  return ops;
+}
+
+/**
+ * Apply add/remove/replace operations (returns the new document)
+ */
+export function applyPatch(document, ops) {
+  let root = document;
+  for (const { op, path, value } of ops) {
+    if (path === "") {
+      root = op === "remove" ? null : structuredClone(value);
+      continue;
+    }
+    const segments = path.slice(1).split("/").map(unescapePointer);
+    const key = segments.pop();
+    let target = root;
+    for (const segment of segments) target = target[segment];
+    if (op === "remove") {
+      if (Array.isArray(target)) target.splice(Number(key), 1);
+      else delete target[key];
+    } else {
+      target[key] = structuredClone(value);
+    }
+  }
+  return root;
+}
+
+// ============================================================================
+// TOPIC HUB
+// ============================================================================
+
+/**
+ * Normalize topic payloads to plain JSON (drops undefined, Maps become {})
+ */
+function toJSON(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+class TopicHub {
+  /**
+   * @param {Object} options
+   * @param {Function} options.validate - (topic) => boolean
+   * @param {Function} options.publish - (topic, message) => void (Bun server.publish)
+   */
+  constructor(options = {}) {
+    this.validate = options.validate || (() => true);
+    this.publish = options.publish || (() => {});
+    this.counts = new Map(); // topic -> subscriber count
+    this.states = new Map(); // topic -> { seq, data }
+  }
+
+  /**
+   * Per-socket subscription set, kept in ws.data (see Bun server.upgrade)
+   */
+  topicsOf(ws) {
+    ws.data ??= {};
+    ws.data.topics ??= new Set();
+    return ws.data.topics;
+  }
+
+  subscribe(ws, topic) {
+    if (!this.validate(topic)) {
+      ws.send(
+        JSON.stringify({ type: "error", error: `Unknown topic: ${topic}` }),
+      );
+      return false;
+    }
+    const topics = this.topicsOf(ws);
+    if (!topics.has(topic)) {
+      topics.add(topic);
+      ws.subscribe(topic);
+      this.counts.set(topic, (this.counts.get(topic) || 0) + 1);
+    }
+    const state = this.states.get(topic);
+    if (state) {
+      ws.send(
+        JSON.stringify({
+          type: "snapshot",
+          topic,
+          seq: state.seq,
+          data: state.data,
+        }),
+      );
+    }
+    return true;
+  }
+
+  unsubscribe(ws, topic) {
+    const topics = this.topicsOf(ws);
+    if (!topics.delete(topic)) return false;
+    ws.unsubscribe(topic);
+    this.decrement(topic);
+    return true;
+  }
+
+  /**
+   * Drop every subscription of a closing socket
+   */
+  release(ws) {
+    for (const topic of this.topicsOf(ws)) this.decrement(topic);
+    ws.data.topics.clear();
+  }
+
+  decrement(topic) {
+    const count = (this.counts.get(topic) || 0) - 1;
+    if (count > 0) this.counts.set(topic, count);
+    else this.counts.delete(topic);
+  }
+
+  /**
+   * Handle a client control message ({ subscribe } / { unsubscribe })
+   */
+  handleMessage(ws, message) {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch {
+      ws.send(JSON.stringify({ type: "error", error: "Invalid JSON" }));
+      return;
+    }
+    if (!data || typeof data !== "object") {
+      ws.send(
+        JSON.stringify({
+          type: "error",
+          error: "Expected an object ({ subscribe } or { unsubscribe })",
+        }),
+      );
+      return;
+    }
+    for (const topic of [data.subscribe ?? []].flat())
+      this.subscribe(ws, topic);
+    for (const topic of [data.unsubscribe ?? []].flat()) {
+      this.unsubscribe(ws, topic);
+    }
+  }
+
+  /**
+   * Record the latest value of a topic and publish the delta to its
+   * subscribers. Topics nobody listens to only keep their latest state.
+   */
+  update(topic, value) {
+    const data = toJSON(value);
+    const state = this.states.get(topic);
+    if (!state) {
+      // First value: clients that subscribed early get their snapshot now
+      this.states.set(topic, { seq: 0, data });
+      if (this.counts.has(topic)) {
+        this.publish(
+          topic,
+          JSON.stringify({ type: "snapshot", topic, seq: 0, data }),
+        );
+      }
+      return null;
+    }
+    if (!this.counts.has(topic)) {
+      state.data = data;
+      return null;
+    }
+    const ops = diffJSON(state.data, data);
+    state.data = data;
+    if (ops.length === 0) return null;
+    state.seq++;
+    const message = { type: "patch", topic, seq: state.seq, ops };
+    this.publish(topic, JSON.stringify(message));
+    return message;
+  }
+
+  describe() {
+    return {
+      topics: Object.fromEntries(this.counts),
+      totalSubscribers: Array.from(this.counts.values()).reduce(
+        (a, b) => a + b,
+        0,
+      ),
+    };
+  }
+}
+
+export { TopicHub };
+export default TopicHub;